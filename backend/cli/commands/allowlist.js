@@ -0,0 +1,303 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const {
+  detectAllowlistFormat,
+  parseAllowlist,
+  normalizeAllowlist,
+} = require('../../utils/allowlist');
+const { getLazyNFTContract } = require('../../utils/contract');
+const { isTokenId } = require('../../utils/voucher');
+const { assertContractConfigured, connectAsOwner, confirm } = require('../contract');
+
+/**
+ * The root a command works on: --root, else the allowlist built last
+ * @param {Object} ctx - Collection context
+ * @param {string} [root] - Root given on the command line
+ * @returns {Promise<string>} Merkle root
+ */
+async function resolveRoot(ctx, root) {
+  if (root) {
+    if (!/^0x[0-9a-f]{64}$/i.test(root)) {
+      throw new Error('--root must be a 32-byte hex string');
+    }
+    return root;
+  }
+
+  const latest = await ctx.allowlistStore.latest(ctx.contractAddress, ctx.chainId);
+  if (!latest) {
+    throw new Error('No allowlist has been built; run: forge allowlist build --file <list>');
+  }
+  return latest.root;
+}
+
+const build = {
+  summary: 'Build and keep the Merkle tree of an address list (like POST /api/allowlist)',
+  usage: 'forge allowlist build --file <csv|json> [--default-cap <n>]',
+  options: {
+    file: { type: 'string' },
+    'default-cap': { type: 'string' },
+  },
+
+  async run({ values, context }) {
+    if (!values.file) {
+      throw new Error('--file is required');
+    }
+
+    const ctx = context();
+    assertContractConfigured(ctx);
+
+    const defaultCap = values['default-cap'] === undefined ? 1 : Number(values['default-cap']);
+    const raw = parseAllowlist(
+      fs.readFileSync(values.file, 'utf8'),
+      detectAllowlistFormat(path.basename(values.file))
+    );
+    const entries = normalizeAllowlist(raw, defaultCap);
+
+    return ctx.allowlistStore.save({
+      entries,
+      defaultCap,
+      contractAddress: ctx.contractAddress,
+      chainId: ctx.chainId,
+    });
+  },
+
+  print(result) {
+    console.log(`Allowlist root: ${result.root}`);
+    console.log(`  Addresses: ${result.count} (default cap ${result.defaultCap})`);
+    console.log(`  Built: ${result.createdAt}`);
+    console.log('Open the presale with: forge allowlist publish --price <eth> --uri <uri>');
+  },
+};
+
+const proof = {
+  summary: 'Print the proof of an address (like GET /api/allowlist/:address/proof)',
+  usage: 'forge allowlist proof --address <address> [--root <root>]',
+  options: {
+    address: { type: 'string' },
+    root: { type: 'string' },
+  },
+
+  async run({ values, context }) {
+    if (!values.address || !ethers.isAddress(values.address)) {
+      throw new Error('--address must be an address');
+    }
+
+    const ctx = context();
+    assertContractConfigured(ctx);
+
+    const root = await resolveRoot(ctx, values.root);
+    const allowlist = await ctx.allowlistStore.load(ctx.contractAddress, ctx.chainId, root);
+    if (!allowlist) {
+      throw new Error(`Allowlist ${root} was not built for this collection`);
+    }
+
+    const result = allowlist.getProof(values.address);
+    if (!result) {
+      throw new Error(`${values.address} is not on allowlist ${root}`);
+    }
+    return { root: allowlist.record.root, ...result };
+  },
+
+  print(result) {
+    console.log(`${result.address} may mint ${result.cap} under ${result.root}`);
+    console.log(`  Proof: ${JSON.stringify(result.proof)}`);
+  },
+};
+
+/**
+ * Read a non-negative integer option
+ * @param {string} value - Option value
+ * @param {string} name - Option name, for the error
+ * @returns {number} The integer
+ */
+function parseIntegerOption(value, name) {
+  if (!/^\d+$/.test(value) || !Number.isSafeInteger(Number(value))) {
+    throw new Error(`--${name} must be a non-negative integer`);
+  }
+  return Number(value);
+}
+
+const publish = {
+  summary: 'Open the allowlist presale on-chain (LazyNFT.setAllowlist)',
+  usage: [
+    'forge allowlist publish --price <eth> --uri <uri> [--root <root>]',
+    '  [--first-token-id <id>] [--supply <n>]',
+  ].join('\n'),
+  options: {
+    price: { type: 'string' },
+    uri: { type: 'string' },
+    root: { type: 'string' },
+    'first-token-id': { type: 'string' },
+    supply: { type: 'string' },
+  },
+
+  async run({ values, context }) {
+    const { price, uri } = values;
+    if (!price || !uri) {
+      throw new Error('--price and --uri are required');
+    }
+
+    const ctx = context();
+    assertContractConfigured(ctx);
+
+    // Only roots whose tree is kept here, so every listed address can get its proof
+    const root = await resolveRoot(ctx, values.root);
+    const allowlist = await ctx.allowlistStore.load(ctx.contractAddress, ctx.chainId, root);
+    if (!allowlist) {
+      throw new Error(`Allowlist ${root} was not built for this collection`);
+    }
+
+    // By default the presale can mint every listed wallet's whole cap
+    const supply =
+      values.supply === undefined
+        ? allowlist.totalCap
+        : parseIntegerOption(values.supply, 'supply');
+    if (supply === 0) {
+      throw new Error('--supply must be at least 1');
+    }
+
+    const contract = await connectAsOwner(ctx);
+
+    // Allowlist mints take their IDs from [firstTokenId, firstTokenId + supply), which
+    // must stay clear of the tokenIds reserved for signed vouchers
+    const reservations = await ctx.tokenAllocator.list();
+    let firstTokenId;
+    if (values['first-token-id'] === undefined) {
+      // Reserved tokenIds are decimal strings and may exceed Number.MAX_SAFE_INTEGER
+      const highest = reservations.reduce(
+        (max, { tokenId }) => (BigInt(tokenId) > max ? BigInt(tokenId) : max),
+        0n
+      );
+      const current = BigInt(await contract.getCurrentTokenId());
+      firstTokenId = current > highest + 1n ? current : highest + 1n;
+    } else {
+      if (!isTokenId(values['first-token-id'])) {
+        throw new Error('--first-token-id must be an integer from 0 to 2^256 - 1');
+      }
+      firstTokenId = BigInt(values['first-token-id']);
+      const clash = reservations.find(
+        ({ tokenId }) =>
+          BigInt(tokenId) >= firstTokenId && BigInt(tokenId) < firstTokenId + BigInt(supply)
+      );
+      if (clash) {
+        throw new Error(`Token ID ${clash.tokenId} of that range is reserved for a voucher`);
+      }
+    }
+
+    const transactionHash = await confirm(
+      contract.setAllowlist(root, ethers.parseEther(price), uri, firstTokenId, supply)
+    );
+
+    return {
+      root,
+      price,
+      uri,
+      firstTokenId: firstTokenId.toString(),
+      supply,
+      transactionHash,
+      contractAddress: ctx.contractAddress,
+      chainId: ctx.chainId,
+    };
+  },
+
+  print(result) {
+    console.log(`Allowlist presale open with root ${result.root}`);
+    console.log(`  Price: ${result.price} ETH per token`);
+    console.log(`  URI: ${result.uri}`);
+    console.log(
+      `  Token IDs: ${result.firstTokenId} to ${
+        BigInt(result.firstTokenId) + BigInt(result.supply) - 1n
+      }`
+    );
+    console.log(`  Transaction: ${result.transactionHash}`);
+  },
+};
+
+const close = {
+  summary: 'Close the allowlist presale on-chain',
+  usage: 'forge allowlist close',
+  options: {},
+
+  async run({ context }) {
+    const ctx = context();
+    const contract = await connectAsOwner(ctx);
+
+    const transactionHash = await confirm(contract.setAllowlist(ethers.ZeroHash, 0, '', 0, 0));
+    return { transactionHash, contractAddress: ctx.contractAddress, chainId: ctx.chainId };
+  },
+
+  print(result) {
+    console.log('Allowlist presale closed');
+    console.log(`  Transaction: ${result.transactionHash}`);
+  },
+};
+
+const status = {
+  summary: 'Show the allowlists built for the collection and the one on-chain',
+  usage: 'forge allowlist status',
+  options: {},
+
+  async run({ context }) {
+    const ctx = context();
+    assertContractConfigured(ctx);
+
+    const allowlists = await ctx.allowlistStore.list(ctx.contractAddress, ctx.chainId);
+
+    let sale = null;
+    if (ctx.provider) {
+      const contract = getLazyNFTContract(ctx.contractAddress, ctx.provider);
+      const [root, price, uri, firstTokenId, supply] = await Promise.all([
+        contract.allowlistRoot(),
+        contract.allowlistPrice(),
+        contract.allowlistURI(),
+        contract.allowlistFirstTokenId(),
+        contract.allowlistSupply(),
+      ]);
+      sale =
+        root === ethers.ZeroHash
+          ? { open: false }
+          : {
+              open: true,
+              root,
+              price: ethers.formatEther(price),
+              uri,
+              firstTokenId: firstTokenId.toString(),
+              supply: Number(supply),
+            };
+    }
+
+    return { allowlists, sale, contractAddress: ctx.contractAddress, chainId: ctx.chainId };
+  },
+
+  print(result) {
+    if (result.allowlists.length === 0) {
+      console.log('No allowlists built');
+    }
+    for (const allowlist of result.allowlists) {
+      const active = result.sale?.root === allowlist.root ? ' (on-chain)' : '';
+      console.log(`${allowlist.root}${active}`);
+      console.log(`  ${allowlist.count} addresses, built ${allowlist.createdAt}`);
+    }
+
+    if (!result.sale) {
+      console.log('Presale: unknown (no RPC URL)');
+    } else if (!result.sale.open) {
+      console.log('Presale: closed');
+    } else {
+      const { price, uri, firstTokenId, supply } = result.sale;
+      console.log(`Presale: open at ${price} ETH, URI ${uri}`);
+      console.log(`  Token IDs: ${firstTokenId} to ${BigInt(firstTokenId) + BigInt(supply) - 1n}`);
+      if (!result.allowlists.some((allowlist) => allowlist.root === result.sale.root)) {
+        console.log(`  Root ${result.sale.root} was not built here; its proofs cannot be served`);
+      }
+    }
+  },
+};
+
+module.exports = {
+  command: {
+    summary: 'Build allowlists and run the allowlist presale',
+    subcommands: { build, proof, publish, close, status },
+  },
+};
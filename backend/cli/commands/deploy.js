@@ -0,0 +1,71 @@
+const path = require('path');
+const { spawn } = require('child_process');
+const { readDeploymentManifest } = require('../../utils/deployments');
+const { ROOT_DIR, deploymentManifestPath } = require('../config');
+
+/**
+ * Run scripts/deploy.js through Hardhat
+ * @param {string} network - Hardhat network name
+ * @param {Object} env - Environment for the deploy script
+ * @param {boolean} quiet - Send the script's output to stderr instead of stdout
+ * @returns {Promise<void>} Resolves when the script succeeds
+ */
+function runDeployScript(network, env, quiet) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('npx', ['hardhat', 'run', 'scripts/deploy.js', '--network', network], {
+      cwd: ROOT_DIR,
+      env,
+      stdio: ['ignore', quiet ? process.stderr : 'inherit', 'inherit'],
+    });
+
+    child.on('error', reject);
+    child.on('exit', (code) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`scripts/deploy.js exited with code ${code}`));
+      }
+    });
+  });
+}
+
+module.exports = {
+  command: {
+    summary: 'Deploy LazyNFT with scripts/deploy.js and write its deployment manifest',
+    usage: 'forge deploy --network <name> [--name <deployment>] [--verify]',
+    options: {
+      name: { type: 'string' },
+      verify: { type: 'boolean' },
+    },
+
+    async run({ values, global }) {
+      if (!global.network) {
+        throw new Error('--network is required (a network from hardhat.config.js)');
+      }
+
+      const name = values.name || process.env.DEPLOYMENT_NAME || 'LazyNFT';
+      await runDeployScript(
+        global.network,
+        {
+          ...process.env,
+          DEPLOYMENT_NAME: name,
+          ...(values.verify && { VERIFY_CONTRACT: 'true' }),
+        },
+        global.json
+      );
+
+      const manifestPath = deploymentManifestPath(global.network, name);
+      const manifest = readDeploymentManifest(manifestPath);
+      // The ABI stays in the manifest file; the result describes the deployment
+      delete manifest.abi;
+      return { ...manifest, path: path.relative(process.cwd(), manifestPath) };
+    },
+
+    print(manifest) {
+      console.log(
+        `\nDeployed ${manifest.address} on ${manifest.network} (chain ${manifest.chainId})`
+      );
+      console.log(`Manifest: ${manifest.path}`);
+    },
+  },
+};
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const { createNFTMetadata } = require('../../utils/pinata');
+const { parseAttributes } = require('../../utils/metadata');
+const { serializeJSON } = require('../../utils/cid');
+const { readJsonInput } = require('../io');
+const { inspectImage, uploadImage, previewImage } = require('../../utils/nftPipeline');
+const { assertStorageConfigured } = require('./upload');
+
+/**
+ * Parse --attribute trait=value (numeric values become numbers)
+ * @param {string} value - "trait=value"
+ * @returns {Object} { trait_type, value }
+ */
+function parseAttributeOption(value) {
+  const separator = value.indexOf('=');
+  if (separator <= 0) {
+    throw new Error(`--attribute expects trait=value, got "${value}"`);
+  }
+
+  const raw = value.slice(separator + 1);
+  return {
+    trait_type: value.slice(0, separator),
+    value: /^-?\d+(\.\d+)?$/.test(raw) ? Number(raw) : raw,
+  };
+}
+
+/**
+ * Whether an --image value is a local file rather than a URI
+ * @param {string} image - --image value
+ * @returns {boolean}
+ */
+function isLocalFile(image) {
+  return !/^[a-z][a-z0-9+.-]*:/i.test(image) && fs.existsSync(image);
+}
+
+module.exports = {
+  command: {
+    summary: 'Build, validate and upload NFT metadata',
+    usage: [
+      'forge metadata --name <name> --description <text> --image <uri|file>',
+      '  [--attribute trait=value ...] [--attributes <json>] [--external-url <url>]',
+      '  [--animation-url <url>] [--background-color <hex>] [--from <metadata.json>] [--dry-run]',
+    ].join('\n'),
+    options: {
+      name: { type: 'string' },
+      description: { type: 'string' },
+      image: { type: 'string' },
+      attribute: { type: 'string', multiple: true },
+      attributes: { type: 'string' },
+      'external-url': { type: 'string' },
+      'animation-url': { type: 'string' },
+      'background-color': { type: 'string' },
+      from: { type: 'string' },
+      'dry-run': { type: 'boolean' },
+    },
+
+    async run({ values, context }) {
+      // --from supplies a base document (snake_case, as stored); options override it
+      const base = values.from ? await readJsonInput(values.from) : {};
+      const attributes = values.attribute
+        ? values.attribute.map(parseAttributeOption)
+        : parseAttributes(values.attributes ?? base.attributes);
+
+      const params = {
+        name: values.name ?? base.name,
+        description: values.description ?? base.description,
+        image: values.image ?? base.image,
+        attributes,
+        externalUrl: values['external-url'] ?? base.external_url,
+        animationUrl: values['animation-url'] ?? base.animation_url,
+        backgroundColor: values['background-color'] ?? base.background_color,
+        properties: base.properties,
+      };
+
+      const imageFile = params.image && isLocalFile(params.image) ? params.image : null;
+
+      // Validate before uploading anything, so bad metadata never pins its image
+      createNFTMetadata(
+        { ...params, image: imageFile ? undefined : params.image },
+        { requireImage: !imageFile }
+      );
+
+      const ctx = context();
+      const dryRun = !!values['dry-run'];
+
+      // A local image is checked like an API upload: its type, size and dimensions
+      // (and thumbnail, when enabled) go into the metadata properties
+      let image = null;
+      if (imageFile) {
+        const file = {
+          buffer: await fs.promises.readFile(imageFile),
+          filename: path.basename(imageFile),
+        };
+        const media = await inspectImage(ctx, file);
+
+        if (dryRun) {
+          // The CIDs are computed locally, so the URIs printed are the ones an upload returns
+          const { cid, properties } = previewImage(ctx, file, media);
+          image = { file: imageFile, cid, uri: `ipfs://${cid}`, properties };
+        } else {
+          assertStorageConfigured(ctx);
+          const { result, properties } = await uploadImage(ctx, file, media);
+          image = {
+            file: imageFile,
+            cid: result.ipfsHash,
+            uri: result.ipfsUrl,
+            gatewayUrl: result.gatewayUrl,
+            properties,
+          };
+        }
+        params.image = image.uri;
+        params.properties = image.properties;
+      }
+
+      const metadata = createNFTMetadata(params);
+
+      if (dryRun) {
+        const cid = ctx.storage.computeCid(serializeJSON(metadata));
+        return { dryRun: true, ...(image && { image }), metadata, cid, uri: `ipfs://${cid}` };
+      }
+
+      assertStorageConfigured(ctx);
+      const result = await ctx.storage.uploadJSON(metadata, {
+        name: `${metadata.name} metadata`,
+        keyvalues: { type: 'metadata' },
+      });
+
+      return {
+        ...(image && { image }),
+        metadata,
+        cid: result.ipfsHash,
+        uri: result.ipfsUrl,
+        gatewayUrl: result.gatewayUrl,
+      };
+    },
+
+    print(result) {
+      if (result.dryRun) {
+        console.log(JSON.stringify(result.metadata, null, 2));
+        console.log('\nMetadata is valid (dry run, nothing uploaded)');
+        if (result.image) {
+          console.log(`Image: ${result.image.uri} (from ${result.image.file})`);
+        }
+        console.log(`Metadata: ${result.uri}`);
+        return;
+      }
+
+      if (result.image) {
+        console.log(`Image: ${result.image.uri}`);
+      }
+      console.log(`Metadata: ${result.uri}`);
+      console.log(`Gateway: ${result.gatewayUrl}`);
+    },
+  },
+};
@@ -0,0 +1,89 @@
+const { ethers } = require('ethers');
+const {
+  formatVoucherForContract,
+  isOpenVoucher,
+  isClaimRequired,
+  signVoucherClaim,
+} = require('../../utils/voucher');
+const { getLazyNFTContract } = require('../../utils/contract');
+const { readVoucherInput } = require('../io');
+const { assertContractConfigured } = require('../contract');
+
+module.exports = {
+  command: {
+    summary: 'Redeem a voucher on-chain (lazyMint, or claimMint for claim-protected vouchers)',
+    usage: [
+      'forge mint [file|-]',
+      '',
+      'The minting wallet is MINTER_PRIVATE_KEY (or PRIVATE_KEY). Claim-protected vouchers',
+      'also need CLAIM_KEY, unless the voucher file carries its claimKey.',
+    ].join('\n'),
+    options: {},
+
+    async run({ positionals, context }) {
+      const input = await readVoucherInput(positionals[0]);
+      const { voucher } = input;
+
+      const ctx = context();
+      assertContractConfigured(ctx);
+      if (!ctx.provider) {
+        throw new Error('Minting needs an RPC URL (RPC_URL or --network)');
+      }
+
+      const minterKey = process.env.MINTER_PRIVATE_KEY || process.env.PRIVATE_KEY;
+      if (!minterKey) {
+        throw new Error('MINTER_PRIVATE_KEY (or PRIVATE_KEY) must be set');
+      }
+
+      const wallet = new ethers.Wallet(minterKey, ctx.provider);
+      if (!isOpenVoucher(voucher) && ethers.getAddress(voucher.minter) !== wallet.address) {
+        throw new Error(`Only ${voucher.minter} can redeem this voucher, not ${wallet.address}`);
+      }
+
+      const contract = getLazyNFTContract(ctx.contractAddress, wallet);
+      const voucherTuple = formatVoucherForContract(voucher);
+      const overrides = { value: voucher.price };
+
+      let tx;
+      if (isClaimRequired(voucher)) {
+        const claimKey = process.env.CLAIM_KEY || input.claimKey;
+        if (!claimKey) {
+          throw new Error('This voucher is claim-protected; set CLAIM_KEY');
+        }
+        const claimSignature = await signVoucherClaim(
+          voucher,
+          wallet.address,
+          claimKey,
+          ctx.contractAddress,
+          ctx.chainId
+        );
+        tx = await contract.claimMint(voucherTuple, claimSignature, overrides);
+      } else {
+        tx = await contract.lazyMint(voucherTuple, overrides);
+      }
+
+      // Progress goes to stderr so --json output stays parseable
+      console.error(`Transaction ${tx.hash} sent, waiting for confirmation...`);
+      const receipt = await tx.wait();
+
+      return {
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        tokenId: voucher.tokenId.toString(),
+        uri: voucher.uri,
+        owner: wallet.address,
+        contractAddress: ctx.contractAddress,
+        chainId: ctx.chainId,
+      };
+    },
+
+    print(result) {
+      console.log(`Minted token ${result.tokenId} to ${result.owner}`);
+      console.log(`  Transaction: ${result.transactionHash}`);
+      console.log(`  Block: ${result.blockNumber}`);
+      console.log(`  Gas used: ${result.gasUsed}`);
+      console.log(`  Token URI: ${result.uri}`);
+    },
+  },
+};
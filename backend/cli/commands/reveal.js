@@ -0,0 +1,126 @@
+const { ethers } = require('ethers');
+const { loadBatchJob, revealBatchJob } = require('../../utils/batchImport');
+const { connectAsOwner, confirm } = require('../contract');
+
+/**
+ * Load a hidden drop imported into the collection
+ * @param {Object} ctx - Collection context
+ * @param {string} jobId - Batch job ID
+ * @returns {Promise<Object>} Batch job
+ */
+async function loadHiddenDrop(ctx, jobId) {
+  if (!jobId) {
+    throw new Error('--job is required');
+  }
+
+  const job = await loadBatchJob(jobId);
+  if (!job) {
+    throw new Error(`Batch job not found: ${jobId}`);
+  }
+  if (job.collectionId && job.collectionId !== ctx.id) {
+    throw new Error(`Batch job ${jobId} belongs to collection ${job.collectionId}, not ${ctx.id}`);
+  }
+  if (!job.provenance) {
+    throw new Error(`Batch job ${jobId} is not an imported hidden drop`);
+  }
+  return job;
+}
+
+const provenance = {
+  summary: "Publish a hidden drop's provenance hash on-chain, before the sale",
+  usage: 'forge reveal provenance --job <id>',
+  options: {
+    job: { type: 'string' },
+  },
+
+  async run({ values, context }) {
+    const ctx = context();
+    const job = await loadHiddenDrop(ctx, values.job);
+    const contract = await connectAsOwner(ctx);
+
+    const { provenanceHash } = job.provenance;
+    const published = await contract.provenanceHash();
+
+    let transactionHash = null;
+    if (published === ethers.ZeroHash) {
+      transactionHash = await confirm(contract.setProvenanceHash(provenanceHash));
+    } else if (published !== provenanceHash) {
+      throw new Error(`The contract already commits to another provenance hash: ${published}`);
+    }
+
+    return {
+      jobId: job.id,
+      ...job.provenance,
+      transactionHash,
+      contractAddress: ctx.contractAddress,
+      chainId: ctx.chainId,
+    };
+  },
+
+  print(result) {
+    console.log(`Provenance hash: ${result.provenanceHash}`);
+    console.log(`  Algorithm: ${result.algorithm}`);
+    console.log(`  Tokens: ${result.tokens.length}`);
+    console.log(
+      result.transactionHash
+        ? `  Transaction: ${result.transactionHash}`
+        : '  Already published on the contract'
+    );
+  },
+};
+
+const run = {
+  summary: 'Pin a hidden drop and reveal it on-chain (LazyNFT.reveal)',
+  usage: 'forge reveal run --job <id>',
+  options: {
+    job: { type: 'string' },
+  },
+
+  async run({ values, context }) {
+    const ctx = context();
+    const job = await loadHiddenDrop(ctx, values.job);
+    const contract = await connectAsOwner(ctx);
+
+    // Check the contract before pinning, so nothing is made public that cannot be revealed
+    const [published, revealed] = await Promise.all([
+      contract.provenanceHash(),
+      contract.revealed(),
+    ]);
+    if (published === ethers.ZeroHash) {
+      throw new Error('Publish the provenance hash first: forge reveal provenance --job <id>');
+    }
+    if (published !== job.provenance.provenanceHash) {
+      throw new Error(`The contract commits to another provenance hash: ${published}`);
+    }
+    if (revealed) {
+      throw new Error(`Already revealed, with base URI ${await contract.baseURI()}`);
+    }
+
+    const directory = await revealBatchJob(ctx, job);
+    const transactionHash = await confirm(contract.reveal(directory.baseUri));
+
+    return {
+      jobId: job.id,
+      baseUri: directory.baseUri,
+      directory: directory.ipfsUrl,
+      provenanceHash: job.provenance.provenanceHash,
+      transactionHash,
+      contractAddress: ctx.contractAddress,
+      chainId: ctx.chainId,
+    };
+  },
+
+  print(result) {
+    console.log(`Revealed with base URI ${result.baseUri}`);
+    console.log(`  Directory: ${result.directory}`);
+    console.log(`  Provenance hash: ${result.provenanceHash}`);
+    console.log(`  Transaction: ${result.transactionHash}`);
+  },
+};
+
+module.exports = {
+  command: {
+    summary: 'Publish the provenance of, and reveal, a hidden drop',
+    subcommands: { provenance, run },
+  },
+};
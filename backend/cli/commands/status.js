@@ -0,0 +1,173 @@
+const { ethers } = require('ethers');
+const { getLazyNFTContract } = require('../../utils/contract');
+const { VOUCHER_STATUS } = require('../../utils/voucherStore');
+
+/**
+ * Read the contract's state
+ * @param {Object} ctx - Collection context
+ * @returns {Object} On-chain state
+ */
+async function readChainState(ctx) {
+  const contract = getLazyNFTContract(ctx.contractAddress, ctx.provider);
+  const [network, code] = await Promise.all([
+    ctx.provider.getNetwork(),
+    ctx.provider.getCode(ctx.contractAddress),
+  ]);
+
+  if (code === '0x') {
+    return { chainId: Number(network.chainId), deployed: false };
+  }
+
+  const [owner, voucherSigner, mintPrice, currentTokenId, domainSeparator] = await Promise.all([
+    contract.owner(),
+    contract.voucherSigner(),
+    contract.mintPrice(),
+    contract.getCurrentTokenId(),
+    contract.getDomainSeparator(),
+  ]);
+
+  // Contracts deployed before hidden drops existed have no reveal state
+  const [provenanceHash, revealed, baseURI] = await Promise.all([
+    contract.provenanceHash(),
+    contract.revealed(),
+    contract.baseURI(),
+  ]).catch(() => []);
+
+  return {
+    chainId: Number(network.chainId),
+    deployed: true,
+    owner,
+    voucherSigner,
+    mintPrice: ethers.formatEther(mintPrice),
+    currentTokenId: currentTokenId.toString(),
+    domainSeparator,
+    ...(revealed !== undefined && {
+      provenanceHash: provenanceHash === ethers.ZeroHash ? null : provenanceHash,
+      revealed,
+      baseURI: baseURI || null,
+    }),
+  };
+}
+
+module.exports = {
+  command: {
+    summary: 'Show the configuration, signer, ledger and on-chain state of a collection',
+    usage: 'forge status',
+    options: {},
+
+    async run({ context }) {
+      const ctx = context();
+      const warnings = [];
+
+      let signerAddress = null;
+      if (ctx.signer.configured) {
+        try {
+          signerAddress = await ctx.signer.getAddress();
+        } catch (error) {
+          warnings.push(`Voucher signer unavailable: ${error.message}`);
+        }
+      } else {
+        warnings.push('Voucher signer not configured');
+      }
+
+      const vouchers = {};
+      if (ctx.contractAddress) {
+        for (const status of Object.values(VOUCHER_STATUS)) {
+          const { total } = await ctx.voucherStore.list(
+            { status, contractAddress: ctx.contractAddress, chainId: ctx.chainId },
+            { limit: 0 }
+          );
+          vouchers[status] = total;
+        }
+      } else {
+        warnings.push('No contract configured');
+      }
+
+      let chain = null;
+      if (ctx.provider && ctx.contractAddress) {
+        try {
+          chain = await readChainState(ctx);
+        } catch (error) {
+          warnings.push(`Could not read the contract: ${error.message}`);
+        }
+      }
+
+      if (chain && chain.chainId !== ctx.chainId) {
+        warnings.push(`RPC is on chain ${chain.chainId}, expected ${ctx.chainId}`);
+      } else if (chain && !chain.deployed) {
+        warnings.push(`No contract deployed at ${ctx.contractAddress}`);
+      } else if (chain) {
+        if (signerAddress && chain.voucherSigner !== signerAddress) {
+          warnings.push(
+            `Contract voucherSigner is ${chain.voucherSigner}; vouchers signed by ${signerAddress} will be rejected`
+          );
+        }
+        if (ctx.deployment && chain.domainSeparator !== ctx.deployment.domainSeparator) {
+          warnings.push('On-chain domain separator does not match the deployment manifest');
+        }
+      }
+
+      return {
+        collection: ctx.id,
+        name: ctx.name,
+        network: ctx.network || null,
+        contractAddress: ctx.contractAddress || null,
+        chainId: ctx.chainId,
+        deployment: ctx.deployment,
+        signer: { type: ctx.signer.type, address: signerAddress },
+        storage: { provider: ctx.storage.name, configured: ctx.storage.configured },
+        vouchers,
+        rpc: !!ctx.provider,
+        chain,
+        warnings,
+      };
+    },
+
+    print(status) {
+      console.log(`Collection:     ${status.collection}${status.name ? ` (${status.name})` : ''}`);
+      if (status.network) {
+        console.log(`Network:        ${status.network}`);
+      }
+      console.log(`Contract:       ${status.contractAddress || 'NOT SET'}`);
+      console.log(`Chain ID:       ${status.chainId}`);
+      if (status.deployment) {
+        const { network, name, blockNumber, verified } = status.deployment;
+        console.log(
+          `Deployment:     ${network}/${name}, block ${blockNumber}${verified ? ', verified' : ''}`
+        );
+      }
+      console.log(`Voucher signer: ${status.signer.address || 'NOT SET'} (${status.signer.type})`);
+      console.log(
+        `Storage:        ${status.storage.provider} (${status.storage.configured ? 'CONFIGURED' : 'NOT SET'})`
+      );
+
+      if (Object.keys(status.vouchers).length > 0) {
+        const counts = Object.entries(status.vouchers).map(([key, count]) => `${count} ${key}`);
+        console.log(`Vouchers:       ${counts.join(', ')}`);
+      }
+
+      if (status.chain?.deployed) {
+        console.log('\nOn chain:');
+        console.log(`  Owner:            ${status.chain.owner}`);
+        console.log(`  Voucher signer:   ${status.chain.voucherSigner}`);
+        console.log(`  Mint price:       ${status.chain.mintPrice} ETH`);
+        console.log(`  Current token ID: ${status.chain.currentTokenId}`);
+        if (status.chain.revealed !== undefined) {
+          console.log(`  Provenance hash:  ${status.chain.provenanceHash || 'not set'}`);
+          console.log(
+            `  Revealed:         ${status.chain.revealed ? `yes (${status.chain.baseURI})` : 'no'}`
+          );
+        }
+      } else if (!status.rpc) {
+        console.log('\nOn chain: not checked (no RPC URL)');
+      }
+
+      if (status.warnings.length > 0) {
+        console.log('');
+        for (const warning of status.warnings) {
+          console.log(`WARNING: ${warning}`);
+        }
+      }
+    },
+  },
+};
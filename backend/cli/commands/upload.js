@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Fail early when the collection's storage provider has no settings
+ * @param {Object} ctx - Collection context
+ */
+function assertStorageConfigured(ctx) {
+  if (!ctx.storage.configured) {
+    throw new Error(`${ctx.storage.name} storage is not configured (see STORAGE_PROVIDER)`);
+  }
+}
+
+/**
+ * Upload a local file, labelled with its file name
+ * @param {Object} ctx - Collection context
+ * @param {string} file - File path
+ * @param {Object} [keyvalues] - Extra labels
+ * @returns {Object} { file, cid, uri, gatewayUrl }
+ */
+async function uploadLocalFile(ctx, file, keyvalues = {}) {
+  const result = await ctx.storage.uploadFile(file, {
+    name: path.basename(file),
+    keyvalues,
+  });
+
+  return {
+    file,
+    cid: result.ipfsHash,
+    uri: result.ipfsUrl,
+    gatewayUrl: result.gatewayUrl,
+  };
+}
+
+/**
+ * The CID a local file would be uploaded as, computed without uploading it
+ * @param {Object} ctx - Collection context
+ * @param {string} file - File path
+ * @returns {Object} { file, cid, uri }
+ */
+async function previewLocalFile(ctx, file) {
+  const cid = ctx.storage.computeCid(await fs.promises.readFile(file));
+  return { file, cid, uri: `ipfs://${cid}` };
+}
+
+module.exports = {
+  assertStorageConfigured,
+  uploadLocalFile,
+  previewLocalFile,
+
+  command: {
+    summary: 'Upload files to the configured storage provider',
+    usage: 'forge upload <file...> [--dry-run]',
+    options: {
+      'dry-run': { type: 'boolean' },
+    },
+
+    async run({ positionals, values, context }) {
+      if (positionals.length === 0) {
+        throw new Error('Pass at least one file to upload');
+      }
+
+      const ctx = context();
+
+      // CIDs are computed locally with the provider's settings; nothing is sent
+      if (values['dry-run']) {
+        const uploads = [];
+        for (const file of positionals) {
+          uploads.push(await previewLocalFile(ctx, file));
+        }
+        return { dryRun: true, storage: ctx.storage.name, uploads };
+      }
+
+      assertStorageConfigured(ctx);
+
+      const uploads = [];
+      for (const file of positionals) {
+        uploads.push(await uploadLocalFile(ctx, file, { type: 'file' }));
+      }
+      return { storage: ctx.storage.name, uploads };
+    },
+
+    print({ dryRun, storage, uploads }) {
+      for (const upload of uploads) {
+        console.log(`${upload.file}`);
+        console.log(`  URI: ${upload.uri}`);
+        if (upload.gatewayUrl) {
+          console.log(`  Gateway: ${upload.gatewayUrl}`);
+        }
+      }
+      if (dryRun) {
+        console.log(
+          `\n${uploads.length} file(s) would be stored on ${storage} (dry run, nothing uploaded)`
+        );
+        return;
+      }
+      console.log(`\nUploaded ${uploads.length} file(s) to ${storage}`);
+    },
+  },
+};
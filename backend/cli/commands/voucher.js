@@ -0,0 +1,370 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+const {
+  createDomain,
+  createTypes,
+  verifyVoucher,
+  isOpenVoucher,
+  isClaimRequired,
+  isVoucherExpired,
+  resolveDeadline,
+  resolveRoyalty,
+  hasRoyaltyOverride,
+} = require('../../utils/voucher');
+const { VOUCHER_VERDICT, checkVoucherStatus } = require('../../utils/voucherStatus');
+const { VOUCHER_STATUS } = require('../../utils/voucherStore');
+const {
+  withReservedTokenId,
+  issueVoucher,
+  revokeCancelledVoucher,
+} = require('../../utils/nftPipeline');
+const { readVoucherInput, printJson } = require('../io');
+const { assertContractConfigured, connectAsOwner, confirm } = require('../contract');
+
+/**
+ * Describe when a voucher expires
+ * @param {Object} voucher - The voucher
+ * @returns {Object} { deadline, expiresAt, expired }
+ */
+function describeDeadline(voucher) {
+  const deadline = Number(voucher.deadline || 0);
+  return {
+    deadline,
+    expiresAt: deadline ? new Date(deadline * 1000).toISOString() : null,
+    expired: isVoucherExpired(voucher),
+  };
+}
+
+const create = {
+  summary: 'Sign a voucher (recorded in the voucher ledger, like /api/create-voucher)',
+  usage: [
+    'forge voucher create --uri <uri> --price <eth> [--minter <address>] [--token-id <id>]',
+    '  [--expires-in <seconds> | --expires-at <date>] [--claim-protected]',
+    '  [--royalty-receiver <address> --royalty-bps <bps>] [--out <file>]',
+  ].join('\n'),
+  options: {
+    uri: { type: 'string' },
+    price: { type: 'string' },
+    minter: { type: 'string' },
+    'token-id': { type: 'string' },
+    'expires-in': { type: 'string' },
+    'expires-at': { type: 'string' },
+    'claim-protected': { type: 'boolean' },
+    'royalty-receiver': { type: 'string' },
+    'royalty-bps': { type: 'string' },
+    out: { type: 'string' },
+  },
+
+  async run({ values, context }) {
+    const { uri, price, minter } = values;
+    const tokenId = values['token-id'];
+    const claimProtected = !!values['claim-protected'];
+
+    if (!uri || !price) {
+      throw new Error('--uri and --price are required');
+    }
+    if (minter && !ethers.isAddress(minter)) {
+      throw new Error('--minter must be an address');
+    }
+    if (claimProtected && minter) {
+      throw new Error('--claim-protected is only allowed for open vouchers (no --minter)');
+    }
+    if (tokenId !== undefined && !/^\d+$/.test(tokenId)) {
+      throw new Error('--token-id must be a non-negative integer');
+    }
+
+    const deadline = resolveDeadline({
+      expiresIn: values['expires-in'],
+      expiresAt: values['expires-at'],
+    });
+    const royalty = resolveRoyalty({
+      royaltyReceiver: values['royalty-receiver'],
+      royaltyBps: values['royalty-bps'],
+    });
+
+    const ctx = context();
+    assertContractConfigured(ctx);
+    if (!ctx.signer.configured) {
+      throw new Error('Voucher signer not configured (see VOUCHER_SIGNER)');
+    }
+
+    const { voucher, record, claimKey } = await withReservedTokenId(
+      ctx.tokenAllocator,
+      tokenId,
+      (reservedTokenId) =>
+        issueVoucher(ctx, {
+          tokenId: reservedTokenId,
+          price,
+          uri,
+          minter,
+          deadline,
+          claimProtected,
+          ...royalty,
+        })
+    );
+
+    // Same shape as the /api/create-voucher response, so either can be fed back to the CLI
+    const result = {
+      voucherId: record.id,
+      voucher,
+      ...(claimKey && { claimKey }),
+      contractAddress: ctx.contractAddress,
+      chainId: ctx.chainId,
+    };
+
+    if (values.out) {
+      fs.writeFileSync(values.out, JSON.stringify(result, null, 2) + '\n');
+    }
+    return values.out ? { ...result, out: values.out } : result;
+  },
+
+  print(result) {
+    const { out, ...voucherFile } = result;
+
+    if (out) {
+      console.log(
+        `Voucher ${result.voucherId} for token ${result.voucher.tokenId} written to ${out}`
+      );
+    } else {
+      printJson(voucherFile);
+    }
+
+    if (result.claimKey) {
+      console.error(
+        '\nThis voucher needs its claimKey to be redeemed; it is not stored anywhere else.'
+      );
+    }
+  },
+};
+
+const verify = {
+  summary: 'Check a voucher signature, expiry and (with an RPC URL) whether it can be minted',
+  usage: 'forge voucher verify [file|-]',
+  options: {},
+
+  async run({ positionals, context }) {
+    const input = await readVoucherInput(positionals[0]);
+    const { voucher } = input;
+
+    const ctx = context();
+    assertContractConfigured(ctx);
+
+    const errors = [];
+    if (
+      (input.contractAddress &&
+        input.contractAddress.toLowerCase() !== ctx.contractAddress.toLowerCase()) ||
+      (input.chainId && input.chainId !== ctx.chainId)
+    ) {
+      errors.push(
+        `Issued for ${input.contractAddress} on chain ${input.chainId}, not ${ctx.contractAddress} on chain ${ctx.chainId}`
+      );
+    }
+
+    const signer = verifyVoucher(voucher, ctx.contractAddress, ctx.chainId);
+    const deadline = describeDeadline(voucher);
+    if (deadline.expired) {
+      errors.push('Voucher expired');
+    }
+
+    // Without chain access only the signature and deadline can be checked
+    let chain = null;
+    if (ctx.provider) {
+      chain = await checkVoucherStatus(ctx, voucher);
+
+      if (!chain.checks.signerValid) {
+        errors.push(
+          `Signed by ${signer}, but the contract's voucherSigner is ${chain.checks.voucherSigner}`
+        );
+      } else if (!chain.mintable && chain.verdict !== VOUCHER_VERDICT.EXPIRED) {
+        errors.push(chain.message);
+      }
+    }
+
+    if (errors.length > 0) {
+      process.exitCode = 1;
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      signer,
+      verdict: chain?.verdict || null,
+      voucherSigner: chain?.checks.voucherSigner || null,
+      nonceUsed: chain ? chain.checks.redeemed : null,
+      tokenOwner: chain?.checks.tokenOwner || null,
+      simulation: chain?.simulation || null,
+      ...deadline,
+      open: isOpenVoucher(voucher),
+      claimRequired: isClaimRequired(voucher),
+      checkedOnChain: !!ctx.provider,
+      contractAddress: ctx.contractAddress,
+      chainId: ctx.chainId,
+    };
+  },
+
+  print(result) {
+    console.log(`Signer: ${result.signer}`);
+    if (result.checkedOnChain) {
+      console.log(`Contract voucherSigner: ${result.voucherSigner}`);
+      console.log(`Nonce used: ${result.nonceUsed ? 'yes' : 'no'}`);
+      console.log(`Token owner: ${result.tokenOwner || 'none (not minted)'}`);
+      console.log(`Verdict: ${result.verdict}`);
+    } else {
+      console.log('On-chain checks skipped (no RPC URL)');
+    }
+    console.log(`Expires: ${result.expiresAt || 'never'}`);
+    console.log('');
+
+    if (result.valid) {
+      console.log('Voucher is valid');
+    } else {
+      console.log('Voucher is NOT valid:');
+      for (const error of result.errors) {
+        console.log(`  - ${error}`);
+      }
+    }
+  },
+};
+
+const inspect = {
+  summary: 'Decode a voucher; with a known contract, also its EIP-712 digest and signer',
+  usage: 'forge voucher inspect [file|-]',
+  options: {},
+
+  async run({ positionals, context }) {
+    const input = await readVoucherInput(positionals[0]);
+    const { voucher } = input;
+
+    // Prefer the contract the voucher file names; fall back to the configured one
+    let { contractAddress, chainId } = input;
+    if (!contractAddress || !chainId) {
+      try {
+        ({ contractAddress, chainId } = context());
+      } catch (error) {
+        contractAddress = null;
+      }
+    }
+
+    const result = {
+      tokenId: voucher.tokenId.toString(),
+      price: voucher.price.toString(),
+      priceEth: ethers.formatEther(voucher.price),
+      uri: voucher.uri,
+      minter: voucher.minter,
+      open: isOpenVoucher(voucher),
+      claimSigner: voucher.claimSigner || ethers.ZeroAddress,
+      claimRequired: isClaimRequired(voucher),
+      nonce: voucher.nonce.toString(),
+      ...describeDeadline(voucher),
+      royaltyReceiver: voucher.royaltyReceiver || ethers.ZeroAddress,
+      royaltyBps: Number(voucher.royaltyBps || 0),
+      royaltyOverride: hasRoyaltyOverride(voucher),
+      signature: voucher.signature,
+      contractAddress: contractAddress || null,
+      chainId: contractAddress ? chainId : null,
+    };
+
+    if (contractAddress) {
+      const domain = createDomain(contractAddress, chainId);
+      result.digest = ethers.TypedDataEncoder.hash(domain, createTypes(), {
+        ...voucher,
+        claimSigner: result.claimSigner,
+        royaltyReceiver: result.royaltyReceiver,
+        royaltyBps: result.royaltyBps,
+      });
+      result.signer = verifyVoucher(voucher, contractAddress, chainId);
+    }
+
+    return result;
+  },
+
+  print(result) {
+    console.log(`Token ID:     ${result.tokenId}`);
+    console.log(`Price:        ${result.priceEth} ETH (${result.price} wei)`);
+    console.log(`URI:          ${result.uri}`);
+    console.log(`Minter:       ${result.open ? 'anyone (open voucher)' : result.minter}`);
+    if (result.claimRequired) {
+      console.log(`Claim signer: ${result.claimSigner}`);
+    }
+    console.log(`Nonce:        ${result.nonce}`);
+    console.log(
+      `Expires:      ${result.expiresAt || 'never'}${result.expired ? ' (EXPIRED)' : ''}`
+    );
+    console.log(
+      `Royalty:      ${
+        result.royaltyOverride
+          ? `${result.royaltyBps / 100}% to ${result.royaltyReceiver}`
+          : 'collection default'
+      }`
+    );
+
+    if (result.contractAddress) {
+      console.log(`Contract:     ${result.contractAddress} (chain ${result.chainId})`);
+      console.log(`Digest:       ${result.digest}`);
+      console.log(`Signer:       ${result.signer}`);
+    } else {
+      console.log('\nNo contract known; configure one to recover the signer.');
+    }
+  },
+};
+
+const cancel = {
+  summary: "Cancel a voucher's nonce on-chain, revoke it and release its tokenId",
+  usage: 'forge voucher cancel <voucherId> [--reason <text>]',
+  options: {
+    reason: { type: 'string' },
+  },
+
+  async run({ values, positionals, context }) {
+    const [voucherId] = positionals;
+    if (!voucherId) {
+      throw new Error('A voucher ID is required');
+    }
+
+    const ctx = context();
+    const contract = await connectAsOwner(ctx);
+
+    const record = await ctx.voucherStore.get(voucherId);
+    if (
+      !record ||
+      record.chainId !== ctx.chainId ||
+      record.contractAddress.toLowerCase() !== ctx.contractAddress.toLowerCase()
+    ) {
+      throw new Error(`Voucher not found in this collection: ${voucherId}`);
+    }
+    if (record.status === VOUCHER_STATUS.REDEEMED) {
+      throw new Error('Voucher has already been redeemed');
+    }
+
+    // Already cancelled (or interrupted after the transaction): only the ledger is left to update
+    let transactionHash = null;
+    if (!(await contract.isNonceUsed(record.nonce))) {
+      transactionHash = await confirm(contract.cancelNonce(record.nonce));
+    }
+
+    const revoked = await revokeCancelledVoucher(ctx, record, values.reason);
+    return {
+      voucherId: revoked.id,
+      tokenId: revoked.tokenId,
+      nonce: revoked.nonce.toString(),
+      status: revoked.status,
+      transactionHash,
+    };
+  },
+
+  print(result) {
+    console.log(`Voucher ${result.voucherId} revoked; token ${result.tokenId} released`);
+    console.log(
+      result.transactionHash
+        ? `  Nonce ${result.nonce} cancelled in ${result.transactionHash}`
+        : `  Nonce ${result.nonce} was already cancelled`
+    );
+  },
+};
+
+module.exports = {
+  command: {
+    summary: 'Create, verify, inspect or cancel vouchers',
+    subcommands: { create, verify, inspect, cancel },
+  },
+};
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+
+// The CLI reads the same backend/.env as the server, whatever directory it runs from
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const { createContext } = require('../context');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+const HARDHAT_CONFIG_PATH = path.join(ROOT_DIR, 'hardhat.config.js');
+
+/**
+ * Look up a network in hardhat.config.js.
+ * The config can only be evaluated by Hardhat itself (it loads Hardhat plugins),
+ * so this needs the root project's dependencies.
+ * @param {string} name - Network name, e.g. "sepolia" or "localhost"
+ * @returns {Object} { name, url, chainId }
+ */
+function loadHardhatNetwork(name) {
+  process.env.HARDHAT_CONFIG = HARDHAT_CONFIG_PATH;
+
+  let hre;
+  try {
+    hre = require(require.resolve('hardhat', { paths: [ROOT_DIR] }));
+  } catch (error) {
+    throw new Error(
+      `--network reads hardhat.config.js, which needs the root dependencies (npm install): ${error.message.split('\n')[0]}`
+    );
+  }
+
+  const network = hre.config.networks[name];
+  if (!network) {
+    const known = Object.keys(hre.config.networks).join(', ');
+    throw new Error(`Unknown network ${name}; hardhat.config.js defines: ${known}`);
+  }
+  if (!network.url) {
+    throw new Error(`Network ${name} runs in-process; start \`npm run node\` and use localhost`);
+  }
+
+  return { name, url: network.url, chainId: network.chainId };
+}
+
+/**
+ * Path of a network's deployment manifest, as written by scripts/deploy.js
+ * @param {string} network - Network name
+ * @param {string} [name] - Deployment name
+ * @returns {string} Manifest path
+ */
+function deploymentManifestPath(network, name = process.env.DEPLOYMENT_NAME || 'LazyNFT') {
+  return path.join(ROOT_DIR, 'deployments', network, `${name}.json`);
+}
+
+/**
+ * Build the collection context a command runs against.
+ *
+ * Without --network this is exactly the server's configuration (backend/.env,
+ * COLLECTIONS_PATH and --collection). With --network, the RPC URL and chain ID
+ * come from hardhat.config.js and the contract from deployments/<network>/,
+ * falling back to CONTRACT_ADDRESS when nothing was deployed there.
+ *
+ * @param {Object} options
+ * @param {string} [options.network] - Hardhat network name
+ * @param {string} [options.collection] - Collection id or <chainId>:<address>
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} Collection context, with `network` set when --network was used
+ */
+function loadCliContext({ network, collection }, env = process.env) {
+  if (!network) {
+    return createContext(env, collection);
+  }
+  if (collection) {
+    throw new Error('Use either --network or --collection, not both');
+  }
+
+  const hardhatNetwork = loadHardhatNetwork(network);
+  const manifestPath = deploymentManifestPath(network, env.DEPLOYMENT_NAME);
+  const hasManifest = fs.existsSync(manifestPath);
+
+  const ctx = createContext({
+    ...env,
+    COLLECTIONS_PATH: '',
+    RPC_URL: hardhatNetwork.url,
+    CHAIN_ID: String(hardhatNetwork.chainId || env.CHAIN_ID || ''),
+    DEPLOYMENT_MANIFEST: hasManifest ? manifestPath : '',
+  });
+
+  if (hardhatNetwork.chainId && ctx.chainId !== hardhatNetwork.chainId) {
+    throw new Error(
+      `${path.relative(process.cwd(), manifestPath)} is for chain ${ctx.chainId}, but ${network} is chain ${hardhatNetwork.chainId}`
+    );
+  }
+
+  return { ...ctx, network };
+}
+
+module.exports = {
+  ROOT_DIR,
+  loadHardhatNetwork,
+  deploymentManifestPath,
+  loadCliContext,
+};
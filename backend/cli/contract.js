@@ -0,0 +1,54 @@
+const { ethers } = require('ethers');
+const { getLazyNFTContract } = require('../utils/contract');
+
+/**
+ * Fail early when there is no contract to sign or check vouchers for
+ * @param {Object} ctx - Collection context
+ */
+function assertContractConfigured(ctx) {
+  if (!ctx.contractAddress) {
+    throw new Error('No contract configured (DEPLOYMENT_MANIFEST, CONTRACT_ADDRESS or --network)');
+  }
+}
+
+/**
+ * Connect to the collection's contract as its owner
+ * @param {Object} ctx - Collection context
+ * @returns {Promise<ethers.Contract>} Contract connected to the owner wallet
+ */
+async function connectAsOwner(ctx) {
+  assertContractConfigured(ctx);
+  if (!ctx.provider) {
+    throw new Error('This command needs an RPC URL (RPC_URL or --network)');
+  }
+  if (!process.env.PRIVATE_KEY) {
+    throw new Error('PRIVATE_KEY (the contract owner) must be set');
+  }
+
+  const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, ctx.provider);
+  const contract = getLazyNFTContract(ctx.contractAddress, wallet);
+  const owner = await contract.owner();
+  if (owner !== wallet.address) {
+    throw new Error(`Only the contract owner ${owner} can do this, not ${wallet.address}`);
+  }
+  return contract;
+}
+
+/**
+ * Send an owner transaction and wait for it
+ * @param {Promise<ethers.TransactionResponse>} sending - The sent transaction
+ * @returns {Promise<string>} Transaction hash
+ */
+async function confirm(sending) {
+  const tx = await sending;
+  // Progress goes to stderr so --json output stays parseable
+  console.error(`Transaction ${tx.hash} sent, waiting for confirmation...`);
+  const receipt = await tx.wait();
+  return receipt.hash;
+}
+
+module.exports = {
+  assertContractConfigured,
+  connectAsOwner,
+  confirm,
+};
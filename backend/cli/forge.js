@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+
+/**
+ * forge: command-line tool for the NFT pipeline, using the server's configuration.
+ *
+ * Usage:
+ *   forge <command> [subcommand] [options]
+ *   forge <command> --help
+ *
+ * Every command accepts --json (machine-readable output on stdout), --network <name>
+ * (a network from hardhat.config.js, with its deployment manifest) and
+ * --collection <id> (a collection from COLLECTIONS_PATH).
+ */
+
+const { parseArgs } = require('util');
+const { loadCliContext } = require('./config');
+const { printJson } = require('./io');
+
+const COMMANDS = {
+  upload: require('./commands/upload').command,
+  metadata: require('./commands/metadata').command,
+  voucher: require('./commands/voucher').command,
+  mint: require('./commands/mint').command,
+  deploy: require('./commands/deploy').command,
+  reveal: require('./commands/reveal').command,
+  allowlist: require('./commands/allowlist').command,
+  status: require('./commands/status').command,
+};
+
+const GLOBAL_OPTIONS = {
+  json: { type: 'boolean' },
+  network: { type: 'string' },
+  collection: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+const GLOBAL_USAGE = [
+  'Options for every command:',
+  '  --json                Print the result as JSON',
+  '  --network <name>      Use a hardhat.config.js network and deployments/<name>/',
+  '  --collection <id>     Use a collection from COLLECTIONS_PATH',
+].join('\n');
+
+/**
+ * Overview of every command
+ * @returns {string} Usage text
+ */
+function usage() {
+  const lines = ['Usage: forge <command> [options]', '', 'Commands:'];
+  for (const [name, command] of Object.entries(COMMANDS)) {
+    if (command.subcommands) {
+      for (const [subname, subcommand] of Object.entries(command.subcommands)) {
+        lines.push(`  ${`${name} ${subname}`.padEnd(18)}${subcommand.summary}`);
+      }
+    } else {
+      lines.push(`  ${name.padEnd(18)}${command.summary}`);
+    }
+  }
+  return [...lines, '', GLOBAL_USAGE].join('\n');
+}
+
+/**
+ * Find the command named by the arguments
+ * @param {string[]} args - Command-line arguments
+ * @returns {Object} { command, args } with the command's own arguments
+ */
+function resolveCommand(args) {
+  const [name, subname, ...rest] = args;
+  const command = COMMANDS[name];
+
+  if (!command) {
+    return { command: null, args };
+  }
+  if (!command.subcommands) {
+    return { command, args: args.slice(1) };
+  }
+
+  const subcommand = command.subcommands[subname];
+  if (!subcommand) {
+    const names = Object.keys(command.subcommands).join('|');
+    throw new Error(`Usage: forge ${name} <${names}> [options]`);
+  }
+  return { command: subcommand, args: rest };
+}
+
+/**
+ * Report a failure on stderr (as JSON with --json)
+ * @param {Error} error - The error
+ * @param {boolean} json - Whether --json was passed
+ */
+function reportError(error, json) {
+  // ethers errors carry a readable summary next to the full transaction dump
+  const message = error.shortMessage || error.message;
+
+  if (json) {
+    process.stderr.write(
+      JSON.stringify({
+        error: message,
+        ...(error.code && { code: error.code }),
+        ...(error.errors && { errors: error.errors }),
+      }) + '\n'
+    );
+    return;
+  }
+
+  console.error(`Error: ${message}`);
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const json = argv.includes('--json');
+
+  try {
+    const { command, args } = resolveCommand(argv);
+    if (!command) {
+      console.log(usage());
+      process.exit(argv.length === 0 || argv[0] === '--help' || argv[0] === '-h' ? 0 : 1);
+    }
+
+    const { values, positionals } = parseArgs({
+      args,
+      options: { ...GLOBAL_OPTIONS, ...command.options },
+      allowPositionals: true,
+    });
+
+    if (values.help) {
+      console.log(`Usage: ${command.usage}\n\n${command.summary}\n\n${GLOBAL_USAGE}`);
+      return;
+    }
+
+    const global = {
+      json: !!values.json,
+      network: values.network,
+      collection: values.collection,
+    };
+
+    // Commands that need the configuration load it on first use
+    let ctx;
+    const context = () => {
+      ctx = ctx || loadCliContext(global);
+      return ctx;
+    };
+
+    const result = await command.run({ values, positionals, global, context });
+
+    if (global.json) {
+      printJson(result);
+    } else {
+      command.print(result);
+    }
+  } catch (error) {
+    reportError(error, json);
+    process.exitCode = 1;
+  }
+}
+
+main().then(() => process.exit(process.exitCode || 0));
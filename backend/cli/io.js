@@ -0,0 +1,70 @@
+const fs = require('fs');
+
+/**
+ * Read all of stdin
+ * @returns {Promise<string>} Contents
+ */
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Read a JSON document from a file, or from stdin when the file is "-" or omitted
+ * @param {string} [file] - File path
+ * @returns {Promise<*>} Parsed JSON
+ */
+async function readJsonInput(file) {
+  if ((!file || file === '-') && process.stdin.isTTY) {
+    throw new Error('Pass a file, or pipe JSON to stdin');
+  }
+
+  const source = !file || file === '-' ? 'stdin' : file;
+  const raw = source === 'stdin' ? await readStdin() : fs.readFileSync(file, 'utf8');
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`${source} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Read a voucher file. Accepts a bare voucher or anything that wraps one in a
+ * `voucher` field, such as a /api/create-voucher response or `forge voucher create`
+ * output, which also carry the claim key, contract address and chain ID.
+ * @param {string} [file] - File path, or "-"/omitted for stdin
+ * @returns {Promise<Object>} { voucher, claimKey, contractAddress, chainId }
+ */
+async function readVoucherInput(file) {
+  const data = await readJsonInput(file);
+  const voucher = data && data.voucher ? data.voucher : data;
+
+  if (!voucher || voucher.tokenId === undefined || !voucher.signature) {
+    throw new Error('Input is not a signed voucher (expected tokenId and signature)');
+  }
+
+  return {
+    voucher,
+    claimKey: data.claimKey,
+    contractAddress: data.contractAddress,
+    chainId: data.chainId === undefined ? undefined : Number(data.chainId),
+  };
+}
+
+/**
+ * Write a JSON document to stdout
+ * @param {*} data - Serializable data
+ */
+function printJson(data) {
+  process.stdout.write(JSON.stringify(data, null, 2) + '\n');
+}
+
+module.exports = {
+  readJsonInput,
+  readVoucherInput,
+  printJson,
+};
@@ -0,0 +1,516 @@
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { createVoucherStore } = require('./utils/voucherStore');
+const { createProvider, getLazyNFTContract } = require('./utils/contract');
+const { createIndexer } = require('./utils/indexer');
+const { createTokenAllocator } = require('./utils/tokenAllocator');
+const { createStorageProvider } = require('./utils/storage');
+const { createMediaProcessor } = require('./utils/media');
+const { createApiKeyStore } = require('./utils/apiKeys');
+const { createAllowlistStore } = require('./utils/allowlist');
+const { createVoucherSigner } = require('./utils/voucher');
+const {
+  readDeploymentManifest,
+  configFromDeployment,
+  editionFromDeployment,
+} = require('./utils/deployments');
+const { createRelayJobStore, createRelayWallet, createRelayer } = require('./utils/relayer');
+
+const COLLECTION_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+/**
+ * Collection settings from the environment. This is the whole configuration of a
+ * single-collection backend, and the defaults every registry entry starts from.
+ * @param {Object} env - Environment variables
+ * @returns {Object} Collection config
+ */
+function collectionConfigFromEnv(env) {
+  // A deployment manifest written by scripts/deploy.js stands in for CONTRACT_ADDRESS and CHAIN_ID
+  const deployment = env.DEPLOYMENT_MANIFEST
+    ? configFromDeployment(readDeploymentManifest(env.DEPLOYMENT_MANIFEST))
+    : null;
+
+  // The collection's LazyEdition (ERC-1155) contract, when it also sells editions
+  const edition = env.EDITION_DEPLOYMENT_MANIFEST
+    ? editionFromDeployment(readDeploymentManifest(env.EDITION_DEPLOYMENT_MANIFEST))
+    : null;
+
+  // Timeouts and retries for remote storage requests
+  const storageRequestOptions = {
+    timeout: parseInt(env.STORAGE_TIMEOUT_MS || '60000'),
+    retries: parseInt(env.STORAGE_MAX_RETRIES || '3'),
+    retryDelay: parseInt(env.STORAGE_RETRY_DELAY_MS || '500'),
+  };
+
+  return {
+    id: env.COLLECTION_ID || 'default',
+    name: env.COLLECTION_NAME || deployment?.name || env.NFT_NAME || null,
+    contractAddress: deployment ? deployment.contractAddress : env.CONTRACT_ADDRESS,
+    chainId: deployment ? deployment.chainId : parseInt(env.CHAIN_ID || '1'),
+    rpcUrl: env.RPC_URL,
+    signer: {
+      type: env.VOUCHER_SIGNER || 'raw',
+      privateKey: env.VOUCHER_SIGNER_KEY || env.PRIVATE_KEY,
+      keystorePath: env.VOUCHER_SIGNER_KEYSTORE,
+      password: env.VOUCHER_SIGNER_PASSWORD,
+      passwordFile: env.VOUCHER_SIGNER_PASSWORD_FILE,
+      url: env.VOUCHER_SIGNER_URL,
+      address: env.VOUCHER_SIGNER_ADDRESS,
+      authorization: env.VOUCHER_SIGNER_AUTH,
+    },
+    storage: {
+      provider: env.STORAGE_PROVIDER || 'pinata',
+      verifyCid: env.STORAGE_VERIFY_CID !== 'false',
+      pinata: {
+        jwt: env.PINATA_JWT,
+        apiKey: env.PINATA_API_KEY,
+        secretKey: env.PINATA_SECRET_API_KEY,
+        api: env.PINATA_API || 'pinning',
+        cidVersion: parseInt(env.PINATA_CID_VERSION || '0'),
+        groupId: env.PINATA_GROUP_ID,
+        groupName: env.PINATA_GROUP_NAME,
+        ...storageRequestOptions,
+      },
+      kubo: {
+        apiUrl: env.KUBO_API_URL,
+        gatewayUrl: env.KUBO_GATEWAY_URL,
+        authorization: env.KUBO_API_AUTH,
+        cidVersion: parseInt(env.KUBO_CID_VERSION || '0'),
+        ...storageRequestOptions,
+      },
+      local: {
+        dir: env.LOCAL_STORAGE_DIR,
+        gatewayUrl: env.LOCAL_GATEWAY_URL || `http://localhost:${env.PORT || 3000}/ipfs`,
+      },
+    },
+    media: {
+      allowedTypes: env.MEDIA_ALLOWED_TYPES
+        ? env.MEDIA_ALLOWED_TYPES.split(',')
+            .map((type) => type.trim())
+            .filter(Boolean)
+        : undefined,
+      animationTypes: env.MEDIA_ANIMATION_TYPES
+        ? env.MEDIA_ANIMATION_TYPES.split(',')
+            .map((type) => type.trim())
+            .filter(Boolean)
+        : undefined,
+      maxImageBytes: parseInt(env.MEDIA_MAX_IMAGE_BYTES || String(20 * 1024 * 1024)),
+      maxAnimationBytes: parseInt(env.MEDIA_MAX_ANIMATION_BYTES || String(500 * 1024 * 1024)),
+      maxFileBytes: env.MEDIA_MAX_FILE_BYTES ? parseInt(env.MEDIA_MAX_FILE_BYTES) : undefined,
+      maxFiles: parseInt(env.MEDIA_MAX_FILES || '10'),
+      thumbnails: env.MEDIA_THUMBNAILS === 'true',
+      thumbnailSize: parseInt(env.MEDIA_THUMBNAIL_SIZE || '512'),
+      thumbnailFormat: env.MEDIA_THUMBNAIL_FORMAT || 'webp',
+    },
+    indexer: {
+      enabled: env.INDEXER_ENABLED === 'true',
+      startBlock: parseInt(env.INDEXER_START_BLOCK || deployment?.indexer.startBlock || '0'),
+      confirmations: parseInt(env.INDEXER_CONFIRMATIONS || '6'),
+      batchSize: parseInt(env.INDEXER_BATCH_SIZE || '2000'),
+      pollInterval: parseInt(env.INDEXER_POLL_INTERVAL_MS || '15000'),
+      cursorPath: env.INDEXER_CURSOR_PATH,
+    },
+    tokenReservations: {
+      ttlHours: parseFloat(env.TOKEN_RESERVATION_TTL_HOURS || '0'),
+      path: env.TOKEN_RESERVATIONS_PATH,
+    },
+    relay: {
+      enabled: env.RELAY_ENABLED === 'true',
+      privateKey: env.RELAYER_PRIVATE_KEY,
+      maxSpendPerVoucher: env.RELAY_MAX_SPEND_PER_VOUCHER || '0.05',
+      maxSpendPerAddress: env.RELAY_MAX_SPEND_PER_ADDRESS || '0.1',
+      limitWindowHours: parseFloat(env.RELAY_LIMIT_WINDOW_HOURS || '24'),
+      callGasLimit: parseInt(env.RELAY_CALL_GAS_LIMIT || '300000'),
+      requestTtl: parseInt(env.RELAY_REQUEST_TTL_SECONDS || '3600'),
+      confirmations: parseInt(env.RELAY_CONFIRMATIONS || '1'),
+    },
+    deployment: deployment?.deployment || null,
+    edition:
+      edition ||
+      (env.EDITION_CONTRACT_ADDRESS ? { contractAddress: env.EDITION_CONTRACT_ADDRESS } : null),
+  };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep-merge a registry entry over the defaults (objects merge, everything else replaces)
+ */
+function mergeConfig(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] =
+      isPlainObject(value) && isPlainObject(base[key]) ? mergeConfig(base[key], value) : value;
+  }
+  return merged;
+}
+
+/**
+ * Defaults for a registry entry. RPC_URL and INDEXER_START_BLOCK belong to CHAIN_ID,
+ * so entries on other chains do not inherit them; DEPLOYMENT_MANIFEST and the
+ * edition contract belong to CONTRACT_ADDRESS, so no entry does.
+ */
+function defaultsForChain(defaults, chainId) {
+  if (Number(chainId) === defaults.chainId) {
+    return { ...defaults, deployment: null, edition: null };
+  }
+  return {
+    ...defaults,
+    rpcUrl: undefined,
+    indexer: { ...defaults.indexer, startBlock: 0 },
+    deployment: null,
+    edition: null,
+  };
+}
+
+/**
+ * Replace ${VAR} references in registry strings, so secrets can stay in the environment
+ */
+function expandEnv(value, env) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{([A-Z0-9_]+)\}/gi, (match, name) => env[name] ?? '');
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => expandEnv(item, env));
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, expandEnv(item, env)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Read the collection registry file.
+ *
+ * {
+ *   "defaultCollection": "cosmic-sepolia",
+ *   "collections": [
+ *     {
+ *       "id": "cosmic-sepolia",
+ *       "name": "Cosmic",
+ *       "chainId": 11155111,
+ *       "contractAddress": "0x...",
+ *       "rpcUrl": "${SEPOLIA_RPC_URL}",
+ *       "signer": { "type": "keystore", "keystorePath": "./keys/cosmic.json" },
+ *       "storage": { "provider": "pinata", "pinata": { "groupName": "cosmic" } }
+ *     }
+ *   ]
+ * }
+ *
+ * Every field except id, chainId and contractAddress defaults to the environment.
+ * An entry can name a deployment manifest instead ("deployment":
+ * "../deployments/sepolia/LazyNFT.json"), which supplies chainId, contractAddress,
+ * name and the indexer's start block. A collection that also sells editions names
+ * its LazyEdition contract as "edition": { "contractAddress": "0x..." } or
+ * { "deployment": "<path>" }. Relative paths are resolved against the registry
+ * file's directory.
+ *
+ * @param {string} filePath - Registry JSON file
+ * @param {Object} env - Environment variables (for ${VAR} references)
+ * @returns {Object} { defaultCollection, collections }
+ */
+function loadRegistryFile(filePath, env) {
+  let registry;
+  try {
+    registry = expandEnv(JSON.parse(fs.readFileSync(filePath, 'utf8')), env);
+  } catch (error) {
+    throw new Error(`Failed to read collection registry ${filePath}: ${error.message}`);
+  }
+
+  if (!Array.isArray(registry.collections) || registry.collections.length === 0) {
+    throw new Error(`Collection registry ${filePath} has no collections`);
+  }
+
+  const baseDir = path.dirname(path.resolve(filePath));
+  const resolvePath = (value) => (value ? path.resolve(baseDir, value) : value);
+
+  const collections = registry.collections.map(({ deployment, ...entry }) => {
+    if (deployment) {
+      const fromManifest = configFromDeployment(readDeploymentManifest(resolvePath(deployment)));
+      if (
+        (entry.chainId && Number(entry.chainId) !== fromManifest.chainId) ||
+        (entry.contractAddress &&
+          entry.contractAddress.toLowerCase() !== fromManifest.contractAddress.toLowerCase())
+      ) {
+        throw new Error(
+          `Collection ${entry.id} does not match its deployment manifest ${deployment}`
+        );
+      }
+      entry = mergeConfig(fromManifest, entry);
+    }
+
+    if (!entry.id || !entry.chainId || !entry.contractAddress) {
+      throw new Error(
+        `Collection registry entries need id and either a deployment or chainId and contractAddress`
+      );
+    }
+    if (entry.edition?.deployment) {
+      entry.edition = editionFromDeployment(
+        readDeploymentManifest(resolvePath(entry.edition.deployment))
+      );
+    }
+    if (entry.signer) {
+      entry.signer.keystorePath = resolvePath(entry.signer.keystorePath);
+      entry.signer.passwordFile = resolvePath(entry.signer.passwordFile);
+    }
+    if (entry.storage?.local) {
+      entry.storage.local.dir = resolvePath(entry.storage.local.dir);
+    }
+    return entry;
+  });
+
+  return { ...registry, collections };
+}
+
+/**
+ * Build the services for one collection (one contract on one chain)
+ * @param {Object} config - Collection config (see collectionConfigFromEnv())
+ * @param {Object} shared - Services shared by every collection
+ * @param {Function} getRelayWallet - (privateKey, provider, chainId) => relay wallet
+ * @returns {Object} Collection context
+ */
+function createCollectionContext(config, shared, getRelayWallet) {
+  const { id, name, contractAddress, chainId, rpcUrl } = config;
+  const indexerEnabled = !!config.indexer.enabled;
+
+  // Editions are signed by the same key, on the same chain, as the collection's NFTs
+  const edition = config.edition?.contractAddress
+    ? {
+        contractAddress: ethers.getAddress(config.edition.contractAddress),
+        deployment: config.edition.deployment || null,
+      }
+    : null;
+  if (edition && config.edition.chainId && Number(config.edition.chainId) !== chainId) {
+    throw new Error(`Collection ${id}: its edition contract is deployed on another chain`);
+  }
+
+  // Signs vouchers; its address must be the contract's voucherSigner
+  const signer = createVoucherSigner(config.signer);
+
+  // Where images and metadata are uploaded
+  const storage = createStorageProvider(config.storage);
+
+  // Format, size and thumbnail rules for uploaded images
+  const media = createMediaProcessor(config.media);
+
+  // Chain access is optional; features that need it stay disabled without RPC_URL
+  const provider = rpcUrl ? createProvider(rpcUrl, chainId) : null;
+
+  // Hands out tokenIds and keeps outstanding vouchers from colliding
+  const tokenAllocator = contractAddress
+    ? createTokenAllocator({
+        contractAddress,
+        chainId,
+        contract: provider ? getLazyNFTContract(contractAddress, provider) : null,
+        voucherStore: shared.voucherStore,
+        ttl: config.tokenReservations.ttlHours * 60 * 60 * 1000,
+        reservationsPath: config.tokenReservations.path,
+      })
+    : null;
+
+  // Marks ledger vouchers as redeemed when their NFTMinted events are confirmed, and
+  // counts the units edition vouchers mint from EditionMinted events
+  const indexer =
+    indexerEnabled && provider && contractAddress
+      ? createIndexer({
+          provider,
+          contractAddress,
+          editionAddress: edition?.contractAddress,
+          chainId,
+          voucherStore: shared.voucherStore,
+          tokenAllocator,
+          startBlock: config.indexer.startBlock,
+          confirmations: config.indexer.confirmations,
+          batchSize: config.indexer.batchSize,
+          pollInterval: config.indexer.pollInterval,
+          cursorPath: config.indexer.cursorPath,
+        })
+      : null;
+
+  // Submits mints for collectors and pays their gas (POST /relay/mint)
+  const relayer =
+    config.relay.enabled && config.relay.privateKey && provider && contractAddress
+      ? createRelayer({
+          contractAddress,
+          chainId,
+          provider,
+          wallet: getRelayWallet(config.relay.privateKey, provider, chainId),
+          jobStore: shared.relayJobStore,
+          limits: {
+            maxSpendPerVoucher: ethers.parseEther(String(config.relay.maxSpendPerVoucher)),
+            maxSpendPerAddress: ethers.parseEther(String(config.relay.maxSpendPerAddress)),
+            window: config.relay.limitWindowHours * 60 * 60 * 1000,
+            callGasLimit: config.relay.callGasLimit,
+            requestTtl: config.relay.requestTtl,
+            confirmations: config.relay.confirmations,
+          },
+        })
+      : null;
+
+  return {
+    ...shared,
+    id,
+    name,
+    contractAddress,
+    chainId,
+    signer,
+    pinataJwt: config.storage.pinata?.jwt,
+    pinataApiKey: config.storage.pinata?.apiKey,
+    pinataSecretKey: config.storage.pinata?.secretKey,
+    rpcUrl,
+    deployment: config.deployment,
+    edition,
+    indexerEnabled,
+    relayEnabled: !!config.relay.enabled,
+    storage,
+    media,
+    provider,
+    tokenAllocator,
+    indexer,
+    relayer,
+  };
+}
+
+/**
+ * Build the registry of collections this backend serves.
+ *
+ * Without COLLECTIONS_PATH the registry holds a single collection configured by
+ * CONTRACT_ADDRESS, CHAIN_ID and friends. With it, every entry in the file is a
+ * collection with its own contract, chain, signer and storage settings.
+ *
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} Registry: { collections, defaultCollection, get, voucherStore, apiKeyStore,
+ *   allowlistStore }
+ */
+function createRegistry(env = process.env) {
+  // Ledger of every voucher this backend has signed; records carry their chainId and contract
+  const voucherStore = createVoucherStore({
+    type: env.VOUCHER_STORE || 'file',
+    path: env.VOUCHER_STORE_PATH,
+  });
+
+  // Hashed API keys for the server's auth layer
+  const apiKeyStore = createApiKeyStore(env.API_KEYS_PATH);
+
+  // Relayed mints and what they cost, for status polling and spending limits
+  const relayJobStore = createRelayJobStore(env.RELAY_JOBS_PATH);
+
+  // Merkle trees of allowlist presales, kept per contract so proofs stay reproducible
+  const allowlistStore = createAllowlistStore(env.ALLOWLISTS_DIR || undefined);
+
+  const shared = {
+    voucherStore,
+    apiKeyStore,
+    relayJobStore,
+    allowlistStore,
+    voucherStoreType: env.VOUCHER_STORE || 'file',
+  };
+
+  // Collections relaying from the same key on the same chain share one wallet, and so its nonces
+  const relayWallets = new Map();
+  const getRelayWallet = (privateKey, provider, chainId) => {
+    const key = `${chainId}:${new ethers.Wallet(privateKey).address}`;
+    if (!relayWallets.has(key)) {
+      relayWallets.set(key, createRelayWallet(privateKey, provider));
+    }
+    return relayWallets.get(key);
+  };
+
+  const defaults = collectionConfigFromEnv(env);
+  const file = env.COLLECTIONS_PATH ? loadRegistryFile(env.COLLECTIONS_PATH, env) : null;
+  const configs = file
+    ? file.collections.map((entry) => mergeConfig(defaultsForChain(defaults, entry.chainId), entry))
+    : [defaults];
+
+  const byId = new Map();
+  const byDeployment = new Map();
+
+  for (const config of configs) {
+    if (!COLLECTION_ID_PATTERN.test(config.id)) {
+      throw new Error(`Invalid collection id: ${config.id} (use letters, digits, - and _)`);
+    }
+    if (byId.has(config.id)) {
+      throw new Error(`Duplicate collection id: ${config.id}`);
+    }
+
+    const ctx = createCollectionContext(
+      { ...config, chainId: Number(config.chainId) },
+      shared,
+      getRelayWallet
+    );
+    byId.set(ctx.id, ctx);
+
+    if (ctx.contractAddress) {
+      const key = `${ctx.chainId}:${ctx.contractAddress.toLowerCase()}`;
+      if (byDeployment.has(key)) {
+        throw new Error(`Collections ${byDeployment.get(key).id} and ${ctx.id} share ${key}`);
+      }
+      byDeployment.set(key, ctx);
+    }
+  }
+
+  const defaultId = file
+    ? file.defaultCollection || (configs.length === 1 ? configs[0].id : null)
+    : defaults.id;
+
+  if (defaultId && !byId.has(defaultId)) {
+    throw new Error(`defaultCollection ${defaultId} is not in the registry`);
+  }
+
+  return {
+    ...shared,
+    collections: [...byId.values()],
+    defaultCollection: defaultId ? byId.get(defaultId) : null,
+
+    /**
+     * Find a collection by id, or by `<chainId>:<contractAddress>`
+     * @param {string} selector - Collection selector
+     * @returns {Object|null} Collection context
+     */
+    get(selector) {
+      if (byId.has(selector)) {
+        return byId.get(selector);
+      }
+
+      const [chainId, address] = String(selector).split(':');
+      if (!address || !ethers.isAddress(address)) {
+        return null;
+      }
+      return byDeployment.get(`${Number(chainId)}:${address.toLowerCase()}`) || null;
+    },
+  };
+}
+
+/**
+ * Build the context of one collection (configuration plus services). The API server
+ * and the command-line tools both use this, so they sign, store and allocate exactly
+ * the same way.
+ * @param {Object} [env] - Environment variables
+ * @param {string} [collection] - Collection selector (defaults to the default collection)
+ * @returns {Object} Collection context
+ */
+function createContext(env = process.env, collection) {
+  const registry = createRegistry(env);
+  const ctx = collection ? registry.get(collection) : registry.defaultCollection;
+
+  if (!ctx) {
+    throw new Error(
+      collection
+        ? `Unknown collection: ${collection}`
+        : 'Several collections are configured and none is the default; choose one'
+    );
+  }
+  return ctx;
+}
+
+module.exports = {
+  createRegistry,
+  createContext,
+};
@@ -0,0 +1,86 @@
+/**
+ * Manage API keys for the backend server.
+ *
+ * Usage:
+ *   node scripts/api-keys.js create --name <label> --scopes upload,sign
+ *   node scripts/api-keys.js list
+ *   node scripts/api-keys.js revoke <id>
+ *
+ * Scopes: upload, sign, relay, admin (admin grants every scope). Only a hash of each
+ * key is stored, so the plaintext key is printed once, when it is created.
+ */
+
+const { parseArgs } = require('util');
+const { createRegistry } = require('../context');
+const { SCOPES } = require('../utils/apiKeys');
+
+const USAGE = [
+  'Usage:',
+  '  node scripts/api-keys.js create --name <label> --scopes <scope,...>',
+  '  node scripts/api-keys.js list',
+  '  node scripts/api-keys.js revoke <id>',
+  '',
+  `Scopes: ${SCOPES.join(', ')}`,
+].join('\n');
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      name: { type: 'string' },
+      scopes: { type: 'string' },
+    },
+  });
+
+  const [command, id] = positionals;
+  const { apiKeyStore } = createRegistry();
+
+  if (command === 'create') {
+    const scopes = (values.scopes || '')
+      .split(',')
+      .map((scope) => scope.trim())
+      .filter(Boolean);
+
+    if (!values.name || scopes.length === 0) {
+      console.error(USAGE);
+      process.exit(1);
+    }
+
+    const { key, record } = await apiKeyStore.create({ name: values.name, scopes });
+
+    console.log(`Created API key ${record.id} (${record.scopes.join(', ')})`);
+    console.log('');
+    console.log(`  ${key}`);
+    console.log('');
+    console.log('Store it now: it cannot be shown again.');
+    console.log('Send it as "X-API-Key: <key>" or "Authorization: Bearer <key>".');
+  } else if (command === 'list') {
+    const keys = await apiKeyStore.list();
+
+    if (keys.length === 0) {
+      console.log('No API keys');
+    }
+    for (const key of keys) {
+      const status = key.revokedAt ? `revoked ${key.revokedAt}` : 'active';
+      console.log(`${key.id}  ${key.prefix}…  ${key.name}  [${key.scopes.join(', ')}]  ${status}`);
+    }
+  } else if (command === 'revoke' && id) {
+    const record = await apiKeyStore.revoke(id);
+
+    if (!record) {
+      console.error(`API key not found: ${id}`);
+      process.exit(1);
+    }
+    console.log(`Revoked API key ${record.id} (${record.name})`);
+  } else {
+    console.error(USAGE);
+    process.exit(1);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Error:', error.message);
+    process.exit(1);
+  });
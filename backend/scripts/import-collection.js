@@ -0,0 +1,146 @@
+/**
+ * Bulk-import a collection from a manifest and a directory or zip of images.
+ *
+ * Usage:
+ *   node scripts/import-collection.js --manifest drop.csv --images ./images [--job <id>]
+ *     [--collection <id>] [--directory [--hidden <placeholder uri>]]
+ *
+ * With --directory the collection is pinned as one IPFS directory, images/
+ * plus metadata/<tokenId>.json, and every voucher points into the metadata
+ * directory: ipfs://<dirCID>/<tokenId>.json. With --hidden as well, the drop is
+ * hidden: vouchers carry the placeholder URI, a provenance hash over the image
+ * CIDs is recorded and nothing is pinned until `forge reveal run`.
+ *
+ * Re-running the same command resumes the job: rows that already succeeded are
+ * skipped and uploads that already succeeded are not pinned again.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { createContext } = require('../context');
+const {
+  ROW_STATUS,
+  BATCH_LAYOUT,
+  detectManifestFormat,
+  parseManifest,
+  createBatchJob,
+  runBatchJob,
+} = require('../utils/batchImport');
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      manifest: { type: 'string' },
+      images: { type: 'string' },
+      job: { type: 'string' },
+      collection: { type: 'string' },
+      directory: { type: 'boolean', default: false },
+      hidden: { type: 'string' },
+    },
+  });
+
+  if (!values.manifest || !values.images) {
+    console.error(
+      'Usage: node scripts/import-collection.js --manifest <file> --images <dir|zip> [--collection <id>] [--directory [--hidden <placeholder uri>]]'
+    );
+    process.exit(1);
+  }
+
+  const ctx = createContext(process.env, values.collection);
+
+  if (!ctx.storage.configured) {
+    console.error(`Error: ${ctx.storage.name} storage is not configured in .env`);
+    process.exit(1);
+  }
+
+  if (!ctx.contractAddress || !ctx.signer.configured) {
+    console.error('Error: CONTRACT_ADDRESS and a voucher signer must be set in .env');
+    process.exit(1);
+  }
+
+  // Unlock before importing so a bad keystore password fails before any row is processed
+  console.log(`Voucher signer: ${await ctx.signer.getAddress()} (${ctx.signer.type})`);
+
+  if (values.hidden && !values.directory) {
+    console.error('Error: --hidden needs --directory');
+    process.exit(1);
+  }
+
+  const layout = values.directory ? BATCH_LAYOUT.DIRECTORY : BATCH_LAYOUT.PER_TOKEN;
+  const content = fs.readFileSync(values.manifest, 'utf8');
+  const rows = parseManifest(content, detectManifestFormat(values.manifest));
+
+  // The same manifest, image source and layout map to the same job, so re-running resumes it
+  const jobId =
+    values.job ||
+    crypto
+      .createHash('sha256')
+      .update(content)
+      .update(path.resolve(values.images))
+      .update(values.collection || '')
+      .update(values.directory ? layout : '')
+      .update(values.hidden || '')
+      .digest('hex')
+      .slice(0, 16);
+
+  const job = await createBatchJob({
+    jobId,
+    rows,
+    imagesPath: values.images,
+    collectionId: ctx.id,
+    layout,
+    placeholderUri: values.hidden,
+  });
+
+  console.log(`Collection: ${ctx.id} (${ctx.contractAddress} on chain ${ctx.chainId})`);
+  console.log(`Batch job: ${job.id} (${job.layout}${job.placeholderUri ? ', hidden' : ''})`);
+  console.log(`Rows: ${job.rows.length} (${job.summary.done} already done)`);
+  console.log('');
+
+  const finished = await runBatchJob(ctx, job, {
+    onRow: (row) => {
+      const label = `[${row.index + 1}/${job.rows.length}] ${row.input.name || '(unnamed)'}`;
+      if (row.status === ROW_STATUS.DONE) {
+        console.log(`${label}: tokenId ${row.tokenId} ${row.uri}`);
+      } else {
+        console.log(`${label}: FAILED - ${row.error}`);
+      }
+    },
+  });
+
+  console.log('\n===========================================');
+  console.log('Import finished');
+  console.log('===========================================\n');
+  if (finished.directory?.baseUri) {
+    console.log(`Directory: ${finished.directory.ipfsUrl}`);
+    console.log(`Images: ${finished.directory.images || '(none uploaded)'}`);
+    console.log(`Base URI: ${finished.directory.baseUri}`);
+  }
+  if (finished.provenance) {
+    console.log('\nHidden drop: nothing is pinned until the reveal');
+    console.log(`Placeholder URI: ${finished.placeholderUri}`);
+    console.log(`Provenance hash: ${finished.provenance.provenanceHash}`);
+    console.log(
+      `Publish it before the sale: npm run forge -- reveal provenance --job ${finished.id}`
+    );
+  }
+  console.log(`Done: ${finished.summary.done}`);
+  console.log(`Failed: ${finished.summary.failed}`);
+  if (finished.error) {
+    console.log(`\n${finished.error}`);
+  }
+
+  if (finished.summary.failed > 0 || finished.summary.pending > 0) {
+    console.log(`\nRe-run the same command (or pass --job ${finished.id}) to retry failed rows.`);
+    process.exit(1);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('\nImport failed:', error.message);
+    process.exit(1);
+  });
@@ -1,40 +1,372 @@
+const crypto = require('crypto');
+const fs = require('fs');
 const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
+const { ZeroAddress, ZeroHash, isAddress, formatEther } = require('ethers');
 require('dotenv').config();
 
-const { createVoucher, verifyVoucher } = require('./utils/voucher');
 const {
-  uploadJSONToPinata,
-  uploadBufferToPinata,
-  createNFTMetadata,
-  testPinataConnection,
-} = require('./utils/pinata');
+  verifyVoucher,
+  verifyVoucherClaim,
+  isOpenVoucher,
+  resolveDeadline,
+  resolveRoyalty,
+  hasRoyaltyOverride,
+  isVoucherExpired,
+  verifyEditionVoucher,
+  formatEditionVoucherForContract,
+  resolveEditionSupply,
+  isTokenId,
+} = require('./utils/voucher');
+const { createNFTMetadata, testPinataConnection, hasPinataCredentials } = require('./utils/pinata');
+const { parseAttributes } = require('./utils/metadata');
+const { serializeJSON } = require('./utils/cid');
+const { formatBytes } = require('./utils/media');
+const { PayloadTooLargeError } = require('./utils/errors');
+const { createUploadSpool } = require('./utils/uploadSpool');
+const { UPLOAD_STAGE, isValidUploadId, createUploadTracker } = require('./utils/uploadProgress');
+const { VOUCHER_STATUS } = require('./utils/voucherStore');
+const {
+  withReservedTokenId,
+  issueVoucher,
+  issueEditionVoucher,
+  revokeCancelledVoucher,
+  inspectImage,
+  uploadImage,
+  previewImage,
+  previewNFT,
+  createNFT,
+} = require('./utils/nftPipeline');
+const {
+  BATCH_LAYOUT,
+  JOB_STATUS,
+  detectManifestFormat,
+  parseManifest,
+  createBatchJob,
+  loadBatchJob,
+  saveBatchArchive,
+  runBatchJob,
+} = require('./utils/batchImport');
+const { createAuth, parseOperators } = require('./utils/auth');
+const {
+  detectAllowlistFormat,
+  parseAllowlist,
+  normalizeAllowlist,
+  describeAllowlist,
+} = require('./utils/allowlist');
+const { getLazyNFTContract, getLazyEditionContract } = require('./utils/contract');
+const { checkVoucherStatus } = require('./utils/voucherStatus');
+const { createRegistry } = require('./context');
 
 const app = express();
-const upload = multer({ storage: multer.memoryStorage() });
 
 // Middleware
 app.use(cors());
 app.use(express.json());
 
-// Configuration from environment
+// Collections (contract + chain + signer + storage) and shared services from environment
+const registry = createRegistry();
+
 const PORT = process.env.PORT || 3000;
-const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS;
-const CHAIN_ID = parseInt(process.env.CHAIN_ID || '1');
-const PRIVATE_KEY = process.env.PRIVATE_KEY;
-const PINATA_API_KEY = process.env.PINATA_API_KEY;
-const PINATA_SECRET_API_KEY = process.env.PINATA_SECRET_API_KEY;
+
+// Images and batch archives are held in memory, so multer stops reading at the limit instead
+// of buffering whatever is sent. Each collection's own limits are checked again by ctx.media.
+const largestLimit = (key) => Math.max(...registry.collections.map((ctx) => ctx.media[key]));
+const MAX_IMAGE_BYTES = largestLimit('maxImageBytes');
+const MAX_ANIMATION_BYTES = largestLimit('maxAnimationBytes');
+const MAX_FILE_BYTES = largestLimit('maxFileBytes');
+const MAX_FILES = largestLimit('maxFiles');
+const MAX_ARCHIVE_BYTES = parseInt(
+  process.env.MEDIA_MAX_ARCHIVE_BYTES || String(200 * 1024 * 1024)
+);
+const MAX_ALLOWLIST_BYTES = 10 * 1024 * 1024;
+const TOKEN_ID_ERROR = 'tokenId must be an integer from 0 to 2^256 - 1 (a string above 2^53 - 1)';
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: 1 },
+});
+const archiveUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ARCHIVE_BYTES },
+});
+const allowlistUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ALLOWLIST_BYTES, files: 1 },
+});
+const receiveImage = receiveFiles(imageUpload.single('image'), MAX_IMAGE_BYTES);
+
+// Progress of /create-nft uploads, polled through /uploads/:uploadId
+const uploadTracker = createUploadTracker();
+
+// /create-nft files can be hundreds of MB, so they are spooled to disk as they arrive
+// and streamed from there to storage instead of being held in memory
+const uploadSpool = createUploadSpool({
+  dir: process.env.UPLOAD_TMP_DIR || undefined,
+  limits: {
+    image: MAX_IMAGE_BYTES,
+    animation: MAX_ANIMATION_BYTES,
+    files: MAX_FILE_BYTES,
+    'files[]': MAX_FILE_BYTES,
+  },
+  onData: (req, file, bytes) => req.upload?.receiving(uploadKey(file), file.filename, bytes),
+});
+const nftUpload = multer({
+  storage: uploadSpool.storage,
+  limits: {
+    fileSize: Math.max(MAX_IMAGE_BYTES, MAX_ANIMATION_BYTES, MAX_FILE_BYTES),
+    files: 2 + MAX_FILES,
+  },
+});
+const receiveNFTFiles = [
+  trackUpload,
+  uploadSpool.prepare,
+  receiveFiles(
+    nftUpload.fields([
+      { name: 'image', maxCount: 1 },
+      { name: 'animation', maxCount: 1 },
+      { name: 'files', maxCount: MAX_FILES },
+      { name: 'files[]', maxCount: MAX_FILES },
+    ]),
+    Math.max(MAX_IMAGE_BYTES, MAX_ANIMATION_BYTES, MAX_FILE_BYTES)
+  ),
+];
+
+// API keys and SIWE sessions; AUTH_DISABLED=true opts out for local development
+const auth = createAuth({
+  apiKeyStore: registry.apiKeyStore,
+  operators: parseOperators(process.env.SIWE_OPERATORS),
+  sessionTtl: parseFloat(process.env.SESSION_TTL_HOURS || '8') * 60 * 60 * 1000,
+  domain: process.env.SIWE_DOMAIN,
+  disabled: process.env.AUTH_DISABLED === 'true',
+});
+const requireScope = auth.requireScope;
+const requireUploadAndSign = requireScope('upload', 'sign');
 
 // Validate environment variables
-if (!CONTRACT_ADDRESS) {
-  console.warn('WARNING: CONTRACT_ADDRESS not set in .env');
+if (auth.disabled) {
+  console.warn('WARNING: AUTH_DISABLED=true; every endpoint is public');
+} else if (process.env.SIWE_OPERATORS && !process.env.SIWE_DOMAIN) {
+  console.warn('WARNING: SIWE_OPERATORS is set but SIWE_DOMAIN is not; SIWE sign-in is refused');
+}
+for (const ctx of registry.collections) {
+  const prefix = registry.collections.length > 1 ? `[${ctx.id}] ` : '';
+
+  if (!ctx.contractAddress) {
+    console.warn(`WARNING: ${prefix}CONTRACT_ADDRESS not set in .env`);
+  }
+  if (!ctx.signer.configured) {
+    console.warn(`WARNING: ${prefix}voucher signer (${ctx.signer.type}) not configured`);
+  }
+  if (!ctx.storage.configured) {
+    console.warn(`WARNING: ${prefix}${ctx.storage.name} storage not configured`);
+  }
+  if (ctx.contractAddress && !ctx.provider) {
+    console.warn(`WARNING: ${prefix}no RPC URL; tokenIds are allocated without on-chain checks`);
+  }
+  if (ctx.indexerEnabled && !ctx.indexer) {
+    console.warn(`WARNING: ${prefix}the indexer requires an RPC URL and a contract address`);
+  }
+  if (ctx.relayEnabled && !ctx.relayer) {
+    console.warn(
+      `WARNING: ${prefix}the mint relay requires RELAYER_PRIVATE_KEY, an RPC URL and a contract address`
+    );
+  }
+}
+if (!registry.defaultCollection) {
+  console.warn('WARNING: no default collection; /api/* routes need /api/collections/:id/*');
+}
+
+// Voucher signer addresses, filled in at startup
+const signerAddresses = new Map();
+
+// Batch jobs currently running in this process
+const runningBatchJobs = new Set();
+
+/**
+ * Run a batch job in the background
+ * @param {Object} ctx - Collection context
+ * @param {Object} job - Batch job
+ */
+function startBatchJob(ctx, job) {
+  runningBatchJobs.add(job.id);
+
+  runBatchJob(ctx, job)
+    .then((finished) => {
+      console.log(`Batch ${finished.id} ${finished.status}:`, finished.summary);
+    })
+    .catch((error) => {
+      console.error(`Batch ${job.id} error:`, error);
+    })
+    .finally(() => {
+      runningBatchJobs.delete(job.id);
+    });
 }
-if (!PRIVATE_KEY) {
-  console.warn('WARNING: PRIVATE_KEY not set in .env');
+
+/**
+ * Check an optional tokenId from a request body
+ * @param {*} tokenId - Raw tokenId (undefined or empty means "allocate one")
+ * @returns {boolean} Whether the value is absent or a uint256 (see isTokenId())
+ */
+function isValidTokenId(tokenId) {
+  return tokenId === undefined || tokenId === '' || isTokenId(tokenId);
+}
+
+/**
+ * Read a boolean flag from a JSON or multipart body
+ * @param {*} value - true/"true" or anything else
+ * @returns {boolean} Whether the flag is set
+ */
+function isTrue(value) {
+  return value === true || value === 'true';
+}
+
+/**
+ * Run a multer middleware, answering its failures like any other error:
+ * 413 for a file over the limit, 400 for other malformed uploads
+ * @param {Function} middleware - multer middleware
+ * @param {number} maxBytes - The middleware's file size limit, for the error message
+ * @returns {Function} Express middleware
+ */
+function receiveFiles(middleware, maxBytes) {
+  return (req, res, next) =>
+    middleware(req, res, (error) => {
+      if (!error) {
+        return next();
+      }
+      req.upload?.fail(error);
+      // Typed errors from the storage engine, e.g. a spooled file over its field's limit
+      if (error.status) {
+        return sendError(res, error);
+      }
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return sendError(
+          res,
+          new PayloadTooLargeError(`${error.field} is larger than ${formatBytes(maxBytes)}`)
+        );
+      }
+      if (error instanceof multer.MulterError) {
+        return res.status(400).json({ error: error.message, code: error.code });
+      }
+      next(error);
+    });
+}
+
+/**
+ * Key of an uploaded file in upload progress
+ * @param {Object} file - Spooled file ({ field, index })
+ * @returns {string} "image", "animation" or "files.<index>"
+ */
+function uploadKey({ field, index }) {
+  return field === 'files' ? `files.${index}` : field;
+}
+
+/**
+ * Start tracking an upload under the client's ?uploadId= (or a generated one),
+ * as req.upload. A failed response marks the upload failed.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function trackUpload(req, res, next) {
+  const uploadId = req.query.uploadId ?? crypto.randomUUID();
+  if (!isValidUploadId(uploadId)) {
+    return res.status(400).json({ error: 'uploadId must be 8-64 letters, digits, "_" or "-"' });
+  }
+
+  const upload = uploadTracker.start(uploadId, {
+    collectionId: req.collection.id,
+    expectedBytes: parseInt(req.headers['content-length']) || null,
+  });
+  if (!upload) {
+    return res.status(409).json({ error: `uploadId ${uploadId} is already in use` });
+  }
+
+  req.upload = upload;
+  res.on('finish', () => {
+    if (res.statusCode >= 400) {
+      upload.fail(new Error(`Request failed with status ${res.statusCode}`));
+    }
+  });
+  next();
+}
+
+/**
+ * Answer for a dry-run upload: the CID the content would be stored under
+ * @param {Object} ctx - Collection context
+ * @param {string} cid - CID computed with the collection's storage settings
+ * @returns {Object} { dryRun, ipfsHash, ipfsUrl, storage }
+ */
+function describeCid(ctx, cid) {
+  return { dryRun: true, ipfsHash: cid, ipfsUrl: `ipfs://${cid}`, storage: ctx.storage.name };
+}
+
+/**
+ * Pinata credentials of a collection
+ * @param {Object} ctx - Collection context
+ * @returns {Object} { jwt, apiKey, secretKey }
+ */
+function getPinataCredentials(ctx) {
+  return { jwt: ctx.pinataJwt, apiKey: ctx.pinataApiKey, secretKey: ctx.pinataSecretKey };
+}
+
+/**
+ * Check that a ledger record belongs to a collection
+ * @param {Object} ctx - Collection context
+ * @param {Object} record - Voucher record
+ * @returns {boolean}
+ */
+function isInCollection(ctx, record) {
+  return (
+    record.chainId === ctx.chainId &&
+    !!ctx.contractAddress &&
+    record.contractAddress.toLowerCase() === ctx.contractAddress.toLowerCase()
+  );
 }
-if (!PINATA_API_KEY || !PINATA_SECRET_API_KEY) {
-  console.warn('WARNING: Pinata credentials not set in .env');
+
+/**
+ * Public description of a collection, as listed by /config
+ * @param {Object} ctx - Collection context
+ * @returns {Object}
+ */
+function describeCollection(ctx) {
+  return {
+    id: ctx.id,
+    name: ctx.name,
+    contractAddress: ctx.contractAddress,
+    chainId: ctx.chainId,
+    voucherSigner: signerAddresses.get(ctx.id) || null,
+    storageProvider: ctx.storage.name,
+    storageConfigured: ctx.storage.configured,
+    pinataConfigured: hasPinataCredentials(getPinataCredentials(ctx)),
+    indexer: !!ctx.indexer,
+    relayer: ctx.relayer?.address || null,
+    deployment: ctx.deployment,
+    edition: ctx.edition,
+    apiBase: `/api/collections/${ctx.id}`,
+  };
+}
+
+/**
+ * Send an error response. Typed errors (see utils/errors.js) carry their own
+ * HTTP status and a machine-readable code; anything else is a 500.
+ * @param {Object} res - Express response
+ * @param {Error} error - Error to report
+ */
+function sendError(res, error) {
+  if (!error.status) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  const body = { error: error.message, code: error.code };
+  if (error.errors) {
+    body.errors = error.errors;
+  }
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+    body.retryAfter = error.retryAfter;
+  }
+  res.status(error.status).json(body);
 }
 
 // Health check
@@ -45,10 +377,32 @@ app.get('/', (req, res) => {
     endpoints: [
       'GET /health',
       'GET /config',
+      'GET /api/auth/nonce',
+      'POST /api/auth/siwe',
+      'POST /api/auth/logout',
+      'GET /api/collections',
+      '/api/collections/:collectionId/* (every route below, for one collection)',
       'POST /api/upload-metadata',
       'POST /api/upload-image',
       'POST /api/create-voucher',
       'POST /api/verify-voucher',
+      'POST /api/vouchers/status',
+      'GET /api/vouchers',
+      'GET /api/vouchers/:id',
+      'DELETE /api/vouchers/:id',
+      'GET /api/indexer/status',
+      'GET /api/token-reservations',
+      'POST /api/batch/import',
+      'GET /api/batch/:jobId',
+      'POST /api/batch/:jobId/resume',
+      'POST /api/allowlist',
+      'GET /api/allowlist',
+      'GET /api/allowlist/:root',
+      'GET /api/allowlist/:address/proof',
+      'POST /api/relay/prepare',
+      'POST /api/relay/mint',
+      'GET /api/relay/mint/:id',
+      'GET /api/test-storage',
       'GET /api/test-pinata',
     ],
   });
@@ -58,61 +412,145 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-// Get configuration (public info only)
+// Get configuration (public info only). Top-level fields describe the default collection.
 app.get('/config', (req, res) => {
+  const defaultCollection = registry.defaultCollection;
+
+  res.json({
+    ...(defaultCollection && {
+      contractAddress: defaultCollection.contractAddress,
+      chainId: defaultCollection.chainId,
+      storageProvider: defaultCollection.storage.name,
+      storageConfigured: defaultCollection.storage.configured,
+      pinataConfigured: hasPinataCredentials(getPinataCredentials(defaultCollection)),
+    }),
+    defaultCollection: defaultCollection?.id || null,
+    collections: registry.collections.map(describeCollection),
+  });
+});
+
+// Sign-In with Ethereum: fetch a single-use nonce for the EIP-4361 message
+app.get('/api/auth/nonce', (req, res) => {
+  try {
+    res.json({ nonce: auth.issueNonce() });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Sign-In with Ethereum: exchange a signed message for a session token
+app.post('/api/auth/siwe', async (req, res) => {
+  try {
+    const session = await auth.signIn(req.body);
+    res.json(session);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// End a SIWE session
+app.post('/api/auth/logout', (req, res) => {
+  res.json({ success: auth.signOut(req) });
+});
+
+// Collections served by this backend
+app.get('/api/collections', (req, res) => {
   res.json({
-    contractAddress: CONTRACT_ADDRESS,
-    chainId: CHAIN_ID,
-    pinataConfigured: !!(PINATA_API_KEY && PINATA_SECRET_API_KEY),
+    defaultCollection: registry.defaultCollection?.id || null,
+    collections: registry.collections.map(describeCollection),
   });
 });
 
+// Routes below act on one collection (req.collection): mounted per collection under
+// /api/collections/:collectionId and, for the default collection, directly under /api
+const router = express.Router();
+
+router.use((req, res, next) => {
+  if (!req.collection) {
+    return res.status(400).json({
+      error: 'Several collections are configured; use /api/collections/:collectionId',
+      code: 'COLLECTION_REQUIRED',
+    });
+  }
+  next();
+});
+
+// Test the configured storage provider
+router.get('/test-storage', requireScope('admin'), async (req, res) => {
+  const ctx = req.collection;
+  try {
+    if (!ctx.storage.configured) {
+      return res.status(400).json({ error: `${ctx.storage.name} storage not configured` });
+    }
+
+    const result = await ctx.storage.test();
+    res.json({ provider: ctx.storage.name, ...result });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
 // Test Pinata connection
-app.get('/api/test-pinata', async (req, res) => {
+router.get('/test-pinata', requireScope('admin'), async (req, res) => {
+  const ctx = req.collection;
   try {
-    if (!PINATA_API_KEY || !PINATA_SECRET_API_KEY) {
+    if (!hasPinataCredentials(getPinataCredentials(ctx))) {
       return res.status(400).json({
         error: 'Pinata credentials not configured',
       });
     }
 
-    const result = await testPinataConnection(PINATA_API_KEY, PINATA_SECRET_API_KEY);
+    const result = await testPinataConnection(getPinataCredentials(ctx));
     res.json(result);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
-// Upload image to Pinata
-app.post('/api/upload-image', upload.single('image'), async (req, res) => {
+// Upload image to storage
+router.post('/upload-image', requireScope('upload'), receiveImage, async (req, res) => {
+  const ctx = req.collection;
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No image file provided' });
     }
 
-    if (!PINATA_API_KEY || !PINATA_SECRET_API_KEY) {
-      return res.status(400).json({ error: 'Pinata credentials not configured' });
+    // The format is sniffed from the content; the name and Content-Type are not trusted
+    const image = { buffer: req.file.buffer, filename: req.file.originalname };
+    const media = await inspectImage(ctx, image);
+
+    if (isTrue(req.body.dryRun)) {
+      const { cid, properties } = previewImage(ctx, image, media);
+      return res.json({ ...describeCid(ctx, cid), properties });
+    }
+
+    if (!ctx.storage.configured) {
+      return res.status(400).json({ error: `${ctx.storage.name} storage not configured` });
     }
 
-    const result = await uploadBufferToPinata(
-      req.file.buffer,
-      req.file.originalname,
-      PINATA_API_KEY,
-      PINATA_SECRET_API_KEY
-    );
+    const { result, properties } = await uploadImage(ctx, image, media);
 
-    res.json(result);
+    res.json({ ...result, properties });
   } catch (error) {
     console.error('Upload image error:', error);
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
-// Upload metadata to Pinata
-app.post('/api/upload-metadata', async (req, res) => {
+// Upload metadata to storage
+router.post('/upload-metadata', requireScope('upload'), async (req, res) => {
+  const ctx = req.collection;
   try {
-    const { name, description, image, attributes, externalUrl, animationUrl, backgroundColor } =
-      req.body;
+    const {
+      name,
+      description,
+      image,
+      attributes,
+      externalUrl,
+      animationUrl,
+      backgroundColor,
+      properties,
+    } = req.body;
 
     if (!name || !description || !image) {
       return res.status(400).json({
@@ -120,10 +558,6 @@ app.post('/api/upload-metadata', async (req, res) => {
       });
     }
 
-    if (!PINATA_API_KEY || !PINATA_SECRET_API_KEY) {
-      return res.status(400).json({ error: 'Pinata credentials not configured' });
-    }
-
     // Create metadata object
     const metadata = createNFTMetadata({
       name,
@@ -133,10 +567,22 @@ app.post('/api/upload-metadata', async (req, res) => {
       externalUrl,
       animationUrl,
       backgroundColor,
+      properties,
     });
 
-    // Upload to Pinata
-    const result = await uploadJSONToPinata(metadata, PINATA_API_KEY, PINATA_SECRET_API_KEY);
+    if (isTrue(req.body.dryRun)) {
+      return res.json({
+        ...describeCid(ctx, ctx.storage.computeCid(serializeJSON(metadata))),
+        metadata,
+      });
+    }
+
+    if (!ctx.storage.configured) {
+      return res.status(400).json({ error: `${ctx.storage.name} storage not configured` });
+    }
+
+    // Upload to storage
+    const result = await ctx.storage.uploadJSON(metadata, { keyvalues: { type: 'metadata' } });
 
     res.json({
       ...result,
@@ -144,74 +590,134 @@ app.post('/api/upload-metadata', async (req, res) => {
     });
   } catch (error) {
     console.error('Upload metadata error:', error);
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 // Create a signed voucher
-app.post('/api/create-voucher', async (req, res) => {
+router.post('/create-voucher', requireScope('sign'), async (req, res) => {
+  const ctx = req.collection;
   try {
-    const { tokenId, price, uri, minter } = req.body;
+    const { tokenId, price, uri, minter, expiresIn, expiresAt } = req.body;
+    const claimProtected = isTrue(req.body.claimProtected);
 
-    if (!tokenId || !price || !uri || !minter) {
+    if (!price || !uri) {
       return res.status(400).json({
-        error: 'Missing required fields: tokenId, price, uri, minter',
+        error: 'Missing required fields: price, uri',
       });
     }
 
-    if (!CONTRACT_ADDRESS) {
+    if (claimProtected && minter) {
+      return res.status(400).json({ error: 'claimProtected is only allowed for open vouchers' });
+    }
+
+    if (!isValidTokenId(tokenId)) {
+      return res.status(400).json({ error: TOKEN_ID_ERROR });
+    }
+
+    let deadline;
+    let royalty;
+    try {
+      deadline = resolveDeadline({ expiresIn, expiresAt });
+      royalty = resolveRoyalty(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (!ctx.contractAddress) {
       return res.status(400).json({ error: 'Contract address not configured' });
     }
 
-    if (!PRIVATE_KEY) {
-      return res.status(400).json({ error: 'Private key not configured' });
+    if (!ctx.signer.configured) {
+      return res.status(400).json({ error: 'Voucher signer not configured' });
     }
 
-    // Create and sign voucher
-    const voucher = await createVoucher(
-      {
-        tokenId: parseInt(tokenId),
-        price: price.toString(),
-        uri,
-        minter,
-        contractAddress: CONTRACT_ADDRESS,
-        chainId: CHAIN_ID,
-      },
-      PRIVATE_KEY
+    // Without a minter the voucher is open and mints to whoever redeems it
+    const { voucher, record, claimKey } = await withReservedTokenId(
+      ctx.tokenAllocator,
+      tokenId,
+      (reservedTokenId) =>
+        issueVoucher(ctx, {
+          tokenId: reservedTokenId,
+          price,
+          uri,
+          minter,
+          deadline,
+          claimProtected,
+          ...royalty,
+        })
     );
 
     res.json({
       success: true,
+      voucherId: record.id,
       voucher,
-      contractAddress: CONTRACT_ADDRESS,
-      chainId: CHAIN_ID,
+      ...(claimKey && { claimKey }),
+      contractAddress: ctx.contractAddress,
+      chainId: ctx.chainId,
     });
   } catch (error) {
+    if (error.code === 'TOKEN_ID_CONFLICT') {
+      return res.status(409).json({ error: error.message });
+    }
     console.error('Create voucher error:', error);
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 // Verify a voucher signature
-app.post('/api/verify-voucher', async (req, res) => {
+router.post('/verify-voucher', async (req, res) => {
+  const ctx = req.collection;
   try {
-    const { voucher } = req.body;
+    const { voucher, recipient, claimSignature } = req.body;
 
     if (!voucher) {
       return res.status(400).json({ error: 'Voucher is required' });
     }
 
-    if (!CONTRACT_ADDRESS) {
+    if (!ctx.contractAddress) {
       return res.status(400).json({ error: 'Contract address not configured' });
     }
 
-    const signer = verifyVoucher(voucher, CONTRACT_ADDRESS, CHAIN_ID);
+    const signer = verifyVoucher(voucher, ctx.contractAddress, ctx.chainId);
+    const expired = isVoucherExpired(voucher);
+    const deadline = Number(voucher.deadline || 0);
+    const open = isOpenVoucher(voucher);
+    const claimRequired = open && !!voucher.claimSigner && voucher.claimSigner !== ZeroAddress;
+
+    // The claim is checked when the caller supplies one together with its recipient
+    let claimValid;
+    if (claimRequired && claimSignature && recipient) {
+      claimValid = verifyVoucherClaim(
+        voucher,
+        recipient,
+        claimSignature,
+        ctx.contractAddress,
+        ctx.chainId
+      );
+    }
+
+    let error;
+    if (expired) {
+      error = 'Voucher expired';
+    } else if (claimValid === false) {
+      error = 'Invalid claim signature';
+    }
 
     res.json({
-      valid: true,
+      valid: !error,
+      expired,
+      expiresAt: deadline ? new Date(deadline * 1000).toISOString() : null,
+      open,
+      claimRequired,
+      royalty: hasRoyaltyOverride(voucher)
+        ? { receiver: voucher.royaltyReceiver, bps: Number(voucher.royaltyBps) }
+        : null,
+      ...(claimValid !== undefined && { claimValid }),
+      ...(error && { error }),
       signer,
-      contractAddress: CONTRACT_ADDRESS,
-      chainId: CHAIN_ID,
+      contractAddress: ctx.contractAddress,
+      chainId: ctx.chainId,
     });
   } catch (error) {
     console.error('Verify voucher error:', error);
@@ -222,111 +728,1106 @@ app.post('/api/verify-voucher', async (req, res) => {
   }
 });
 
+// Pre-flight check: would lazyMint succeed right now? On-chain checks plus an eth_call simulation
+router.post('/vouchers/status', async (req, res) => {
+  const ctx = req.collection;
+  try {
+    const { voucher, from, claimSignature } = req.body;
+
+    if (!voucher) {
+      return res.status(400).json({ error: 'Voucher is required' });
+    }
+
+    if (!ctx.contractAddress) {
+      return res.status(400).json({ error: 'Contract address not configured' });
+    }
+
+    if (!ctx.provider) {
+      return res.status(503).json({ error: 'Voucher status needs an RPC URL', code: 'NO_RPC' });
+    }
+
+    const status = await checkVoucherStatus(ctx, voucher, { from, claimSignature });
+
+    res.json({
+      ...status,
+      contractAddress: ctx.contractAddress,
+      chainId: ctx.chainId,
+    });
+  } catch (error) {
+    console.error('Voucher status error:', error);
+    sendError(res, error);
+  }
+});
+
+// List issued vouchers
+router.get('/vouchers', requireScope('admin'), async (req, res) => {
+  const ctx = req.collection;
+  try {
+    const { status, minter, tokenId, limit, offset } = req.query;
+
+    if (status && !Object.values(VOUCHER_STATUS).includes(status)) {
+      return res.status(400).json({
+        error: `Invalid status. Expected one of: ${Object.values(VOUCHER_STATUS).join(', ')}`,
+      });
+    }
+
+    const result = await ctx.voucherStore.list(
+      { status, minter, tokenId, contractAddress: ctx.contractAddress, chainId: ctx.chainId },
+      {
+        limit: Math.min(parseInt(limit || '100'), 1000),
+        offset: parseInt(offset || '0'),
+      }
+    );
+
+    res.json(result);
+  } catch (error) {
+    console.error('List vouchers error:', error);
+    sendError(res, error);
+  }
+});
+
+// Inspect a single voucher
+router.get('/vouchers/:id', requireScope('admin'), async (req, res) => {
+  const ctx = req.collection;
+  try {
+    const record = await ctx.voucherStore.get(req.params.id);
+
+    if (!record || !isInCollection(ctx, record)) {
+      return res.status(404).json({ error: 'Voucher not found' });
+    }
+
+    res.json(record);
+  } catch (error) {
+    console.error('Get voucher error:', error);
+    sendError(res, error);
+  }
+});
+
+// Revoke a voucher whose nonce the owner has cancelled on-chain (cancelNonce, or
+// `forge voucher cancel` which does both) and release its tokenId
+router.delete('/vouchers/:id', requireScope('admin'), async (req, res) => {
+  const ctx = req.collection;
+  try {
+    const record = await ctx.voucherStore.get(req.params.id);
+
+    if (!record || !isInCollection(ctx, record)) {
+      return res.status(404).json({ error: 'Voucher not found' });
+    }
+
+    if (record.status === VOUCHER_STATUS.REDEEMED) {
+      return res.status(409).json({ error: 'Voucher has already been redeemed' });
+    }
+
+    if (!ctx.provider) {
+      return res.status(503).json({
+        error: 'Revoking a voucher needs an RPC URL to check its nonce was cancelled on-chain',
+        code: 'NO_RPC',
+      });
+    }
+
+    const revoked = await revokeCancelledVoucher(ctx, record, req.body?.reason);
+
+    res.json({
+      success: true,
+      voucher: revoked,
+    });
+  } catch (error) {
+    console.error('Revoke voucher error:', error);
+    sendError(res, error);
+  }
+});
+
+// Outstanding tokenId reservations
+router.get('/token-reservations', requireScope('admin'), async (req, res) => {
+  const ctx = req.collection;
+  try {
+    if (!ctx.tokenAllocator) {
+      return res.status(400).json({ error: 'Contract address not configured' });
+    }
+
+    res.json({ reservations: await ctx.tokenAllocator.list() });
+  } catch (error) {
+    console.error('List reservations error:', error);
+    sendError(res, error);
+  }
+});
+
+// Indexer status
+router.get('/indexer/status', requireScope('admin'), (req, res) => {
+  const ctx = req.collection;
+  if (!ctx.indexer) {
+    return res.json({ running: false, enabled: false });
+  }
+
+  res.json({ enabled: true, ...ctx.indexer.getStatus() });
+});
+
 // Complete flow: Upload image + metadata + create voucher
-app.post('/api/create-nft', upload.single('image'), async (req, res) => {
+router.post('/create-nft', requireUploadAndSign, receiveNFTFiles, async (req, res) => {
+  const ctx = req.collection;
   try {
-    const { tokenId, price, minter, name, description, attributes, externalUrl } = req.body;
+    const {
+      tokenId,
+      price,
+      minter,
+      name,
+      description,
+      attributes,
+      externalUrl,
+      expiresIn,
+      expiresAt,
+    } = req.body;
+    const claimProtected = isTrue(req.body.claimProtected);
 
-    if (!tokenId || !price || !minter || !name || !description) {
+    if (!price || !name || !description) {
       return res.status(400).json({
-        error: 'Missing required fields: tokenId, price, minter, name, description',
+        error: 'Missing required fields: price, name, description',
       });
     }
 
-    if (!PINATA_API_KEY || !PINATA_SECRET_API_KEY) {
-      return res.status(400).json({ error: 'Pinata credentials not configured' });
+    if (claimProtected && minter) {
+      return res.status(400).json({ error: 'claimProtected is only allowed for open vouchers' });
     }
 
-    if (!CONTRACT_ADDRESS || !PRIVATE_KEY) {
-      return res.status(400).json({ error: 'Contract configuration incomplete' });
+    if (!isValidTokenId(tokenId)) {
+      return res.status(400).json({ error: TOKEN_ID_ERROR });
     }
 
-    let imageUrl;
+    const imageFile = req.files?.image?.[0];
+    const animationFile = req.files?.animation?.[0];
+    const extraFiles = [...(req.files?.files || []), ...(req.files?.['files[]'] || [])].sort(
+      (a, b) => a.index - b.index
+    );
 
-    // Step 1: Upload image if provided
-    if (req.file) {
-      const imageResult = await uploadBufferToPinata(
-        req.file.buffer,
-        req.file.originalname,
-        PINATA_API_KEY,
-        PINATA_SECRET_API_KEY
-      );
-      imageUrl = imageResult.ipfsUrl;
-    } else if (req.body.image) {
-      imageUrl = req.body.image;
-    } else {
+    if (!imageFile && !req.body.image) {
       return res.status(400).json({ error: 'Image is required (file or URL)' });
     }
 
-    // Step 2: Create and upload metadata
-    const metadata = createNFTMetadata({
+    let deadline;
+    let royalty;
+    try {
+      deadline = resolveDeadline({ expiresIn, expiresAt });
+      royalty = resolveRoyalty(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    for (const file of [imageFile, animationFile, ...extraFiles].filter(Boolean)) {
+      req.upload.received(uploadKey(file), file.size);
+    }
+    req.upload.setStage(UPLOAD_STAGE.PROCESSING);
+
+    const spooled = (file) => file && { path: file.path, filename: file.originalname };
+    const input = {
+      tokenId,
+      price,
+      minter,
+      deadline,
+      claimProtected,
+      ...royalty,
       name,
       description,
-      image: imageUrl,
-      attributes: attributes ? JSON.parse(attributes) : [],
+      attributes: parseAttributes(attributes),
       externalUrl,
-    });
+      // Images are small enough to inspect in memory; the spool has already capped their size
+      image: imageFile
+        ? { buffer: await fs.promises.readFile(imageFile.path), filename: imageFile.originalname }
+        : undefined,
+      imageUrl: req.body.image,
+      animation: spooled(animationFile),
+      animationUrl: req.body.animationUrl,
+      files: extraFiles.map(spooled),
+      tracker: req.upload,
+    };
 
-    const metadataResult = await uploadJSONToPinata(
-      metadata,
-      PINATA_API_KEY,
-      PINATA_SECRET_API_KEY
-    );
+    // A dry run computes the CIDs locally: nothing is uploaded, reserved or signed
+    if (isTrue(req.body.dryRun)) {
+      const preview = await previewNFT(ctx, input);
+      req.upload.finish({ dryRun: true, uri: preview.uri });
+      return res.json({
+        success: true,
+        dryRun: true,
+        uploadId: req.upload.uploadId,
+        image: { url: preview.imageUrl, cid: preview.imageCid },
+        ...(preview.animationUrl && { animation: { url: preview.animationUrl } }),
+        metadata: {
+          ipfsHash: preview.metadataCid,
+          ipfsUrl: preview.uri,
+          content: preview.metadata,
+        },
+        uri: preview.uri,
+        storage: ctx.storage.name,
+      });
+    }
 
-    // Step 3: Create signed voucher
-    const voucher = await createVoucher(
-      {
-        tokenId: parseInt(tokenId),
-        price: price.toString(),
-        uri: metadataResult.ipfsUrl,
-        minter,
-        contractAddress: CONTRACT_ADDRESS,
-        chainId: CHAIN_ID,
-      },
-      PRIVATE_KEY
-    );
+    if (!ctx.storage.configured) {
+      return res.status(400).json({ error: `${ctx.storage.name} storage not configured` });
+    }
+
+    if (!ctx.contractAddress || !ctx.signer.configured) {
+      return res.status(400).json({ error: 'Contract configuration incomplete' });
+    }
+
+    // Metadata is validated and the tokenId reserved before anything is pinned
+    const result = await createNFT(ctx, input);
+    req.upload.finish({ voucherId: result.record.id, uri: result.metadataResult.ipfsUrl });
 
     res.json({
       success: true,
+      voucherId: result.record.id,
+      uploadId: req.upload.uploadId,
       image: {
-        url: imageUrl,
+        url: result.imageUrl,
       },
+      ...(result.animationUrl && { animation: { url: result.animationUrl } }),
+      ...(result.files.length > 0 && { files: result.files }),
       metadata: {
-        ...metadataResult,
-        content: metadata,
+        ...result.metadataResult,
+        content: result.metadata,
       },
-      voucher,
-      contractAddress: CONTRACT_ADDRESS,
-      chainId: CHAIN_ID,
+      voucher: result.voucher,
+      ...(result.claimKey && { claimKey: result.claimKey }),
+      contractAddress: ctx.contractAddress,
+      chainId: ctx.chainId,
     });
   } catch (error) {
+    req.upload.fail(error);
+    if (error.code === 'TOKEN_ID_CONFLICT') {
+      return res.status(409).json({ error: error.message });
+    }
     console.error('Create NFT error:', error);
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
+  }
+});
+
+// Progress of a /create-nft upload
+router.get('/uploads/:uploadId', requireScope('upload'), (req, res) => {
+  const progress = uploadTracker.get(req.params.uploadId);
+  if (!progress || progress.collectionId !== req.collection.id) {
+    return res.status(404).json({ error: 'Upload not found' });
+  }
+
+  res.json(progress);
+});
+
+// Bulk import: manifest (CSV/JSON) + zip of images, processed in the background
+router.post(
+  '/batch/import',
+  requireUploadAndSign,
+  receiveFiles(
+    archiveUpload.fields([
+      { name: 'manifest', maxCount: 1 },
+      { name: 'images', maxCount: 1 },
+    ]),
+    MAX_ARCHIVE_BYTES
+  ),
+  async (req, res) => {
+    const ctx = req.collection;
+    try {
+      const manifestFile = req.files?.manifest?.[0];
+      const imagesFile = req.files?.images?.[0];
+
+      if (!manifestFile || !imagesFile) {
+        return res.status(400).json({
+          error: 'Missing required files: manifest (CSV or JSON), images (zip)',
+        });
+      }
+
+      if (!ctx.storage.configured) {
+        return res.status(400).json({ error: `${ctx.storage.name} storage not configured` });
+      }
+
+      if (!ctx.contractAddress || !ctx.signer.configured) {
+        return res.status(400).json({ error: 'Contract configuration incomplete' });
+      }
+
+      let rows;
+      try {
+        rows = parseManifest(
+          manifestFile.buffer.toString('utf8'),
+          detectManifestFormat(manifestFile.originalname)
+        );
+      } catch (error) {
+        return res.status(400).json({ error: `Invalid manifest: ${error.message}` });
+      }
+
+      const layout = req.body.layout || BATCH_LAYOUT.PER_TOKEN;
+      if (!Object.values(BATCH_LAYOUT).includes(layout)) {
+        return res.status(400).json({
+          error: `layout must be one of: ${Object.values(BATCH_LAYOUT).join(', ')}`,
+        });
+      }
+      if (req.body.placeholderUri && layout !== BATCH_LAYOUT.DIRECTORY) {
+        return res
+          .status(400)
+          .json({ error: 'placeholderUri (a hidden drop) needs layout=directory' });
+      }
+
+      const jobId = crypto.randomUUID();
+      const imagesPath = await saveBatchArchive(jobId, imagesFile.buffer);
+      const job = await createBatchJob({
+        jobId,
+        rows,
+        imagesPath,
+        collectionId: ctx.id,
+        layout,
+        placeholderUri: req.body.placeholderUri || null,
+      });
+
+      startBatchJob(ctx, job);
+
+      res.status(202).json({
+        jobId: job.id,
+        layout: job.layout,
+        summary: job.summary,
+        statusUrl: `${req.baseUrl}/batch/${job.id}`,
+      });
+    } catch (error) {
+      console.error('Batch import error:', error);
+      sendError(res, error);
+    }
+  }
+);
+
+// Batch job status with per-row results
+router.get('/batch/:jobId', requireUploadAndSign, async (req, res) => {
+  const ctx = req.collection;
+  try {
+    const job = await loadBatchJob(req.params.jobId);
+
+    // Jobs from before collections existed belong to the default collection
+    if (!job || (job.collectionId || registry.defaultCollection?.id) !== ctx.id) {
+      return res.status(404).json({ error: 'Batch job not found' });
+    }
+
+    res.json({ ...job, running: runningBatchJobs.has(job.id) });
+  } catch (error) {
+    console.error('Get batch error:', error);
+    sendError(res, error);
+  }
+});
+
+// Retry the failed and pending rows of a batch job
+router.post('/batch/:jobId/resume', requireUploadAndSign, async (req, res) => {
+  const ctx = req.collection;
+  try {
+    const job = await loadBatchJob(req.params.jobId);
+
+    // Jobs from before collections existed belong to the default collection
+    if (!job || (job.collectionId || registry.defaultCollection?.id) !== ctx.id) {
+      return res.status(404).json({ error: 'Batch job not found' });
+    }
+
+    if (runningBatchJobs.has(job.id)) {
+      return res.status(409).json({ error: 'Batch job is already running' });
+    }
+
+    if (job.status === JOB_STATUS.COMPLETED) {
+      return res.json({
+        jobId: job.id,
+        summary: job.summary,
+        statusUrl: `${req.baseUrl}/batch/${job.id}`,
+      });
+    }
+
+    startBatchJob(ctx, job);
+
+    res.status(202).json({
+      jobId: job.id,
+      summary: job.summary,
+      statusUrl: `${req.baseUrl}/batch/${job.id}`,
+    });
+  } catch (error) {
+    console.error('Resume batch error:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * The allowlist presale the contract runs now
+ * @param {Object} ctx - Collection context (with a provider)
+ * @returns {Promise<Object>} { root, price } with root null while the presale is closed
+ */
+async function readAllowlistSale(ctx) {
+  const contract = getLazyNFTContract(ctx.contractAddress, ctx.provider);
+  const [root, price] = await Promise.all([contract.allowlistRoot(), contract.allowlistPrice()]);
+  return { root: root === ZeroHash ? null : root, price };
+}
+
+// Allowlist presale: build and keep the Merkle tree of an address list, given as
+// { entries, defaultCap } or as an uploaded CSV or JSON file
+router.post(
+  '/allowlist',
+  requireScope('sign'),
+  receiveFiles(allowlistUpload.single('file'), MAX_ALLOWLIST_BYTES),
+  async (req, res) => {
+    const ctx = req.collection;
+    try {
+      if (!ctx.contractAddress) {
+        return res.status(400).json({ error: 'Contract address not configured' });
+      }
+
+      // Cap of the addresses listed without one
+      const defaultCap =
+        req.body.defaultCap === undefined || req.body.defaultCap === ''
+          ? 1
+          : Number(req.body.defaultCap);
+
+      let entries;
+      try {
+        const raw = req.file
+          ? parseAllowlist(
+              req.file.buffer.toString('utf8'),
+              detectAllowlistFormat(req.file.originalname)
+            )
+          : req.body.entries;
+        if (!Array.isArray(raw) || raw.length === 0) {
+          return res
+            .status(400)
+            .json({ error: 'Missing required field: entries (or a file with the address list)' });
+        }
+        entries = normalizeAllowlist(raw, defaultCap);
+      } catch (error) {
+        return res.status(400).json({ error: `Invalid allowlist: ${error.message}` });
+      }
+
+      const allowlist = await ctx.allowlistStore.save({
+        entries,
+        defaultCap,
+        contractAddress: ctx.contractAddress,
+        chainId: ctx.chainId,
+      });
+
+      res.status(201).json({
+        success: true,
+        ...allowlist,
+        treeUrl: `${req.baseUrl}/allowlist/${allowlist.root}`,
+      });
+    } catch (error) {
+      console.error('Create allowlist error:', error);
+      sendError(res, error);
+    }
+  }
+);
+
+// Allowlists built for the collection; with an RPC URL, which one the contract runs
+router.get('/allowlist', requireScope('sign'), async (req, res) => {
+  const ctx = req.collection;
+  try {
+    if (!ctx.contractAddress) {
+      return res.status(400).json({ error: 'Contract address not configured' });
+    }
+
+    const allowlists = await ctx.allowlistStore.list(ctx.contractAddress, ctx.chainId);
+    const sale = ctx.provider ? await readAllowlistSale(ctx) : null;
+
+    res.json({
+      allowlists: allowlists.map((allowlist) => ({
+        ...allowlist,
+        active: sale ? allowlist.root === sale.root : null,
+      })),
+      activeRoot: sale ? sale.root : null,
+      contractAddress: ctx.contractAddress,
+      chainId: ctx.chainId,
+    });
+  } catch (error) {
+    console.error('List allowlists error:', error);
+    sendError(res, error);
+  }
+});
+
+// A stored allowlist with its whole tree (a @openzeppelin/merkle-tree dump)
+router.get('/allowlist/:root', requireScope('sign'), async (req, res) => {
+  const ctx = req.collection;
+  try {
+    if (!ctx.contractAddress) {
+      return res.status(400).json({ error: 'Contract address not configured' });
+    }
+
+    if (!/^0x[0-9a-f]{64}$/i.test(req.params.root)) {
+      return res.status(400).json({ error: 'root must be a 32-byte hex string' });
+    }
+
+    const allowlist = await ctx.allowlistStore.load(
+      ctx.contractAddress,
+      ctx.chainId,
+      req.params.root
+    );
+    if (!allowlist) {
+      return res.status(404).json({ error: 'Allowlist not found' });
+    }
+
+    res.json({ ...describeAllowlist(allowlist.record), tree: allowlist.record.tree });
+  } catch (error) {
+    console.error('Get allowlist error:', error);
+    sendError(res, error);
+  }
+});
+
+// Proof that an address is on the allowlist, for LazyNFT.allowlistMint(amount, cap, proof).
+// ?root= picks an allowlist; by default the one the contract runs, else the one built last.
+router.get('/allowlist/:address/proof', async (req, res) => {
+  const ctx = req.collection;
+  try {
+    const { address } = req.params;
+
+    if (!isAddress(address)) {
+      return res.status(400).json({ error: 'Invalid address' });
+    }
+
+    if (req.query.root !== undefined && !/^0x[0-9a-f]{64}$/i.test(req.query.root)) {
+      return res.status(400).json({ error: 'root must be a 32-byte hex string' });
+    }
+
+    if (!ctx.contractAddress) {
+      return res.status(400).json({ error: 'Contract address not configured' });
+    }
+
+    const sale = ctx.provider ? await readAllowlistSale(ctx) : null;
+    const root =
+      req.query.root ||
+      sale?.root ||
+      (await ctx.allowlistStore.latest(ctx.contractAddress, ctx.chainId))?.root;
+    if (!root) {
+      return res.status(404).json({ error: 'No allowlist has been built', code: 'NO_ALLOWLIST' });
+    }
+
+    const allowlist = await ctx.allowlistStore.load(ctx.contractAddress, ctx.chainId, root);
+    if (!allowlist) {
+      return res
+        .status(404)
+        .json({ error: `Allowlist ${root} was not built by this backend`, code: 'NO_ALLOWLIST' });
+    }
+
+    const proof = allowlist.getProof(address);
+    if (!proof) {
+      return res
+        .status(404)
+        .json({ error: 'Address is not on the allowlist', code: 'NOT_ALLOWLISTED', root });
+    }
+
+    let presale;
+    if (sale) {
+      const contract = getLazyNFTContract(ctx.contractAddress, ctx.provider);
+      const minted = Number(await contract.allowlistMinted(root, proof.address));
+      const active = sale.root?.toLowerCase() === root.toLowerCase();
+      presale = {
+        active,
+        price: active ? formatEther(sale.price) : null,
+        minted,
+        remaining: Math.max(0, proof.cap - minted),
+      };
+    }
+
+    res.json({
+      root: allowlist.record.root,
+      ...proof,
+      ...presale,
+      contractAddress: ctx.contractAddress,
+      chainId: ctx.chainId,
+    });
+  } catch (error) {
+    console.error('Allowlist proof error:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * Answer 400 when a collection has no LazyEdition contract
+ * @param {Object} ctx - Collection context
+ * @param {Object} res - Express response
+ * @returns {boolean} Whether the collection sells editions
+ */
+function requireEdition(ctx, res) {
+  if (!ctx.edition) {
+    res.status(400).json({ error: 'Edition contract not configured', code: 'NO_EDITION' });
+    return false;
+  }
+  return true;
+}
+
+// Sign an ERC-1155 edition voucher: up to `quantity` units of `tokenId`, at `price` ETH each
+router.post('/editions/create-voucher', requireScope('sign'), async (req, res) => {
+  const ctx = req.collection;
+  try {
+    const { tokenId, price, uri, minter, expiresIn, expiresAt } = req.body;
+
+    if (!requireEdition(ctx, res)) {
+      return;
+    }
+
+    if (tokenId === undefined || tokenId === '' || price === undefined || price === '' || !uri) {
+      return res.status(400).json({ error: 'Missing required fields: tokenId, price, uri' });
+    }
+
+    if (!/^\d+(\.\d+)?$/.test(price.toString())) {
+      return res.status(400).json({ error: 'price must be an amount of ETH per unit' });
+    }
+
+    // Every voucher of an edition names its tokenId, so none is allocated
+    if (!isValidTokenId(tokenId)) {
+      return res.status(400).json({ error: TOKEN_ID_ERROR });
+    }
+
+    if (minter && !isAddress(minter)) {
+      return res.status(400).json({ error: 'minter must be an address' });
+    }
+
+    let deadline;
+    let supply;
+    try {
+      deadline = resolveDeadline({ expiresIn, expiresAt });
+      supply = resolveEditionSupply(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (!ctx.signer.configured) {
+      return res.status(400).json({ error: 'Voucher signer not configured' });
+    }
+
+    const { voucher, record } = await issueEditionVoucher(ctx, {
+      // A decimal string, so IDs above Number.MAX_SAFE_INTEGER are signed exactly
+      tokenId: tokenId.toString(),
+      ...supply,
+      price,
+      uri,
+      minter,
+      deadline,
+    });
+
+    res.json({
+      success: true,
+      voucherId: record.id,
+      voucher,
+      contractAddress: ctx.edition.contractAddress,
+      chainId: ctx.chainId,
+    });
+  } catch (error) {
+    console.error('Create edition voucher error:', error);
+    sendError(res, error);
   }
 });
 
+// Verify an edition voucher signature; with an RPC URL, also how many units it can still mint
+router.post('/editions/verify-voucher', async (req, res) => {
+  const ctx = req.collection;
+  try {
+    const { voucher } = req.body;
+
+    if (!voucher) {
+      return res.status(400).json({ error: 'Voucher is required' });
+    }
+
+    if (!requireEdition(ctx, res)) {
+      return;
+    }
+
+    const { contractAddress } = ctx.edition;
+    const signer = verifyEditionVoucher(voucher, contractAddress, ctx.chainId);
+    const expired = isVoucherExpired(voucher);
+    const deadline = Number(voucher.deadline || 0);
+
+    let redemption;
+    if (ctx.provider) {
+      const contract = getLazyEditionContract(contractAddress, ctx.provider);
+      const [redeemed, remaining, cancelled] = await Promise.all([
+        contract.redeemedAmount(voucher.nonce),
+        contract.remainingAmount(formatEditionVoucherForContract(voucher)),
+        contract.isNonceCancelled(voucher.nonce),
+      ]);
+      redemption = {
+        redeemed: Number(redeemed),
+        remaining: Number(remaining),
+        cancelled,
+      };
+    }
+
+    let error;
+    if (expired) {
+      error = 'Voucher expired';
+    } else if (redemption?.cancelled) {
+      error = 'Voucher cancelled';
+    } else if (redemption?.remaining === 0) {
+      error = 'Voucher quantity used up';
+    }
+
+    res.json({
+      valid: !error,
+      expired,
+      expiresAt: deadline ? new Date(deadline * 1000).toISOString() : null,
+      open: isOpenVoucher(voucher),
+      quantity: Number(voucher.quantity),
+      ...redemption,
+      ...(error && { error }),
+      signer,
+      contractAddress,
+      chainId: ctx.chainId,
+    });
+  } catch (error) {
+    console.error('Verify edition voucher error:', error);
+    res.status(400).json({
+      valid: false,
+      error: error.message,
+    });
+  }
+});
+
+// On-chain state of an edition: whether it exists, its size and how many units are minted
+router.get('/editions/:tokenId', async (req, res) => {
+  const ctx = req.collection;
+  try {
+    const { tokenId } = req.params;
+
+    if (!isValidTokenId(tokenId)) {
+      return res.status(400).json({ error: TOKEN_ID_ERROR });
+    }
+
+    if (!requireEdition(ctx, res)) {
+      return;
+    }
+
+    if (!ctx.provider) {
+      return res.status(503).json({ error: 'Edition status needs an RPC URL', code: 'NO_RPC' });
+    }
+
+    const contract = getLazyEditionContract(ctx.edition.contractAddress, ctx.provider);
+    const [exists, maxSupply, totalSupply, uri] = await Promise.all([
+      contract.exists(tokenId),
+      contract.maxSupply(tokenId),
+      contract.totalSupply(tokenId),
+      contract.uri(tokenId),
+    ]);
+
+    res.json({
+      tokenId,
+      exists,
+      ...(exists && {
+        maxSupply: Number(maxSupply),
+        open: maxSupply === 0n,
+        totalSupply: Number(totalSupply),
+        available: maxSupply === 0n ? null : Number(maxSupply - totalSupply),
+        uri,
+      }),
+      contractAddress: ctx.edition.contractAddress,
+      chainId: ctx.chainId,
+    });
+  } catch (error) {
+    console.error('Edition status error:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * Answer 503 when a collection does not relay mints
+ * @param {Object} ctx - Collection context
+ * @param {Object} res - Express response
+ * @returns {boolean} Whether the collection has a relayer
+ */
+function requireRelayer(ctx, res) {
+  if (!ctx.relayer) {
+    res.status(503).json({ error: 'Mint relay is not enabled', code: 'RELAY_DISABLED' });
+    return false;
+  }
+  return true;
+}
+
+// Gasless minting, step 1 (open and claim-protected vouchers): the forward request to sign
+router.post('/relay/prepare', async (req, res) => {
+  const ctx = req.collection;
+  try {
+    if (!requireRelayer(ctx, res)) {
+      return;
+    }
+
+    const { voucher, from, claimSignature } = req.body;
+    res.json(await ctx.relayer.prepare({ voucher, from, claimSignature }));
+  } catch (error) {
+    console.error('Prepare relay error:', error);
+    sendError(res, error);
+  }
+});
+
+// Gasless minting, step 2: the relayer submits the mint and pays for it
+router.post('/relay/mint', requireScope('relay'), async (req, res) => {
+  const ctx = req.collection;
+  try {
+    if (!requireRelayer(ctx, res)) {
+      return;
+    }
+
+    const { voucher, claimSignature, request } = req.body;
+    const job = await ctx.relayer.submit({ voucher, claimSignature, request });
+
+    res.status(202).json({
+      ...job,
+      statusUrl: `${req.baseUrl}/relay/mint/${job.id}`,
+    });
+  } catch (error) {
+    console.error('Relay mint error:', error);
+    sendError(res, error);
+  }
+});
+
+// Poll a relayed mint until it is confirmed or failed
+router.get('/relay/mint/:id', requireScope('relay'), async (req, res) => {
+  const ctx = req.collection;
+  try {
+    if (!requireRelayer(ctx, res)) {
+      return;
+    }
+
+    const job = await ctx.relayer.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Relay job not found' });
+    }
+
+    res.json(job);
+  } catch (error) {
+    console.error('Relay status error:', error);
+    sendError(res, error);
+  }
+});
+
+app.use(
+  '/api/collections/:collectionId',
+  (req, res, next) => {
+    req.collection = registry.get(req.params.collectionId);
+    if (!req.collection) {
+      return res.status(404).json({ error: 'Collection not found', code: 'COLLECTION_NOT_FOUND' });
+    }
+    next();
+  },
+  router
+);
+
+app.use(
+  '/api',
+  (req, res, next) => {
+    req.collection = registry.defaultCollection;
+    next();
+  },
+  router
+);
+
+// Serve content from local storage providers (development only), including
+// files inside pinned directories (/ipfs/<dirCID>/<path>)
+const localStorages = registry.collections
+  .map((ctx) => ctx.storage)
+  .filter((storage) => storage.resolvePath);
+
+if (localStorages.length > 0) {
+  app.get(['/ipfs/:cid', '/ipfs/:cid/*'], (req, res) => {
+    const filePaths = localStorages.map((storage) =>
+      storage.resolvePath(req.params.cid, req.params[0])
+    );
+
+    if (filePaths.some((filePath) => !filePath)) {
+      return res.status(400).json({ error: 'Invalid CID or file name' });
+    }
+
+    const filePath = filePaths.find((candidate) => fs.existsSync(candidate)) || filePaths[0];
+
+    res.sendFile(filePath, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ error: 'Content not found' });
+      }
+    });
+  });
+}
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error('Unhandled error:', err);
   res.status(500).json({ error: 'Internal server error' });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log('\n===========================================');
-  console.log('Cosmic NFT Forge API Server');
-  console.log('===========================================\n');
-  console.log(`Server running on port ${PORT}`);
-  console.log(`\nEndpoints:`);
-  console.log(`  http://localhost:${PORT}/`);
-  console.log(`  http://localhost:${PORT}/health`);
-  console.log(`  http://localhost:${PORT}/config`);
-  console.log(`  http://localhost:${PORT}/api/test-pinata`);
-  console.log(`\nConfiguration:`);
-  console.log(`  Contract: ${CONTRACT_ADDRESS || 'NOT SET'}`);
-  console.log(`  Chain ID: ${CHAIN_ID}`);
-  console.log(`  Pinata: ${PINATA_API_KEY && PINATA_SECRET_API_KEY ? 'CONFIGURED' : 'NOT SET'}`);
-  console.log('\n===========================================\n');
-});
-
-module.exports = app;
\ No newline at end of file
+/**
+ * Unlock a collection's voucher signer and check it against the contract's voucherSigner
+ * @param {Object} ctx - Collection context
+ * @returns {string|null} Signer address, or null if no signer is configured
+ */
+async function unlockSigner(ctx) {
+  if (!ctx.signer.configured) {
+    return null;
+  }
+
+  const address = await ctx.signer.getAddress();
+  if (!ctx.provider) {
+    return address;
+  }
+
+  // The edition contract takes vouchers from the same signer
+  const contracts = [
+    ctx.contractAddress && ['contract', getLazyNFTContract(ctx.contractAddress, ctx.provider)],
+    ctx.edition && [
+      'edition contract',
+      getLazyEditionContract(ctx.edition.contractAddress, ctx.provider),
+    ],
+  ].filter(Boolean);
+
+  for (const [label, contract] of contracts) {
+    try {
+      const expected = await contract.voucherSigner();
+      if (expected !== address) {
+        console.warn(
+          `WARNING: [${ctx.id}] ${label} voucherSigner is ${expected}; vouchers signed by ${address} will be rejected`
+        );
+      }
+    } catch (error) {
+      console.warn(
+        `WARNING: [${ctx.id}] could not read the ${label} voucherSigner:`,
+        error.message
+      );
+    }
+  }
+
+  return address;
+}
+
+/**
+ * Check a collection's deployment manifest against the chain: a different domain
+ * separator means the manifest does not describe the contract at that address
+ * @param {Object} ctx - Collection context
+ */
+async function checkDeployment(ctx) {
+  if (!ctx.provider) {
+    return;
+  }
+
+  const deployments = [
+    ctx.deployment && [
+      'deployment manifest',
+      ctx.deployment,
+      getLazyNFTContract(ctx.contractAddress, ctx.provider),
+    ],
+    ctx.edition?.deployment && [
+      'edition deployment manifest',
+      ctx.edition.deployment,
+      getLazyEditionContract(ctx.edition.contractAddress, ctx.provider),
+    ],
+  ].filter(Boolean);
+
+  for (const [label, deployment, contract] of deployments) {
+    try {
+      const domainSeparator = await contract.getDomainSeparator();
+      if (domainSeparator !== deployment.domainSeparator) {
+        console.warn(
+          `WARNING: [${ctx.id}] on-chain domain separator ${domainSeparator} does not match the ${label}`
+        );
+      }
+    } catch (error) {
+      console.warn(`WARNING: [${ctx.id}] could not check the ${label}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Check that a collection's relayer can mint: the contract must trust a forwarder
+ * for open vouchers, and the wallet needs funds
+ * @param {Object} ctx - Collection context
+ */
+async function checkRelayer(ctx) {
+  if (!ctx.relayer) {
+    return;
+  }
+
+  try {
+    const [forwarder, balance] = await Promise.all([
+      ctx.relayer.getForwarder(),
+      ctx.relayer.getBalance(),
+    ]);
+    if (!forwarder) {
+      console.warn(
+        `WARNING: [${ctx.id}] the contract has no trusted forwarder; only vouchers bound to a minter can be relayed`
+      );
+    }
+    if (balance === 0n) {
+      console.warn(`WARNING: [${ctx.id}] relayer ${ctx.relayer.address} has no funds`);
+    }
+  } catch (error) {
+    console.warn(`WARNING: [${ctx.id}] could not check the relayer:`, error.message);
+  }
+}
+
+/**
+ * Unlock every collection's signer, then start listening and the indexers.
+ * Signers are unlocked first so a bad keystore password fails fast.
+ */
+async function start() {
+  for (const ctx of registry.collections) {
+    try {
+      signerAddresses.set(ctx.id, await unlockSigner(ctx));
+      await checkDeployment(ctx);
+      await checkRelayer(ctx);
+    } catch (error) {
+      throw new Error(`[${ctx.id}] ${error.message}`);
+    }
+  }
+
+  app.listen(PORT, () => {
+    console.log('\n===========================================');
+    console.log('Cosmic NFT Forge API Server');
+    console.log('===========================================\n');
+    console.log(`Server running on port ${PORT}`);
+    console.log(`\nEndpoints:`);
+    console.log(`  http://localhost:${PORT}/`);
+    console.log(`  http://localhost:${PORT}/health`);
+    console.log(`  http://localhost:${PORT}/config`);
+    console.log(`  http://localhost:${PORT}/api/test-storage`);
+
+    for (const ctx of registry.collections) {
+      const isDefault = ctx === registry.defaultCollection;
+      const { storage } = ctx;
+
+      console.log(`\nCollection ${ctx.id}${isDefault ? ' (default)' : ''}:`);
+      console.log(`  API: http://localhost:${PORT}/api/collections/${ctx.id}`);
+      console.log(`  Contract: ${ctx.contractAddress || 'NOT SET'}`);
+      console.log(`  Chain ID: ${ctx.chainId}`);
+      if (ctx.deployment) {
+        console.log(
+          `  Deployment: ${ctx.deployment.network}/${ctx.deployment.name} (block ${ctx.deployment.blockNumber})`
+        );
+      }
+      if (ctx.edition) {
+        console.log(`  Edition contract: ${ctx.edition.contractAddress}`);
+      }
+      console.log(
+        `  Voucher signer: ${signerAddresses.get(ctx.id) || 'NOT SET'} (${ctx.signer.type})`
+      );
+      console.log(`  Storage: ${storage.name} (${storage.configured ? 'CONFIGURED' : 'NOT SET'})`);
+      if (storage.name === 'pinata' && storage.configured) {
+        console.log(`  Pinata auth: ${storage.authMethod}`);
+      }
+      console.log(
+        `  Images: ${ctx.media.allowedTypes.join(', ')} up to ${formatBytes(ctx.media.maxImageBytes)}${ctx.media.thumbnails ? ', with thumbnails' : ''}`
+      );
+      console.log(
+        `  Animations: ${ctx.media.animationTypes.join(', ')} up to ${formatBytes(ctx.media.maxAnimationBytes)}`
+      );
+      console.log(`  Indexer: ${ctx.indexer ? 'ENABLED' : 'DISABLED'}`);
+      console.log(`  Relayer: ${ctx.relayer ? ctx.relayer.address : 'DISABLED'}`);
+    }
+
+    console.log(`\nShared:`);
+    console.log(`  Voucher store: ${registry.voucherStoreType}`);
+    console.log(`  Auth: ${auth.disabled ? 'DISABLED' : 'API keys + SIWE'}`);
+    console.log('\n===========================================\n');
+
+    for (const ctx of registry.collections) {
+      if (ctx.indexer) {
+        ctx.indexer.start();
+      }
+    }
+  });
+}
+
+// Only listen when run directly, so tests can mount the app without a live server
+if (require.main === module) {
+  start().catch((error) => {
+    console.error('Failed to unlock voucher signer:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,279 @@
+const path = require('path');
+const { ethers } = require('ethers');
+const { StandardMerkleTree } = require('@openzeppelin/merkle-tree');
+const { parse: parseCSV } = require('csv-parse/sync');
+const { readJSONFile, writeJSONFile, createQueue } = require('./jsonFile');
+
+const DEFAULT_ALLOWLIST_DIR = path.join(__dirname, '..', 'data', 'allowlists');
+
+// Keep in sync with LazyNFT.allowlistMint: leaves are abi.encode(account, cap)
+const LEAF_ENCODING = ['address', 'uint256'];
+
+/**
+ * Detect the format of an uploaded address list from its filename
+ * @param {string} [filename] - Original filename
+ * @returns {string} "json" or "csv"
+ */
+function detectAllowlistFormat(filename) {
+  return path.extname(filename || '').toLowerCase() === '.json' ? 'json' : 'csv';
+}
+
+/**
+ * Parse an address list into raw entries. CSV has one address per line, with an
+ * optional cap in the second column and an optional "address,cap" header; JSON is
+ * an array (or { entries }) of addresses or { address, cap } objects.
+ * @param {string} content - File contents
+ * @param {string} format - "csv" or "json"
+ * @returns {Array<Object>} Raw entries [{ address, cap }]
+ */
+function parseAllowlist(content, format) {
+  let entries;
+
+  if (format === 'json') {
+    const parsed = JSON.parse(content);
+    entries = Array.isArray(parsed) ? parsed : parsed.entries;
+  } else {
+    const rows = parseCSV(content, {
+      skip_empty_lines: true,
+      trim: true,
+      relax_column_count: true,
+    });
+    if (rows.length > 0 && rows[0][0].toLowerCase() === 'address') {
+      rows.shift();
+    }
+    entries = rows.map(([address, cap]) => ({ address, cap }));
+  }
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('Allowlist contains no addresses');
+  }
+
+  return entries;
+}
+
+/**
+ * Validate allowlist entries and give every address its cap
+ * @param {Array<string|Object>} entries - Addresses or { address, cap } objects
+ * @param {number} [defaultCap] - Cap of entries without one
+ * @returns {Array<Object>} [{ address, cap }] with checksummed addresses
+ * @throws {Error} On an invalid address or cap, or an address listed twice
+ */
+function normalizeAllowlist(entries, defaultCap = 1) {
+  if (!Number.isSafeInteger(defaultCap) || defaultCap < 1) {
+    throw new Error('defaultCap must be a positive integer');
+  }
+
+  const seen = new Set();
+  return entries.map((entry, i) => {
+    const { address, cap } = typeof entry === 'string' ? { address: entry } : entry || {};
+
+    if (typeof address !== 'string' || !ethers.isAddress(address)) {
+      throw new Error(`Entry ${i + 1}: invalid address ${address}`);
+    }
+    const checksummed = ethers.getAddress(address);
+    if (seen.has(checksummed)) {
+      throw new Error(`Entry ${i + 1}: ${checksummed} is listed twice`);
+    }
+    seen.add(checksummed);
+
+    if (cap === undefined || cap === null || cap === '') {
+      return { address: checksummed, cap: defaultCap };
+    }
+    if (!/^\d+$/.test(String(cap)) || Number(cap) < 1 || !Number.isSafeInteger(Number(cap))) {
+      throw new Error(`Entry ${i + 1}: cap must be a positive integer`);
+    }
+    return { address: checksummed, cap: Number(cap) };
+  });
+}
+
+/**
+ * Build the Merkle tree of an allowlist. Leaves are (address, cap), hashed and
+ * sorted the way @openzeppelin/merkle-tree does, so the same entries always give
+ * the same root whatever their order.
+ * @param {Array<Object>} entries - Entries from normalizeAllowlist()
+ * @returns {StandardMerkleTree} Tree
+ */
+function buildAllowlistTree(entries) {
+  return StandardMerkleTree.of(
+    entries.map(({ address, cap }) => [address, cap.toString()]),
+    LEAF_ENCODING
+  );
+}
+
+/**
+ * Summary of a stored allowlist, without its tree
+ * @param {Object} record - Allowlist record
+ * @returns {Object} { root, count, defaultCap, chainId, contractAddress, createdAt }
+ */
+function describeAllowlist(record) {
+  return {
+    root: record.root,
+    count: record.count,
+    defaultCap: record.defaultCap,
+    chainId: record.chainId,
+    contractAddress: record.contractAddress,
+    createdAt: record.createdAt,
+  };
+}
+
+/**
+ * Create a file-backed store of allowlist trees. Every tree is kept as the dump of
+ * its StandardMerkleTree, so its root, leaves and proofs can be reproduced at any time;
+ * an index per contract lists the trees built for it.
+ *
+ * Layout: <dir>/<chainId>-<contractAddress>/<root>.json and index.json
+ *
+ * @param {string} [dir] - Directory holding the trees
+ * @returns {Object} Store with save, list, latest and load
+ */
+function createAllowlistStore(dir = DEFAULT_ALLOWLIST_DIR) {
+  const run = createQueue();
+
+  // Loaded trees and their address lookup, by file path
+  const loaded = new Map();
+
+  function contractDir(contractAddress, chainId) {
+    return path.join(dir, `${Number(chainId)}-${contractAddress.toLowerCase()}`);
+  }
+
+  function treePath(contractAddress, chainId, root) {
+    return path.join(contractDir(contractAddress, chainId), `${root.toLowerCase()}.json`);
+  }
+
+  async function readIndex(contractAddress, chainId) {
+    const indexPath = path.join(contractDir(contractAddress, chainId), 'index.json');
+    return (await readJSONFile(indexPath, { allowlists: [] })).allowlists;
+  }
+
+  return {
+    /**
+     * Build and keep the tree of an allowlist. Saving the same entries again
+     * returns the allowlist already stored.
+     * @param {Object} params - Allowlist parameters
+     * @param {Array<Object>} params.entries - Entries from normalizeAllowlist()
+     * @param {number} params.defaultCap - Cap given to entries without one
+     * @param {string} params.contractAddress - LazyNFT contract the allowlist is for
+     * @param {number} params.chainId - Chain ID of the contract
+     * @returns {Promise<Object>} Allowlist summary (see describeAllowlist())
+     */
+    save({ entries, defaultCap, contractAddress, chainId }) {
+      const tree = buildAllowlistTree(entries);
+
+      return run(async () => {
+        const allowlists = await readIndex(contractAddress, chainId);
+        const existing = allowlists.find((entry) => entry.root === tree.root);
+        if (existing) {
+          return existing;
+        }
+
+        const summary = {
+          root: tree.root,
+          count: entries.length,
+          defaultCap,
+          chainId: Number(chainId),
+          contractAddress,
+          createdAt: new Date().toISOString(),
+        };
+
+        await writeJSONFile(treePath(contractAddress, chainId, tree.root), {
+          ...summary,
+          tree: tree.dump(),
+        });
+        allowlists.push(summary);
+        await writeJSONFile(path.join(contractDir(contractAddress, chainId), 'index.json'), {
+          allowlists,
+        });
+        return summary;
+      });
+    },
+
+    /**
+     * List the allowlists built for a contract
+     * @param {string} contractAddress - Contract address
+     * @param {number} chainId - Chain ID
+     * @returns {Promise<Array<Object>>} Summaries, oldest first
+     */
+    list(contractAddress, chainId) {
+      return readIndex(contractAddress, chainId);
+    },
+
+    /**
+     * The allowlist built last for a contract
+     * @param {string} contractAddress - Contract address
+     * @param {number} chainId - Chain ID
+     * @returns {Promise<Object|null>} Summary
+     */
+    async latest(contractAddress, chainId) {
+      const allowlists = await readIndex(contractAddress, chainId);
+      return allowlists[allowlists.length - 1] || null;
+    },
+
+    /**
+     * Load an allowlist's tree
+     * @param {string} contractAddress - Contract address
+     * @param {number} chainId - Chain ID
+     * @param {string} root - Merkle root
+     * @returns {Promise<Object|null>} { record, tree, totalCap, getProof(address) }, or null
+     *   if unknown
+     */
+    async load(contractAddress, chainId, root) {
+      const filePath = treePath(contractAddress, chainId, root);
+      if (loaded.has(filePath)) {
+        return loaded.get(filePath);
+      }
+
+      const record = await readJSONFile(filePath, null);
+      if (!record) {
+        return null;
+      }
+
+      const tree = StandardMerkleTree.load(record.tree);
+      const indexByAddress = new Map();
+      let totalCap = 0;
+      for (const [i, [address, cap]] of tree.entries()) {
+        indexByAddress.set(address.toLowerCase(), i);
+        totalCap += Number(cap);
+      }
+
+      const allowlist = {
+        record,
+        tree,
+        // Tokens the whole list may mint, the least supply its presale needs
+        totalCap,
+
+        /**
+         * Proof that an address is on the allowlist
+         * @param {string} address - Account address
+         * @returns {Object|null} { address, cap, leaf, proof }, or null if not listed
+         */
+        getProof(address) {
+          const index = indexByAddress.get(address.toLowerCase());
+          if (index === undefined) {
+            return null;
+          }
+
+          const [listed, cap] = tree.at(index);
+          return {
+            address: listed,
+            cap: Number(cap),
+            leaf: tree.leafHash([listed, cap]),
+            proof: tree.getProof(index),
+          };
+        },
+      };
+
+      loaded.set(filePath, allowlist);
+      return allowlist;
+    },
+  };
+}
+
+module.exports = {
+  LEAF_ENCODING,
+  detectAllowlistFormat,
+  parseAllowlist,
+  normalizeAllowlist,
+  buildAllowlistTree,
+  describeAllowlist,
+  createAllowlistStore,
+};
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const path = require('path');
+const { readJSONFile, writeJSONFile, createQueue } = require('./jsonFile');
+
+const DEFAULT_API_KEYS_PATH = path.join(__dirname, '..', 'data', 'api-keys.json');
+
+// Scopes a key or session can hold; admin implies every other scope
+const SCOPES = ['upload', 'sign', 'relay', 'admin'];
+
+const KEY_PREFIX = 'cnf_';
+
+/**
+ * Hash an API key for storage and lookup (only hashes are ever persisted)
+ * @param {string} key - Plaintext API key
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Check that every scope is known
+ * @param {string[]} scopes - Requested scopes
+ * @returns {string[]} Unknown scopes
+ */
+function findUnknownScopes(scopes) {
+  return scopes.filter((scope) => !SCOPES.includes(scope));
+}
+
+/**
+ * Create a file-backed store of hashed API keys
+ * @param {string} [filePath] - JSON file holding the keys
+ * @returns {Object} Store with create, list, revoke and verify
+ */
+function createApiKeyStore(filePath = DEFAULT_API_KEYS_PATH) {
+  const run = createQueue();
+
+  async function load() {
+    return (await readJSONFile(filePath, { keys: [] })).keys;
+  }
+
+  function update(task) {
+    return run(async () => {
+      const keys = await load();
+      const result = await task(keys);
+      await writeJSONFile(filePath, { keys });
+      return result;
+    });
+  }
+
+  function toPublic({ hash, ...entry }) {
+    return entry;
+  }
+
+  return {
+    /**
+     * Create a key. The plaintext key is only returned here.
+     * @param {Object} params
+     * @param {string} params.name - Label for the key
+     * @param {string[]} params.scopes - Scopes granted to the key
+     * @returns {Object} { key, record }
+     */
+    create({ name, scopes }) {
+      const unknown = findUnknownScopes(scopes);
+      if (unknown.length > 0) {
+        throw new Error(`Unknown scopes: ${unknown.join(', ')}`);
+      }
+
+      const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+      const entry = {
+        id: crypto.randomUUID(),
+        name,
+        prefix: key.slice(0, KEY_PREFIX.length + 6),
+        hash: hashApiKey(key),
+        scopes,
+        createdAt: new Date().toISOString(),
+        revokedAt: null,
+      };
+
+      return update(async (keys) => {
+        keys.push(entry);
+        return { key, record: toPublic(entry) };
+      });
+    },
+
+    /**
+     * List keys (without hashes)
+     * @returns {Array} Key records
+     */
+    async list() {
+      return (await load()).map(toPublic);
+    },
+
+    /**
+     * Revoke a key by ID
+     * @param {string} id - Key ID
+     * @returns {Object|null} Revoked record, or null if not found
+     */
+    revoke(id) {
+      return update(async (keys) => {
+        const entry = keys.find((candidate) => candidate.id === id);
+        if (!entry) {
+          return null;
+        }
+        entry.revokedAt = entry.revokedAt || new Date().toISOString();
+        return toPublic(entry);
+      });
+    },
+
+    /**
+     * Look up an active key
+     * @param {string} key - Plaintext key from a request
+     * @returns {Object|null} Key record, or null if unknown or revoked
+     */
+    async verify(key) {
+      const hash = Buffer.from(hashApiKey(key), 'hex');
+      const entry = (await load()).find(
+        (candidate) =>
+          !candidate.revokedAt && crypto.timingSafeEqual(Buffer.from(candidate.hash, 'hex'), hash)
+      );
+      return entry ? toPublic(entry) : null;
+    },
+  };
+}
+
+module.exports = {
+  SCOPES,
+  KEY_PREFIX,
+  hashApiKey,
+  findUnknownScopes,
+  createApiKeyStore,
+};
@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { SiweMessage, generateNonce } = require('siwe');
+const { KEY_PREFIX, findUnknownScopes } = require('./apiKeys');
+const { AuthError } = require('./errors');
+
+const NONCE_TTL_MS = 10 * 60 * 1000;
+const DEFAULT_SESSION_TTL_MS = 8 * 60 * 60 * 1000;
+
+/**
+ * Parse SIWE operators from an env string
+ * @param {string} value - Comma-separated `address:scope+scope` entries, e.g.
+ *   `0xabc…:admin,0xdef…:upload+sign`
+ * @returns {Map} Checksummed address → scopes
+ */
+function parseOperators(value = '') {
+  const operators = new Map();
+
+  for (const entry of value.split(',').map((item) => item.trim())) {
+    if (!entry) {
+      continue;
+    }
+
+    const [address, scopeList = ''] = entry.split(':');
+    const scopes = scopeList.split('+').filter(Boolean);
+    const unknown = findUnknownScopes(scopes);
+
+    if (!ethers.isAddress(address) || scopes.length === 0 || unknown.length > 0) {
+      throw new Error(`Invalid SIWE operator entry: ${entry}`);
+    }
+    operators.set(ethers.getAddress(address), scopes);
+  }
+
+  return operators;
+}
+
+/**
+ * Check whether a set of scopes grants a required scope (admin grants everything)
+ * @param {string[]} scopes - Granted scopes
+ * @param {string} scope - Required scope
+ * @returns {boolean}
+ */
+function hasScope(scopes, scope) {
+  return scopes.includes('admin') || scopes.includes(scope);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Read the credential from a request: `X-API-Key: <key>` or `Authorization: Bearer <key|session>`
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+function getCredential(req) {
+  const apiKey = req.get('x-api-key');
+  if (apiKey) {
+    return apiKey.trim();
+  }
+
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Create the authentication layer: API keys (hashed, scoped) and SIWE (EIP-4361) sessions
+ * @param {Object} options
+ * @param {Object} options.apiKeyStore - Store from createApiKeyStore()
+ * @param {Map} [options.operators] - Wallets allowed to sign in (see parseOperators())
+ * @param {number} [options.sessionTtl] - Session lifetime in ms
+ * @param {string} [options.domain] - Domain SIWE messages must be issued for; SIWE is refused
+ *   without one, since the request's Host header is client-controlled
+ * @param {boolean} [options.disabled] - Skip all checks (local development only)
+ * @returns {Object} Auth with requireScope, issueNonce, signIn, signOut
+ */
+function createAuth({
+  apiKeyStore,
+  operators = new Map(),
+  sessionTtl = DEFAULT_SESSION_TTL_MS,
+  domain,
+  disabled = false,
+}) {
+  const nonces = new Map(); // nonce → expiry (ms)
+  const sessions = new Map(); // token hash → { address, scopes, expiresAt }
+
+  function assertSiweEnabled() {
+    if (!domain) {
+      throw new AuthError('Sign-In with Ethereum is not configured (SIWE_DOMAIN)', {
+        status: 503,
+        code: 'SIWE_DISABLED',
+      });
+    }
+  }
+
+  function prune(now = Date.now()) {
+    for (const [nonce, expiresAt] of nonces) {
+      if (expiresAt <= now) nonces.delete(nonce);
+    }
+    for (const [hash, session] of sessions) {
+      if (session.expiresAt <= now) sessions.delete(hash);
+    }
+  }
+
+  /**
+   * Resolve the caller of a request
+   * @param {Object} req - Express request
+   * @returns {Object|null} Principal: { type, scopes, ... }
+   */
+  async function authenticate(req) {
+    const credential = getCredential(req);
+    if (!credential) {
+      return null;
+    }
+
+    if (credential.startsWith(KEY_PREFIX)) {
+      const key = await apiKeyStore.verify(credential);
+      return key ? { type: 'api-key', id: key.id, name: key.name, scopes: key.scopes } : null;
+    }
+
+    prune();
+    const session = sessions.get(hashToken(credential));
+    return session ? { type: 'siwe', ...session } : null;
+  }
+
+  return {
+    disabled,
+
+    /**
+     * Express middleware requiring every listed scope
+     * @param {...string} scopes - Required scopes
+     * @returns {Function} Middleware; sets req.auth to the caller
+     */
+    requireScope(...scopes) {
+      return async (req, res, next) => {
+        if (disabled) {
+          return next();
+        }
+
+        try {
+          const principal = await authenticate(req);
+          if (!principal) {
+            return res.status(401).json({
+              error: 'Authentication required',
+              code: 'UNAUTHORIZED',
+            });
+          }
+
+          const missing = scopes.filter((scope) => !hasScope(principal.scopes, scope));
+          if (missing.length > 0) {
+            return res.status(403).json({
+              error: `Missing scope: ${missing.join(', ')}`,
+              code: 'FORBIDDEN',
+            });
+          }
+
+          req.auth = principal;
+          next();
+        } catch (error) {
+          next(error);
+        }
+      };
+    },
+
+    /**
+     * Issue a single-use SIWE nonce
+     * @returns {string} Nonce
+     * @throws {AuthError} If no SIWE domain is configured
+     */
+    issueNonce() {
+      assertSiweEnabled();
+      prune();
+      const nonce = generateNonce();
+      nonces.set(nonce, Date.now() + NONCE_TTL_MS);
+      return nonce;
+    },
+
+    /**
+     * Verify a signed SIWE message and open a session for an operator wallet
+     * @param {Object} params
+     * @param {string} params.message - EIP-4361 message
+     * @param {string} params.signature - Wallet signature of the message
+     * @returns {Object} { token, address, scopes, expiresAt }
+     */
+    async signIn({ message, signature }) {
+      assertSiweEnabled();
+      if (!message || !signature) {
+        throw new AuthError('message and signature are required', {
+          status: 400,
+          code: 'INVALID_REQUEST',
+        });
+      }
+
+      let siwe;
+      try {
+        siwe = new SiweMessage(message);
+      } catch (error) {
+        throw new AuthError('Malformed SIWE message', { status: 400, code: 'INVALID_REQUEST' });
+      }
+
+      prune();
+      if (!nonces.delete(siwe.nonce)) {
+        throw new AuthError('Unknown or expired nonce');
+      }
+
+      try {
+        await siwe.verify({ signature, domain, nonce: siwe.nonce });
+      } catch (error) {
+        throw new AuthError('Invalid SIWE message or signature');
+      }
+
+      const address = ethers.getAddress(siwe.address);
+      const scopes = operators.get(address);
+      if (!scopes) {
+        throw new AuthError('Address is not an operator', { status: 403, code: 'FORBIDDEN' });
+      }
+
+      let expiresAt = Date.now() + sessionTtl;
+      if (siwe.expirationTime) {
+        expiresAt = Math.min(expiresAt, Date.parse(siwe.expirationTime));
+      }
+
+      const token = crypto.randomBytes(32).toString('base64url');
+      sessions.set(hashToken(token), { address, scopes, expiresAt });
+
+      return { token, address, scopes, expiresAt: new Date(expiresAt).toISOString() };
+    },
+
+    /**
+     * End the session for a request (no-op for API keys)
+     * @param {Object} req - Express request
+     * @returns {boolean} True if a session was removed
+     */
+    signOut(req) {
+      const credential = getCredential(req);
+      return credential ? sessions.delete(hashToken(credential)) : false;
+    },
+  };
+}
+
+module.exports = {
+  parseOperators,
+  hasScope,
+  createAuth,
+};
@@ -0,0 +1,728 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { parse: parseCSV } = require('csv-parse/sync');
+const { readJSONFile, writeJSONFile } = require('./jsonFile');
+const { createNFT, issueVoucher } = require('./nftPipeline');
+const { createNFTMetadata } = require('./pinata');
+const { describeImage } = require('./media');
+const { serializeJSON, cidsEqual } = require('./cid');
+const { CidMismatchError } = require('./errors');
+const { buildProvenanceRecord } = require('./provenance');
+const { parseAttributes } = require('./metadata');
+const { isTokenId } = require('./voucher');
+const { VOUCHER_STATUS } = require('./voucherStore');
+
+const DEFAULT_BATCH_DIR = path.join(__dirname, '..', 'data', 'batches');
+
+const ROW_STATUS = {
+  PENDING: 'pending',
+  DONE: 'done',
+  FAILED: 'failed',
+};
+
+/**
+ * How a job pins its collection: every token's image and metadata on their own,
+ * or the whole collection as one directory of images/ and metadata/
+ */
+const BATCH_LAYOUT = {
+  PER_TOKEN: 'per-token',
+  DIRECTORY: 'directory',
+};
+
+const JOB_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  COMPLETED_WITH_ERRORS: 'completed_with_errors',
+};
+
+/**
+ * Detect the manifest format from its file name
+ * @param {string} filename - Manifest file name
+ * @returns {string} "json" or "csv"
+ */
+function detectManifestFormat(filename) {
+  return path.extname(filename || '').toLowerCase() === '.json' ? 'json' : 'csv';
+}
+
+/**
+ * Parse a collection manifest into raw rows
+ * @param {string} content - Manifest file contents
+ * @param {string} format - "csv" or "json"
+ * @returns {Array<Object>} Raw manifest rows
+ */
+function parseManifest(content, format) {
+  let rows;
+
+  if (format === 'json') {
+    const parsed = JSON.parse(content);
+    rows = Array.isArray(parsed) ? parsed : parsed.rows;
+  } else {
+    rows = parseCSV(content, { columns: true, skip_empty_lines: true, trim: true });
+  }
+
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new Error('Manifest contains no rows');
+  }
+
+  return rows;
+}
+
+/**
+ * Normalize and validate one manifest row
+ * @param {Object} raw - Raw row from parseManifest()
+ * @returns {Object} NFT input for createNFT()
+ */
+function normalizeRow(raw) {
+  const file = raw.file || raw.file_name || raw.filename;
+  const imageUrl = raw.image_url || raw.imageUrl;
+
+  // minter may be left empty for an open voucher any wallet can redeem
+  const missing = ['name', 'description', 'price'].filter((field) => !raw[field]);
+  if (!file && !imageUrl) {
+    missing.push('file');
+  }
+  if (missing.length > 0) {
+    throw new Error(`Missing required fields: ${missing.join(', ')}`);
+  }
+
+  const tokenId = raw.tokenId ?? raw.token_id;
+  if (tokenId !== undefined && tokenId !== '' && !isTokenId(tokenId)) {
+    throw new Error('tokenId must be an integer from 0 to 2^256 - 1 (a string above 2^53 - 1)');
+  }
+
+  return {
+    tokenId: tokenId === undefined || tokenId === '' ? undefined : String(tokenId),
+    name: raw.name,
+    description: raw.description,
+    attributes: parseAttributes(raw.attributes),
+    price: raw.price.toString(),
+    minter: raw.minter || undefined,
+    externalUrl: raw.externalUrl || raw.external_url,
+    file,
+    imageUrl,
+  };
+}
+
+/**
+ * Open a directory or zip archive of images
+ * @param {string} imagesPath - Directory or .zip path
+ * @returns {Object} Source with read(fileName) => Promise<Buffer>
+ */
+function openImageSource(imagesPath) {
+  if (fs.statSync(imagesPath).isDirectory()) {
+    const root = path.resolve(imagesPath);
+
+    return {
+      async read(fileName) {
+        const resolved = path.resolve(root, fileName);
+        if (!resolved.startsWith(root + path.sep)) {
+          throw new Error(`Image path escapes the images directory: ${fileName}`);
+        }
+        return fs.promises.readFile(resolved);
+      },
+    };
+  }
+
+  const entries = new AdmZip(imagesPath).getEntries().filter((entry) => !entry.isDirectory);
+
+  return {
+    async read(fileName) {
+      // Match the full path first, then fall back to the bare file name
+      const entry =
+        entries.find((candidate) => candidate.entryName === fileName) ||
+        entries.find((candidate) => path.posix.basename(candidate.entryName) === fileName);
+
+      if (!entry) {
+        throw new Error(`Image not found in archive: ${fileName}`);
+      }
+      return entry.getData();
+    },
+  };
+}
+
+function jobPath(jobId, dir) {
+  if (!/^[\w-]+$/.test(jobId)) {
+    throw new Error('Invalid batch job ID');
+  }
+  return path.join(dir, `${jobId}.json`);
+}
+
+function saveJob(job, dir) {
+  job.updatedAt = new Date().toISOString();
+  return writeJSONFile(jobPath(job.id, dir), job);
+}
+
+function summarize(job) {
+  const count = (status) => job.rows.filter((row) => row.status === status).length;
+
+  return {
+    total: job.rows.length,
+    done: count(ROW_STATUS.DONE),
+    failed: count(ROW_STATUS.FAILED),
+    pending: count(ROW_STATUS.PENDING),
+  };
+}
+
+/**
+ * Load a batch job
+ * @param {string} jobId - Job ID
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Directory holding job files
+ * @returns {Object|null} Job or null if not found
+ */
+async function loadBatchJob(jobId, options = {}) {
+  const { dir = DEFAULT_BATCH_DIR } = options;
+  return readJSONFile(jobPath(jobId, dir), null);
+}
+
+/**
+ * Create a batch job, or return the existing job with the same ID so it can be resumed
+ * @param {Object} params - Job parameters
+ * @param {Array<Object>} params.rows - Raw manifest rows
+ * @param {string} params.imagesPath - Directory or zip archive with the images
+ * @param {string} [params.collectionId] - Collection the job mints into
+ * @param {string} [params.layout] - One of BATCH_LAYOUT (default per-token)
+ * @param {string} [params.placeholderUri] - Directory layout only: make a hidden drop, whose
+ *   vouchers carry this URI until the reveal
+ * @param {string} [params.jobId] - Job ID (random when omitted)
+ * @param {string} [params.dir] - Directory holding job files
+ * @returns {Object} Job
+ */
+async function createBatchJob({
+  rows,
+  imagesPath,
+  collectionId = null,
+  layout = BATCH_LAYOUT.PER_TOKEN,
+  placeholderUri = null,
+  jobId,
+  dir = DEFAULT_BATCH_DIR,
+}) {
+  if (!Object.values(BATCH_LAYOUT).includes(layout)) {
+    throw new Error(`Unknown batch layout: ${layout}`);
+  }
+  if (placeholderUri && layout !== BATCH_LAYOUT.DIRECTORY) {
+    throw new Error('Hidden drops need the directory layout');
+  }
+  const id = jobId || crypto.randomUUID();
+
+  const existing = await loadBatchJob(id, { dir });
+  if (existing) {
+    return existing;
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id,
+    status: JOB_STATUS.PENDING,
+    collectionId,
+    layout,
+    placeholderUri,
+    imagesPath: path.resolve(imagesPath),
+    rows: rows.map((input, index) => ({
+      index,
+      status: ROW_STATUS.PENDING,
+      input,
+      progress: {},
+      error: null,
+      errorCode: null,
+    })),
+    createdAt: now,
+    updatedAt: now,
+  };
+  job.summary = summarize(job);
+
+  await saveJob(job, dir);
+  return job;
+}
+
+/**
+ * Store an uploaded image archive next to its job so the job can be resumed later
+ * @param {string} jobId - Job ID
+ * @param {Buffer} buffer - Zip archive contents
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Directory holding job files
+ * @returns {string} Path to the stored archive
+ */
+async function saveBatchArchive(jobId, buffer, options = {}) {
+  const { dir = DEFAULT_BATCH_DIR } = options;
+  const archivePath = path.join(path.dirname(jobPath(jobId, dir)), jobId, 'images.zip');
+
+  await fs.promises.mkdir(path.dirname(archivePath), { recursive: true });
+  await fs.promises.writeFile(archivePath, buffer);
+  return archivePath;
+}
+
+/**
+ * Keep a tokenId reserved for a job across restarts: a reservation that
+ * expired while the job was stopped is taken again
+ * @param {Object} tokenAllocator - Token allocator
+ * @param {string|number} tokenId - Token ID the job reserved earlier (a number in jobs
+ *   saved by earlier versions)
+ */
+async function holdTokenId(tokenAllocator, tokenId) {
+  const reservations = await tokenAllocator.list();
+  if (!reservations.some((reservation) => reservation.tokenId === String(tokenId))) {
+    await tokenAllocator.reserve(tokenId);
+  }
+}
+
+/**
+ * The ledger record of the voucher a row was signing when the job stopped, if it
+ * was saved. Its tokenId is held for it again, as if the run had not stopped.
+ * @param {Object} ctx - Backend context
+ * @param {string} [voucherId] - Ledger ID the row checkpointed before signing
+ * @returns {Promise<Object|null>} Voucher record, or null if the voucher was never saved
+ */
+async function findSignedVoucher(ctx, voucherId) {
+  const record = voucherId ? await ctx.voucherStore.get(voucherId) : null;
+  if (record?.status === VOUCHER_STATUS.ISSUED) {
+    await holdTokenId(ctx.tokenAllocator, record.tokenId);
+    await ctx.tokenAllocator.attach(record.tokenId, record.id, record.expiresAt);
+  }
+  return record;
+}
+
+/**
+ * Check every row of a directory job and stage its images. Nothing is pinned
+ * unless every row is valid, because a pinned directory cannot be amended.
+ *
+ * Images are inspected one at a time, then each row gets a tokenId and its
+ * image (and thumbnail) is written to images/ in the staging directory as
+ * <tokenId>.<ext>, the name it has in the pinned directory.
+ *
+ * @param {Object} ctx - Backend context
+ * @param {Object} job - Batch job
+ * @param {Object} source - Image source from openImageSource()
+ * @param {string} stagingDir - Where staged images are written
+ * @returns {Promise<boolean>} Whether every row is valid and staged
+ */
+async function stageDirectoryRows(ctx, job, source, stagingDir) {
+  const readImage = async (input) => {
+    const buffer = await source.read(input.file);
+    return { buffer, info: await ctx.media.inspect(buffer) };
+  };
+
+  // Pass 1: validate every row and image before reserving anything
+  for (const row of job.rows) {
+    try {
+      const input = normalizeRow(row.input);
+      createNFTMetadata(
+        {
+          name: input.name,
+          description: input.description,
+          image: input.imageUrl,
+          attributes: input.attributes,
+          externalUrl: input.externalUrl,
+        },
+        { requireImage: !input.file }
+      );
+      if (input.file) {
+        await readImage(input);
+      } else if (job.placeholderUri) {
+        throw new Error('Hidden drops need an image file for every row');
+      }
+      row.status = ROW_STATUS.PENDING;
+      row.error = null;
+      row.errorCode = null;
+    } catch (error) {
+      row.status = ROW_STATUS.FAILED;
+      row.error = error.message;
+      row.errorCode = error.code || null;
+    }
+  }
+  if (job.rows.some((row) => row.status === ROW_STATUS.FAILED)) {
+    return false;
+  }
+
+  // Pass 2: reserve token IDs (keeping those from an earlier run) and stage images
+  const imagesDir = path.join(stagingDir, 'images');
+  await fs.promises.mkdir(imagesDir, { recursive: true });
+  const reserved = [];
+
+  for (const row of job.rows) {
+    const input = normalizeRow(row.input);
+    try {
+      if (row.tokenId !== undefined) {
+        await holdTokenId(ctx.tokenAllocator, row.tokenId);
+      } else {
+        row.tokenId = (await ctx.tokenAllocator.reserve(input.tokenId)).tokenId;
+        reserved.push(row.tokenId);
+      }
+    } catch (error) {
+      row.status = ROW_STATUS.FAILED;
+      row.error = error.message;
+      row.errorCode = error.code || null;
+      for (const tokenId of reserved) {
+        await ctx.tokenAllocator.release(tokenId);
+      }
+      for (const other of job.rows) {
+        if (reserved.includes(other.tokenId)) {
+          delete other.tokenId;
+        }
+      }
+      return false;
+    }
+
+    row.progress = {};
+    if (input.file) {
+      const { buffer, info } = await readImage(input);
+      const file = `${row.tokenId}.${info.extension}`;
+      await fs.promises.writeFile(path.join(imagesDir, file), buffer);
+      row.progress.file = file;
+      row.progress.image = describeImage(info);
+
+      const thumbnail = await ctx.media.createThumbnail(buffer);
+      if (thumbnail) {
+        const thumbnailFile = `${row.tokenId}.${thumbnail.filename}`;
+        await fs.promises.writeFile(path.join(imagesDir, thumbnailFile), thumbnail.buffer);
+        row.progress.thumbnailFile = thumbnailFile;
+        row.progress.thumbnail = describeImage(thumbnail);
+      }
+    }
+  }
+  return true;
+}
+
+/**
+ * The staged files of a directory job, as uploadDirectory() takes them:
+ * images/<tokenId>.<ext> (and thumbnails) and metadata/<tokenId>.json
+ * @param {Object} job - Batch job
+ * @param {string} stagingDir - Staging directory
+ * @returns {Object[]} [{ name, filePath }]
+ */
+function collectionFiles(job, stagingDir) {
+  const images = job.rows.flatMap((row) =>
+    [row.progress.file, row.progress.thumbnailFile].filter(Boolean)
+  );
+  return [
+    ...images.map((name) => `images/${name}`),
+    ...job.rows.map((row) => `metadata/${row.tokenId}.json`),
+  ].map((name) => ({ name, filePath: path.join(stagingDir, name) }));
+}
+
+/**
+ * Pin a directory job's staged collection and remove the staging directory.
+ * Vouchers, metadata and the provenance record already name the CIDs computed
+ * at import, so content pinned under another CID is of no use.
+ * @param {Object} ctx - Backend context
+ * @param {Object} job - Batch job, with job.directory computed
+ * @param {string} stagingDir - Staging directory
+ * @throws {CidMismatchError} If the provider pinned the directory under another CID
+ */
+async function pinDirectory(ctx, job, stagingDir) {
+  const result = await ctx.storage.uploadDirectory(collectionFiles(job, stagingDir), {
+    name: job.id,
+    keyvalues: { batchId: job.id, type: 'collection' },
+  });
+
+  const expected = job.directory.ipfsHash;
+  if (!cidsEqual(result.ipfsHash, expected)) {
+    throw new CidMismatchError(
+      `${ctx.storage.name} stored the collection as ${result.ipfsHash}, but it hashes to ${expected}`,
+      { expected, actual: result.ipfsHash }
+    );
+  }
+
+  job.directory.gatewayUrl = result.gatewayUrl;
+  job.directory.pinned = true;
+  await fs.promises.rm(stagingDir, { recursive: true, force: true });
+}
+
+/**
+ * Run a directory job: stage every row, then pin the whole collection as one
+ * directory holding images/ and metadata/<tokenId>.json, and sign each
+ * voucher for ipfs://<dirCID>/<tokenId>.json, where dirCID is the metadata
+ * subdirectory's own CID.
+ *
+ * Metadata cannot name the CID of a directory it is part of, so image URIs
+ * point into the images subdirectory by its CID instead. Every CID is
+ * computed before anything is pinned and checkpointed on the job, so a
+ * resumed job only pins and signs what is still missing.
+ *
+ * A hidden drop (job.placeholderUri) records a provenance record over its
+ * image CIDs instead of pinning, and its vouchers carry the placeholder URI.
+ * The staged directory is pinned by revealBatchJob().
+ *
+ * @param {Object} ctx - Backend context
+ * @param {Object} job - Batch job
+ * @param {Object} options - { dir, onRow }, as for runBatchJob()
+ */
+async function runDirectoryJob(ctx, job, { dir, onRow }) {
+  const stagingDir = path.join(dir, job.id, 'directory');
+
+  const failRows = (error) => {
+    for (const row of job.rows) {
+      row.status = ROW_STATUS.FAILED;
+      row.error = error.message;
+      row.errorCode = error.code || null;
+    }
+    job.summary = summarize(job);
+  };
+
+  if (!job.directory) {
+    const staged = await stageDirectoryRows(ctx, job, openImageSource(job.imagesPath), stagingDir);
+    job.summary = summarize(job);
+    await saveJob(job, dir);
+    if (!staged) {
+      job.error = 'Nothing was pinned: fix the failed rows and import the collection again';
+      job.rows.filter((row) => row.status === ROW_STATUS.FAILED).forEach((row) => onRow(row, job));
+      return;
+    }
+
+    try {
+      // Step 1: the CID images/ will have
+      const images = job.rows.flatMap((row) =>
+        [row.progress.file, row.progress.thumbnailFile]
+          .filter(Boolean)
+          .map((name) => ({ name, filePath: path.join(stagingDir, 'images', name) }))
+      );
+      const imagesUrl =
+        images.length > 0 ? `ipfs://${await ctx.storage.computeDirectoryCid(images)}` : null;
+
+      // Step 2: every token's metadata, with image URIs inside images/
+      const metadataDir = path.join(stagingDir, 'metadata');
+      await fs.promises.mkdir(metadataDir, { recursive: true });
+      const metadataFiles = [];
+      for (const row of job.rows) {
+        const input = normalizeRow(row.input);
+        const { file, image, thumbnailFile, thumbnail } = row.progress;
+        const metadata = createNFTMetadata({
+          name: input.name,
+          description: input.description,
+          image: file ? `${imagesUrl}/${file}` : input.imageUrl,
+          attributes: input.attributes,
+          externalUrl: input.externalUrl,
+          properties: file
+            ? {
+                image,
+                ...(thumbnail && {
+                  thumbnail: { uri: `${imagesUrl}/${thumbnailFile}`, ...thumbnail },
+                }),
+              }
+            : undefined,
+        });
+
+        const filePath = path.join(metadataDir, `${row.tokenId}.json`);
+        await fs.promises.writeFile(filePath, serializeJSON(metadata));
+        metadataFiles.push({ name: `${row.tokenId}.json`, filePath });
+      }
+      const metadataUrl = `ipfs://${await ctx.storage.computeDirectoryCid(metadataFiles)}`;
+
+      const ipfsHash = await ctx.storage.computeDirectoryCid(collectionFiles(job, stagingDir));
+      job.directory = {
+        ipfsHash,
+        ipfsUrl: `ipfs://${ipfsHash}`,
+        images: imagesUrl,
+        metadata: metadataUrl,
+        baseUri: `${metadataUrl}/`,
+        pinned: false,
+      };
+
+      // A hidden drop commits to the image every token gets, without pinning anything
+      if (job.placeholderUri) {
+        const tokens = [];
+        for (const row of job.rows) {
+          const imagePath = path.join(stagingDir, 'images', row.progress.file);
+          tokens.push({
+            tokenId: row.tokenId,
+            imageCid: await ctx.storage.computeFileCid(imagePath),
+          });
+        }
+        job.provenance = buildProvenanceRecord(tokens);
+      }
+      await saveJob(job, dir);
+    } catch (error) {
+      failRows(error);
+      return;
+    }
+  }
+
+  // Step 3: the whole collection as one directory (at the reveal, for a hidden drop)
+  if (!job.directory.pinned && !job.placeholderUri) {
+    try {
+      await pinDirectory(ctx, job, stagingDir);
+      await saveJob(job, dir);
+    } catch (error) {
+      failRows(error);
+      return;
+    }
+  }
+
+  // Step 4: a voucher per token, for its file in metadata/ (or the placeholder)
+  for (const row of job.rows) {
+    if (row.status === ROW_STATUS.DONE) {
+      continue;
+    }
+
+    try {
+      const input = normalizeRow(row.input);
+      const imageUrl = row.progress.file
+        ? `${job.directory.images}/${row.progress.file}`
+        : input.imageUrl;
+
+      // The ledger ID is checkpointed before signing, so a resumed row reuses its voucher
+      let record = await findSignedVoucher(ctx, row.progress.voucherId);
+      if (!record) {
+        if (!row.progress.voucherId) {
+          row.progress.voucherId = crypto.randomUUID();
+          await saveJob(job, dir);
+        }
+
+        await holdTokenId(ctx.tokenAllocator, row.tokenId);
+        ({ record } = await issueVoucher(
+          ctx,
+          {
+            voucherId: row.progress.voucherId,
+            tokenId: row.tokenId,
+            price: input.price,
+            uri: job.placeholderUri || `${job.directory.baseUri}${row.tokenId}.json`,
+            minter: input.minter,
+          },
+          // A hidden drop's ledger must not give its images away before the reveal
+          { name: input.name, ...(!job.placeholderUri && { imageUrl }) }
+        ));
+        await ctx.tokenAllocator.attach(row.tokenId, record.id, record.expiresAt);
+      }
+
+      row.status = ROW_STATUS.DONE;
+      row.error = null;
+      row.errorCode = null;
+      row.voucherId = record.id;
+      row.uri = record.uri;
+    } catch (error) {
+      row.status = ROW_STATUS.FAILED;
+      row.error = error.message;
+      row.errorCode = error.code || null;
+    }
+
+    job.summary = summarize(job);
+    await saveJob(job, dir);
+    onRow(row, job);
+  }
+}
+
+/**
+ * Pin a hidden drop's collection, so it can be revealed on-chain with
+ * LazyNFT.reveal(job.directory.baseUri). The directory is pinned under the
+ * CID computed at import, which the revealed metadata and the provenance
+ * record already commit to. Pinning again is a no-op.
+ * @param {Object} ctx - Backend context
+ * @param {Object} job - Hidden drop batch job
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Directory holding job files
+ * @returns {Promise<Object>} job.directory
+ */
+async function revealBatchJob(ctx, job, options = {}) {
+  const { dir = DEFAULT_BATCH_DIR } = options;
+
+  if (!job.placeholderUri) {
+    throw new Error('Batch job is not a hidden drop');
+  }
+  if (!job.directory) {
+    throw new Error('Hidden drop has not been imported yet: run the batch job first');
+  }
+
+  if (!job.directory.pinned) {
+    await pinDirectory(ctx, job, path.join(dir, job.id, 'directory'));
+    await saveJob(job, dir);
+  }
+  return job.directory;
+}
+
+/**
+ * Run every row of a batch job that has not completed yet.
+ *
+ * Rows run one at a time through the same upload → createNFTMetadata →
+ * createVoucher pipeline as /api/create-nft. Upload results, and the ledger ID
+ * of the voucher about to be signed, are checkpointed per row, so re-running a
+ * job retries failed rows without re-pinning what already succeeded or signing
+ * a second voucher for a row. Directory jobs are run by runDirectoryJob() instead.
+ *
+ * @param {Object} ctx - Backend context
+ * @param {Object} job - Job from createBatchJob() or loadBatchJob()
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Directory holding job files
+ * @param {Function} [options.onRow] - Called with (row, job) after each row
+ * @returns {Object} Finished job
+ */
+async function runBatchJob(ctx, job, options = {}) {
+  const { dir = DEFAULT_BATCH_DIR, onRow = () => {} } = options;
+
+  job.status = JOB_STATUS.RUNNING;
+  job.error = null;
+  await saveJob(job, dir);
+
+  if (job.layout === BATCH_LAYOUT.DIRECTORY) {
+    await runDirectoryJob(ctx, job, { dir, onRow });
+    return finishJob(job, dir);
+  }
+
+  const source = openImageSource(job.imagesPath);
+  for (const row of job.rows) {
+    if (row.status === ROW_STATUS.DONE) {
+      continue;
+    }
+
+    try {
+      const input = normalizeRow(row.input);
+
+      // A row that stopped after signing (createNFT checkpoints the ledger ID first)
+      let record = await findSignedVoucher(ctx, row.progress.voucherId);
+      if (!record) {
+        let image;
+        if (input.file && !row.progress.imageUrl) {
+          image = { buffer: await source.read(input.file), filename: path.basename(input.file) };
+        }
+
+        ({ record } = await createNFT(ctx, { ...input, image }, row.progress, () =>
+          saveJob(job, dir)
+        ));
+      }
+
+      row.status = ROW_STATUS.DONE;
+      row.error = null;
+      row.errorCode = null;
+      row.tokenId = record.tokenId;
+      row.voucherId = record.id;
+      row.uri = record.uri;
+    } catch (error) {
+      row.status = ROW_STATUS.FAILED;
+      row.error = error.message;
+      row.errorCode = error.code || null;
+    }
+
+    job.summary = summarize(job);
+    await saveJob(job, dir);
+    onRow(row, job);
+  }
+
+  return finishJob(job, dir);
+}
+
+async function finishJob(job, dir) {
+  job.summary = summarize(job);
+  job.status =
+    job.summary.failed > 0 || job.summary.pending > 0
+      ? JOB_STATUS.COMPLETED_WITH_ERRORS
+      : JOB_STATUS.COMPLETED;
+  await saveJob(job, dir);
+  return job;
+}
+
+module.exports = {
+  ROW_STATUS,
+  BATCH_LAYOUT,
+  JOB_STATUS,
+  detectManifestFormat,
+  parseManifest,
+  normalizeRow,
+  openImageSource,
+  createBatchJob,
+  loadBatchJob,
+  saveBatchArchive,
+  runBatchJob,
+  revealBatchJob,
+};
@@ -0,0 +1,672 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Kubo's `ipfs add` defaults, which Pinata uses as well
+const DEFAULT_CHUNK_SIZE = 262144;
+const DEFAULT_MAX_CHILDREN = 174;
+
+const CODEC_DAG_PB = 0x70;
+const CODEC_RAW = 0x55;
+const SHA2_256 = 0x12;
+
+// UnixFS Data.Type values
+const UNIXFS_DIRECTORY = 1;
+const UNIXFS_FILE = 2;
+const UNIXFS_HAMT_SHARD = 5;
+
+// Kubo shards a directory once the names and CIDs of its links add up to over 256 KiB
+const HAMT_SHARDING_SIZE = 262144;
+const HAMT_FANOUT = 256;
+const MURMUR3_X64_64 = 0x22;
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+function base32(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    value &= (1 << bits) - 1;
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function decodeBase32(string) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of string) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character "${char}"`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+    value &= (1 << bits) - 1;
+  }
+  return Buffer.from(bytes);
+}
+
+function base58(bytes) {
+  let number = BigInt(`0x${Buffer.from(bytes).toString('hex') || '0'}`);
+  let output = '';
+
+  while (number > 0n) {
+    output = BASE58_ALPHABET[Number(number % 58n)] + output;
+    number /= 58n;
+  }
+  for (const byte of bytes) {
+    if (byte !== 0) break;
+    output = `1${output}`;
+  }
+  return output;
+}
+
+function decodeBase58(string) {
+  let number = 0n;
+  for (const char of string) {
+    const index = BASE58_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base58 character "${char}"`);
+    }
+    number = number * 58n + BigInt(index);
+  }
+
+  const hex = number.toString(16);
+  const body = number > 0n ? Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex') : Buffer.alloc(0);
+  const zeros = string.length - string.replace(/^1+/, '').length;
+  return Buffer.concat([Buffer.alloc(zeros), body]);
+}
+
+function varint(value) {
+  const bytes = [];
+  let remaining = value;
+  while (remaining >= 128) {
+    bytes.push((remaining % 128) | 128);
+    remaining = Math.floor(remaining / 128);
+  }
+  bytes.push(remaining);
+  return Buffer.from(bytes);
+}
+
+function readVarint(bytes, offset) {
+  let value = 0;
+  let shift = 1;
+  let position = offset;
+  for (;;) {
+    if (position >= bytes.length) {
+      throw new Error('Truncated varint');
+    }
+    const byte = bytes[position++];
+    value += (byte & 127) * shift;
+    if (byte < 128) {
+      return [value, position];
+    }
+    shift *= 128;
+  }
+}
+
+// Protobuf fields: wire type 0 is a varint, 2 is length-delimited
+function varintField(number, value) {
+  return Buffer.concat([varint(number << 3), varint(value)]);
+}
+
+function bytesField(number, bytes) {
+  return Buffer.concat([varint((number << 3) | 2), varint(bytes.length), bytes]);
+}
+
+function sha256Multihash(digest) {
+  return Buffer.concat([Buffer.from([SHA2_256, digest.length]), digest]);
+}
+
+function sha256(bytes) {
+  return crypto.createHash('sha256').update(bytes).digest();
+}
+
+/**
+ * Encode a CID from its parts
+ * @param {number} version - 0 or 1
+ * @param {number} codec - Multicodec of the block
+ * @param {Buffer} multihash - Multihash of the block
+ * @returns {Object} { bytes, string }
+ */
+function encodeCid(version, codec, multihash) {
+  if (version === 0) {
+    return { bytes: multihash, string: base58(multihash) };
+  }
+  const bytes = Buffer.concat([varint(1), varint(codec), multihash]);
+  return { bytes, string: `b${base32(bytes)}` };
+}
+
+/**
+ * Compute a CIDv1 (raw codec, sha2-256) for a buffer
+ * @param {Buffer} buffer - Content
+ * @returns {string} Base32 CID string
+ */
+function computeRawCid(buffer) {
+  const builder = createRawCidBuilder();
+  builder.update(buffer);
+  return builder.digest();
+}
+
+/**
+ * Parse a CIDv0 (base58btc "Qm...") or base32 CIDv1 ("b...") string
+ * @param {string} cid - CID string
+ * @returns {Object} { version, codec, multihash }
+ * @throws {Error} If the string is not a CID in either form
+ */
+function parseCid(cid) {
+  if (typeof cid !== 'string') {
+    throw new Error('CID must be a string');
+  }
+
+  if (/^Qm[1-9A-HJ-NP-Za-km-z]{44}$/.test(cid)) {
+    return { version: 0, codec: CODEC_DAG_PB, multihash: decodeBase58(cid) };
+  }
+
+  if (/^b[a-z2-7]+$/.test(cid)) {
+    const bytes = decodeBase32(cid.slice(1));
+    const [version, codecOffset] = readVarint(bytes, 0);
+    const [codec, multihashOffset] = readVarint(bytes, codecOffset);
+    if (version !== 1) {
+      throw new Error(`Unsupported CID version ${version}`);
+    }
+    return { version, codec, multihash: bytes.subarray(multihashOffset) };
+  }
+
+  throw new Error(`Not a CIDv0 or base32 CIDv1: ${cid}`);
+}
+
+/**
+ * Whether two CID strings address the same block. A CIDv0 and the CIDv1 of the
+ * same dag-pb block are equal; malformed CIDs never are.
+ * @param {string} a - CID string
+ * @param {string} b - CID string
+ * @returns {boolean}
+ */
+function cidsEqual(a, b) {
+  try {
+    const left = parseCid(a);
+    const right = parseCid(b);
+    return left.codec === right.codec && left.multihash.equals(right.multihash);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * UnixFS Data message for a file node
+ * @param {Buffer|null} data - Bytes held by this node (leaves only)
+ * @param {number} fileSize - Bytes of file content under this node
+ * @param {number[]} blockSizes - File bytes under each child
+ * @returns {Buffer}
+ */
+function encodeUnixFsFile(data, fileSize, blockSizes) {
+  const fields = [varintField(1, UNIXFS_FILE)];
+  if (data && data.length > 0) {
+    fields.push(bytesField(2, data));
+  }
+  fields.push(varintField(3, fileSize));
+  for (const size of blockSizes) {
+    fields.push(varintField(4, size));
+  }
+  return Buffer.concat(fields);
+}
+
+/**
+ * dag-pb PBNode. Links are written before Data, as the canonical encoding requires.
+ * @param {Buffer} data - UnixFS Data message
+ * @param {Object[]} links - [{ cid, size, name? }]
+ * @returns {Buffer}
+ */
+function encodePBNode(data, links) {
+  const fields = links.map((link) =>
+    bytesField(
+      2,
+      Buffer.concat([
+        bytesField(1, link.cid.bytes),
+        bytesField(2, Buffer.from(link.name || '')),
+        varintField(3, link.size),
+      ])
+    )
+  );
+  fields.push(bytesField(1, data));
+  return Buffer.concat(fields);
+}
+
+/**
+ * Build the CID an IPFS node assigns to a file: UnixFS with fixed-size chunks
+ * and a balanced DAG, as `ipfs add` (and Pinata) build it. Content is fed in
+ * pieces, so a file of any size is hashed without holding it in memory.
+ *
+ * CIDv0 uses dag-pb leaves; CIDv1 defaults to raw leaves, as `--cid-version=1` does.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.cidVersion] - 0 (default) or 1
+ * @param {boolean} [options.rawLeaves] - Store chunks as raw blocks (default: cidVersion 1)
+ * @param {number} [options.chunkSize] - Chunk size in bytes (default 262144)
+ * @param {number} [options.maxChildren] - Links per DAG node (default 174)
+ * @returns {Object} { update(bytes), digest() => CID string (base58btc for v0, base32 for v1),
+ *   finish() => { cid, size } with the DAG's total size, as directory links record it }
+ */
+function createCidBuilder(options = {}) {
+  const {
+    cidVersion = 0,
+    rawLeaves = cidVersion === 1,
+    chunkSize = DEFAULT_CHUNK_SIZE,
+    maxChildren = DEFAULT_MAX_CHILDREN,
+  } = options;
+
+  if (cidVersion !== 0 && cidVersion !== 1) {
+    throw new Error(`Unsupported CID version ${cidVersion}`);
+  }
+  if (cidVersion === 0 && rawLeaves) {
+    throw new Error('CIDv0 cannot address raw leaves');
+  }
+
+  // Each node: { cid, fileSize, size } where size is the DAG's total serialized bytes
+  const leaves = [];
+  let pending = Buffer.alloc(0);
+
+  function addLeaf(chunk) {
+    const block = rawLeaves ? chunk : encodePBNode(encodeUnixFsFile(chunk, chunk.length, []), []);
+    const codec = rawLeaves ? CODEC_RAW : CODEC_DAG_PB;
+    leaves.push({
+      cid: encodeCid(cidVersion, codec, sha256Multihash(sha256(block))),
+      fileSize: chunk.length,
+      size: block.length,
+    });
+  }
+
+  return {
+    update(bytes) {
+      pending = Buffer.concat([pending, bytes]);
+      while (pending.length >= chunkSize) {
+        addLeaf(pending.subarray(0, chunkSize));
+        pending = pending.subarray(chunkSize);
+      }
+    },
+
+    finish() {
+      if (pending.length > 0 || leaves.length === 0) {
+        addLeaf(pending);
+        pending = Buffer.alloc(0);
+      }
+
+      let nodes = leaves;
+      while (nodes.length > 1) {
+        const parents = [];
+        for (let i = 0; i < nodes.length; i += maxChildren) {
+          const children = nodes.slice(i, i + maxChildren);
+          const fileSize = children.reduce((total, child) => total + child.fileSize, 0);
+          const block = encodePBNode(
+            encodeUnixFsFile(
+              null,
+              fileSize,
+              children.map((child) => child.fileSize)
+            ),
+            children
+          );
+          parents.push({
+            cid: encodeCid(cidVersion, CODEC_DAG_PB, sha256Multihash(sha256(block))),
+            fileSize,
+            size: block.length + children.reduce((total, child) => total + child.size, 0),
+          });
+        }
+        nodes = parents;
+      }
+
+      return { cid: nodes[0].cid.string, size: nodes[0].size };
+    },
+
+    digest() {
+      return this.finish().cid;
+    },
+  };
+}
+
+/**
+ * Build a CIDv1 (raw codec, sha2-256) of a whole file, fed in pieces
+ * @returns {Object} { update(bytes), digest() => base32 CID string, finish() => { cid, size } }
+ */
+function createRawCidBuilder() {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  return {
+    update(bytes) {
+      hash.update(bytes);
+      size += bytes.length;
+    },
+    finish() {
+      return { cid: encodeCid(1, CODEC_RAW, sha256Multihash(hash.digest())).string, size };
+    },
+    digest() {
+      return this.finish().cid;
+    },
+  };
+}
+
+/**
+ * Compute the CID an IPFS node assigns to a file held in memory
+ * @param {Buffer} buffer - File content
+ * @param {Object} [options] - Options for createCidBuilder()
+ * @returns {string} CID string
+ */
+function computeCid(buffer, options) {
+  const builder = createCidBuilder(options);
+  builder.update(Buffer.from(buffer));
+  return builder.digest();
+}
+
+/**
+ * Feed a file on disk through a CID builder, streaming it
+ * @param {string} filePath - File path
+ * @param {Object} builder - From createCidBuilder() or createRawCidBuilder()
+ * @returns {Promise<string>} CID string
+ */
+async function hashFile(filePath, builder) {
+  for await (const chunk of fs.createReadStream(filePath)) {
+    builder.update(chunk);
+  }
+  return builder.digest();
+}
+
+/**
+ * murmur3 x64 128-bit hash (seed 0), truncated to its first 64 bits: the
+ * hash function of UnixFS HAMT directories
+ * @param {Buffer} bytes - Input
+ * @returns {Buffer} 8 bytes, big-endian
+ */
+function murmur3x64(bytes) {
+  const MASK = 0xffffffffffffffffn;
+  const C1 = 0x87c37b91114253d5n;
+  const C2 = 0x4cf5ad432745937fn;
+  const rotl = (value, bits) => ((value << BigInt(bits)) | (value >> BigInt(64 - bits))) & MASK;
+  const fmix = (value) => {
+    let k = value;
+    k ^= k >> 33n;
+    k = (k * 0xff51afd7ed558ccdn) & MASK;
+    k ^= k >> 33n;
+    k = (k * 0xc4ceb9fe1a85ec53n) & MASK;
+    k ^= k >> 33n;
+    return k;
+  };
+  const mixK1 = (k) => (rotl((k * C1) & MASK, 31) * C2) & MASK;
+  const mixK2 = (k) => (rotl((k * C2) & MASK, 33) * C1) & MASK;
+
+  let h1 = 0n;
+  let h2 = 0n;
+  const blocks = Math.floor(bytes.length / 16);
+
+  for (let i = 0; i < blocks; i++) {
+    h1 ^= mixK1(bytes.readBigUInt64LE(i * 16));
+    h1 = (rotl(h1, 27) + h2) & MASK;
+    h1 = (h1 * 5n + 0x52dce729n) & MASK;
+    h2 ^= mixK2(bytes.readBigUInt64LE(i * 16 + 8));
+    h2 = (rotl(h2, 31) + h1) & MASK;
+    h2 = (h2 * 5n + 0x38495ab5n) & MASK;
+  }
+
+  const tail = bytes.subarray(blocks * 16);
+  let k1 = 0n;
+  let k2 = 0n;
+  for (let i = tail.length - 1; i >= 8; i--) {
+    k2 |= BigInt(tail[i]) << BigInt((i - 8) * 8);
+  }
+  for (let i = Math.min(tail.length, 8) - 1; i >= 0; i--) {
+    k1 |= BigInt(tail[i]) << BigInt(i * 8);
+  }
+  if (tail.length > 8) {
+    h2 ^= mixK2(k2);
+  }
+  if (tail.length > 0) {
+    h1 ^= mixK1(k1);
+  }
+
+  h1 ^= BigInt(bytes.length);
+  h2 ^= BigInt(bytes.length);
+  h1 = (h1 + h2) & MASK;
+  h2 = (h2 + h1) & MASK;
+  h1 = fmix(h1);
+  h2 = fmix(h2);
+  h1 = (h1 + h2) & MASK;
+
+  const digest = Buffer.alloc(8);
+  digest.writeBigUInt64BE(h1);
+  return digest;
+}
+
+/**
+ * Bytes of a CID string, as links store them
+ * @param {string} cid - CID string
+ * @returns {Buffer}
+ */
+function cidBytes(cid) {
+  const { version, codec, multihash } = parseCid(cid);
+  return version === 0 ? multihash : Buffer.concat([varint(1), varint(codec), multihash]);
+}
+
+/**
+ * Encode a dag-pb directory node and describe it as a link target
+ * @param {number} cidVersion - 0 or 1
+ * @param {Buffer} data - UnixFS Data message
+ * @param {Object[]} links - [{ name, cid, size }], already in order
+ * @returns {Object} { cid, size }
+ */
+function directoryNode(cidVersion, data, links) {
+  const block = encodePBNode(data, links);
+  return {
+    cid: encodeCid(cidVersion, CODEC_DAG_PB, sha256Multihash(sha256(block))),
+    size: block.length + links.reduce((total, link) => total + link.size, 0),
+  };
+}
+
+/**
+ * One level of a HAMT directory: entries are placed by one byte of the hash of
+ * their name, and entries that share a byte move into a shard one level down
+ * @param {Object[]} entries - [{ name, cid, size, hash }]
+ * @param {number} depth - Level, and the hash byte it uses
+ * @param {number} cidVersion - 0 or 1
+ * @returns {Object} { cid, size }
+ */
+function hamtShard(entries, depth, cidVersion) {
+  if (depth >= 8) {
+    throw new Error('Directory names collide in all 64 bits of their hash');
+  }
+
+  const slots = new Map();
+  for (const entry of entries) {
+    const index = entry.hash[depth];
+    slots.set(index, [...(slots.get(index) || []), entry]);
+  }
+
+  // The bitfield marks used slots; bit i is bit i % 8 of the (i / 8)th byte from the end
+  const bitfield = Buffer.alloc(HAMT_FANOUT / 8);
+  const links = [];
+  for (const index of [...slots.keys()].sort((a, b) => a - b)) {
+    bitfield[bitfield.length - 1 - (index >> 3)] |= 1 << (index & 7);
+    const label = index.toString(16).toUpperCase().padStart(2, '0');
+    const slot = slots.get(index);
+
+    if (slot.length === 1) {
+      links.push({ name: label + slot[0].name, cid: slot[0].cid, size: slot[0].size });
+    } else {
+      links.push({ name: label, ...hamtShard(slot, depth + 1, cidVersion) });
+    }
+  }
+
+  const firstUsed = bitfield.findIndex((byte) => byte !== 0);
+  const data = Buffer.concat([
+    varintField(1, UNIXFS_HAMT_SHARD),
+    bytesField(2, bitfield.subarray(firstUsed === -1 ? bitfield.length : firstUsed)),
+    varintField(5, MURMUR3_X64_64),
+    varintField(6, HAMT_FANOUT),
+  ]);
+  return directoryNode(cidVersion, data, links);
+}
+
+/**
+ * Build the CID an IPFS node assigns to a flat directory of already-hashed
+ * entries. Small directories are a single node with links sorted by name;
+ * past 256 KiB of link names and CIDs, Kubo shards them into a HAMT, and so
+ * does this.
+ * @param {Object[]} entries - [{ name, cid, size }] (size as returned by a builder's finish())
+ * @param {Object} [options]
+ * @param {number} [options.cidVersion] - 0 (default) or 1
+ * @returns {Object} { cid, size }
+ * @throws {Error} If a name is empty, contains "/" or is used twice
+ */
+function buildDirectory(entries, options = {}) {
+  const { cidVersion = 0 } = options;
+
+  const names = new Set();
+  for (const entry of entries) {
+    if (!entry.name || entry.name.includes('/') || entry.name === '.' || entry.name === '..') {
+      throw new Error(`Invalid file name in directory: "${entry.name}"`);
+    }
+    if (names.has(entry.name)) {
+      throw new Error(`Duplicate file name in directory: ${entry.name}`);
+    }
+    names.add(entry.name);
+  }
+
+  const links = entries.map((entry) => ({
+    name: entry.name,
+    cid: { bytes: cidBytes(entry.cid) },
+    size: entry.size,
+  }));
+  const linksSize = links.reduce(
+    (total, link) => total + Buffer.byteLength(link.name) + link.cid.bytes.length,
+    0
+  );
+
+  const node =
+    linksSize > HAMT_SHARDING_SIZE
+      ? hamtShard(
+          links.map((link) => ({ ...link, hash: murmur3x64(Buffer.from(link.name)) })),
+          0,
+          cidVersion
+        )
+      : directoryNode(
+          cidVersion,
+          varintField(1, UNIXFS_DIRECTORY),
+          links.sort((a, b) => Buffer.compare(Buffer.from(a.name), Buffer.from(b.name)))
+        );
+
+  return { cid: node.cid.string, size: node.size };
+}
+
+/**
+ * Build a directory tree of already-hashed files. A name may contain "/" to
+ * place the file in a subdirectory ("images/1.png"); each subdirectory is
+ * built with buildDirectory() like the root, so it has the CID it would have
+ * if it were added on its own.
+ * @param {Object[]} entries - [{ name, cid, size }]
+ * @param {Object} [options] - Options for buildDirectory()
+ * @returns {Object} { cid, size, directories: { <path>: cid } } for every subdirectory
+ * @throws {Error} If a path is used twice, or as both a file and a directory
+ */
+function buildDirectoryTree(entries, options) {
+  const root = new Map();
+  for (const entry of entries) {
+    const segments = entry.name.split('/');
+    const basename = segments.pop();
+
+    let level = root;
+    for (const segment of segments) {
+      if (!level.has(segment)) {
+        level.set(segment, new Map());
+      }
+      level = level.get(segment);
+      if (!(level instanceof Map)) {
+        throw new Error(`Directory name is also a file name: ${entry.name}`);
+      }
+    }
+    if (level.has(basename)) {
+      throw new Error(`Duplicate file name in directory: ${entry.name}`);
+    }
+    level.set(basename, { cid: entry.cid, size: entry.size });
+  }
+
+  const directories = {};
+  const build = (level, prefix) =>
+    buildDirectory(
+      [...level].map(([name, child]) => {
+        if (!(child instanceof Map)) {
+          return { name, ...child };
+        }
+        const directory = build(child, `${prefix}${name}/`);
+        directories[`${prefix}${name}`] = directory.cid;
+        return { name, ...directory };
+      }),
+      options
+    );
+
+  return { ...build(root, ''), directories };
+}
+
+/**
+ * Compute the CID of a directory of files, hashing each file with a fresh
+ * builder. Files on disk are streamed. Names may contain "/", as for
+ * buildDirectoryTree().
+ * @param {Object[]} files - [{ name, buffer } or { name, filePath }]
+ * @param {Function} createBuilder - () => builder, as for hashFile()
+ * @param {Object} [options] - Options for buildDirectory()
+ * @returns {Promise<string>} CID string of the directory
+ */
+async function hashDirectory(files, createBuilder, options) {
+  const entries = [];
+  for (const file of files) {
+    const builder = createBuilder();
+    if (file.filePath) {
+      for await (const chunk of fs.createReadStream(file.filePath)) {
+        builder.update(chunk);
+      }
+    } else {
+      builder.update(Buffer.from(file.buffer));
+    }
+    entries.push({ name: file.name, ...builder.finish() });
+  }
+  return buildDirectoryTree(entries, options).cid;
+}
+
+/**
+ * The bytes a JSON document is stored as. Every provider uploads exactly these,
+ * so a document's CID can be computed without uploading it.
+ * @param {*} data - JSON-serializable value
+ * @returns {Buffer}
+ */
+function serializeJSON(data) {
+  return Buffer.from(JSON.stringify(data));
+}
+
+module.exports = {
+  DEFAULT_CHUNK_SIZE,
+  createCidBuilder,
+  createRawCidBuilder,
+  computeCid,
+  computeRawCid,
+  hashFile,
+  buildDirectory,
+  buildDirectoryTree,
+  hashDirectory,
+  parseCid,
+  cidsEqual,
+  serializeJSON,
+};
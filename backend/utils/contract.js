@@ -0,0 +1,153 @@
+const { ethers } = require('ethers');
+
+// Keep in sync with LazyNFT.NFTVoucher
+const VOUCHER_TUPLE =
+  '(uint256 tokenId, uint256 price, string uri, address minter, address claimSigner, uint256 nonce, uint256 deadline, address royaltyReceiver, uint96 royaltyBps, bytes signature)';
+
+/**
+ * Subset of the LazyNFT ABI used by the backend
+ */
+const LAZY_NFT_ABI = [
+  `function lazyMint(${VOUCHER_TUPLE} voucher) payable returns (uint256)`,
+  `function claimMint(${VOUCHER_TUPLE} voucher, bytes claimSignature) payable returns (uint256)`,
+  `function isVoucherRedeemed(${VOUCHER_TUPLE} voucher) view returns (bool)`,
+  'function isNonceUsed(uint256 nonce) view returns (bool)',
+  'function cancelNonce(uint256 nonce)',
+  'function getCurrentTokenId() view returns (uint256)',
+  'function mintPrice() view returns (uint256)',
+  'function voucherSigner() view returns (address)',
+  'function setVoucherSigner(address newSigner)',
+  'function owner() view returns (address)',
+  'function provenanceHash() view returns (bytes32)',
+  'function setProvenanceHash(bytes32 provenanceHash)',
+  'function revealed() view returns (bool)',
+  'function baseURI() view returns (string)',
+  'function reveal(string baseURI)',
+  'function setBaseURI(string baseURI)',
+  'function royaltyInfo(uint256 tokenId, uint256 salePrice) view returns (address receiver, uint256 royaltyAmount)',
+  'function setDefaultRoyalty(address receiver, uint96 royaltyBps)',
+  'function allowlistMint(uint256 amount, uint256 cap, bytes32[] proof) payable returns (uint256)',
+  'function allowlistRoot() view returns (bytes32)',
+  'function allowlistPrice() view returns (uint256)',
+  'function allowlistURI() view returns (string)',
+  'function allowlistMinted(bytes32 root, address account) view returns (uint256)',
+  'function allowlistFirstTokenId() view returns (uint256)',
+  'function allowlistSupply() view returns (uint256)',
+  'function setAllowlist(bytes32 root, uint256 price, string uri, uint256 firstTokenId, uint256 supply)',
+  'function ownerOf(uint256 tokenId) view returns (address)',
+  'function tokenURI(uint256 tokenId) view returns (string)',
+  'function getDomainSeparator() view returns (bytes32)',
+  'function trustedForwarder() view returns (address)',
+  'function isTrustedForwarder(address forwarder) view returns (bool)',
+  'event NFTMinted(uint256 indexed tokenId, address indexed minter, string uri, uint256 price, uint256 nonce)',
+  'event NonceCancelled(uint256 indexed nonce)',
+  'event VoucherSignerUpdated(address indexed previousSigner, address indexed newSigner)',
+  'event ProvenanceHashSet(bytes32 provenanceHash)',
+  'event Revealed(string baseURI)',
+  'event DefaultRoyaltyUpdated(address indexed receiver, uint96 royaltyBps)',
+  'event AllowlistUpdated(bytes32 indexed root, uint256 price, string uri, uint256 firstTokenId, uint256 supply)',
+  'event AllowlistMinted(uint256 indexed tokenId, address indexed minter, uint256 price, bytes32 indexed root)',
+  'event BatchMetadataUpdate(uint256 fromTokenId, uint256 toTokenId)',
+  'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)',
+  // ERC721 and ERC2981 errors, so reverts of simulated mints can be decoded
+  'error ERC721InvalidSender(address sender)',
+  'error ERC721InvalidReceiver(address receiver)',
+  'error ERC721NonexistentToken(uint256 tokenId)',
+  'error ERC2981InvalidTokenRoyalty(uint256 tokenId, uint256 numerator, uint256 denominator)',
+  'error ERC2981InvalidTokenRoyaltyReceiver(uint256 tokenId, address receiver)',
+];
+
+// Keep in sync with LazyEdition.EditionVoucher
+const EDITION_VOUCHER_TUPLE =
+  '(uint256 tokenId, uint256 maxSupply, uint256 quantity, uint256 price, string uri, address minter, uint256 nonce, uint256 deadline, bytes signature)';
+
+/**
+ * Subset of the LazyEdition (ERC-1155) ABI used by the backend
+ */
+const LAZY_EDITION_ABI = [
+  `function lazyMint(${EDITION_VOUCHER_TUPLE} voucher, uint256 amount) payable returns (uint256)`,
+  `function remainingAmount(${EDITION_VOUCHER_TUPLE} voucher) view returns (uint256)`,
+  'function redeemedAmount(uint256 nonce) view returns (uint256)',
+  'function isNonceCancelled(uint256 nonce) view returns (bool)',
+  'function cancelNonce(uint256 nonce)',
+  'function exists(uint256 tokenId) view returns (bool)',
+  'function maxSupply(uint256 tokenId) view returns (uint256)',
+  'function totalSupply(uint256 tokenId) view returns (uint256)',
+  'function uri(uint256 tokenId) view returns (string)',
+  'function balanceOf(address account, uint256 tokenId) view returns (uint256)',
+  'function voucherSigner() view returns (address)',
+  'function setVoucherSigner(address newSigner)',
+  'function owner() view returns (address)',
+  'function royaltyInfo(uint256 tokenId, uint256 salePrice) view returns (address receiver, uint256 royaltyAmount)',
+  'function getDomainSeparator() view returns (bytes32)',
+  'event EditionCreated(uint256 indexed tokenId, uint256 maxSupply, string uri)',
+  'event EditionMinted(uint256 indexed tokenId, address indexed minter, uint256 amount, uint256 price, uint256 nonce)',
+  'event NonceCancelled(uint256 indexed nonce)',
+  // ERC1155 errors, so reverts of simulated mints can be decoded
+  'error ERC1155InvalidReceiver(address receiver)',
+];
+
+// Keep in sync with ERC2771Forwarder.ForwardRequestData
+const FORWARD_REQUEST_TUPLE =
+  '(address from, address to, uint256 value, uint256 gas, uint48 deadline, bytes data, bytes signature)';
+
+/**
+ * Subset of the LazyNFTForwarder (OpenZeppelin ERC2771Forwarder) ABI used by the relayer
+ */
+const FORWARDER_ABI = [
+  `function execute(${FORWARD_REQUEST_TUPLE} request) payable`,
+  `function verify(${FORWARD_REQUEST_TUPLE} request) view returns (bool)`,
+  'function nonces(address owner) view returns (uint256)',
+  'event ExecutedForwardRequest(address indexed signer, uint256 nonce, bool success)',
+];
+
+/**
+ * Create a JSON-RPC provider for a known chain
+ * @param {string} rpcUrl - RPC endpoint URL
+ * @param {number} chainId - Expected chain ID
+ * @returns {ethers.JsonRpcProvider} Provider
+ */
+function createProvider(rpcUrl, chainId) {
+  // Disable response caching so block numbers are never stale for the indexer
+  return new ethers.JsonRpcProvider(rpcUrl, chainId, { staticNetwork: true, cacheTimeout: -1 });
+}
+
+/**
+ * Get a LazyNFT contract instance
+ * @param {string} contractAddress - Deployed contract address
+ * @param {ethers.ContractRunner} runner - Provider or signer
+ * @returns {ethers.Contract} Contract instance
+ */
+function getLazyNFTContract(contractAddress, runner) {
+  return new ethers.Contract(contractAddress, LAZY_NFT_ABI, runner);
+}
+
+/**
+ * Get a LazyEdition contract instance
+ * @param {string} contractAddress - Deployed contract address
+ * @param {ethers.ContractRunner} runner - Provider or signer
+ * @returns {ethers.Contract} Contract instance
+ */
+function getLazyEditionContract(contractAddress, runner) {
+  return new ethers.Contract(contractAddress, LAZY_EDITION_ABI, runner);
+}
+
+/**
+ * Get a trusted forwarder contract instance
+ * @param {string} forwarderAddress - Deployed forwarder address
+ * @param {ethers.ContractRunner} runner - Provider or signer
+ * @returns {ethers.Contract} Contract instance
+ */
+function getForwarderContract(forwarderAddress, runner) {
+  return new ethers.Contract(forwarderAddress, FORWARDER_ABI, runner);
+}
+
+module.exports = {
+  LAZY_NFT_ABI,
+  LAZY_EDITION_ABI,
+  FORWARDER_ABI,
+  createProvider,
+  getLazyNFTContract,
+  getLazyEditionContract,
+  getForwarderContract,
+};
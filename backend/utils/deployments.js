@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { createDomain, createEditionDomain } = require('./voucher');
+
+// Manifest format written by scripts/deploy.js (deployments/<network>/<name>.json)
+const MANIFEST_VERSION = 1;
+
+/**
+ * Hash a contract ABI: keccak256 of its canonical JSON, so the same interface
+ * always hashes the same regardless of how the artifact was formatted
+ * @param {Array} abi - Contract ABI
+ * @returns {string} 0x-prefixed hash
+ */
+function hashAbi(abi) {
+  return ethers.id(ethers.Interface.from(abi).formatJson());
+}
+
+/**
+ * Read a deployment manifest and check it is internally consistent: the domain
+ * separator must belong to its address and chainId, and the ABI to its hash.
+ * @param {string} filePath - Manifest path
+ * @returns {Object} Manifest, with `path` set to its absolute location
+ */
+function readDeploymentManifest(filePath) {
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read deployment manifest ${filePath}: ${error.message}`);
+  }
+
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new Error(
+      `Deployment manifest ${filePath} has version ${manifest.version}; expected ${MANIFEST_VERSION}`
+    );
+  }
+
+  if (!ethers.isAddress(manifest.address) || !Number.isInteger(manifest.chainId)) {
+    throw new Error(`Deployment manifest ${filePath} needs an address and a numeric chainId`);
+  }
+
+  const domain =
+    manifest.contract === 'LazyEdition'
+      ? createEditionDomain(manifest.address, manifest.chainId)
+      : createDomain(manifest.address, manifest.chainId);
+  const domainSeparator = ethers.TypedDataEncoder.hashDomain(domain);
+  if (manifest.domainSeparator !== domainSeparator) {
+    throw new Error(
+      `Deployment manifest ${filePath}: domain separator does not match its address and chainId`
+    );
+  }
+
+  if (manifest.abi && hashAbi(manifest.abi) !== manifest.abiHash) {
+    throw new Error(`Deployment manifest ${filePath}: ABI does not match abiHash`);
+  }
+
+  return { ...manifest, path: path.resolve(filePath) };
+}
+
+/**
+ * Where and how a contract was deployed, as reported by /config
+ * @param {Object} manifest - Deployment manifest
+ * @returns {Object}
+ */
+function describeDeployment(manifest) {
+  return {
+    network: manifest.network,
+    name: manifest.name,
+    transactionHash: manifest.transactionHash,
+    blockNumber: manifest.blockNumber,
+    domainSeparator: manifest.domainSeparator,
+    abiHash: manifest.abiHash,
+    verified: !!manifest.verification?.verified,
+  };
+}
+
+/**
+ * Collection settings a manifest provides (see collectionConfigFromEnv() in context.js)
+ * @param {Object} manifest - Deployment manifest
+ * @returns {Object} Partial collection config
+ */
+function configFromDeployment(manifest) {
+  if (manifest.contract === 'LazyEdition') {
+    throw new Error(
+      `Deployment manifest ${manifest.path} is a LazyEdition; configure it as the collection's edition`
+    );
+  }
+  return {
+    name: manifest.nftName,
+    contractAddress: manifest.address,
+    chainId: manifest.chainId,
+    // Nothing before the deployment block can hold the contract's events
+    indexer: { startBlock: manifest.blockNumber },
+    deployment: describeDeployment(manifest),
+  };
+}
+
+/**
+ * Edition settings a LazyEdition manifest provides (the collection's `edition`)
+ * @param {Object} manifest - Deployment manifest
+ * @returns {Object} { contractAddress, chainId, deployment }
+ */
+function editionFromDeployment(manifest) {
+  if (manifest.contract !== 'LazyEdition') {
+    throw new Error(`Deployment manifest ${manifest.path} is not a LazyEdition`);
+  }
+  return {
+    contractAddress: manifest.address,
+    chainId: manifest.chainId,
+    deployment: describeDeployment(manifest),
+  };
+}
+
+module.exports = {
+  MANIFEST_VERSION,
+  hashAbi,
+  readDeploymentManifest,
+  configFromDeployment,
+  editionFromDeployment,
+};
@@ -0,0 +1,251 @@
+/**
+ * Base class for failures talking to a storage backend (Pinata, an IPFS node).
+ * `status` is the HTTP status the API answers with and `code` is a stable,
+ * machine-readable identifier clients can switch on.
+ */
+class StorageError extends Error {
+  constructor(message, { status = 502, code = 'STORAGE_ERROR', retryable = false, cause } = {}) {
+    super(message, { cause });
+    this.name = 'StorageError';
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * The storage backend rejected the credentials
+ */
+class StorageAuthError extends StorageError {
+  constructor(message, options = {}) {
+    super(message, { ...options, status: 401, code: 'STORAGE_AUTH_FAILED' });
+    this.name = 'StorageAuthError';
+  }
+}
+
+/**
+ * Rate limit or plan quota exceeded
+ */
+class StorageQuotaError extends StorageError {
+  constructor(message, { retryAfter = null, ...options } = {}) {
+    super(message, { ...options, status: 429, code: 'STORAGE_QUOTA_EXCEEDED', retryable: true });
+    this.name = 'StorageQuotaError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * The upload is larger than the storage backend, or this server's media limits, accept
+ */
+class PayloadTooLargeError extends StorageError {
+  constructor(message, options = {}) {
+    super(message, { ...options, status: 413, code: 'PAYLOAD_TOO_LARGE' });
+    this.name = 'PayloadTooLargeError';
+  }
+}
+
+/**
+ * The backend could not be reached or answered with a server error
+ */
+class StorageNetworkError extends StorageError {
+  constructor(message, options = {}) {
+    super(message, { ...options, status: 502, code: 'STORAGE_UNAVAILABLE', retryable: true });
+    this.name = 'StorageNetworkError';
+  }
+}
+
+/**
+ * The backend did not answer within the configured timeout
+ */
+class StorageTimeoutError extends StorageError {
+  constructor(message, options = {}) {
+    super(message, { ...options, status: 504, code: 'STORAGE_TIMEOUT', retryable: true });
+    this.name = 'StorageTimeoutError';
+  }
+}
+
+/**
+ * The backend stored content under a different CID than the one computed locally,
+ * so its chunking or CID settings do not match ours (or the bytes changed in transit)
+ */
+class CidMismatchError extends StorageError {
+  constructor(message, { expected, actual, ...options } = {}) {
+    super(message, { ...options, status: 502, code: 'CID_MISMATCH' });
+    this.name = 'CidMismatchError';
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+/**
+ * NFT metadata does not match the ERC-721 / OpenSea metadata schema.
+ * `errors` lists every offending field: [{ field, message }]
+ */
+class MetadataValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid metadata: ${errors.map((e) => `${e.field} ${e.message}`).join('; ')}`);
+    this.name = 'MetadataValidationError';
+    this.status = 422;
+    this.code = 'INVALID_METADATA';
+    this.errors = errors;
+  }
+}
+
+/**
+ * An uploaded file is not one of the allowed media types, judged by its content
+ */
+class UnsupportedMediaError extends Error {
+  constructor(message, { mimeType = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'UnsupportedMediaError';
+    this.status = 415;
+    this.code = 'UNSUPPORTED_MEDIA_TYPE';
+    this.mimeType = mimeType;
+  }
+}
+
+/**
+ * The request is not authenticated (401) or lacks a required scope (403)
+ */
+class AuthError extends Error {
+  constructor(message, { status = 401, code = 'UNAUTHORIZED' } = {}) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * The voucher signer could not produce a signature (locked keystore, remote signer down)
+ */
+class SignerError extends Error {
+  constructor(message, { status = 502, code = 'SIGNER_UNAVAILABLE', cause } = {}) {
+    super(message, { cause });
+    this.name = 'SignerError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * A voucher cannot be decoded (missing fields, malformed signature)
+ */
+class InvalidVoucherError extends Error {
+  constructor(message, { cause } = {}) {
+    super(message, { cause });
+    this.name = 'InvalidVoucherError';
+    this.status = 400;
+    this.code = 'INVALID_VOUCHER';
+  }
+}
+
+/**
+ * A voucher is being revoked while its nonce can still be redeemed on-chain
+ */
+class VoucherNotCancelledError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'VoucherNotCancelledError';
+    this.status = 409;
+    this.code = 'NONCE_NOT_CANCELLED';
+  }
+}
+
+/**
+ * The mint relay refused or failed to submit a transaction (see utils/relayer.js)
+ */
+class RelayError extends Error {
+  constructor(message, { status = 400, code = 'RELAY_REJECTED', cause } = {}) {
+    super(message, { cause });
+    this.name = 'RelayError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'EPIPE',
+]);
+
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return seconds;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+/**
+ * Convert an axios (or other) failure into a typed StorageError
+ * @param {Error} error - Original error
+ * @param {string} prefix - Message prefix, e.g. "Failed to upload to Pinata"
+ * @returns {Error} Typed error (errors that are not HTTP failures are returned unchanged)
+ */
+function toStorageError(error, prefix) {
+  if (error instanceof StorageError) {
+    return error;
+  }
+
+  if (error.response) {
+    const { status, headers = {}, data } = error.response;
+    const detail =
+      data?.error?.details || data?.error?.reason || data?.error || data?.message || data?.Message;
+    const message = `${prefix}: ${typeof detail === 'string' ? detail : error.message}`;
+
+    if (status === 401 || status === 403) {
+      return new StorageAuthError(message, { cause: error });
+    }
+    if (status === 413) {
+      return new PayloadTooLargeError(message, { cause: error });
+    }
+    if (status === 429) {
+      return new StorageQuotaError(message, {
+        retryAfter: parseRetryAfter(headers['retry-after']),
+        cause: error,
+      });
+    }
+    if (status >= 500) {
+      return new StorageNetworkError(message, { cause: error });
+    }
+    return new StorageError(message, { cause: error, code: 'STORAGE_REJECTED' });
+  }
+
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return new StorageTimeoutError(`${prefix}: request timed out`, { cause: error });
+  }
+
+  if (error.isAxiosError || NETWORK_ERROR_CODES.has(error.code)) {
+    return new StorageNetworkError(`${prefix}: ${error.message}`, { cause: error });
+  }
+
+  return error;
+}
+
+module.exports = {
+  StorageError,
+  StorageAuthError,
+  StorageQuotaError,
+  PayloadTooLargeError,
+  StorageNetworkError,
+  StorageTimeoutError,
+  CidMismatchError,
+  MetadataValidationError,
+  UnsupportedMediaError,
+  AuthError,
+  SignerError,
+  InvalidVoucherError,
+  VoucherNotCancelledError,
+  RelayError,
+  toStorageError,
+};
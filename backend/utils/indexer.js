@@ -0,0 +1,428 @@
+const path = require('path');
+const { ethers } = require('ethers');
+const { getLazyNFTContract, getLazyEditionContract } = require('./contract');
+const { readJSONFile, writeJSONFile, createQueue } = require('./jsonFile');
+const { VOUCHER_STATUS } = require('./voucherStore');
+const { TokenIdConflictError } = require('./tokenAllocator');
+
+const DEFAULT_CURSOR_PATH = path.join(__dirname, '..', 'data', 'indexer-cursor.json');
+
+// Several indexers may share one cursor file, so writes go through a single queue
+const cursorQueue = createQueue();
+
+/**
+ * Create an indexer that follows LazyNFT events and reconciles the voucher ledger.
+ * With an edition contract, it also follows LazyEdition's EditionMinted events and
+ * keeps the units each edition voucher has minted.
+ *
+ * Only blocks at least `confirmations` deep are processed. Every ledger update
+ * records the block (number and hash) it came from. On every sync the last
+ * processed block hash is compared with the chain; if it changed, the cursor is
+ * rewound by `confirmations` blocks, the ledger updates from the blocks after it
+ * are undone, and that range is replayed. Event handling is idempotent, so
+ * replays are safe.
+ *
+ * @param {Object} options - Indexer options
+ * @param {ethers.Provider} options.provider - JSON-RPC provider
+ * @param {string} options.contractAddress - LazyNFT contract address
+ * @param {string} [options.editionAddress] - LazyEdition contract address
+ * @param {number} options.chainId - Chain ID of the provider
+ * @param {Object} options.voucherStore - Voucher store to reconcile
+ * @param {Object} [options.tokenAllocator] - Allocator whose reservations are released on redemption
+ * @param {number} [options.startBlock] - First block to index when no cursor exists
+ * @param {number} [options.confirmations] - Blocks to wait before processing a block
+ * @param {number} [options.batchSize] - Maximum block range per eth_getLogs call
+ * @param {number} [options.pollInterval] - Delay between syncs in milliseconds
+ * @param {string} [options.cursorPath] - Where to persist the cursor
+ * @returns {Object} Indexer with start, stop, syncOnce and getStatus
+ */
+function createIndexer(options) {
+  const {
+    provider,
+    contractAddress,
+    editionAddress = null,
+    chainId,
+    voucherStore,
+    tokenAllocator = null,
+    startBlock = 0,
+    confirmations = 6,
+    batchSize = 2000,
+    pollInterval = 15000,
+    cursorPath = DEFAULT_CURSOR_PATH,
+  } = options;
+
+  const contract = getLazyNFTContract(contractAddress, provider);
+  const edition = editionAddress ? getLazyEditionContract(editionAddress, provider) : null;
+  const addresses = edition ? [contractAddress, editionAddress] : [contractAddress];
+  const topics = [
+    [
+      contract.interface.getEvent('NFTMinted').topicHash,
+      contract.interface.getEvent('Transfer').topicHash,
+      ...(edition ? [edition.interface.getEvent('EditionMinted').topicHash] : []),
+    ],
+  ];
+  // The edition is part of the key: adding one starts a fresh cursor, so its history
+  // before the NFT-only cursor is scanned too
+  const cursorKey = [chainId, ...addresses.map((address) => address.toLowerCase())].join(':');
+
+  let cursor;
+  let timer = null;
+  let running = false;
+  let syncing = null;
+  let lastSyncedAt = null;
+  let lastError = null;
+
+  async function loadCursor() {
+    const cursors = await readJSONFile(cursorPath, {});
+    return cursors[cursorKey] || null;
+  }
+
+  function saveCursor(next) {
+    return cursorQueue(async () => {
+      const cursors = await readJSONFile(cursorPath, {});
+      cursors[cursorKey] = next;
+      await writeJSONFile(cursorPath, cursors);
+    });
+  }
+
+  async function findVouchers(tokenId, address = contractAddress) {
+    const { vouchers } = await voucherStore.list(
+      { tokenId, contractAddress: address, chainId },
+      { limit: Infinity }
+    );
+    return vouchers;
+  }
+
+  async function handleMinted(log, { tokenId, minter, nonce }) {
+    const vouchers = await findVouchers(tokenId);
+
+    if (vouchers.some((record) => record.redeemedTxHash === log.transactionHash)) {
+      return;
+    }
+
+    // Nonces are unique per voucher, so they identify the redeemed voucher exactly
+    const match = vouchers.find(
+      (record) =>
+        record.status !== VOUCHER_STATUS.REDEEMED && record.voucher.nonce === nonce.toString()
+    );
+
+    if (!match) {
+      console.warn(`Indexer: token ${tokenId} minted with a voucher not found in the ledger`);
+      return;
+    }
+
+    await voucherStore.update(match.id, {
+      status: VOUCHER_STATUS.REDEEMED,
+      redeemedBy: minter,
+      redeemedTxHash: log.transactionHash,
+      redeemedBlock: log.blockNumber,
+      redeemedBlockHash: log.blockHash,
+      owner: minter,
+    });
+
+    if (tokenAllocator) {
+      await tokenAllocator.release(tokenId, match.id);
+    }
+  }
+
+  async function handleTransfer(log, { from, to, tokenId }) {
+    // Mints are reconciled through NFTMinted
+    if (from === ethers.ZeroAddress) {
+      return;
+    }
+
+    const vouchers = await findVouchers(tokenId);
+    for (const record of vouchers) {
+      if (record.status === VOUCHER_STATUS.REDEEMED && record.owner !== to) {
+        await voucherStore.update(record.id, {
+          owner: to,
+          ownerBlock: log.blockNumber,
+          ownerBlockHash: log.blockHash,
+        });
+      }
+    }
+  }
+
+  // Status of an edition voucher that has minted `amount` of its units
+  function editionStatus(record, amount) {
+    if (amount >= Number(record.voucher.quantity)) {
+      return VOUCHER_STATUS.REDEEMED;
+    }
+    return record.revokedAt ? VOUCHER_STATUS.REVOKED : VOUCHER_STATUS.ISSUED;
+  }
+
+  async function handleEditionMinted(log, { tokenId, minter, amount, nonce }) {
+    const vouchers = await findVouchers(tokenId, editionAddress);
+    const match = vouchers.find((record) => record.voucher.nonce === nonce.toString());
+
+    if (!match) {
+      console.warn(`Indexer: edition ${tokenId} minted with a voucher not found in the ledger`);
+      return;
+    }
+
+    // An edition voucher mints its quantity over any number of transactions
+    const redemptions = match.redemptions || [];
+    if (
+      redemptions.some(
+        (redemption) =>
+          redemption.txHash === log.transactionHash && redemption.logIndex === log.index
+      )
+    ) {
+      return;
+    }
+
+    redemptions.push({
+      minter,
+      amount: Number(amount),
+      txHash: log.transactionHash,
+      logIndex: log.index,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+    });
+    const redeemedAmount = redemptions.reduce((sum, redemption) => sum + redemption.amount, 0);
+
+    await voucherStore.update(match.id, {
+      status: editionStatus(match, redeemedAmount),
+      redeemedAmount,
+      redemptions,
+    });
+  }
+
+  async function handleLog(log) {
+    if (edition && log.address.toLowerCase() === editionAddress.toLowerCase()) {
+      const parsed = edition.interface.parseLog(log);
+      if (parsed?.name === 'EditionMinted') {
+        await handleEditionMinted(log, parsed.args);
+      }
+      return;
+    }
+
+    const parsed = contract.interface.parseLog(log);
+    if (!parsed) {
+      return;
+    }
+
+    if (parsed.name === 'NFTMinted') {
+      await handleMinted(log, parsed.args);
+    } else if (parsed.name === 'Transfer') {
+      await handleTransfer(log, parsed.args);
+    }
+  }
+
+  // Reserve a tokenId again for a voucher whose redemption was orphaned
+  async function reserveAgain(record) {
+    const { tokenId } = record;
+    try {
+      await tokenAllocator.reserve(tokenId);
+      await tokenAllocator.attach(tokenId, record.id, record.expiresAt);
+    } catch (error) {
+      // Minted again on the new chain: replaying its block redeems the voucher once more
+      if (!(error instanceof TokenIdConflictError)) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Undo the ledger updates made from blocks after blockNumber. Replaying from
+   * there applies again those whose transactions are on the new chain.
+   */
+  async function revertAfter(blockNumber) {
+    const { vouchers } = await voucherStore.list(
+      { status: VOUCHER_STATUS.REDEEMED, contractAddress, chainId },
+      { limit: Infinity }
+    );
+
+    for (const record of vouchers) {
+      if (record.redeemedBlock > blockNumber) {
+        await voucherStore.update(record.id, {
+          status: record.revokedAt ? VOUCHER_STATUS.REVOKED : VOUCHER_STATUS.ISSUED,
+          redeemedBy: null,
+          redeemedTxHash: null,
+          redeemedBlock: null,
+          redeemedBlockHash: null,
+          owner: null,
+          ownerBlock: null,
+          ownerBlockHash: null,
+        });
+        if (tokenAllocator) {
+          await reserveAgain(record);
+        }
+      } else if (record.ownerBlock > blockNumber) {
+        // Only the transfers are orphaned: the owner is the one as of blockNumber
+        const owner = await contract.ownerOf(record.tokenId, { blockTag: blockNumber });
+        const block = await provider.getBlock(blockNumber);
+        await voucherStore.update(record.id, {
+          owner,
+          ownerBlock: blockNumber,
+          ownerBlockHash: block.hash,
+        });
+      }
+    }
+
+    if (edition) {
+      await revertEditionsAfter(blockNumber);
+    }
+  }
+
+  async function revertEditionsAfter(blockNumber) {
+    const { vouchers } = await voucherStore.list(
+      { contractAddress: editionAddress, chainId },
+      { limit: Infinity }
+    );
+
+    for (const record of vouchers) {
+      const redemptions = record.redemptions || [];
+      const kept = redemptions.filter((redemption) => redemption.blockNumber <= blockNumber);
+      if (kept.length === redemptions.length) {
+        continue;
+      }
+
+      const redeemedAmount = kept.reduce((sum, redemption) => sum + redemption.amount, 0);
+      await voucherStore.update(record.id, {
+        status: editionStatus(record, redeemedAmount),
+        redeemedAmount,
+        redemptions: kept,
+      });
+    }
+  }
+
+  async function rewindOnReorg() {
+    if (!cursor) {
+      return;
+    }
+
+    const block = await provider.getBlock(cursor.blockNumber);
+    if (block && block.hash === cursor.blockHash) {
+      return;
+    }
+
+    const rewindTo = cursor.blockNumber - Math.max(confirmations, 1);
+    console.warn(
+      `Indexer: reorg detected at block ${cursor.blockNumber}, rewinding to ${rewindTo}`
+    );
+
+    if (rewindTo < startBlock) {
+      cursor = null;
+    } else {
+      const safeBlock = await provider.getBlock(rewindTo);
+      cursor = { blockNumber: rewindTo, blockHash: safeBlock.hash };
+    }
+    await revertAfter(cursor ? cursor.blockNumber : startBlock - 1);
+    await saveCursor(cursor);
+  }
+
+  async function sync() {
+    if (cursor === undefined) {
+      cursor = await loadCursor();
+    }
+
+    await rewindOnReorg();
+
+    const head = await provider.getBlockNumber();
+    const safeHead = head - confirmations;
+    let fromBlock = cursor ? cursor.blockNumber + 1 : startBlock;
+    let events = 0;
+
+    while (fromBlock <= safeHead) {
+      const toBlock = Math.min(fromBlock + batchSize - 1, safeHead);
+
+      const logs = await provider.getLogs({ address: addresses, topics, fromBlock, toBlock });
+      logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+      for (const log of logs) {
+        await handleLog(log);
+      }
+
+      const block = await provider.getBlock(toBlock);
+      cursor = { blockNumber: toBlock, blockHash: block.hash };
+      await saveCursor(cursor);
+
+      events += logs.length;
+      fromBlock = toBlock + 1;
+    }
+
+    lastSyncedAt = new Date().toISOString();
+    lastError = null;
+
+    return {
+      head,
+      safeHead,
+      cursor: cursor ? cursor.blockNumber : null,
+      events,
+    };
+  }
+
+  /**
+   * Process all confirmed blocks since the cursor
+   * @returns {Object} { head, safeHead, cursor, events }
+   */
+  function syncOnce() {
+    // Concurrent callers share the in-flight sync
+    if (!syncing) {
+      syncing = sync().finally(() => {
+        syncing = null;
+      });
+    }
+    return syncing;
+  }
+
+  async function tick() {
+    try {
+      await syncOnce();
+    } catch (error) {
+      lastError = error.message;
+      console.error('Indexer sync error:', error.message);
+    } finally {
+      if (running) {
+        timer = setTimeout(tick, pollInterval);
+      }
+    }
+  }
+
+  return {
+    syncOnce,
+
+    /**
+     * Start polling in the background
+     */
+    start() {
+      if (running) {
+        return;
+      }
+      running = true;
+      tick();
+    },
+
+    /**
+     * Stop polling
+     */
+    stop() {
+      running = false;
+      clearTimeout(timer);
+      timer = null;
+    },
+
+    /**
+     * Get indexer status
+     * @returns {Object} Status information
+     */
+    getStatus() {
+      return {
+        running,
+        contractAddress,
+        editionAddress,
+        chainId,
+        startBlock,
+        confirmations,
+        cursor: cursor ? cursor.blockNumber : null,
+        lastSyncedAt,
+        lastError,
+      };
+    },
+  };
+}
+
+module.exports = {
+  createIndexer,
+};
@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Read and parse a JSON file
+ * @param {string} filePath - Path to JSON file
+ * @param {*} fallback - Value returned when the file does not exist
+ * @returns {Promise<*>} Parsed contents or fallback
+ */
+async function readJSONFile(filePath, fallback) {
+  try {
+    const raw = await fs.promises.readFile(filePath, 'utf8');
+    return JSON.parse(raw);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    throw new Error(`Failed to read ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Write data to a JSON file atomically (write to temp file, then rename)
+ * @param {string} filePath - Path to JSON file
+ * @param {*} data - Serializable data
+ */
+async function writeJSONFile(filePath, data) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2));
+  await fs.promises.rename(tempPath, filePath);
+}
+
+/**
+ * Create a serial task queue so read-modify-write cycles never interleave
+ * @returns {Function} run(task) - Runs task after all previously queued tasks
+ */
+function createQueue() {
+  let tail = Promise.resolve();
+
+  return function run(task) {
+    const result = tail.then(task);
+    // Keep the chain alive even if a task fails
+    tail = result.catch(() => {});
+    return result;
+  };
+}
+
+module.exports = {
+  readJSONFile,
+  writeJSONFile,
+  createQueue,
+};
@@ -0,0 +1,259 @@
+const fs = require('fs');
+const FileType = require('file-type');
+const { imageSize } = require('image-size');
+const { PayloadTooLargeError, UnsupportedMediaError } = require('./errors');
+
+const DEFAULT_ALLOWED_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/avif'];
+// What marketplaces play from animation_url: video, audio and binary glTF models
+const DEFAULT_ANIMATION_TYPES = [
+  'video/mp4',
+  'video/webm',
+  'video/ogg',
+  'video/x-m4v',
+  'audio/mpeg',
+  'audio/vnd.wave',
+  'audio/ogg',
+  'model/gltf-binary',
+];
+const DEFAULT_MAX_IMAGE_BYTES = 20 * 1024 * 1024;
+const DEFAULT_MAX_ANIMATION_BYTES = 500 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 10;
+const DEFAULT_THUMBNAIL_SIZE = 512;
+
+const THUMBNAIL_FORMATS = {
+  webp: 'image/webp',
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+};
+
+/**
+ * Human-readable byte count for error messages
+ * @param {number} bytes - Byte count
+ * @returns {string} e.g. "20 MB"
+ */
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${+(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+  if (bytes >= 1024) {
+    return `${+(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${bytes} bytes`;
+}
+
+/**
+ * sharp is an optional dependency: only thumbnail generation needs it
+ * @returns {Function|null} sharp, or null if it is not installed
+ */
+function loadSharp() {
+  try {
+    return require('sharp');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Image properties in the shape they are written to metadata `properties`
+ * @param {Object} info - Result of inspect() or createThumbnail()
+ * @returns {Object} { mime_type, size, width, height } (plus uri when known)
+ */
+function describeImage(info) {
+  return {
+    ...(info.uri && { uri: info.uri }),
+    mime_type: info.mimeType,
+    size: info.size,
+    width: info.width,
+    height: info.height,
+  };
+}
+
+/**
+ * Properties of an animation or extra file in the shape they are written to metadata
+ * @param {Object} info - Result of inspectFile(), with the uri it was stored under
+ * @returns {Object} { uri, name?, mime_type, size }
+ */
+function describeFile(info) {
+  return {
+    uri: info.uri,
+    ...(info.name && { name: info.name }),
+    mime_type: info.mimeType,
+    size: info.size,
+  };
+}
+
+/**
+ * Create the media checks applied to uploaded images, animations and extra files.
+ *
+ * The format is sniffed from the file's content, never from its name or the
+ * Content-Type the client sent, and checked against an allowlist.
+ *
+ * @param {Object} config
+ * @param {string[]} [config.allowedTypes] - Allowed image MIME types
+ * @param {string[]} [config.animationTypes] - Allowed animation_url MIME types
+ * @param {number} [config.maxImageBytes] - Largest image accepted, in bytes
+ * @param {number} [config.maxAnimationBytes] - Largest animation accepted, in bytes
+ * @param {number} [config.maxFileBytes] - Largest extra file accepted (default maxAnimationBytes)
+ * @param {number} [config.maxFiles] - Most extra files per NFT
+ * @param {boolean} [config.thumbnails] - Generate a thumbnail for every image (needs sharp)
+ * @param {number} [config.thumbnailSize] - Longest thumbnail edge in pixels
+ * @param {string} [config.thumbnailFormat] - "webp" (default), "png" or "jpeg"
+ * @returns {Object} Media processor
+ */
+function createMediaProcessor(config = {}) {
+  const {
+    allowedTypes = DEFAULT_ALLOWED_TYPES,
+    animationTypes = DEFAULT_ANIMATION_TYPES,
+    maxImageBytes = DEFAULT_MAX_IMAGE_BYTES,
+    maxAnimationBytes = DEFAULT_MAX_ANIMATION_BYTES,
+    maxFileBytes = maxAnimationBytes,
+    maxFiles = DEFAULT_MAX_FILES,
+    thumbnails = false,
+    thumbnailSize = DEFAULT_THUMBNAIL_SIZE,
+    thumbnailFormat = 'webp',
+  } = config;
+
+  if (!THUMBNAIL_FORMATS[thumbnailFormat]) {
+    throw new Error(
+      `Unknown thumbnail format: ${thumbnailFormat} (use ${Object.keys(THUMBNAIL_FORMATS).join(', ')})`
+    );
+  }
+
+  const sharp = thumbnails ? loadSharp() : null;
+  if (thumbnails && !sharp) {
+    throw new Error('Thumbnails need the optional sharp dependency (npm install sharp)');
+  }
+
+  // Extra files may be anything an image or an animation may be
+  const kinds = {
+    animation: { label: 'animation', types: animationTypes, maxBytes: maxAnimationBytes },
+    file: { label: 'file', types: [...allowedTypes, ...animationTypes], maxBytes: maxFileBytes },
+  };
+
+  return {
+    allowedTypes,
+    animationTypes,
+    maxImageBytes,
+    maxAnimationBytes,
+    maxFileBytes,
+    maxFiles,
+    thumbnails,
+
+    /**
+     * Check an image's size and format, and read its dimensions
+     * @param {Buffer} buffer - Image content
+     * @returns {Promise<Object>} { mimeType, extension, size, width, height }
+     * @throws {PayloadTooLargeError} If the image is over maxImageBytes
+     * @throws {UnsupportedMediaError} If the format is not allowed or cannot be read
+     */
+    async inspect(buffer) {
+      if (buffer.length > maxImageBytes) {
+        throw new PayloadTooLargeError(
+          `Image is ${formatBytes(buffer.length)}; the limit is ${formatBytes(maxImageBytes)}`
+        );
+      }
+
+      const type = await FileType.fromBuffer(buffer);
+      if (!type || !allowedTypes.includes(type.mime)) {
+        const allowed = allowedTypes.join(', ');
+        throw new UnsupportedMediaError(
+          type
+            ? `${type.mime} is not an allowed image type (allowed: ${allowed})`
+            : `Unrecognized file type (allowed: ${allowed})`,
+          { mimeType: type?.mime || null }
+        );
+      }
+
+      let dimensions;
+      try {
+        dimensions = imageSize(buffer);
+      } catch (error) {
+        throw new UnsupportedMediaError(`Could not read the ${type.mime} image: ${error.message}`, {
+          mimeType: type.mime,
+          cause: error,
+        });
+      }
+
+      // EXIF orientations 5-8 are rotated by 90 degrees: viewers show width and height swapped
+      const rotated = dimensions.orientation >= 5;
+
+      return {
+        mimeType: type.mime,
+        extension: type.ext,
+        size: buffer.length,
+        width: rotated ? dimensions.height : dimensions.width,
+        height: rotated ? dimensions.width : dimensions.height,
+      };
+    },
+
+    /**
+     * Check the size and format of an animation or extra file on disk. Only its
+     * first bytes are read, so files of any size are checked without loading them.
+     * @param {string} filePath - File path
+     * @param {string} kind - "animation" or "file"
+     * @returns {Promise<Object>} { mimeType, extension, size }
+     * @throws {PayloadTooLargeError} If the file is over the kind's limit
+     * @throws {UnsupportedMediaError} If the format is not allowed for the kind
+     */
+    async inspectFile(filePath, kind) {
+      const { label, types, maxBytes } = kinds[kind];
+      const { size } = await fs.promises.stat(filePath);
+
+      if (size > maxBytes) {
+        throw new PayloadTooLargeError(
+          `The ${label} is ${formatBytes(size)}; the limit is ${formatBytes(maxBytes)}`
+        );
+      }
+
+      const type = await FileType.fromFile(filePath);
+      if (!type || !types.includes(type.mime)) {
+        const allowed = types.join(', ');
+        throw new UnsupportedMediaError(
+          type
+            ? `${type.mime} is not an allowed ${label} type (allowed: ${allowed})`
+            : `Unrecognized ${label} type (allowed: ${allowed})`,
+          { mimeType: type?.mime || null }
+        );
+      }
+
+      return { mimeType: type.mime, extension: type.ext, size };
+    },
+
+    /**
+     * Render a thumbnail that fits in thumbnailSize × thumbnailSize.
+     * Images are never enlarged, and EXIF orientation is applied.
+     * @param {Buffer} buffer - Image content (already inspected)
+     * @returns {Promise<Object|null>} { buffer, filename, mimeType, size, width, height },
+     *   or null when thumbnails are off
+     */
+    async createThumbnail(buffer) {
+      if (!thumbnails) {
+        return null;
+      }
+
+      const { data, info } = await sharp(buffer)
+        .rotate()
+        .resize(thumbnailSize, thumbnailSize, { fit: 'inside', withoutEnlargement: true })
+        .toFormat(thumbnailFormat)
+        .toBuffer({ resolveWithObject: true });
+
+      return {
+        buffer: data,
+        filename: `thumbnail.${thumbnailFormat}`,
+        mimeType: THUMBNAIL_FORMATS[thumbnailFormat],
+        size: data.length,
+        width: info.width,
+        height: info.height,
+      };
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_ALLOWED_TYPES,
+  DEFAULT_ANIMATION_TYPES,
+  formatBytes,
+  describeImage,
+  describeFile,
+  createMediaProcessor,
+};
@@ -0,0 +1,202 @@
+const { MetadataValidationError } = require('./errors');
+
+// https://docs.opensea.io/docs/metadata-standards
+const DISPLAY_TYPES = ['number', 'boost_percentage', 'boost_number', 'date'];
+
+const IMAGE_SCHEMES = ['ipfs:', 'ar:', 'https:', 'http:', 'data:'];
+const ANIMATION_SCHEMES = ['ipfs:', 'ar:', 'https:', 'http:'];
+const EXTERNAL_URL_SCHEMES = ['https:', 'http:', 'ipfs:'];
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Check that a value is a URI with one of the allowed schemes
+ * @param {*} value - Value to check
+ * @param {string[]} schemes - Allowed schemes, e.g. ['ipfs:', 'https:']
+ * @returns {string|null} Error message, or null if valid
+ */
+function checkUri(value, schemes) {
+  if (!isNonEmptyString(value)) {
+    return 'must be a URI string';
+  }
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return 'must be a valid URI';
+  }
+
+  if (!schemes.includes(url.protocol)) {
+    return `must use one of the schemes: ${schemes.map((s) => s.slice(0, -1)).join(', ')}`;
+  }
+  return null;
+}
+
+function validateAttribute(attribute, field, errors) {
+  if (!attribute || typeof attribute !== 'object' || Array.isArray(attribute)) {
+    errors.push({ field, message: 'must be an object' });
+    return;
+  }
+
+  const {
+    trait_type: traitType,
+    value,
+    display_type: displayType,
+    max_value: maxValue,
+  } = attribute;
+
+  if (!isNonEmptyString(traitType)) {
+    errors.push({ field: `${field}.trait_type`, message: 'is required' });
+  }
+
+  if (value === undefined || value === null || value === '') {
+    errors.push({ field: `${field}.value`, message: 'is required' });
+  } else if (typeof value !== 'string' && !isFiniteNumber(value)) {
+    errors.push({ field: `${field}.value`, message: 'must be a string or a number' });
+  }
+
+  if (displayType !== undefined) {
+    if (!DISPLAY_TYPES.includes(displayType)) {
+      errors.push({
+        field: `${field}.display_type`,
+        message: `must be one of: ${DISPLAY_TYPES.join(', ')}`,
+      });
+    } else if (!isFiniteNumber(value)) {
+      errors.push({
+        field: `${field}.value`,
+        message: `must be a number when display_type is ${displayType}`,
+      });
+    }
+  }
+
+  if (maxValue !== undefined) {
+    if (!isFiniteNumber(maxValue)) {
+      errors.push({ field: `${field}.max_value`, message: 'must be a number' });
+    } else if (!isFiniteNumber(value)) {
+      errors.push({ field: `${field}.value`, message: 'must be a number when max_value is set' });
+    } else if (value > maxValue) {
+      errors.push({ field: `${field}.value`, message: 'must not exceed max_value' });
+    }
+  }
+}
+
+/**
+ * Validate NFT metadata against the ERC-721 / OpenSea metadata schema
+ * @param {Object} metadata - Metadata in its final (snake_case) shape
+ * @param {Object} [options]
+ * @param {boolean} [options.requireImage] - Require `image` (default true). Turned off to
+ *   validate before an image has been uploaded.
+ * @returns {Array} Errors as [{ field, message }]; empty when valid
+ */
+function validateNFTMetadata(metadata, { requireImage = true } = {}) {
+  const errors = [];
+
+  if (!isNonEmptyString(metadata.name)) {
+    errors.push({ field: 'name', message: 'is required' });
+  }
+
+  if (!isNonEmptyString(metadata.description)) {
+    errors.push({ field: 'description', message: 'is required' });
+  }
+
+  if (metadata.image !== undefined || requireImage) {
+    const message = checkUri(metadata.image, IMAGE_SCHEMES);
+    if (message) {
+      errors.push({ field: 'image', message });
+    }
+  }
+
+  for (const [field, schemes] of [
+    ['animation_url', ANIMATION_SCHEMES],
+    ['external_url', EXTERNAL_URL_SCHEMES],
+  ]) {
+    if (metadata[field] !== undefined) {
+      const message = checkUri(metadata[field], schemes);
+      if (message) {
+        errors.push({ field, message });
+      }
+    }
+  }
+
+  if (
+    metadata.background_color !== undefined &&
+    !/^[0-9a-fA-F]{6}$/.test(metadata.background_color)
+  ) {
+    errors.push({
+      field: 'background_color',
+      message: 'must be six hexadecimal digits without a leading #',
+    });
+  }
+
+  if (
+    metadata.properties !== undefined &&
+    (!metadata.properties ||
+      typeof metadata.properties !== 'object' ||
+      Array.isArray(metadata.properties))
+  ) {
+    errors.push({ field: 'properties', message: 'must be an object' });
+  }
+
+  if (metadata.attributes !== undefined) {
+    if (!Array.isArray(metadata.attributes)) {
+      errors.push({ field: 'attributes', message: 'must be an array' });
+    } else {
+      metadata.attributes.forEach((attribute, index) =>
+        validateAttribute(attribute, `attributes[${index}]`, errors)
+      );
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Throw a MetadataValidationError if metadata is invalid
+ * @param {Object} metadata - Metadata in its final (snake_case) shape
+ * @param {Object} [options] - Options for validateNFTMetadata()
+ */
+function assertValidMetadata(metadata, options) {
+  const errors = validateNFTMetadata(metadata, options);
+  if (errors.length > 0) {
+    throw new MetadataValidationError(errors);
+  }
+}
+
+/**
+ * Parse attributes sent as a JSON string (multipart forms, CSV manifests)
+ * @param {*} value - Attributes array, JSON string, or empty
+ * @returns {Array} Attributes
+ */
+function parseAttributes(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+  if (!value.trim()) {
+    return [];
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new MetadataValidationError([
+      { field: 'attributes', message: `must be valid JSON (${error.message})` },
+    ]);
+  }
+}
+
+module.exports = {
+  DISPLAY_TYPES,
+  validateNFTMetadata,
+  assertValidMetadata,
+  parseAttributes,
+};
@@ -0,0 +1,547 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { serializeJSON } = require('./cid');
+const { createVoucher, createEditionVoucher } = require('./voucher');
+const { createNFTMetadata } = require('./pinata');
+const { describeImage, describeFile } = require('./media');
+const { PayloadTooLargeError, VoucherNotCancelledError } = require('./errors');
+const { UPLOAD_STAGE } = require('./uploadProgress');
+const { buildVoucherRecord, revokeVoucher } = require('./voucherStore');
+const { getLazyNFTContract } = require('./contract');
+
+/**
+ * Reserve a tokenId (allocating one when none is requested) for the duration of task.
+ * The reservation is linked to the voucher record the task returns, or released if it fails.
+ * @param {Object} tokenAllocator - Token allocator
+ * @param {*} tokenId - Requested tokenId, or undefined/empty to allocate
+ * @param {Function} task - async (reservedTokenId) => ({ record, ... }), with the tokenId as a
+ *   decimal string
+ * @returns {Object} Whatever task returns
+ */
+async function withReservedTokenId(tokenAllocator, tokenId, task) {
+  // Passed on as given: the allocator keeps tokenIds as decimal strings, exact above 2^53
+  const requested = tokenId === undefined || tokenId === '' ? undefined : tokenId;
+  const reservation = await tokenAllocator.reserve(requested);
+
+  let result;
+  try {
+    result = await task(reservation.tokenId);
+  } catch (error) {
+    await tokenAllocator.release(reservation.tokenId);
+    throw error;
+  }
+
+  await tokenAllocator.attach(reservation.tokenId, result.record.id, result.record.expiresAt);
+  return result;
+}
+
+/**
+ * Sign a voucher and record it in the ledger.
+ *
+ * Without a minter the voucher is open: any wallet can redeem it. With
+ * claimProtected, an ephemeral claim key is generated; only holders of that
+ * key can redeem (through claimMint), so a copied mint transaction cannot
+ * be front-run. The key is returned once and never stored. A royaltyReceiver
+ * and royaltyBps override the collection's default royalty for this token.
+ *
+ * @param {Object} ctx - Backend context
+ * @param {Object} params - tokenId, price (ETH), uri, minter, deadline (Unix seconds, 0 = never),
+ *   claimProtected, royaltyReceiver, royaltyBps, and voucherId (the ledger record ID, random
+ *   when omitted)
+ * @param {Object} [extra] - Additional fields to keep on the ledger record
+ * @returns {Object} { voucher, record, claimKey }
+ */
+async function issueVoucher(ctx, params, extra) {
+  const {
+    tokenId,
+    price,
+    uri,
+    minter,
+    deadline = 0,
+    claimProtected = false,
+    royaltyReceiver,
+    royaltyBps,
+    voucherId,
+  } = params;
+  const claimWallet = claimProtected ? ethers.Wallet.createRandom() : null;
+
+  const voucher = await createVoucher(
+    {
+      tokenId,
+      price: price.toString(),
+      uri,
+      minter,
+      claimSigner: claimWallet?.address,
+      deadline,
+      royaltyReceiver,
+      royaltyBps,
+      contractAddress: ctx.contractAddress,
+      chainId: ctx.chainId,
+    },
+    ctx.signer
+  );
+
+  const record = await ctx.voucherStore.save(
+    buildVoucherRecord({
+      id: voucherId,
+      voucher,
+      price,
+      contractAddress: ctx.contractAddress,
+      chainId: ctx.chainId,
+      extra,
+    })
+  );
+
+  return { voucher, record, claimKey: claimWallet?.privateKey };
+}
+
+/**
+ * Sign a voucher for the collection's LazyEdition contract and record it in the
+ * ledger (under the edition contract's address).
+ * @param {Object} ctx - Backend context, with an edition contract
+ * @param {Object} params - tokenId, maxSupply, quantity, price (ETH per unit), uri, minter,
+ *   deadline (Unix seconds, 0 = never)
+ * @param {Object} [extra] - Additional fields to keep on the ledger record
+ * @returns {Object} { voucher, record }
+ */
+async function issueEditionVoucher(ctx, params, extra) {
+  const { price } = params;
+  const { contractAddress } = ctx.edition;
+
+  const voucher = await createEditionVoucher(
+    { ...params, price: price.toString(), contractAddress, chainId: ctx.chainId },
+    ctx.signer
+  );
+
+  const record = await ctx.voucherStore.save(
+    buildVoucherRecord({
+      voucher,
+      price,
+      contractAddress,
+      chainId: ctx.chainId,
+      extra,
+    })
+  );
+
+  return { voucher, record };
+}
+
+/**
+ * Revoke a voucher whose nonce has been cancelled on-chain (LazyNFT.cancelNonce),
+ * and release its tokenId. Revoking one that can still be redeemed would leave a
+ * mintable voucher behind a tokenId the allocator hands out again.
+ * @param {Object} ctx - Backend context, with a provider
+ * @param {Object} record - Voucher record
+ * @param {string} [reason] - Why the voucher was revoked
+ * @returns {Promise<Object>} The revoked record
+ * @throws {VoucherNotCancelledError} If the nonce is still redeemable
+ */
+async function revokeCancelledVoucher(ctx, record, reason) {
+  const contract = getLazyNFTContract(ctx.contractAddress, ctx.provider);
+  if (!(await contract.isNonceUsed(record.nonce))) {
+    throw new VoucherNotCancelledError(
+      'Voucher nonce has not been cancelled on-chain: call cancelNonce first (forge voucher cancel)'
+    );
+  }
+
+  const revoked = await revokeVoucher(ctx.voucherStore, record.id, reason);
+  if (ctx.tokenAllocator) {
+    await ctx.tokenAllocator.release(record.tokenId, record.id);
+  }
+  return revoked;
+}
+
+/**
+ * Check an image's format and size, read its dimensions and render its thumbnail.
+ * Runs before anything is reserved or uploaded, so a rejected file costs nothing.
+ * @param {Object} ctx - Backend context
+ * @param {Object} image - { buffer, filename }
+ * @returns {Promise<Object>} { info, thumbnail } (thumbnail is null when thumbnails are off)
+ * @throws {UnsupportedMediaError|PayloadTooLargeError} If the image is rejected
+ */
+async function inspectImage(ctx, image) {
+  const info = await ctx.media.inspect(image.buffer);
+  const thumbnail = await ctx.media.createThumbnail(image.buffer);
+  return { info, thumbnail };
+}
+
+/**
+ * Metadata `properties` describing an uploaded image and its thumbnail
+ * @param {Object} info - Image info from inspectImage()
+ * @param {Object} [thumbnail] - Thumbnail from inspectImage(), with its uri
+ * @returns {Object} { image: { mime_type, size, width, height }, thumbnail? }
+ */
+function imageProperties(info, thumbnail) {
+  return {
+    image: describeImage(info),
+    ...(thumbnail && { thumbnail: describeImage(thumbnail) }),
+  };
+}
+
+/**
+ * Upload an inspected image and its thumbnail
+ * @param {Object} ctx - Backend context
+ * @param {Object} image - { buffer, filename }
+ * @param {Object} media - Result of inspectImage()
+ * @param {Object} [keyvalues] - Labels for both uploads (type is added)
+ * @param {Function} [onProgress] - (bytesSent) as the image is sent
+ * @returns {Promise<Object>} { result, properties }: the image upload and its metadata properties
+ */
+async function uploadImage(ctx, image, media, keyvalues = {}, onProgress) {
+  const result = await ctx.storage.uploadBuffer(image.buffer, image.filename, {
+    keyvalues: { ...keyvalues, type: 'image' },
+    onProgress,
+  });
+
+  let thumbnail = null;
+  if (media.thumbnail) {
+    const thumbnailResult = await ctx.storage.uploadBuffer(
+      media.thumbnail.buffer,
+      media.thumbnail.filename,
+      { keyvalues: { ...keyvalues, type: 'thumbnail' } }
+    );
+    thumbnail = { ...media.thumbnail, uri: thumbnailResult.ipfsUrl };
+  }
+
+  return { result, properties: imageProperties(media.info, thumbnail) };
+}
+
+/**
+ * What uploadImage() would return, computed locally without uploading
+ * @param {Object} ctx - Backend context
+ * @param {Object} image - { buffer, filename }
+ * @param {Object} media - Result of inspectImage()
+ * @returns {Object} { cid, properties }
+ */
+function previewImage(ctx, image, media) {
+  const thumbnail = media.thumbnail && {
+    ...media.thumbnail,
+    uri: `ipfs://${ctx.storage.computeCid(media.thumbnail.buffer)}`,
+  };
+  return {
+    cid: ctx.storage.computeCid(image.buffer),
+    properties: imageProperties(media.info, thumbnail),
+  };
+}
+
+/**
+ * Check an NFT's animation and extra files. They stay on disk: only their
+ * first bytes are read. Like inspectImage(), this runs before anything is
+ * reserved or uploaded.
+ * @param {Object} ctx - Backend context
+ * @param {Object} input - { animation?: { path, filename }, files?: [{ path, filename }] }
+ * @returns {Promise<Object>} { animation, files }: file info (animation is null when absent)
+ * @throws {UnsupportedMediaError|PayloadTooLargeError} If a file is rejected
+ */
+async function inspectAttachments(ctx, input) {
+  const files = input.files || [];
+  if (files.length > ctx.media.maxFiles) {
+    throw new PayloadTooLargeError(
+      `${files.length} extra files were sent; the limit is ${ctx.media.maxFiles}`
+    );
+  }
+
+  const animation = input.animation
+    ? await ctx.media.inspectFile(input.animation.path, 'animation')
+    : null;
+  const infos = [];
+  for (const file of files) {
+    infos.push(await ctx.media.inspectFile(file.path, 'file'));
+  }
+  return { animation, files: infos };
+}
+
+/**
+ * Stream an inspected animation or extra file from disk to storage
+ * @param {Object} ctx - Backend context
+ * @param {Object} file - { path, filename }
+ * @param {Object} info - File info from inspectAttachments()
+ * @param {Object} keyvalues - Labels for the upload
+ * @param {Function} [onProgress] - (bytesSent) as the file is sent
+ * @returns {Promise<Object>} Metadata properties: { uri, name, mime_type, size }
+ */
+async function uploadAttachment(ctx, file, info, keyvalues, onProgress) {
+  const result = await ctx.storage.uploadFile(file.path, {
+    name: file.filename,
+    keyvalues,
+    onProgress,
+  });
+  return describeFile({ ...info, name: file.filename, uri: result.ipfsUrl });
+}
+
+/**
+ * What uploadAttachment() would return, computed locally without uploading
+ * @param {Object} ctx - Backend context
+ * @param {Object} file - { path, filename }
+ * @param {Object} info - File info from inspectAttachments()
+ * @returns {Promise<Object>} Metadata properties: { uri, name, mime_type, size }
+ */
+async function previewAttachment(ctx, file, info) {
+  const cid = await ctx.storage.computeFileCid(file.path);
+  return describeFile({ ...info, name: file.filename, uri: `ipfs://${cid}` });
+}
+
+/**
+ * Metadata `properties` for everything uploaded with an NFT
+ * @param {Object} progress - createNFT() progress (or the same fields from a preview)
+ * @returns {Object|undefined} Properties, or undefined when there are none
+ */
+function nftProperties({ properties, animation, files }) {
+  const merged = {
+    ...properties,
+    ...(animation && { animation }),
+    ...(files?.length > 0 && { files }),
+  };
+  return Object.keys(merged).length > 0 ? merged : undefined;
+}
+
+/**
+ * Report a file's upload to a tracker from utils/uploadProgress.js
+ * @param {Object} [tracker] - Progress handle
+ * @param {string} key - File key
+ * @returns {Function|undefined} onProgress callback for the storage provider
+ */
+function reportUpload(tracker, key) {
+  return tracker && ((bytes) => tracker.uploading(key, bytes));
+}
+
+/**
+ * Work out what createNFT() would pin, without uploading, reserving or signing
+ * anything. CIDs are computed locally with the storage provider's settings, so
+ * the metadata URI is the one the voucher will be signed for.
+ * @param {Object} ctx - Backend context
+ * @param {Object} input - NFT fields, as for createNFT()
+ * @returns {Promise<Object>} { imageUrl, imageCid, metadata, metadataCid, uri }
+ */
+async function previewNFT(ctx, input) {
+  const { name, description, attributes = [], externalUrl } = input;
+
+  let imageUrl = input.imageUrl;
+  let imageCid = null;
+  let properties;
+
+  if (input.image) {
+    const image = previewImage(ctx, input.image, await inspectImage(ctx, input.image));
+    imageCid = image.cid;
+    imageUrl = `ipfs://${imageCid}`;
+    properties = image.properties;
+  }
+
+  const attachments = await inspectAttachments(ctx, input);
+  const animation =
+    input.animation && (await previewAttachment(ctx, input.animation, attachments.animation));
+  const files = [];
+  for (const [i, file] of (input.files || []).entries()) {
+    files.push(await previewAttachment(ctx, file, attachments.files[i]));
+  }
+  const animationUrl = animation?.uri || input.animationUrl;
+
+  const metadata = createNFTMetadata({
+    name,
+    description,
+    image: imageUrl,
+    animationUrl,
+    attributes,
+    externalUrl,
+    properties: nftProperties({ properties, animation, files }),
+  });
+  const metadataCid = ctx.storage.computeCid(serializeJSON(metadata));
+
+  return {
+    imageUrl,
+    imageCid,
+    animationUrl,
+    metadata,
+    metadataCid,
+    uri: `ipfs://${metadataCid}`,
+  };
+}
+
+/**
+ * Run the complete upload → metadata → voucher pipeline for one NFT.
+ *
+ * Each finished upload is written to `progress` and reported through
+ * `onProgress`. Calling again with the same progress object skips the
+ * uploads that already succeeded, so nothing is pinned twice.
+ *
+ * The animation and extra files are streamed from disk, so they can be far
+ * larger than the image. The animation becomes the metadata's animation_url,
+ * and both are described in its `properties`.
+ *
+ * @param {Object} ctx - Backend context
+ * @param {Object} input - NFT fields
+ * @param {*} [input.tokenId] - Explicit tokenId, allocated when omitted
+ * @param {string} input.price - Price in ETH
+ * @param {string} [input.minter] - Minter address (omit for an open voucher)
+ * @param {boolean} [input.claimProtected] - Require a claim signature for an open voucher
+ * @param {number} [input.deadline] - Voucher deadline (Unix seconds, 0 = never expires)
+ * @param {string} [input.royaltyReceiver] - Royalty override receiver (omit for the default)
+ * @param {number} [input.royaltyBps] - Royalty override in basis points
+ * @param {string} input.name - NFT name
+ * @param {string} input.description - NFT description
+ * @param {Array} [input.attributes] - Metadata attributes
+ * @param {string} [input.externalUrl] - External URL
+ * @param {Object} [input.image] - Image to upload: { buffer, filename }
+ * @param {string} [input.imageUrl] - Existing image URL, used when no image is uploaded
+ * @param {Object} [input.animation] - Animation to upload: { path, filename }
+ * @param {string} [input.animationUrl] - Existing animation URL, used when none is uploaded
+ * @param {Object[]} [input.files] - Extra files to upload: [{ path, filename }]
+ * @param {Object} [input.tracker] - Progress handle from utils/uploadProgress.js, told the
+ *   bytes sent for each file
+ * @param {Object} [progress] - Checkpoint from a previous attempt
+ * @param {Function} [onProgress] - async (progress) called after each completed upload, and
+ *   once the voucher's ledger ID is chosen
+ * @returns {Object} { imageUrl, animationUrl, files, metadata, metadataResult, voucher, record,
+ *   claimKey }
+ */
+async function createNFT(ctx, input, progress = {}, onProgress = async () => {}) {
+  const {
+    tokenId,
+    price,
+    minter,
+    deadline,
+    name,
+    description,
+    attributes = [],
+    externalUrl,
+    tracker,
+  } = input;
+  const files = input.files || [];
+
+  // Validate before reserving or uploading anything, so bad metadata or media is never pinned
+  createNFTMetadata(
+    {
+      name,
+      description,
+      image: progress.imageUrl || input.imageUrl,
+      animationUrl: input.animation ? undefined : input.animationUrl,
+      attributes,
+      externalUrl,
+    },
+    { requireImage: !input.image }
+  );
+  const media = input.image && !progress.imageUrl ? await inspectImage(ctx, input.image) : null;
+  const attachments = await inspectAttachments(ctx, input);
+
+  return withReservedTokenId(ctx.tokenAllocator, tokenId, async (reservedTokenId) => {
+    const keyvalues = { tokenId: String(reservedTokenId) };
+
+    // Step 1: Upload image (and its thumbnail) if provided
+    if (!progress.imageUrl) {
+      if (media) {
+        const { result, properties } = await uploadImage(
+          ctx,
+          input.image,
+          media,
+          keyvalues,
+          reportUpload(tracker, 'image')
+        );
+        tracker?.uploaded('image', result.ipfsUrl);
+        progress.properties = properties;
+        progress.imageUrl = result.ipfsUrl;
+      } else {
+        progress.imageUrl = input.imageUrl;
+      }
+      await onProgress(progress);
+    }
+
+    // Step 2: Stream the animation and extra files to storage, checkpointing each one
+    if (input.animation && !progress.animation) {
+      progress.animation = await uploadAttachment(
+        ctx,
+        input.animation,
+        attachments.animation,
+        { ...keyvalues, type: 'animation' },
+        reportUpload(tracker, 'animation')
+      );
+      tracker?.uploaded('animation', progress.animation.uri);
+      await onProgress(progress);
+    }
+
+    if (files.length > 0) {
+      progress.files = progress.files || [];
+      for (let i = progress.files.length; i < files.length; i++) {
+        const key = `files.${i}`;
+        progress.files.push(
+          await uploadAttachment(
+            ctx,
+            files[i],
+            attachments.files[i],
+            { ...keyvalues, type: 'file' },
+            reportUpload(tracker, key)
+          )
+        );
+        tracker?.uploaded(key, progress.files[i].uri);
+        await onProgress(progress);
+      }
+    }
+
+    // Step 3: Create and upload metadata
+    const animationUrl = progress.animation?.uri || input.animationUrl;
+    const metadata = createNFTMetadata({
+      name,
+      description,
+      image: progress.imageUrl,
+      animationUrl,
+      attributes,
+      externalUrl,
+      properties: nftProperties(progress),
+    });
+
+    if (!progress.metadata) {
+      progress.metadata = await ctx.storage.uploadJSON(metadata, {
+        name: `${name} metadata`,
+        keyvalues: { tokenId: String(reservedTokenId), type: 'metadata' },
+      });
+      await onProgress(progress);
+    }
+
+    // Step 4: Create signed voucher. Its ledger ID is checkpointed first, so a resumed
+    // batch row finds the voucher it signed instead of signing a second one.
+    tracker?.setStage(UPLOAD_STAGE.SIGNING);
+    if (!progress.voucherId) {
+      progress.voucherId = crypto.randomUUID();
+      await onProgress(progress);
+    }
+    const { voucher, record, claimKey } = await issueVoucher(
+      ctx,
+      {
+        voucherId: progress.voucherId,
+        tokenId: reservedTokenId,
+        price,
+        uri: progress.metadata.ipfsUrl,
+        minter,
+        deadline,
+        claimProtected: input.claimProtected,
+        royaltyReceiver: input.royaltyReceiver,
+        royaltyBps: input.royaltyBps,
+      },
+      { name, imageUrl: progress.imageUrl }
+    );
+
+    return {
+      imageUrl: progress.imageUrl,
+      animationUrl,
+      files: progress.files || [],
+      metadata,
+      metadataResult: progress.metadata,
+      voucher,
+      record,
+      claimKey,
+    };
+  });
+}
+
+module.exports = {
+  withReservedTokenId,
+  issueVoucher,
+  issueEditionVoucher,
+  revokeCancelledVoucher,
+  inspectImage,
+  uploadImage,
+  previewImage,
+  inspectAttachments,
+  uploadAttachment,
+  previewNFT,
+  createNFT,
+};
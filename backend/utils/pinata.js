@@ -1,84 +1,270 @@
 const axios = require('axios');
 const FormData = require('form-data');
 const fs = require('fs');
+const { serializeJSON } = require('./cid');
+const { toStorageError } = require('./errors');
+const { assertValidMetadata } = require('./metadata');
+const { withRetry } = require('./retry');
+
+const PINATA_API_URL = 'https://api.pinata.cloud';
+const PINATA_UPLOADS_URL = 'https://uploads.pinata.cloud';
+const PINATA_GATEWAY_URL = 'https://gateway.pinata.cloud/ipfs';
+const DEFAULT_TIMEOUT = 60000;
 
 /**
- * Upload JSON metadata to Pinata IPFS
- * @param {Object} metadata - NFT metadata object
- * @param {string} pinataApiKey - Pinata API key
- * @param {string} pinataSecretKey - Pinata secret API key
- * @returns {Object} Upload result with IPFS hash
+ * Pinata credentials. A JWT is preferred; the API key/secret pair is the fallback.
+ * @typedef {Object} PinataCredentials
+ * @property {string} [jwt] - Pinata JWT (scoped API key)
+ * @property {string} [apiKey] - Legacy Pinata API key
+ * @property {string} [secretKey] - Legacy Pinata secret API key
  */
-async function uploadJSONToPinata(metadata, pinataApiKey, pinataSecretKey) {
-  const url = 'https://api.pinata.cloud/pinning/pinJSONToIPFS';
 
-  const data = {
-    pinataContent: metadata,
-    pinataMetadata: {
-      name: metadata.name || 'NFT Metadata',
-    },
-  };
+/**
+ * Pinata upload options
+ * @typedef {Object} PinataUploadOptions
+ * @property {string} [name] - Name shown in the Pinata dashboard
+ * @property {Object} [keyvalues] - Key-value metadata attached to the pin
+ * @property {string} [groupId] - Pinata group the file is added to
+ * @property {string} [api] - "pinning" (legacy /pinning endpoints, default) or "files" (v3 Files API, JWT only)
+ * @property {number} [cidVersion] - CID version for the pinning endpoints (0 or 1); the Files API always uses 1
+ * @property {Function} [onProgress] - (bytesSent) called as the request body is sent
+ * @property {number} [timeout] - Per-attempt request timeout in ms (default 60000)
+ * @property {number} [retries] - Retries for 429, 5xx, network errors and timeouts (default 3)
+ * @property {number} [retryDelay] - Base backoff delay in ms (default 500)
+ */
 
-  try {
-    const response = await axios.post(url, data, {
-      headers: {
-        'Content-Type': 'application/json',
-        pinata_api_key: pinataApiKey,
-        pinata_secret_api_key: pinataSecretKey,
-      },
-    });
+/**
+ * Build authentication headers for Pinata
+ * @param {PinataCredentials} credentials - Pinata credentials
+ * @returns {Object} Headers
+ */
+function getPinataAuthHeaders(credentials = {}) {
+  if (credentials.jwt) {
+    return { Authorization: `Bearer ${credentials.jwt}` };
+  }
 
+  if (credentials.apiKey && credentials.secretKey) {
     return {
-      success: true,
-      ipfsHash: response.data.IpfsHash,
-      ipfsUrl: `ipfs://${response.data.IpfsHash}`,
-      gatewayUrl: `https://gateway.pinata.cloud/ipfs/${response.data.IpfsHash}`,
-      timestamp: response.data.Timestamp,
+      pinata_api_key: credentials.apiKey,
+      pinata_secret_api_key: credentials.secretKey,
     };
+  }
+
+  throw new Error('Pinata credentials not configured (set a JWT or an API key and secret)');
+}
+
+/**
+ * Check whether credentials are usable
+ * @param {PinataCredentials} credentials - Pinata credentials
+ * @returns {boolean} True if a JWT or a key/secret pair is present
+ */
+function hasPinataCredentials(credentials = {}) {
+  return !!(credentials.jwt || (credentials.apiKey && credentials.secretKey));
+}
+
+function formatPinResult(ipfsHash, timestamp, extra = {}) {
+  return {
+    success: true,
+    ipfsHash,
+    ipfsUrl: `ipfs://${ipfsHash}`,
+    gatewayUrl: `${PINATA_GATEWAY_URL}/${ipfsHash}`,
+    timestamp,
+    ...extra,
+  };
+}
+
+function buildPinataMetadata(name, options) {
+  const metadata = { name: options.name || name };
+  if (options.keyvalues) {
+    metadata.keyvalues = options.keyvalues;
+  }
+  return metadata;
+}
+
+/**
+ * Send a request to Pinata with a timeout, retrying transient failures with backoff
+ * @param {string} prefix - Error message prefix
+ * @param {Function} send - (axiosConfig) => axios promise; called again for each attempt
+ * @param {PinataUploadOptions} options - Timeout and retry options
+ * @returns {Object} Axios response
+ */
+function pinataRequest(prefix, send, options = {}) {
+  return withRetry(
+    async () => {
+      try {
+        return await send({ timeout: options.timeout ?? DEFAULT_TIMEOUT });
+      } catch (error) {
+        throw toStorageError(error, prefix);
+      }
+    },
+    {
+      retries: options.retries,
+      minDelay: options.retryDelay,
+      onRetry: (error, attempt, delay) =>
+        console.warn(`${error.message} (retry ${attempt} in ${delay}ms)`),
+    }
+  );
+}
+
+/**
+ * Post a file to the legacy pinning endpoint or the v3 Files API
+ * @param {Function} appendFile - (formData) => void, appends the "file" field
+ * @param {string} name - Default pin name
+ * @param {PinataCredentials} credentials - Pinata credentials
+ * @param {PinataUploadOptions} options - Upload options
+ * @param {string} prefix - Error message prefix
+ * @returns {Object} Upload result
+ */
+async function pinFile(appendFile, name, credentials, options, prefix) {
+  const headers = getPinataAuthHeaders(credentials);
+  const useFilesApi = options.api === 'files';
+
+  if (useFilesApi && !credentials.jwt) {
+    throw new Error('The Pinata Files API requires JWT authentication');
+  }
+
+  // The form is rebuilt for every attempt: a consumed file stream cannot be sent twice
+  function buildForm() {
+    const formData = new FormData();
+    appendFile(formData);
+
+    if (useFilesApi) {
+      formData.append('network', 'public');
+      formData.append('name', options.name || name);
+      if (options.groupId) {
+        formData.append('group_id', options.groupId);
+      }
+      if (options.keyvalues) {
+        formData.append('keyvalues', JSON.stringify(options.keyvalues));
+      }
+    } else {
+      formData.append('pinataMetadata', JSON.stringify(buildPinataMetadata(name, options)));
+      const pinataOptions = {};
+      if (options.cidVersion !== undefined) {
+        pinataOptions.cidVersion = options.cidVersion;
+      }
+      if (options.groupId) {
+        pinataOptions.groupId = options.groupId;
+      }
+      if (Object.keys(pinataOptions).length > 0) {
+        formData.append('pinataOptions', JSON.stringify(pinataOptions));
+      }
+    }
+    return formData;
+  }
+
+  const url = useFilesApi
+    ? `${PINATA_UPLOADS_URL}/v3/files`
+    : `${PINATA_API_URL}/pinning/pinFileToIPFS`;
+
+  const response = await pinataRequest(
+    prefix,
+    (config) => {
+      const formData = buildForm();
+      return axios.post(url, formData, {
+        ...config,
+        headers: { ...formData.getHeaders(), ...headers },
+        maxBodyLength: Infinity,
+        ...(options.onProgress && {
+          onUploadProgress: (event) => options.onProgress(event.loaded),
+        }),
+      });
+    },
+    options
+  );
+
+  if (useFilesApi) {
+    const file = response.data.data;
+    return formatPinResult(file.cid, file.created_at, { fileId: file.id, groupId: file.group_id });
+  }
+  return formatPinResult(response.data.IpfsHash, response.data.Timestamp);
+}
+
+/**
+ * Upload JSON metadata to Pinata IPFS
+ * @param {Object} metadata - NFT metadata object
+ * @param {PinataCredentials} credentials - Pinata credentials
+ * @param {PinataUploadOptions} [options] - Upload options
+ * @returns {Object} Upload result with IPFS hash
+ */
+async function uploadJSONToPinata(metadata, credentials, options = {}) {
+  const name = metadata.name || 'NFT Metadata';
+  const prefix = 'Failed to upload to Pinata';
+
+  try {
+    // Pinned as a .json file rather than through pinJSONToIPFS, so the stored bytes
+    // are exactly serializeJSON(metadata) and the CID can be computed before uploading
+    return await pinFile(
+      (formData) =>
+        formData.append('file', serializeJSON(metadata), {
+          filename: 'metadata.json',
+          contentType: 'application/json',
+        }),
+      name,
+      credentials,
+      options,
+      prefix
+    );
   } catch (error) {
-    console.error('Error uploading to Pinata:', error.response?.data || error.message);
-    throw new Error(`Failed to upload to Pinata: ${error.message}`);
+    console.error('Error uploading to Pinata:', error.message);
+    throw error;
   }
 }
 
 /**
  * Upload file to Pinata IPFS
  * @param {string} filePath - Path to file
- * @param {string} pinataApiKey - Pinata API key
- * @param {string} pinataSecretKey - Pinata secret API key
+ * @param {PinataCredentials} credentials - Pinata credentials
+ * @param {PinataUploadOptions} [options] - Upload options
  * @returns {Object} Upload result with IPFS hash
  */
-async function uploadFileToPinata(filePath, pinataApiKey, pinataSecretKey) {
-  const url = 'https://api.pinata.cloud/pinning/pinFileToIPFS';
+async function uploadFileToPinata(filePath, credentials, options = {}) {
+  const filename = filePath.split('/').pop();
 
-  const formData = new FormData();
-  formData.append('file', fs.createReadStream(filePath));
+  try {
+    return await pinFile(
+      (formData) => formData.append('file', fs.createReadStream(filePath)),
+      filename,
+      credentials,
+      options,
+      'Failed to upload file to Pinata'
+    );
+  } catch (error) {
+    console.error('Error uploading file to Pinata:', error.message);
+    throw error;
+  }
+}
 
-  const metadata = JSON.stringify({
-    name: filePath.split('/').pop(),
-  });
-  formData.append('pinataMetadata', metadata);
+/**
+ * Pin files as one directory. The returned hash is the directory's CID, so
+ * each file is at ipfs://<hash>/<name>.
+ * @param {Object[]} files - [{ name, buffer } or { name, filePath }]
+ * @param {PinataCredentials} credentials - Pinata credentials
+ * @param {PinataUploadOptions} [options] - Upload options (name is also the folder name)
+ * @returns {Object} Upload result with the directory's IPFS hash
+ */
+async function uploadDirectoryToPinata(files, credentials, options = {}) {
+  const folder = (options.name || 'directory').replace(/[^\w.-]/g, '_');
 
   try {
-    const response = await axios.post(url, formData, {
-      headers: {
-        ...formData.getHeaders(),
-        pinata_api_key: pinataApiKey,
-        pinata_secret_api_key: pinataSecretKey,
+    return await pinFile(
+      (formData) => {
+        for (const file of files) {
+          formData.append(
+            'file',
+            file.filePath ? fs.createReadStream(file.filePath) : file.buffer,
+            { filepath: `${folder}/${file.name}` }
+          );
+        }
       },
-      maxBodyLength: Infinity,
-    });
-
-    return {
-      success: true,
-      ipfsHash: response.data.IpfsHash,
-      ipfsUrl: `ipfs://${response.data.IpfsHash}`,
-      gatewayUrl: `https://gateway.pinata.cloud/ipfs/${response.data.IpfsHash}`,
-      timestamp: response.data.Timestamp,
-    };
+      folder,
+      credentials,
+      options,
+      'Failed to upload directory to Pinata'
+    );
   } catch (error) {
-    console.error('Error uploading file to Pinata:', error.response?.data || error.message);
-    throw new Error(`Failed to upload file to Pinata: ${error.message}`);
+    console.error('Error uploading directory to Pinata:', error.message);
+    throw error;
   }
 }
 
@@ -86,50 +272,74 @@ async function uploadFileToPinata(filePath, pinataApiKey, pinataSecretKey) {
  * Upload buffer to Pinata IPFS
  * @param {Buffer} buffer - File buffer
  * @param {string} filename - Filename
- * @param {string} pinataApiKey - Pinata API key
- * @param {string} pinataSecretKey - Pinata secret API key
+ * @param {PinataCredentials} credentials - Pinata credentials
+ * @param {PinataUploadOptions} [options] - Upload options
  * @returns {Object} Upload result with IPFS hash
  */
-async function uploadBufferToPinata(buffer, filename, pinataApiKey, pinataSecretKey) {
-  const url = 'https://api.pinata.cloud/pinning/pinFileToIPFS';
+async function uploadBufferToPinata(buffer, filename, credentials, options = {}) {
+  try {
+    return await pinFile(
+      (formData) => formData.append('file', buffer, filename),
+      filename,
+      credentials,
+      options,
+      'Failed to upload buffer to Pinata'
+    );
+  } catch (error) {
+    console.error('Error uploading buffer to Pinata:', error.message);
+    throw error;
+  }
+}
 
-  const formData = new FormData();
-  formData.append('file', buffer, filename);
+/**
+ * Find a Pinata group by name, creating it if it does not exist
+ * @param {string} name - Group name
+ * @param {PinataCredentials} credentials - Pinata credentials (JWT required)
+ * @param {PinataUploadOptions} [options] - Timeout and retry options
+ * @returns {Object} Group { id, name }
+ */
+async function findOrCreatePinataGroup(name, credentials, options = {}) {
+  if (!credentials.jwt) {
+    throw new Error('Pinata groups require JWT authentication');
+  }
 
-  const metadata = JSON.stringify({
-    name: filename,
-  });
-  formData.append('pinataMetadata', metadata);
+  const headers = getPinataAuthHeaders(credentials);
+  const prefix = `Failed to resolve Pinata group "${name}"`;
 
   try {
-    const response = await axios.post(url, formData, {
-      headers: {
-        ...formData.getHeaders(),
-        pinata_api_key: pinataApiKey,
-        pinata_secret_api_key: pinataSecretKey,
-      },
-      maxBodyLength: Infinity,
-    });
+    const existing = await pinataRequest(
+      prefix,
+      (config) =>
+        axios.get(`${PINATA_API_URL}/v3/groups/public`, { ...config, headers, params: { name } }),
+      options
+    );
+    const group = (existing.data.data?.groups || []).find((candidate) => candidate.name === name);
+    if (group) {
+      return { id: group.id, name: group.name };
+    }
 
-    return {
-      success: true,
-      ipfsHash: response.data.IpfsHash,
-      ipfsUrl: `ipfs://${response.data.IpfsHash}`,
-      gatewayUrl: `https://gateway.pinata.cloud/ipfs/${response.data.IpfsHash}`,
-      timestamp: response.data.Timestamp,
-    };
+    // Creating is not idempotent, so it is not retried
+    const created = await pinataRequest(
+      prefix,
+      (config) =>
+        axios.post(`${PINATA_API_URL}/v3/groups/public`, { name }, { ...config, headers }),
+      { ...options, retries: 0 }
+    );
+    return { id: created.data.data.id, name: created.data.data.name };
   } catch (error) {
-    console.error('Error uploading buffer to Pinata:', error.response?.data || error.message);
-    throw new Error(`Failed to upload buffer to Pinata: ${error.message}`);
+    console.error('Error resolving Pinata group:', error.message);
+    throw error;
   }
 }
 
 /**
  * Create NFT metadata following OpenSea standards
  * @param {Object} params - Metadata parameters
+ * @param {Object} [options] - Options for validateNFTMetadata()
  * @returns {Object} Formatted metadata
+ * @throws {MetadataValidationError} If the metadata does not match the schema
  */
-function createNFTMetadata(params) {
+function createNFTMetadata(params, options) {
   const {
     name,
     description,
@@ -138,6 +348,7 @@ function createNFTMetadata(params) {
     externalUrl,
     animationUrl,
     backgroundColor,
+    properties,
   } = params;
 
   const metadata = {
@@ -146,7 +357,7 @@ function createNFTMetadata(params) {
     image,
   };
 
-  if (attributes.length > 0) {
+  if (!Array.isArray(attributes) || attributes.length > 0) {
     metadata.attributes = attributes;
   }
 
@@ -162,35 +373,43 @@ function createNFTMetadata(params) {
     metadata.background_color = backgroundColor;
   }
 
+  if (properties !== undefined) {
+    metadata.properties = properties;
+  }
+
+  assertValidMetadata(metadata, options);
+
   return metadata;
 }
 
 /**
  * Test Pinata connection
- * @param {string} pinataApiKey - Pinata API key
- * @param {string} pinataSecretKey - Pinata secret API key
+ * @param {PinataCredentials} credentials - Pinata credentials
+ * @param {PinataUploadOptions} [options] - Timeout options (the test is not retried)
  * @returns {Object} Connection status
  */
-async function testPinataConnection(pinataApiKey, pinataSecretKey) {
-  const url = 'https://api.pinata.cloud/data/testAuthentication';
+async function testPinataConnection(credentials, options = {}) {
+  const url = `${PINATA_API_URL}/data/testAuthentication`;
 
   try {
-    const response = await axios.get(url, {
-      headers: {
-        pinata_api_key: pinataApiKey,
-        pinata_secret_api_key: pinataSecretKey,
-      },
-    });
+    const headers = getPinataAuthHeaders(credentials);
+    const response = await pinataRequest(
+      'Pinata connection test failed',
+      (config) => axios.get(url, { ...config, headers }),
+      { ...options, retries: 0 }
+    );
 
     return {
       success: true,
       message: response.data.message,
+      authMethod: credentials.jwt ? 'jwt' : 'api-key',
     };
   } catch (error) {
-    console.error('Pinata connection test failed:', error.response?.data || error.message);
+    console.error('Pinata connection test failed:', error.message);
     return {
       success: false,
       error: error.message,
+      code: error.code,
     };
   }
 }
@@ -198,7 +417,10 @@ async function testPinataConnection(pinataApiKey, pinataSecretKey) {
 module.exports = {
   uploadJSONToPinata,
   uploadFileToPinata,
+  uploadDirectoryToPinata,
   uploadBufferToPinata,
+  findOrCreatePinataGroup,
   createNFTMetadata,
   testPinataConnection,
-};
\ No newline at end of file
+  hasPinataCredentials,
+};
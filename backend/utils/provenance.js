@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+
+const PROVENANCE_ALGORITHM = 'sha256(concat(imageCids ordered by tokenId))';
+
+/**
+ * Hash the image CIDs of a hidden drop, in tokenId order. Publishing the hash
+ * before sale commits to which image every token gets: after the reveal anyone
+ * can recompute it from the revealed metadata.
+ * @param {string[]} imageCids - Image CIDs, ordered by tokenId
+ * @returns {string} 0x-prefixed SHA-256, as stored by LazyNFT.setProvenanceHash
+ */
+function computeProvenanceHash(imageCids) {
+  return '0x' + crypto.createHash('sha256').update(imageCids.join('')).digest('hex');
+}
+
+/**
+ * Build the provenance record of a hidden drop
+ * @param {Object[]} tokens - [{ tokenId, imageCid }] in any order
+ * @returns {Object} { algorithm, provenanceHash, tokens } with tokens ordered by tokenId
+ * @throws {Error} If a tokenId appears twice
+ */
+function buildProvenanceRecord(tokens) {
+  // tokenIds may be decimal strings above Number.MAX_SAFE_INTEGER
+  const ordered = [...tokens].sort((a, b) =>
+    BigInt(a.tokenId) < BigInt(b.tokenId) ? -1 : BigInt(a.tokenId) > BigInt(b.tokenId) ? 1 : 0
+  );
+  ordered.forEach((token, i) => {
+    if (i > 0 && BigInt(token.tokenId) === BigInt(ordered[i - 1].tokenId)) {
+      throw new Error(`Duplicate tokenId in provenance record: ${token.tokenId}`);
+    }
+  });
+
+  return {
+    algorithm: PROVENANCE_ALGORITHM,
+    provenanceHash: computeProvenanceHash(ordered.map((token) => token.imageCid)),
+    tokens: ordered.map(({ tokenId, imageCid }) => ({ tokenId, imageCid })),
+  };
+}
+
+module.exports = {
+  PROVENANCE_ALGORITHM,
+  computeProvenanceHash,
+  buildProvenanceRecord,
+};
@@ -0,0 +1,600 @@
+const crypto = require('crypto');
+const path = require('path');
+const { ethers } = require('ethers');
+const { readJSONFile, writeJSONFile, createQueue } = require('./jsonFile');
+const {
+  LAZY_NFT_ABI,
+  FORWARDER_ABI,
+  getLazyNFTContract,
+  getForwarderContract,
+} = require('./contract');
+const { formatVoucherForContract, isOpenVoucher, isClaimRequired } = require('./voucher');
+const { VOUCHER_VERDICT, checkVoucherStatus } = require('./voucherStatus');
+const { RelayError } = require('./errors');
+
+const RELAY_STATUS = {
+  PENDING: 'pending',
+  SUBMITTED: 'submitted',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+};
+
+const DEFAULT_JOBS_PATH = path.join(__dirname, '..', 'data', 'relay-jobs.json');
+
+// EIP-712 domain of LazyNFTForwarder (see contracts/LazyNFTForwarder.sol)
+const FORWARDER_NAME = 'LazyNFTForwarder';
+const FORWARDER_VERSION = '1';
+
+// Headroom over the gas estimate, in percent
+const GAS_LIMIT_MARGIN = 20n;
+
+const lazyNftInterface = new ethers.Interface(LAZY_NFT_ABI);
+const forwarderInterface = new ethers.Interface(FORWARDER_ABI);
+
+/**
+ * EIP-712 domain for forward requests
+ * @param {string} forwarderAddress - Deployed forwarder address
+ * @param {number} chainId - Chain ID
+ * @returns {Object} Domain
+ */
+function createForwarderDomain(forwarderAddress, chainId) {
+  return {
+    name: FORWARDER_NAME,
+    version: FORWARDER_VERSION,
+    chainId,
+    verifyingContract: forwarderAddress,
+  };
+}
+
+/**
+ * EIP-712 types for forward requests (ERC2771Forwarder)
+ * @returns {Object} Types
+ */
+function createForwardRequestTypes() {
+  return {
+    ForwardRequest: [
+      { name: 'from', type: 'address' },
+      { name: 'to', type: 'address' },
+      { name: 'value', type: 'uint256' },
+      { name: 'gas', type: 'uint256' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint48' },
+      { name: 'data', type: 'bytes' },
+    ],
+  };
+}
+
+/**
+ * Calldata for redeeming a voucher: claimMint with a claim signature, lazyMint otherwise
+ * @param {Object} voucher - The voucher
+ * @param {string} [claimSignature] - VoucherClaim signature
+ * @returns {string} Calldata
+ */
+function encodeMintCall(voucher, claimSignature) {
+  const voucherTuple = formatVoucherForContract(voucher);
+  return claimSignature
+    ? lazyNftInterface.encodeFunctionData('claimMint', [voucherTuple, claimSignature])
+    : lazyNftInterface.encodeFunctionData('lazyMint', [voucherTuple]);
+}
+
+/**
+ * Wei a job counts against the spending limits: the reserved maximum until the
+ * transaction is mined, then what it actually cost
+ * @param {Object} job - Relay job
+ * @returns {bigint} Wei
+ */
+function jobSpend(job) {
+  if (job.cost !== null) {
+    return BigInt(job.cost);
+  }
+  return job.status === RELAY_STATUS.FAILED ? 0n : BigInt(job.maxCost);
+}
+
+/**
+ * Create a file-backed store of relay jobs
+ * @param {string} [filePath] - JSON file holding the jobs
+ * @returns {Object} Store with add, update and get
+ */
+function createRelayJobStore(filePath = DEFAULT_JOBS_PATH) {
+  const run = createQueue();
+
+  async function load() {
+    return (await readJSONFile(filePath, { jobs: [] })).jobs;
+  }
+
+  function update(task) {
+    return run(async () => {
+      const jobs = await load();
+      const result = await task(jobs);
+      await writeJSONFile(filePath, { jobs });
+      return result;
+    });
+  }
+
+  return {
+    /**
+     * Add a job. check(jobs) runs in the same write as the insert, so concurrent
+     * submissions always see each other's reservations.
+     * @param {Object} job - New job
+     * @param {Function} check - Throws to reject the job
+     * @returns {Object} The job
+     */
+    add(job, check) {
+      return update(async (jobs) => {
+        check(jobs);
+        jobs.push(job);
+        return job;
+      });
+    },
+
+    /**
+     * Update a job
+     * @param {string} id - Job ID
+     * @param {Object} changes - Fields to set
+     * @returns {Object|null} Updated job, or null if not found
+     */
+    update(id, changes) {
+      return update(async (jobs) => {
+        const job = jobs.find((candidate) => candidate.id === id);
+        if (!job) {
+          return null;
+        }
+        Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+        return job;
+      });
+    },
+
+    /**
+     * Look up a job
+     * @param {string} id - Job ID
+     * @returns {Object|null} Job
+     */
+    async get(id) {
+      return (await load()).find((job) => job.id === id) || null;
+    },
+  };
+}
+
+/**
+ * Create the relayer's wallet. Transactions are sent one at a time with locally
+ * tracked nonces, so concurrent submissions never reuse a nonce; after a failed
+ * send the next nonce is read from the node again.
+ * @param {string} privateKey - Relayer private key
+ * @param {ethers.Provider} provider - Provider of the wallet's chain
+ * @returns {Object} { address, getBalance, send }
+ */
+function createRelayWallet(privateKey, provider) {
+  const wallet = new ethers.Wallet(privateKey, provider);
+  const run = createQueue();
+  let nextNonce = null;
+
+  return {
+    address: wallet.address,
+
+    getBalance() {
+      return provider.getBalance(wallet.address);
+    },
+
+    /**
+     * Sign and broadcast a transaction with the next nonce
+     * @param {Object} tx - Transaction request
+     * @returns {Promise<ethers.TransactionResponse>} Sent transaction
+     */
+    send(tx) {
+      return run(async () => {
+        if (nextNonce === null) {
+          nextNonce = await provider.getTransactionCount(wallet.address, 'pending');
+        }
+        try {
+          const sent = await wallet.sendTransaction({ ...tx, nonce: nextNonce });
+          nextNonce += 1;
+          return sent;
+        } catch (error) {
+          nextNonce = null;
+          throw error;
+        }
+      });
+    },
+  };
+}
+
+/**
+ * Create a relayer that submits voucher redemptions for a collection and pays
+ * their gas and price.
+ *
+ * Vouchers bound to a minter are redeemed with a plain lazyMint call from the
+ * relayer wallet. Open and claim-protected vouchers mint to the caller, so the
+ * collector signs an ERC-2771 forward request (see prepare()) and the relayer
+ * submits it through the contract's trusted forwarder.
+ *
+ * @param {Object} options
+ * @param {string} options.contractAddress - LazyNFT address
+ * @param {number} options.chainId - Chain ID
+ * @param {ethers.Provider} options.provider - Provider
+ * @param {Object} options.wallet - Relay wallet (see createRelayWallet())
+ * @param {Object} options.jobStore - Relay job store
+ * @param {Object} options.limits - maxSpendPerVoucher and maxSpendPerAddress (wei),
+ *   window (ms), callGasLimit, requestTtl (seconds), confirmations
+ * @returns {Object} Relayer
+ */
+function createRelayer({ contractAddress, chainId, provider, wallet, jobStore, limits }) {
+  const contract = getLazyNFTContract(contractAddress, provider);
+  let forwarderAddress;
+
+  function isInCollection(job) {
+    return (
+      job.chainId === chainId && job.contractAddress.toLowerCase() === contractAddress.toLowerCase()
+    );
+  }
+
+  /**
+   * The contract's trusted forwarder, read once
+   * @returns {Promise<string|null>} Forwarder address, or null if the contract has none
+   */
+  async function getForwarder() {
+    if (forwarderAddress === undefined) {
+      const address = await contract.trustedForwarder();
+      forwarderAddress = address === ethers.ZeroAddress ? null : address;
+    }
+    return forwarderAddress;
+  }
+
+  async function requireForwarder() {
+    const forwarder = await getForwarder();
+    if (!forwarder) {
+      throw new RelayError('The contract has no trusted forwarder', {
+        code: 'FORWARDER_NOT_CONFIGURED',
+      });
+    }
+    return forwarder;
+  }
+
+  /**
+   * Check that a voucher can still be redeemed (see checkVoucherStatus())
+   * @param {Object} voucher - The voucher
+   */
+  async function checkVoucher(voucher) {
+    if (!voucher) {
+      throw new RelayError('Voucher is required', { code: 'INVALID_VOUCHER' });
+    }
+
+    const { verdict, mintable, message } = await checkVoucherStatus(
+      { contractAddress, chainId, provider },
+      voucher,
+      { simulate: false }
+    );
+    if (!mintable) {
+      throw new RelayError(message, {
+        status:
+          verdict === VOUCHER_VERDICT.REDEEMED || verdict === VOUCHER_VERDICT.TOKEN_TAKEN
+            ? 409
+            : 422,
+        code: `VOUCHER_${verdict.toUpperCase().replace('-', '_')}`,
+      });
+    }
+  }
+
+  /**
+   * Check a signed forward request against the voucher it should redeem
+   * @returns {Object} { forwarder, requestData } with the ForwardRequestData for execute()
+   */
+  async function checkForwardRequest(request, voucher, claimSignature) {
+    const forwarder = await requireForwarder();
+
+    if (!ethers.isAddress(request.from) || !ethers.isAddress(request.to) || !request.signature) {
+      throw new RelayError('Forward request needs from, to and signature', {
+        code: 'INVALID_FORWARD_REQUEST',
+      });
+    }
+    if (ethers.getAddress(request.to) !== ethers.getAddress(contractAddress)) {
+      throw new RelayError(`Forward request must target ${contractAddress}`, {
+        code: 'INVALID_FORWARD_REQUEST',
+      });
+    }
+    if (String(request.data).toLowerCase() !== encodeMintCall(voucher, claimSignature)) {
+      throw new RelayError('Forward request does not redeem this voucher', {
+        code: 'INVALID_FORWARD_REQUEST',
+      });
+    }
+    if (BigInt(request.value) !== BigInt(voucher.price)) {
+      throw new RelayError('Forward request value must equal the voucher price', {
+        code: 'INVALID_FORWARD_REQUEST',
+      });
+    }
+
+    const requestData = {
+      from: request.from,
+      to: request.to,
+      value: request.value,
+      gas: request.gas,
+      deadline: request.deadline,
+      data: request.data,
+      signature: request.signature,
+    };
+
+    // Checks the signature, the forwarder nonce, the deadline and that the target trusts it
+    const valid = await getForwarderContract(forwarder, provider).verify(requestData);
+    if (!valid) {
+      throw new RelayError('Forward request signature, nonce or deadline is not valid', {
+        status: 422,
+        code: 'INVALID_FORWARD_REQUEST',
+      });
+    }
+
+    return { forwarder, requestData };
+  }
+
+  /**
+   * Build the transaction that redeems a voucher, and who receives the token
+   */
+  async function buildTransaction({ voucher, claimSignature, request }) {
+    if (request) {
+      const { forwarder, requestData } = await checkForwardRequest(
+        request,
+        voucher,
+        claimSignature
+      );
+      return {
+        mode: 'forwarded',
+        from: ethers.getAddress(request.from),
+        recipient: isOpenVoucher(voucher)
+          ? ethers.getAddress(request.from)
+          : ethers.getAddress(voucher.minter),
+        tx: {
+          to: forwarder,
+          data: forwarderInterface.encodeFunctionData('execute', [requestData]),
+          value: BigInt(voucher.price),
+        },
+      };
+    }
+
+    if (isOpenVoucher(voucher) || claimSignature) {
+      throw new RelayError(
+        'Open and claim-protected vouchers mint to the caller; sign a forward request (see /relay/prepare)',
+        { code: 'FORWARD_REQUEST_REQUIRED' }
+      );
+    }
+
+    return {
+      mode: 'direct',
+      from: null,
+      recipient: ethers.getAddress(voucher.minter),
+      tx: {
+        to: contractAddress,
+        data: encodeMintCall(voucher),
+        value: BigInt(voucher.price),
+      },
+    };
+  }
+
+  /**
+   * Gas limit and fees for a transaction, and the most it can cost
+   */
+  async function estimateCost(tx) {
+    let gas;
+    try {
+      gas = await provider.estimateGas({ ...tx, from: wallet.address });
+    } catch (error) {
+      throw new RelayError(`Mint would fail: ${error.shortMessage || error.message}`, {
+        status: 422,
+        code: 'MINT_WOULD_REVERT',
+      });
+    }
+
+    const gasLimit = (gas * (100n + GAS_LIMIT_MARGIN)) / 100n;
+    const feeData = await provider.getFeeData();
+    const fees = feeData.maxFeePerGas
+      ? { maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas }
+      : { gasPrice: feeData.gasPrice };
+
+    return {
+      gasLimit,
+      fees,
+      maxCost: tx.value + gasLimit * (fees.maxFeePerGas || fees.gasPrice),
+    };
+  }
+
+  /**
+   * Reject a job that exceeds a spending limit or duplicates an active one
+   */
+  function checkLimits(jobs, job) {
+    const active = jobs.find(
+      (other) =>
+        isInCollection(other) &&
+        other.voucherNonce === job.voucherNonce &&
+        other.status !== RELAY_STATUS.FAILED
+    );
+    if (active) {
+      throw new RelayError(`Voucher already relayed (job ${active.id})`, {
+        status: 409,
+        code: 'ALREADY_RELAYED',
+      });
+    }
+
+    if (BigInt(job.maxCost) > limits.maxSpendPerVoucher) {
+      throw new RelayError(
+        `Relaying this voucher can cost ${ethers.formatEther(job.maxCost)} ETH, over the ${ethers.formatEther(limits.maxSpendPerVoucher)} ETH limit per voucher`,
+        { status: 403, code: 'RELAY_LIMIT_EXCEEDED' }
+      );
+    }
+
+    const since = Date.now() - limits.window;
+    const spent = jobs
+      .filter(
+        (other) =>
+          isInCollection(other) &&
+          other.recipient === job.recipient &&
+          Date.parse(other.createdAt) >= since
+      )
+      .reduce((total, other) => total + jobSpend(other), 0n);
+
+    if (spent + BigInt(job.maxCost) > limits.maxSpendPerAddress) {
+      throw new RelayError(
+        `Relay spending for ${job.recipient} would exceed ${ethers.formatEther(limits.maxSpendPerAddress)} ETH`,
+        { status: 429, code: 'RELAY_LIMIT_EXCEEDED' }
+      );
+    }
+  }
+
+  /**
+   * Update a submitted job from its transaction receipt
+   * @param {Object} job - Submitted job
+   * @returns {Object} Job
+   */
+  async function refresh(job) {
+    const receipt = await provider.getTransactionReceipt(job.txHash);
+    if (!receipt || (await receipt.confirmations()) < limits.confirmations) {
+      return job;
+    }
+
+    const succeeded = receipt.status === 1;
+    // A reverted transaction refunds its value but still pays for gas
+    const cost = (succeeded ? BigInt(job.value) : 0n) + receipt.fee;
+
+    return jobStore.update(job.id, {
+      status: succeeded ? RELAY_STATUS.CONFIRMED : RELAY_STATUS.FAILED,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+      cost: cost.toString(),
+      error: succeeded ? null : 'Transaction reverted',
+    });
+  }
+
+  return {
+    address: wallet.address,
+    getBalance: wallet.getBalance,
+    getForwarder,
+
+    /**
+     * Build the forward request a collector signs to have an open or
+     * claim-protected voucher minted to them
+     * @param {Object} params
+     * @param {Object} params.voucher - The voucher
+     * @param {string} params.from - Collector address (receives open vouchers)
+     * @param {string} [params.claimSignature] - VoucherClaim(nonce, from) signature
+     * @returns {Object} { forwarder, domain, types, request } to sign with signTypedData
+     */
+    async prepare({ voucher, from, claimSignature }) {
+      if (!ethers.isAddress(from)) {
+        throw new RelayError('from must be an address', { code: 'INVALID_FORWARD_REQUEST' });
+      }
+      await checkVoucher(voucher);
+      if (isClaimRequired(voucher) && !claimSignature) {
+        throw new RelayError('This voucher is claim-protected; claimSignature is required', {
+          code: 'CLAIM_REQUIRED',
+        });
+      }
+
+      const forwarder = await requireForwarder();
+      const nonce = await getForwarderContract(forwarder, provider).nonces(from);
+
+      // The request lapses with the voucher, or after requestTtl
+      const voucherDeadline = Number(voucher.deadline || 0);
+      const ttlDeadline = Math.floor(Date.now() / 1000) + limits.requestTtl;
+      const deadline = voucherDeadline ? Math.min(voucherDeadline, ttlDeadline) : ttlDeadline;
+
+      return {
+        forwarder,
+        domain: createForwarderDomain(forwarder, chainId),
+        types: createForwardRequestTypes(),
+        request: {
+          from: ethers.getAddress(from),
+          to: ethers.getAddress(contractAddress),
+          value: BigInt(voucher.price).toString(),
+          gas: String(limits.callGasLimit),
+          nonce: nonce.toString(),
+          deadline,
+          data: encodeMintCall(voucher, claimSignature),
+        },
+      };
+    },
+
+    /**
+     * Check a voucher, reserve its cost against the spending limits and submit it
+     * @param {Object} params
+     * @param {Object} params.voucher - The voucher
+     * @param {string} [params.claimSignature] - VoucherClaim signature (forwarded requests)
+     * @param {Object} [params.request] - Signed forward request (from prepare() plus signature)
+     * @returns {Object} Submitted job
+     */
+    async submit({ voucher, claimSignature, request }) {
+      await checkVoucher(voucher);
+      const { mode, from, recipient, tx } = await buildTransaction({
+        voucher,
+        claimSignature,
+        request,
+      });
+      const { gasLimit, fees, maxCost } = await estimateCost(tx);
+
+      const now = new Date().toISOString();
+      const job = {
+        id: crypto.randomUUID(),
+        status: RELAY_STATUS.PENDING,
+        mode,
+        contractAddress,
+        chainId,
+        tokenId: voucher.tokenId.toString(),
+        voucherNonce: voucher.nonce.toString(),
+        recipient,
+        from,
+        relayer: wallet.address,
+        value: tx.value.toString(),
+        gasLimit: gasLimit.toString(),
+        maxCost: maxCost.toString(),
+        cost: null,
+        txHash: null,
+        txNonce: null,
+        blockNumber: null,
+        gasUsed: null,
+        error: null,
+        createdAt: now,
+        updatedAt: now,
+      };
+      await jobStore.add(job, (jobs) => checkLimits(jobs, job));
+
+      let sent;
+      try {
+        sent = await wallet.send({ ...tx, gasLimit, ...fees });
+      } catch (error) {
+        await jobStore.update(job.id, {
+          status: RELAY_STATUS.FAILED,
+          error: error.shortMessage || error.message,
+        });
+        throw new RelayError(`Failed to submit: ${error.shortMessage || error.message}`, {
+          status: 502,
+          code: 'RELAY_SEND_FAILED',
+          cause: error,
+        });
+      }
+
+      return jobStore.update(job.id, {
+        status: RELAY_STATUS.SUBMITTED,
+        txHash: sent.hash,
+        txNonce: sent.nonce,
+      });
+    },
+
+    /**
+     * Look up a job of this collection, checking its transaction if it is still in flight
+     * @param {string} id - Job ID
+     * @returns {Object|null} Job
+     */
+    async getJob(id) {
+      const job = await jobStore.get(id);
+      if (!job || !isInCollection(job)) {
+        return null;
+      }
+      return job.status === RELAY_STATUS.SUBMITTED ? refresh(job) : job;
+    },
+  };
+}
+
+module.exports = {
+  RELAY_STATUS,
+  createForwarderDomain,
+  createForwardRequestTypes,
+  encodeMintCall,
+  createRelayJobStore,
+  createRelayWallet,
+  createRelayer,
+};
@@ -0,0 +1,61 @@
+const DEFAULT_RETRY_OPTIONS = {
+  retries: 3,
+  minDelay: 500,
+  maxDelay: 10000,
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Delay before the given retry: exponential backoff with full jitter,
+ * stretched to honour a server-provided Retry-After (in seconds)
+ * @param {number} attempt - Retry number, starting at 1
+ * @param {Object} options - { minDelay, maxDelay }
+ * @param {number} [retryAfter] - Retry-After from the server, in seconds
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempt, { minDelay, maxDelay }, retryAfter) {
+  const ceiling = Math.min(maxDelay, minDelay * 2 ** (attempt - 1));
+  const delay = Math.round(Math.random() * ceiling);
+  return retryAfter ? Math.min(Math.max(delay, retryAfter * 1000), maxDelay) : delay;
+}
+
+/**
+ * Run an async task, retrying failures marked `retryable`
+ * @param {Function} task - async (attempt) => result
+ * @param {Object} [options]
+ * @param {number} [options.retries] - Retries after the first attempt (default 3)
+ * @param {number} [options.minDelay] - Base backoff delay in ms (default 500)
+ * @param {number} [options.maxDelay] - Maximum backoff delay in ms (default 10000)
+ * @param {Function} [options.onRetry] - (error, attempt, delay) called before each retry
+ * @returns {*} Task result
+ */
+async function withRetry(task, options = {}) {
+  const settings = { ...DEFAULT_RETRY_OPTIONS };
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined) {
+      settings[key] = value;
+    }
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task(attempt);
+    } catch (error) {
+      if (!error.retryable || attempt >= settings.retries) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(attempt + 1, settings, error.retryAfter);
+      if (settings.onRetry) {
+        settings.onRetry(error, attempt + 1, delay);
+      }
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  withRetry,
+  getRetryDelay,
+};
@@ -0,0 +1,110 @@
+const { cidsEqual, serializeJSON } = require('../cid');
+const { CidMismatchError } = require('../errors');
+const { createPinataStorage } = require('./pinata');
+const { createKuboStorage } = require('./kubo');
+const { createLocalStorage } = require('./local');
+
+/**
+ * Storage providers share one interface:
+ *
+ *   name                                    - Provider name
+ *   configured                              - Whether credentials/settings are present
+ *   computeCid(buffer)                      - The CID an upload of these bytes resolves to
+ *   computeFileCid(filePath)                - The same for a file on disk, streamed (async)
+ *   computeDirectoryCid(files)              - The CID uploadDirectory(files) resolves to (async)
+ *   uploadJSON(data, options)               - Store a JSON object
+ *   uploadBuffer(buffer, filename, options) - Store a file held in memory
+ *   uploadFile(filePath, options)           - Store a file from disk
+ *   uploadDirectory(files, options)         - Store files as one directory, named by options.name
+ *   test()                                  - Check connectivity: { success, message | error }
+ *
+ * Uploads resolve to { success, ipfsHash, ipfsUrl, gatewayUrl, timestamp }. The optional
+ * options ({ name, keyvalues }) label the upload; providers without labels ignore them.
+ * options.onProgress(bytesSent) is called as the content is sent.
+ * JSON is stored as serializeJSON(data), so computeCid(serializeJSON(data)) is its CID.
+ * Directory files are [{ name, buffer } or { name, filePath }]; files on disk are streamed,
+ * and the directory's CID is returned as ipfsHash.
+ */
+
+/**
+ * Wrap a provider so every upload is checked against the CID computed locally.
+ * A mismatch means the backend chunked or encoded the content differently than
+ * computeCid() assumes, and any CID computed ahead of time would be wrong.
+ * @param {Object} storage - Storage provider
+ * @returns {Object} Storage provider whose uploads throw CidMismatchError on a mismatch
+ */
+function withCidVerification(storage) {
+  function check(expected, result) {
+    if (!cidsEqual(result.ipfsHash, expected)) {
+      throw new CidMismatchError(
+        `${storage.name} stored the upload as ${result.ipfsHash}, but its content hashes to ${expected}`,
+        { expected, actual: result.ipfsHash }
+      );
+    }
+    return result;
+  }
+
+  async function verify(buffer, upload) {
+    const expected = storage.computeCid(buffer);
+    return check(expected, await upload());
+  }
+
+  return {
+    ...storage,
+    verifiesCids: true,
+
+    uploadJSON(data, options) {
+      return verify(serializeJSON(data), () => storage.uploadJSON(data, options));
+    },
+
+    uploadBuffer(buffer, filename, options) {
+      return verify(buffer, () => storage.uploadBuffer(buffer, filename, options));
+    },
+
+    async uploadFile(filePath, options) {
+      const expected = await storage.computeFileCid(filePath);
+      return check(expected, await storage.uploadFile(filePath, options));
+    },
+
+    async uploadDirectory(files, options) {
+      const expected = await storage.computeDirectoryCid(files);
+      return check(expected, await storage.uploadDirectory(files, options));
+    },
+  };
+}
+
+/**
+ * Create the configured storage provider
+ * @param {Object} config
+ * @param {string} [config.provider] - "pinata" (default), "kubo" or "local"
+ * @param {boolean} [config.verifyCid] - Check every upload's CID against computeCid() (default true)
+ * @param {Object} [config.pinata] - Options for createPinataStorage()
+ * @param {Object} [config.kubo] - Options for createKuboStorage()
+ * @param {Object} [config.local] - Options for createLocalStorage()
+ * @returns {Object} Storage provider
+ */
+function createStorageProvider(config = {}) {
+  const { provider = 'pinata', verifyCid = true } = config;
+
+  let storage;
+  switch (provider) {
+    case 'pinata':
+      storage = createPinataStorage(config.pinata || {});
+      break;
+    case 'kubo':
+      storage = createKuboStorage(config.kubo);
+      break;
+    case 'local':
+      storage = createLocalStorage(config.local);
+      break;
+    default:
+      throw new Error(`Unknown storage provider: ${provider}`);
+  }
+
+  return verifyCid ? withCidVerification(storage) : storage;
+}
+
+module.exports = {
+  withCidVerification,
+  createStorageProvider,
+};
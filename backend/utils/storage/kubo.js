@@ -0,0 +1,203 @@
+const axios = require('axios');
+const FormData = require('form-data');
+const fs = require('fs');
+const path = require('path');
+const { computeCid, createCidBuilder, hashFile, hashDirectory, serializeJSON } = require('../cid');
+const { toStorageError } = require('../errors');
+const { withRetry } = require('../retry');
+
+// The name only labels a directory upload; the directory's CID does not depend on it
+function directoryName(name) {
+  return (name || 'directory').replace(/[^\w.-]/g, '_');
+}
+
+/**
+ * Create a storage provider backed by a Kubo (go-ipfs) node's HTTP RPC API
+ * @param {Object} config
+ * @param {string} [config.apiUrl] - RPC API base URL
+ * @param {string} [config.gatewayUrl] - Gateway base URL used for gatewayUrl results
+ * @param {string} [config.authorization] - Optional Authorization header for the RPC API
+ * @param {number} [config.cidVersion] - CID version to add content with (0 or 1, default 0)
+ * @param {number} [config.timeout] - Per-attempt request timeout in ms
+ * @param {number} [config.retries] - Retries for transient failures
+ * @param {number} [config.retryDelay] - Base backoff delay in ms
+ * @returns {Object} Storage provider
+ */
+function createKuboStorage(config = {}) {
+  const {
+    apiUrl = 'http://127.0.0.1:5001',
+    gatewayUrl = 'http://127.0.0.1:8080/ipfs',
+    authorization,
+    cidVersion = 0,
+    timeout = 60000,
+    retries,
+    retryDelay,
+  } = config;
+
+  const headers = authorization ? { Authorization: authorization } : {};
+  const addUrl = `${apiUrl}/api/v0/add?pin=true&cid-version=${cidVersion}`;
+
+  // buildForm is called for every attempt because a consumed file stream cannot be resent.
+  // options.root names the entry to report when several are added (a directory).
+  async function add(buildForm, name, options = {}) {
+    const { onProgress, root } = options;
+    try {
+      const response = await withRetry(
+        async () => {
+          const formData = buildForm();
+          try {
+            return await axios.post(addUrl, formData, {
+              headers: {
+                ...formData.getHeaders(),
+                ...headers,
+              },
+              maxBodyLength: Infinity,
+              timeout,
+              ...(onProgress && { onUploadProgress: (event) => onProgress(event.loaded) }),
+            });
+          } catch (error) {
+            throw toStorageError(error, `Failed to add ${name} to IPFS node`);
+          }
+        },
+        {
+          retries,
+          minDelay: retryDelay,
+          onRetry: (error, attempt, delay) =>
+            console.warn(`${error.message} (retry ${attempt} in ${delay}ms)`),
+        }
+      );
+
+      // Adding several entries is answered with one JSON object per line
+      const entries =
+        typeof response.data === 'string'
+          ? response.data
+              .trim()
+              .split('\n')
+              .map((line) => JSON.parse(line))
+          : [response.data];
+      const { Hash } = entries.find((entry) => entry.Name === root) || entries[entries.length - 1];
+
+      return {
+        success: true,
+        ipfsHash: Hash,
+        ipfsUrl: `ipfs://${Hash}`,
+        gatewayUrl: `${gatewayUrl}/${Hash}`,
+        timestamp: new Date().toISOString(),
+      };
+    } catch (error) {
+      console.error('Error adding to IPFS node:', error.message);
+      throw error;
+    }
+  }
+
+  return {
+    name: 'kubo',
+    configured: true,
+
+    // Kubo's own defaults for the CID version: 256 KiB chunks, raw leaves with CIDv1
+    computeCid(buffer) {
+      return computeCid(buffer, { cidVersion });
+    },
+
+    computeFileCid(filePath) {
+      return hashFile(filePath, createCidBuilder({ cidVersion }));
+    },
+
+    computeDirectoryCid(files) {
+      return hashDirectory(files, () => createCidBuilder({ cidVersion }), { cidVersion });
+    },
+
+    uploadJSON(data, options = {}) {
+      return add(
+        () => {
+          const formData = new FormData();
+          formData.append('file', serializeJSON(data), 'metadata.json');
+          return formData;
+        },
+        'JSON',
+        options
+      );
+    },
+
+    uploadBuffer(buffer, filename, options = {}) {
+      return add(
+        () => {
+          const formData = new FormData();
+          formData.append('file', buffer, filename);
+          return formData;
+        },
+        'buffer',
+        options
+      );
+    },
+
+    uploadFile(filePath, options = {}) {
+      return add(
+        () => {
+          const formData = new FormData();
+          formData.append('file', fs.createReadStream(filePath), path.basename(filePath));
+          return formData;
+        },
+        'file',
+        options
+      );
+    },
+
+    uploadDirectory(files, options = {}) {
+      const root = directoryName(options.name);
+      // Every directory on the way to a file is sent as its own part, before the file
+      const directories = new Set([root]);
+      for (const file of files) {
+        const segments = file.name.split('/').slice(0, -1);
+        segments.forEach((segment, i) => {
+          directories.add([root, ...segments.slice(0, i + 1)].join('/'));
+        });
+      }
+
+      return add(
+        () => {
+          const formData = new FormData();
+          for (const directory of directories) {
+            formData.append('file', Buffer.alloc(0), {
+              filename: encodeURIComponent(directory),
+              contentType: 'application/x-directory',
+            });
+          }
+          for (const file of files) {
+            formData.append(
+              'file',
+              file.filePath ? fs.createReadStream(file.filePath) : file.buffer,
+              { filename: encodeURIComponent(`${root}/${file.name}`) }
+            );
+          }
+          return formData;
+        },
+        'directory',
+        { ...options, root }
+      );
+    },
+
+    async test() {
+      try {
+        const response = await axios.post(`${apiUrl}/api/v0/version`, null, { headers, timeout });
+
+        return {
+          success: true,
+          message: `Connected to IPFS node (Kubo ${response.data.Version})`,
+        };
+      } catch (error) {
+        const storageError = toStorageError(error, 'IPFS node connection test failed');
+        console.error(storageError.message);
+        return {
+          success: false,
+          error: storageError.message,
+          code: storageError.code,
+        };
+      }
+    },
+  };
+}
+
+module.exports = {
+  createKuboStorage,
+};
@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const {
+  computeRawCid,
+  createRawCidBuilder,
+  hashFile,
+  buildDirectoryTree,
+  hashDirectory,
+  serializeJSON,
+} = require('../cid');
+
+const DEFAULT_STORAGE_DIR = path.join(__dirname, '..', '..', 'data', 'ipfs');
+
+// A path inside a directory: "/"-separated names, none empty, "." or ".."
+function isRelativePath(name) {
+  return (
+    typeof name === 'string' &&
+    !name.includes('\\') &&
+    name.split('/').every((segment) => segment && segment !== '.' && segment !== '..')
+  );
+}
+
+/**
+ * Create a content-addressed storage provider on the local filesystem.
+ * Meant for development and offline tests: nothing leaves the machine, and
+ * content is served back by the API server under /ipfs/:cid.
+ * @param {Object} config
+ * @param {string} [config.dir] - Directory holding stored content
+ * @param {string} [config.gatewayUrl] - Base URL content is served from
+ * @returns {Object} Storage provider
+ */
+function createLocalStorage(config = {}) {
+  const { dir = DEFAULT_STORAGE_DIR, gatewayUrl = 'http://localhost:3000/ipfs' } = config;
+
+  function formatResult(cid) {
+    return {
+      success: true,
+      ipfsHash: cid,
+      ipfsUrl: `ipfs://${cid}`,
+      gatewayUrl: `${gatewayUrl}/${cid}`,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  async function store(buffer, onProgress) {
+    const cid = computeRawCid(buffer);
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(path.join(dir, cid), buffer);
+    onProgress?.(buffer.length);
+
+    return formatResult(cid);
+  }
+
+  // Streams a file to destPath, feeding it to builder and reporting each chunk's size
+  function copyHashed(filePath, destPath, builder, onChunk) {
+    return pipeline(
+      fs.createReadStream(filePath),
+      async function* (source) {
+        for await (const chunk of source) {
+          builder.update(chunk);
+          onChunk(chunk.length);
+          yield chunk;
+        }
+      },
+      fs.createWriteStream(destPath)
+    );
+  }
+
+  // Copied through a temporary file and hashed on the way, so large files are never held in memory
+  async function storeFile(filePath, onProgress) {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const tempPath = path.join(dir, `.${crypto.randomUUID()}.tmp`);
+    const builder = createRawCidBuilder();
+    let copied = 0;
+
+    try {
+      await copyHashed(filePath, tempPath, builder, (bytes) => {
+        copied += bytes;
+        onProgress?.(copied);
+      });
+
+      const cid = builder.digest();
+      await fs.promises.rename(tempPath, path.join(dir, cid));
+      return formatResult(cid);
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  // Stored as a real directory named by its CID, so /ipfs/<cid>/<path> can be served.
+  // Subdirectories are linked under their own CIDs, as an IPFS node would resolve them.
+  async function storeDirectory(files, onProgress) {
+    const invalid = files.find((file) => !isRelativePath(file.name));
+    if (invalid) {
+      throw new Error(`Invalid file name in directory: "${invalid.name}"`);
+    }
+
+    await fs.promises.mkdir(dir, { recursive: true });
+    const tempDir = path.join(dir, `.${crypto.randomUUID()}.tmp`);
+    let copied = 0;
+    const report = (bytes) => {
+      copied += bytes;
+      onProgress?.(copied);
+    };
+
+    try {
+      await fs.promises.mkdir(tempDir);
+      const entries = [];
+      for (const file of files) {
+        const builder = createRawCidBuilder();
+        const destPath = path.join(tempDir, file.name);
+        await fs.promises.mkdir(path.dirname(destPath), { recursive: true });
+        if (file.filePath) {
+          await copyHashed(file.filePath, destPath, builder, report);
+        } else {
+          builder.update(file.buffer);
+          await fs.promises.writeFile(destPath, file.buffer);
+          report(file.buffer.length);
+        }
+        entries.push({ name: file.name, ...builder.finish() });
+      }
+
+      const { cid, directories } = buildDirectoryTree(entries, { cidVersion: 1 });
+      const target = path.join(dir, cid);
+      if (fs.existsSync(target)) {
+        await fs.promises.rm(tempDir, { recursive: true, force: true });
+      } else {
+        await fs.promises.rename(tempDir, target);
+      }
+
+      for (const [subPath, subCid] of Object.entries(directories)) {
+        if (!fs.existsSync(path.join(dir, subCid))) {
+          await fs.promises.symlink(path.join(cid, subPath), path.join(dir, subCid));
+        }
+      }
+      return formatResult(cid);
+    } catch (error) {
+      await fs.promises.rm(tempDir, { recursive: true, force: true });
+      throw error;
+    }
+  }
+
+  return {
+    name: 'local',
+    configured: true,
+
+    // Content is stored as one raw block, so its CID is the raw CID of the whole file
+    computeCid(buffer) {
+      return computeRawCid(buffer);
+    },
+
+    computeFileCid(filePath) {
+      return hashFile(filePath, createRawCidBuilder());
+    },
+
+    // Files are whole raw blocks, so directories are CIDv1 dag-pb nodes linking them
+    computeDirectoryCid(files) {
+      return hashDirectory(files, createRawCidBuilder, { cidVersion: 1 });
+    },
+
+    uploadJSON(data, options = {}) {
+      return store(serializeJSON(data), options.onProgress);
+    },
+
+    uploadBuffer(buffer, filename, options = {}) {
+      return store(buffer, options.onProgress);
+    },
+
+    uploadFile(filePath, options = {}) {
+      return storeFile(filePath, options.onProgress);
+    },
+
+    uploadDirectory(files, options = {}) {
+      return storeDirectory(files, options.onProgress);
+    },
+
+    async test() {
+      try {
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.access(dir, fs.constants.W_OK);
+        return { success: true, message: `Local storage at ${dir}` };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+
+    /**
+     * Resolve a stored CID, or a file in a stored directory, to its path
+     * @param {string} cid - CID returned by an upload
+     * @param {string} [name] - Path inside a directory CID ("metadata/1.json")
+     * @returns {string|null} File path, or null if the CID or path is malformed
+     */
+    resolvePath(cid, name) {
+      if (!/^b[a-z2-7]+$/.test(cid)) {
+        return null;
+      }
+      if (name === undefined) {
+        return path.join(dir, cid);
+      }
+      return isRelativePath(name) ? path.join(dir, cid, name) : null;
+    },
+  };
+}
+
+module.exports = {
+  createLocalStorage,
+  computeRawCid,
+};
@@ -0,0 +1,107 @@
+const {
+  uploadJSONToPinata,
+  uploadBufferToPinata,
+  uploadFileToPinata,
+  uploadDirectoryToPinata,
+  findOrCreatePinataGroup,
+  testPinataConnection,
+  hasPinataCredentials,
+} = require('../pinata');
+const { computeCid, createCidBuilder, hashFile, hashDirectory } = require('../cid');
+
+/**
+ * Create a storage provider backed by Pinata
+ * @param {Object} config
+ * @param {string} [config.jwt] - Pinata JWT (preferred)
+ * @param {string} [config.apiKey] - Pinata API key, used when no JWT is set
+ * @param {string} [config.secretKey] - Pinata secret API key, used when no JWT is set
+ * @param {string} [config.api] - "pinning" (default) or "files" for the v3 Files API
+ * @param {number} [config.cidVersion] - CID version for the pinning API (0 or 1, default 0);
+ *   the Files API always uses CIDv1
+ * @param {string} [config.groupId] - Group every upload is added to
+ * @param {string} [config.groupName] - Group resolved (and created if missing) by name
+ * @param {number} [config.timeout] - Per-attempt request timeout in ms
+ * @param {number} [config.retries] - Retries for transient failures
+ * @param {number} [config.retryDelay] - Base backoff delay in ms
+ * @returns {Object} Storage provider
+ */
+function createPinataStorage(config) {
+  const { jwt, apiKey, secretKey, api = 'pinning', groupId, groupName } = config;
+  const cidVersion = api === 'files' ? 1 : (config.cidVersion ?? 0);
+  const credentials = { jwt, apiKey, secretKey };
+  const requestOptions = {
+    timeout: config.timeout,
+    retries: config.retries,
+    retryDelay: config.retryDelay,
+  };
+  let groupPromise = null;
+
+  // Group names are resolved once and reused for every upload
+  async function resolveGroupId() {
+    if (groupId || !groupName) {
+      return groupId;
+    }
+    if (!groupPromise) {
+      groupPromise = findOrCreatePinataGroup(groupName, credentials, requestOptions).catch(
+        (error) => {
+          groupPromise = null;
+          throw error;
+        }
+      );
+    }
+    return (await groupPromise).id;
+  }
+
+  async function uploadOptions(options = {}) {
+    return {
+      ...requestOptions,
+      api,
+      cidVersion,
+      groupId: await resolveGroupId(),
+      ...options,
+    };
+  }
+
+  return {
+    name: 'pinata',
+    configured: hasPinataCredentials(credentials),
+    authMethod: jwt ? 'jwt' : 'api-key',
+
+    // Pinata adds content with Kubo's defaults for the CID version
+    computeCid(buffer) {
+      return computeCid(buffer, { cidVersion });
+    },
+
+    computeFileCid(filePath) {
+      return hashFile(filePath, createCidBuilder({ cidVersion }));
+    },
+
+    computeDirectoryCid(files) {
+      return hashDirectory(files, () => createCidBuilder({ cidVersion }), { cidVersion });
+    },
+
+    async uploadJSON(data, options) {
+      return uploadJSONToPinata(data, credentials, await uploadOptions(options));
+    },
+
+    async uploadBuffer(buffer, filename, options) {
+      return uploadBufferToPinata(buffer, filename, credentials, await uploadOptions(options));
+    },
+
+    async uploadFile(filePath, options) {
+      return uploadFileToPinata(filePath, credentials, await uploadOptions(options));
+    },
+
+    async uploadDirectory(files, options) {
+      return uploadDirectoryToPinata(files, credentials, await uploadOptions(options));
+    },
+
+    test() {
+      return testPinataConnection(credentials, requestOptions);
+    },
+  };
+}
+
+module.exports = {
+  createPinataStorage,
+};
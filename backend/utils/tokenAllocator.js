@@ -0,0 +1,267 @@
+const path = require('path');
+const { ZeroHash } = require('ethers');
+const { readJSONFile, writeJSONFile, createQueue } = require('./jsonFile');
+const { VOUCHER_STATUS } = require('./voucherStore');
+
+const DEFAULT_RESERVATIONS_PATH = path.join(__dirname, '..', 'data', 'reservations.json');
+
+// Several allocators may share one reservations file, so all access goes through one queue
+const reservationQueue = createQueue();
+
+/**
+ * Error thrown when a requested tokenId is already reserved or minted
+ */
+class TokenIdConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TokenIdConflictError';
+    this.code = 'TOKEN_ID_CONFLICT';
+  }
+}
+
+// Token IDs are uint256: they are kept as decimal strings and compared as BigInts, since
+// a Number silently rounds any ID above 2^53
+function toTokenId(value) {
+  return BigInt(value).toString();
+}
+
+function compareTokenIds(a, b) {
+  const difference = BigInt(a) - BigInt(b);
+  return difference < 0n ? -1 : difference > 0n ? 1 : 0;
+}
+
+/**
+ * Create a tokenId allocator for one contract.
+ *
+ * Token IDs are handed out from the contract's getCurrentTokenId() upwards,
+ * skipping IDs that are minted, held by a local reservation or set aside for
+ * the allowlist presale the contract runs. Every signed
+ * voucher holds a reservation until it is redeemed, revoked or its deadline
+ * passes, so the ID of a voucher without a deadline stays reserved until it is
+ * released.
+ * The TTL only bounds reservations that never got a voucher attached.
+ *
+ * Token IDs are returned as decimal strings.
+ *
+ * @param {Object} options - Allocator options
+ * @param {string} options.contractAddress - Contract address
+ * @param {number} options.chainId - Chain ID
+ * @param {ethers.Contract} [options.contract] - LazyNFT contract for on-chain checks
+ * @param {Object} [options.voucherStore] - Ledger used to seed a new reservation table
+ * @param {number} [options.ttl] - Lifetime of a reservation without a voucher, in milliseconds
+ *   (0 = never expires)
+ * @param {string} [options.reservationsPath] - Where to persist reservations
+ * @returns {Object} Allocator with reserve, attach, release and list
+ */
+function createTokenAllocator(options) {
+  const {
+    contractAddress,
+    chainId,
+    contract = null,
+    voucherStore = null,
+    ttl = 0,
+    reservationsPath = DEFAULT_RESERVATIONS_PATH,
+  } = options;
+
+  const tableKey = `${chainId}:${contractAddress.toLowerCase()}`;
+
+  function isActive(reservation, now = Date.now()) {
+    return !reservation.expiresAt || Date.parse(reservation.expiresAt) > now;
+  }
+
+  async function seedFromLedger() {
+    if (!voucherStore) {
+      return [];
+    }
+
+    // Vouchers are only revoked once their nonce is cancelled on-chain
+    const { vouchers } = await voucherStore.list(
+      { status: VOUCHER_STATUS.ISSUED, contractAddress, chainId },
+      { limit: Infinity }
+    );
+
+    return vouchers.map((record) => ({
+      tokenId: toTokenId(record.tokenId),
+      voucherId: record.id,
+      createdAt: record.createdAt,
+      expiresAt: record.expiresAt || null,
+    }));
+  }
+
+  // Runs task(reservations) and persists the (possibly modified) active reservations
+  function withTable(task) {
+    return reservationQueue(async () => {
+      const tables = await readJSONFile(reservationsPath, {});
+      const existing = tables[tableKey] || (await seedFromLedger());
+      // Tables written by earlier versions hold tokenIds as numbers
+      const reservations = existing
+        .filter((reservation) => isActive(reservation))
+        .map((reservation) => ({ ...reservation, tokenId: toTokenId(reservation.tokenId) }));
+
+      const result = await task(reservations);
+
+      tables[tableKey] = reservations;
+      await writeJSONFile(reservationsPath, tables);
+      return result;
+    });
+  }
+
+  async function isMinted(tokenId) {
+    if (!contract) {
+      return false;
+    }
+
+    try {
+      await contract.ownerOf(tokenId);
+      return true;
+    } catch (error) {
+      // ownerOf reverts for tokens that do not exist
+      if (error.code === 'CALL_EXCEPTION') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  // The token IDs allowlistMint takes while a presale is open, as BigInts { first, end }
+  async function allowlistRange() {
+    if (!contract) {
+      return null;
+    }
+
+    let root, first, supply;
+    try {
+      [root, first, supply] = await Promise.all([
+        contract.allowlistRoot(),
+        contract.allowlistFirstTokenId(),
+        contract.allowlistSupply(),
+      ]);
+    } catch (error) {
+      // Contracts deployed before allowlist ranges have none to skip
+      if (error.code === 'CALL_EXCEPTION' || error.code === 'BAD_DATA') {
+        return null;
+      }
+      throw error;
+    }
+    if (root === ZeroHash) {
+      return null;
+    }
+    return { first, end: first + supply };
+  }
+
+  function inRange(range, tokenId) {
+    const id = BigInt(tokenId);
+    return range !== null && id >= range.first && id < range.end;
+  }
+
+  async function nextFreeTokenId(reservations) {
+    const reserved = new Set(reservations.map((reservation) => reservation.tokenId));
+    const range = await allowlistRange();
+    let tokenId = contract ? BigInt(await contract.getCurrentTokenId()) : 1n;
+
+    // Never hand out a minted ID, even where the counter lags behind one
+    while (
+      reserved.has(tokenId.toString()) ||
+      inRange(range, tokenId) ||
+      (await isMinted(tokenId))
+    ) {
+      tokenId = inRange(range, tokenId) ? range.end : tokenId + 1n;
+    }
+    return tokenId.toString();
+  }
+
+  return {
+    /**
+     * Reserve a tokenId, allocating the next free one when none is given
+     * @param {string|bigint|number} [tokenId] - Explicit tokenId requested by the caller
+     * @returns {Object} Reservation { tokenId, voucherId, createdAt, expiresAt }, tokenId
+     *   as a decimal string
+     * @throws {TokenIdConflictError} If the explicit tokenId is reserved, minted or in the
+     *   open allowlist presale's range
+     */
+    reserve(tokenId) {
+      return withTable(async (reservations) => {
+        if (tokenId === undefined) {
+          tokenId = await nextFreeTokenId(reservations);
+        } else {
+          tokenId = toTokenId(tokenId);
+          if (reservations.some((reservation) => reservation.tokenId === tokenId)) {
+            throw new TokenIdConflictError(`Token ID ${tokenId} is reserved by another voucher`);
+          }
+          if (await isMinted(tokenId)) {
+            throw new TokenIdConflictError(`Token ID ${tokenId} has already been minted`);
+          }
+          if (inRange(await allowlistRange(), tokenId)) {
+            throw new TokenIdConflictError(
+              `Token ID ${tokenId} is set aside for the allowlist presale`
+            );
+          }
+        }
+
+        const now = Date.now();
+        const reservation = {
+          tokenId,
+          voucherId: null,
+          createdAt: new Date(now).toISOString(),
+          expiresAt: ttl > 0 ? new Date(now + ttl).toISOString() : null,
+        };
+
+        reservations.push(reservation);
+        return reservation;
+      });
+    },
+
+    /**
+     * Link a reservation to the voucher that was signed for it. From then on the
+     * reservation lasts exactly as long as the voucher can be redeemed.
+     * @param {string|bigint|number} tokenId - Reserved tokenId
+     * @param {string} voucherId - Ledger record ID
+     * @param {string} [expiresAt] - Voucher expiry (null = the voucher never expires)
+     */
+    attach(tokenId, voucherId, expiresAt = null) {
+      return withTable(async (reservations) => {
+        const reservation = reservations.find((entry) => entry.tokenId === toTokenId(tokenId));
+        if (reservation) {
+          reservation.voucherId = voucherId;
+          reservation.expiresAt = expiresAt;
+        }
+      });
+    },
+
+    /**
+     * Release a reservation so the tokenId can be allocated again
+     * @param {string|bigint|number} tokenId - Reserved tokenId
+     * @param {string} [voucherId] - Only release if the reservation belongs to this voucher
+     * @returns {boolean} Whether a reservation was removed
+     */
+    release(tokenId, voucherId) {
+      return withTable(async (reservations) => {
+        const index = reservations.findIndex(
+          (entry) =>
+            entry.tokenId === toTokenId(tokenId) &&
+            (voucherId === undefined || entry.voucherId === voucherId)
+        );
+        if (index === -1) {
+          return false;
+        }
+        reservations.splice(index, 1);
+        return true;
+      });
+    },
+
+    /**
+     * List active reservations
+     * @returns {Array} Reservations ordered by tokenId
+     */
+    list() {
+      return withTable(async (reservations) =>
+        [...reservations].sort((a, b) => compareTokenIds(a.tokenId, b.tokenId))
+      );
+    },
+  };
+}
+
+module.exports = {
+  createTokenAllocator,
+  TokenIdConflictError,
+};
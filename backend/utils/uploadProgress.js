@@ -0,0 +1,208 @@
+const DEFAULT_UPLOAD_TTL_MS = 30 * 60 * 1000;
+
+/**
+ * Where an upload is: receiving the request, checking the files, sending them
+ * to storage, signing the voucher, or finished
+ */
+const UPLOAD_STAGE = {
+  RECEIVING: 'receiving',
+  PROCESSING: 'processing',
+  UPLOADING: 'uploading',
+  SIGNING: 'signing',
+  DONE: 'done',
+  FAILED: 'failed',
+};
+
+// Client-chosen IDs: long enough not to collide, short enough to sit in a URL
+const UPLOAD_ID_PATTERN = /^[\w-]{8,64}$/;
+
+/**
+ * Check a client-chosen upload ID
+ * @param {*} uploadId - Raw upload ID
+ * @returns {boolean} Whether it is 8-64 letters, digits, "_" or "-"
+ */
+function isValidUploadId(uploadId) {
+  return typeof uploadId === 'string' && UPLOAD_ID_PATTERN.test(uploadId);
+}
+
+/**
+ * Track the progress of uploads in this process, so a client can poll how
+ * far a long upload has got. Each file is tracked twice: the bytes received
+ * from the client, then the bytes sent on to the storage provider.
+ *
+ * Progress is kept in memory and forgotten `ttl` after its last update.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.ttl] - How long progress is kept after its last update, in ms
+ * @returns {Object} Upload tracker
+ */
+function createUploadTracker({ ttl = DEFAULT_UPLOAD_TTL_MS } = {}) {
+  const uploads = new Map();
+
+  function prune() {
+    const cutoff = Date.now() - ttl;
+    for (const [uploadId, upload] of uploads) {
+      if (upload.updatedAt < cutoff) {
+        uploads.delete(uploadId);
+      }
+    }
+  }
+
+  function snapshot(upload) {
+    const files = [...upload.files.values()].map((file) => ({ ...file }));
+    const sum = (key) => files.reduce((total, file) => total + file[key], 0);
+
+    return {
+      uploadId: upload.uploadId,
+      collectionId: upload.collectionId,
+      stage: upload.stage,
+      expectedBytes: upload.expectedBytes,
+      receivedBytes: sum('received'),
+      uploadedBytes: sum('uploaded'),
+      files,
+      ...(upload.result && { result: upload.result }),
+      ...(upload.error && { error: upload.error }),
+      startedAt: new Date(upload.startedAt).toISOString(),
+      updatedAt: new Date(upload.updatedAt).toISOString(),
+    };
+  }
+
+  return {
+    /**
+     * Start tracking an upload
+     * @param {string} uploadId - Upload ID
+     * @param {Object} [details]
+     * @param {string} [details.collectionId] - Collection the upload is for
+     * @param {number} [details.expectedBytes] - Request size, from Content-Length
+     * @returns {Object|null} Progress handle, or null if the ID is already in use
+     */
+    start(uploadId, { collectionId = null, expectedBytes = null } = {}) {
+      prune();
+      if (uploads.has(uploadId)) {
+        return null;
+      }
+
+      const now = Date.now();
+      const upload = {
+        uploadId,
+        collectionId,
+        stage: UPLOAD_STAGE.RECEIVING,
+        expectedBytes,
+        files: new Map(),
+        startedAt: now,
+        updatedAt: now,
+      };
+      uploads.set(uploadId, upload);
+
+      function touch() {
+        upload.updatedAt = Date.now();
+      }
+
+      function fileEntry(key) {
+        if (!upload.files.has(key)) {
+          upload.files.set(key, { key, filename: null, size: null, received: 0, uploaded: 0 });
+        }
+        return upload.files.get(key);
+      }
+
+      return {
+        uploadId,
+
+        /**
+         * @param {string} stage - One of UPLOAD_STAGE
+         */
+        setStage(stage) {
+          upload.stage = stage;
+          touch();
+        },
+
+        /**
+         * Record bytes received from the client
+         * @param {string} key - File key ("image", "animation", "files.0", ...)
+         * @param {string} filename - Name the client sent
+         * @param {number} bytes - Bytes received so far
+         */
+        receiving(key, filename, bytes) {
+          const file = fileEntry(key);
+          file.filename = filename;
+          file.received = bytes;
+          touch();
+        },
+
+        /**
+         * Record a file as completely received
+         * @param {string} key - File key
+         * @param {number} size - File size in bytes
+         */
+        received(key, size) {
+          const file = fileEntry(key);
+          file.received = size;
+          file.size = size;
+          touch();
+        },
+
+        /**
+         * Record bytes sent to the storage provider
+         * @param {string} key - File key
+         * @param {number} bytes - Bytes sent so far (multipart framing included)
+         */
+        uploading(key, bytes) {
+          upload.stage = UPLOAD_STAGE.UPLOADING;
+          fileEntry(key).uploaded = bytes;
+          touch();
+        },
+
+        /**
+         * Record a file as stored
+         * @param {string} key - File key
+         * @param {string} uri - URI it was stored under
+         */
+        uploaded(key, uri) {
+          const file = fileEntry(key);
+          file.uploaded = file.size ?? file.uploaded;
+          file.uri = uri;
+          touch();
+        },
+
+        /**
+         * @param {Object} result - Summary shown to pollers (e.g. { voucherId, uri })
+         */
+        finish(result) {
+          upload.stage = UPLOAD_STAGE.DONE;
+          upload.result = result;
+          touch();
+        },
+
+        /**
+         * Record the upload as failed, unless it already finished or failed
+         * @param {Error} error - Why the upload failed
+         */
+        fail(error) {
+          if (upload.stage === UPLOAD_STAGE.DONE || upload.stage === UPLOAD_STAGE.FAILED) {
+            return;
+          }
+          upload.stage = UPLOAD_STAGE.FAILED;
+          upload.error = { message: error.message, ...(error.code && { code: error.code }) };
+          touch();
+        },
+      };
+    },
+
+    /**
+     * Current progress of an upload
+     * @param {string} uploadId - Upload ID
+     * @returns {Object|null} Progress, or null if unknown or forgotten
+     */
+    get(uploadId) {
+      prune();
+      const upload = uploads.get(uploadId);
+      return upload ? snapshot(upload) : null;
+    },
+  };
+}
+
+module.exports = {
+  UPLOAD_STAGE,
+  isValidUploadId,
+  createUploadTracker,
+};
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PayloadTooLargeError } = require('./errors');
+const { formatBytes } = require('./media');
+
+/**
+ * A name safe to use as a file name, keeping the extension
+ * @param {string} filename - Name the client sent
+ * @returns {string}
+ */
+function safeFilename(filename) {
+  const name = path
+    .basename(filename || '')
+    .replace(/[^\w.-]/g, '_')
+    .slice(-100);
+  return name.replace(/^\.+/, '') || 'file';
+}
+
+/**
+ * Spool multipart file fields to disk as they arrive, so uploads of any size
+ * are streamed through instead of being held in memory. Each request gets its
+ * own directory, removed when the response has been sent.
+ *
+ * `storage` is a multer storage engine; `prepare` is the Express middleware
+ * that must run before multer. Files are stored as
+ * <dir>/<request>/<n>/<original name>, so uploading the spooled file keeps its name.
+ * multer's file objects gain `field` (the name without "[]") and `index` (its
+ * position among the field's files).
+ *
+ * @param {Object} options
+ * @param {Object} options.limits - Largest file accepted per field name, in bytes
+ * @param {string} [options.dir] - Parent directory (default: the OS temp directory)
+ * @param {Function} [options.onData] - (req, { field, index, filename }, bytesReceived)
+ *   called as each file arrives
+ * @returns {Object} { storage, prepare }
+ */
+function createUploadSpool({ limits, dir = os.tmpdir(), onData }) {
+  return {
+    prepare(req, res, next) {
+      const requestDir = path.join(dir, `nft-upload-${crypto.randomUUID()}`);
+      req.spool = { dir: requestDir, count: 0, indexes: {} };
+      res.on('close', () => {
+        fs.promises.rm(requestDir, { recursive: true, force: true }).catch((error) => {
+          console.error(`Could not remove ${requestDir}:`, error.message);
+        });
+      });
+      next();
+    },
+
+    storage: {
+      _handleFile(req, file, cb) {
+        // Array-style names (files[]) are counted with their plain form
+        const field = file.fieldname.replace(/\[\]$/, '');
+        const limit = limits[file.fieldname];
+        const index = req.spool.indexes[field] ?? 0;
+        req.spool.indexes[field] = index + 1;
+
+        const fileDir = path.join(req.spool.dir, String(req.spool.count++));
+        const filePath = path.join(fileDir, safeFilename(file.originalname));
+        const details = { field, index, filename: file.originalname };
+
+        fs.promises.mkdir(fileDir, { recursive: true }).then(() => {
+          const output = fs.createWriteStream(filePath);
+          let size = 0;
+          let failed = false;
+
+          // The rest of the file is drained rather than destroyed, so busboy can finish the request
+          function fail(error) {
+            if (failed) return;
+            failed = true;
+            file.stream.unpipe(output);
+            file.stream.resume();
+            output.destroy();
+            fs.rm(filePath, { force: true }, () => cb(error));
+          }
+
+          file.stream.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > limit) {
+              fail(
+                new PayloadTooLargeError(`${file.fieldname} is larger than ${formatBytes(limit)}`)
+              );
+            } else if (onData) {
+              onData(req, details, size);
+            }
+          });
+          file.stream.on('error', fail);
+          output.on('error', fail);
+          output.on('finish', () => {
+            if (!failed) {
+              cb(null, { path: filePath, size, field, index });
+            }
+          });
+
+          file.stream.pipe(output);
+        }, cb);
+      },
+
+      _removeFile(req, file, cb) {
+        fs.rm(file.path, { force: true }, cb);
+      },
+    },
+  };
+}
+
+module.exports = {
+  createUploadSpool,
+};
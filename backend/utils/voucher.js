@@ -1,11 +1,22 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const axios = require('axios');
 const { ethers } = require('ethers');
+const { SignerError } = require('./errors');
+
+// EIP-2981 royalties are expressed in basis points of the sale price
+const MAX_ROYALTY_BPS = 10000;
+
+// EIP-712 domain names of LazyNFT and LazyEdition vouchers
+const VOUCHER_DOMAIN = 'LazyNFT-Voucher';
+const EDITION_VOUCHER_DOMAIN = 'LazyEdition-Voucher';
 
 /**
  * Create a typed data domain for EIP-712 signing
  */
-function createDomain(contractAddress, chainId) {
+function createDomain(contractAddress, chainId, name = VOUCHER_DOMAIN) {
   return {
-    name: 'LazyNFT-Voucher',
+    name,
     version: '1',
     chainId: chainId,
     verifyingContract: contractAddress,
@@ -22,24 +33,413 @@ function createTypes() {
       { name: 'price', type: 'uint256' },
       { name: 'uri', type: 'string' },
       { name: 'minter', type: 'address' },
+      { name: 'claimSigner', type: 'address' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' },
+      { name: 'royaltyReceiver', type: 'address' },
+      { name: 'royaltyBps', type: 'uint96' },
+    ],
+  };
+}
+
+/**
+ * Create a typed data domain for signing LazyEdition vouchers
+ */
+function createEditionDomain(contractAddress, chainId) {
+  return createDomain(contractAddress, chainId, EDITION_VOUCHER_DOMAIN);
+}
+
+/**
+ * Create the types for signing LazyEdition vouchers
+ */
+function createEditionTypes() {
+  return {
+    EditionVoucher: [
+      { name: 'tokenId', type: 'uint256' },
+      { name: 'maxSupply', type: 'uint256' },
+      { name: 'quantity', type: 'uint256' },
+      { name: 'price', type: 'uint256' },
+      { name: 'uri', type: 'string' },
+      { name: 'minter', type: 'address' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' },
     ],
   };
 }
 
+/**
+ * Create the types for signing an open voucher claim
+ */
+function createClaimTypes() {
+  return {
+    VoucherClaim: [
+      { name: 'nonce', type: 'uint256' },
+      { name: 'recipient', type: 'address' },
+    ],
+  };
+}
+
+/**
+ * Check whether a voucher is open (redeemable by any wallet)
+ * @param {Object} voucher - The voucher
+ * @returns {boolean} True if the voucher's minter is the zero address
+ */
+function isOpenVoucher(voucher) {
+  return !voucher.minter || voucher.minter === ethers.ZeroAddress;
+}
+
+/**
+ * Whether an open voucher needs a claim signature (see LazyNFT.claimMint)
+ * @param {Object} voucher - The voucher
+ * @returns {boolean}
+ */
+function isClaimRequired(voucher) {
+  return (
+    isOpenVoucher(voucher) && !!voucher.claimSigner && voucher.claimSigner !== ethers.ZeroAddress
+  );
+}
+
+/**
+ * Generate a random voucher nonce (128 bits, so collisions are not a concern)
+ * @returns {string} Nonce as a decimal string
+ */
+function generateNonce() {
+  return BigInt('0x' + crypto.randomBytes(16).toString('hex')).toString();
+}
+
+/**
+ * Resolve a voucher deadline from an API request
+ * @param {Object} options
+ * @param {number|string} [options.expiresIn] - Seconds from now
+ * @param {number|string} [options.expiresAt] - Unix timestamp (seconds) or ISO 8601 date
+ * @param {number} [now] - Current time in ms
+ * @returns {number} Unix timestamp in seconds, or 0 for a voucher that never expires
+ */
+function resolveDeadline({ expiresIn, expiresAt } = {}, now = Date.now()) {
+  const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+  if (isSet(expiresIn) && isSet(expiresAt)) {
+    throw new Error('Use either expiresIn or expiresAt, not both');
+  }
+
+  if (isSet(expiresIn)) {
+    const seconds = Number(expiresIn);
+    if (!Number.isInteger(seconds) || seconds <= 0) {
+      throw new Error('expiresIn must be a positive number of seconds');
+    }
+    return Math.floor(now / 1000) + seconds;
+  }
+
+  if (isSet(expiresAt)) {
+    const deadline = /^\d+$/.test(expiresAt.toString())
+      ? Number(expiresAt)
+      : Math.floor(Date.parse(expiresAt) / 1000);
+    if (!Number.isFinite(deadline) || deadline * 1000 <= now) {
+      throw new Error('expiresAt must be a future Unix timestamp or ISO 8601 date');
+    }
+    return deadline;
+  }
+
+  return 0;
+}
+
+/**
+ * Resolve a voucher's royalty override from an API request. Both fields are
+ * needed to override the collection's default royalty; neither keeps it.
+ * @param {Object} options
+ * @param {string} [options.royaltyReceiver] - Address paid the royalty
+ * @param {number|string} [options.royaltyBps] - Royalty in basis points (0-10000)
+ * @returns {Object} { royaltyReceiver, royaltyBps }, the zero address and 0 when not set
+ */
+function resolveRoyalty({ royaltyReceiver, royaltyBps } = {}) {
+  const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+  if (!isSet(royaltyReceiver) && !isSet(royaltyBps)) {
+    return { royaltyReceiver: ethers.ZeroAddress, royaltyBps: 0 };
+  }
+  if (!isSet(royaltyReceiver) || !isSet(royaltyBps)) {
+    throw new Error('A royalty override needs both royaltyReceiver and royaltyBps');
+  }
+
+  if (!ethers.isAddress(royaltyReceiver) || royaltyReceiver === ethers.ZeroAddress) {
+    throw new Error('royaltyReceiver must be a non-zero address');
+  }
+  const bps = Number(royaltyBps);
+  if (!/^\d+$/.test(royaltyBps.toString()) || bps > MAX_ROYALTY_BPS) {
+    throw new Error(`royaltyBps must be an integer from 0 to ${MAX_ROYALTY_BPS}`);
+  }
+
+  return { royaltyReceiver: ethers.getAddress(royaltyReceiver), royaltyBps: bps };
+}
+
+/**
+ * Whether a voucher overrides the collection's default royalty
+ * @param {Object} voucher - The voucher
+ * @returns {boolean}
+ */
+function hasRoyaltyOverride(voucher) {
+  return !!voucher.royaltyReceiver && voucher.royaltyReceiver !== ethers.ZeroAddress;
+}
+
+/**
+ * Whether a value is a valid uint256 tokenId. Numbers must be safe integers: a JSON
+ * number above 2^53 has already been rounded, so such IDs have to be sent as strings.
+ * @param {*} value - Decimal string, bigint or number
+ * @returns {boolean}
+ */
+function isTokenId(value) {
+  if (typeof value === 'number') {
+    return Number.isSafeInteger(value) && value >= 0;
+  }
+  if (typeof value === 'bigint') {
+    return value >= 0n && value <= ethers.MaxUint256;
+  }
+  return typeof value === 'string' && /^\d+$/.test(value) && BigInt(value) <= ethers.MaxUint256;
+}
+
+/**
+ * Resolve an edition voucher's supply fields from an API request
+ * @param {Object} options
+ * @param {number|string} options.quantity - Units the voucher can mint in total
+ * @param {number|string} [options.maxSupply] - Edition size (0 or omitted = open edition)
+ * @returns {Object} { quantity, maxSupply }
+ */
+function resolveEditionSupply({ quantity, maxSupply } = {}) {
+  const isCount = (value) => /^\d+$/.test(String(value ?? ''));
+
+  if (!isCount(quantity) || Number(quantity) === 0) {
+    throw new Error('quantity must be a positive integer');
+  }
+  if (maxSupply !== undefined && maxSupply !== null && maxSupply !== '' && !isCount(maxSupply)) {
+    throw new Error('maxSupply must be a non-negative integer (0 for an open edition)');
+  }
+
+  const supply = Number(maxSupply || 0);
+  if (supply !== 0 && Number(quantity) > supply) {
+    throw new Error(`quantity (${quantity}) is larger than the edition (${supply})`);
+  }
+  return { quantity: Number(quantity), maxSupply: supply };
+}
+
+/**
+ * Check whether a voucher's deadline has passed
+ * @param {Object} voucher - The voucher
+ * @param {number} [now] - Current time in ms
+ * @returns {boolean} True if the voucher has expired
+ */
+function isVoucherExpired(voucher, now = Date.now()) {
+  const deadline = Number(voucher.deadline || 0);
+  return deadline !== 0 && Math.floor(now / 1000) > deadline;
+}
+
+/*
+ * Voucher signers
+ *
+ * A signer is any object with:
+ *   getAddress() => Promise<string>
+ *   signTypedData(domain, types, value) => Promise<string>
+ *
+ * ethers Wallets already have this shape, so raw keys and keystores are
+ * loaded as Wallets. Its address must match the contract's voucherSigner.
+ */
+
+/**
+ * Create a signer from a raw private key (development only)
+ * @param {string} privateKey - Hex private key
+ * @returns {ethers.Wallet} Signer
+ */
+function createRawKeySigner(privateKey) {
+  return new ethers.Wallet(privateKey);
+}
+
+/**
+ * Decrypt an encrypted JSON keystore (geth / ethers / MetaMask export format)
+ * @param {string} json - Keystore JSON
+ * @param {string} password - Keystore password
+ * @returns {ethers.Wallet} Signer
+ */
+async function loadKeystoreSigner(json, password) {
+  try {
+    return await ethers.Wallet.fromEncryptedJson(json, password);
+  } catch (error) {
+    throw new SignerError(`Could not unlock keystore: ${error.message}`, {
+      code: 'SIGNER_LOCKED',
+      cause: error,
+    });
+  }
+}
+
+/**
+ * Create a signer backed by an external JSON-RPC endpoint that implements
+ * eth_signTypedData_v4 (Clef, Web3Signer, a hardware wallet bridge, ...)
+ * @param {Object} options
+ * @param {string} options.url - JSON-RPC endpoint
+ * @param {string} [options.address] - Signing account (defaults to the first of eth_accounts)
+ * @param {Object} [options.headers] - Extra HTTP headers, e.g. Authorization
+ * @param {number} [options.timeout] - Request timeout in ms (signers may wait for approval)
+ * @returns {Object} Signer
+ */
+function createRemoteSigner({ url, address, headers = {}, timeout = 120000 }) {
+  let requestId = 0;
+  let addressPromise;
+
+  async function call(method, params) {
+    let response;
+    try {
+      response = await axios.post(
+        url,
+        { jsonrpc: '2.0', id: ++requestId, method, params },
+        { headers, timeout }
+      );
+    } catch (error) {
+      throw new SignerError(`Remote signer unreachable: ${error.message}`, { cause: error });
+    }
+
+    if (response.data.error) {
+      throw new SignerError(`Remote signer error: ${response.data.error.message}`);
+    }
+    return response.data.result;
+  }
+
+  function getAddress() {
+    if (!addressPromise) {
+      addressPromise = address
+        ? Promise.resolve(ethers.getAddress(address))
+        : call('eth_accounts', []).then((accounts) => {
+            if (!accounts || accounts.length === 0) {
+              throw new SignerError('Remote signer has no accounts');
+            }
+            return ethers.getAddress(accounts[0]);
+          });
+      addressPromise.catch(() => {
+        addressPromise = null;
+      });
+    }
+    return addressPromise;
+  }
+
+  async function signTypedData(domain, types, value) {
+    const from = await getAddress();
+    const payload = ethers.TypedDataEncoder.getPayload(domain, types, value);
+    const signature = await call('eth_signTypedData_v4', [from, JSON.stringify(payload)]);
+
+    // Never hand out a voucher the contract would reject
+    if (ethers.verifyTypedData(domain, types, value, signature) !== from) {
+      throw new SignerError(`Remote signer did not sign with ${from}`);
+    }
+    return signature;
+  }
+
+  return { getAddress, signTypedData };
+}
+
+/**
+ * Create the configured voucher signer. It is loaded once, on first use or
+ * when unlock() is called (the API server unlocks at startup, so a wrong
+ * keystore password fails fast).
+ * @param {Object} config
+ * @param {string} [config.type] - raw, keystore or remote (default raw)
+ * @param {string} [config.privateKey] - raw: hex private key
+ * @param {string} [config.keystorePath] - keystore: path to the encrypted JSON keystore
+ * @param {string} [config.password] - keystore: password
+ * @param {string} [config.passwordFile] - keystore: file holding the password
+ * @param {string} [config.url] - remote: JSON-RPC endpoint
+ * @param {string} [config.address] - remote: signing account
+ * @param {string} [config.authorization] - remote: Authorization header value
+ * @returns {Object} Signer with type, configured, unlock, getAddress, signTypedData
+ */
+function createVoucherSigner(config = {}) {
+  const { type = 'raw' } = config;
+  let loading = null;
+
+  const configured = {
+    raw: () => !!config.privateKey,
+    keystore: () => !!config.keystorePath,
+    remote: () => !!config.url,
+  }[type];
+
+  if (!configured) {
+    throw new Error(`Unknown voucher signer: ${type} (expected raw, keystore or remote)`);
+  }
+
+  async function load() {
+    if (!configured()) {
+      throw new SignerError(`Voucher signer (${type}) not configured`, {
+        status: 400,
+        code: 'SIGNER_NOT_CONFIGURED',
+      });
+    }
+
+    if (type === 'raw') {
+      return createRawKeySigner(config.privateKey);
+    }
+
+    if (type === 'keystore') {
+      const json = await fs.promises.readFile(config.keystorePath, 'utf8');
+      const password = config.passwordFile
+        ? (await fs.promises.readFile(config.passwordFile, 'utf8')).trim()
+        : config.password || '';
+      return loadKeystoreSigner(json, password);
+    }
+
+    return createRemoteSigner({
+      url: config.url,
+      address: config.address,
+      headers: config.authorization ? { Authorization: config.authorization } : {},
+    });
+  }
+
+  function unlock() {
+    if (!loading) {
+      loading = load();
+      // Let a failed unlock be retried
+      loading.catch(() => {
+        loading = null;
+      });
+    }
+    return loading;
+  }
+
+  return {
+    type,
+    configured: configured(),
+    unlock,
+    async getAddress() {
+      return (await unlock()).getAddress();
+    },
+    async signTypedData(domain, types, value) {
+      return (await unlock()).signTypedData(domain, types, value);
+    },
+  };
+}
+
 /**
  * Create and sign an NFT voucher
  * @param {Object} params - Voucher parameters
  * @param {number} params.tokenId - Token ID
  * @param {string} params.price - Price in ETH (will be converted to wei)
  * @param {string} params.uri - Token URI (IPFS hash or URL)
- * @param {string} params.minter - Minter's address
+ * @param {string} [params.minter] - Minter's address (omit or zero address for an open voucher)
+ * @param {string} [params.claimSigner] - Open vouchers: address that must sign claims
+ * @param {string} [params.nonce] - Unique voucher nonce (random when omitted)
+ * @param {number} [params.deadline] - Unix timestamp the voucher expires at (0 = never)
+ * @param {string} [params.royaltyReceiver] - Royalty override receiver (omit for the default)
+ * @param {number} [params.royaltyBps] - Royalty override in basis points
  * @param {string} params.contractAddress - Contract address
  * @param {number} params.chainId - Chain ID
- * @param {string} privateKey - Private key of the signer (contract owner)
+ * @param {Object|string} signer - Voucher signer (see createVoucherSigner), or a raw private key
  * @returns {Object} Signed voucher
  */
-async function createVoucher(params, privateKey) {
+async function createVoucher(params, signer) {
   const { tokenId, price, uri, minter, contractAddress, chainId } = params;
+  const nonce = (params.nonce ?? generateNonce()).toString();
+  const claimSigner = params.claimSigner || ethers.ZeroAddress;
+
+  if (claimSigner !== ethers.ZeroAddress && minter && minter !== ethers.ZeroAddress) {
+    throw new Error('Only open vouchers (no minter) can have a claim signer');
+  }
+  const deadline = Number(params.deadline || 0);
+  const { royaltyReceiver, royaltyBps } = resolveRoyalty(params);
 
   // Convert price from ETH to wei
   const priceWei = ethers.parseEther(price.toString());
@@ -49,18 +449,66 @@ async function createVoucher(params, privateKey) {
     tokenId: tokenId,
     price: priceWei.toString(),
     uri: uri,
-    minter: minter,
+    minter: minter || ethers.ZeroAddress,
+    claimSigner: claimSigner,
+    nonce: nonce,
+    deadline: deadline,
+    royaltyReceiver: royaltyReceiver,
+    royaltyBps: royaltyBps,
   };
 
-  // Create signer from private key
-  const wallet = new ethers.Wallet(privateKey);
+  const voucherSigner = typeof signer === 'string' ? createRawKeySigner(signer) : signer;
 
   // Create domain and types
   const domain = createDomain(contractAddress, chainId);
   const types = createTypes();
 
   // Sign the voucher
-  const signature = await wallet.signTypedData(domain, types, voucher);
+  const signature = await voucherSigner.signTypedData(domain, types, voucher);
+
+  return {
+    ...voucher,
+    signature: signature,
+  };
+}
+
+/**
+ * Create and sign a LazyEdition voucher
+ * @param {Object} params - Voucher parameters
+ * @param {number} params.tokenId - Edition token ID
+ * @param {number} [params.maxSupply] - Edition size (0 = open edition)
+ * @param {number} params.quantity - Units the voucher can mint, over any number of mints
+ * @param {string} params.price - Price per unit in ETH (will be converted to wei)
+ * @param {string} params.uri - Token URI, used if this voucher creates the edition
+ * @param {string} [params.minter] - Minter's address (omit or zero address for an open voucher)
+ * @param {string} [params.nonce] - Unique voucher nonce (random when omitted)
+ * @param {number} [params.deadline] - Unix timestamp the voucher expires at (0 = never)
+ * @param {string} params.contractAddress - LazyEdition contract address
+ * @param {number} params.chainId - Chain ID
+ * @param {Object|string} signer - Voucher signer (see createVoucherSigner), or a raw private key
+ * @returns {Object} Signed voucher
+ */
+async function createEditionVoucher(params, signer) {
+  const { tokenId, price, uri, minter, contractAddress, chainId } = params;
+  const { quantity, maxSupply } = resolveEditionSupply(params);
+
+  const voucher = {
+    tokenId: tokenId,
+    maxSupply: maxSupply,
+    quantity: quantity,
+    price: ethers.parseEther(price.toString()).toString(),
+    uri: uri,
+    minter: minter || ethers.ZeroAddress,
+    nonce: (params.nonce ?? generateNonce()).toString(),
+    deadline: Number(params.deadline || 0),
+  };
+
+  const voucherSigner = typeof signer === 'string' ? createRawKeySigner(signer) : signer;
+  const signature = await voucherSigner.signTypedData(
+    createEditionDomain(contractAddress, chainId),
+    createEditionTypes(),
+    voucher
+  );
 
   return {
     ...voucher,
@@ -84,6 +532,11 @@ function verifyVoucher(voucher, contractAddress, chainId) {
     price: voucher.price,
     uri: voucher.uri,
     minter: voucher.minter,
+    claimSigner: voucher.claimSigner || ethers.ZeroAddress,
+    nonce: voucher.nonce,
+    deadline: voucher.deadline,
+    royaltyReceiver: voucher.royaltyReceiver || ethers.ZeroAddress,
+    royaltyBps: voucher.royaltyBps || 0,
   };
 
   const recoveredAddress = ethers.verifyTypedData(
@@ -96,6 +549,74 @@ function verifyVoucher(voucher, contractAddress, chainId) {
   return recoveredAddress;
 }
 
+/**
+ * Verify a LazyEdition voucher signature
+ * @param {Object} voucher - The voucher to verify
+ * @param {string} contractAddress - LazyEdition contract address
+ * @param {number} chainId - Chain ID
+ * @returns {string} Recovered signer address
+ */
+function verifyEditionVoucher(voucher, contractAddress, chainId) {
+  const voucherData = {
+    tokenId: voucher.tokenId,
+    maxSupply: voucher.maxSupply,
+    quantity: voucher.quantity,
+    price: voucher.price,
+    uri: voucher.uri,
+    minter: voucher.minter,
+    nonce: voucher.nonce,
+    deadline: voucher.deadline,
+  };
+
+  return ethers.verifyTypedData(
+    createEditionDomain(contractAddress, chainId),
+    createEditionTypes(),
+    voucherData,
+    voucher.signature
+  );
+}
+
+/**
+ * Sign a claim binding an open voucher to a recipient (see LazyNFT.claimMint)
+ * @param {Object} voucher - The open voucher
+ * @param {string} recipient - Wallet that will call claimMint
+ * @param {string} claimKey - Private key matching voucher.claimSigner
+ * @param {string} contractAddress - Contract address
+ * @param {number} chainId - Chain ID
+ * @returns {string} Claim signature
+ */
+async function signVoucherClaim(voucher, recipient, claimKey, contractAddress, chainId) {
+  const wallet = new ethers.Wallet(claimKey);
+
+  if (wallet.address !== ethers.getAddress(voucher.claimSigner)) {
+    throw new Error('Claim key does not match the voucher claim signer');
+  }
+
+  return wallet.signTypedData(createDomain(contractAddress, chainId), createClaimTypes(), {
+    nonce: voucher.nonce,
+    recipient,
+  });
+}
+
+/**
+ * Verify an open voucher claim signature
+ * @param {Object} voucher - The open voucher
+ * @param {string} recipient - Wallet the claim was signed for
+ * @param {string} claimSignature - Claim signature
+ * @param {string} contractAddress - Contract address
+ * @param {number} chainId - Chain ID
+ * @returns {boolean} True if the claim was signed by voucher.claimSigner
+ */
+function verifyVoucherClaim(voucher, recipient, claimSignature, contractAddress, chainId) {
+  const signer = ethers.verifyTypedData(
+    createDomain(contractAddress, chainId),
+    createClaimTypes(),
+    { nonce: voucher.nonce, recipient },
+    claimSignature
+  );
+  return signer === ethers.getAddress(voucher.claimSigner);
+}
+
 /**
  * Format voucher for contract interaction
  * @param {Object} voucher - The signed voucher
@@ -107,6 +628,30 @@ function formatVoucherForContract(voucher) {
     voucher.price,
     voucher.uri,
     voucher.minter,
+    voucher.claimSigner || ethers.ZeroAddress,
+    voucher.nonce,
+    voucher.deadline,
+    voucher.royaltyReceiver || ethers.ZeroAddress,
+    voucher.royaltyBps || 0,
+    voucher.signature,
+  ];
+}
+
+/**
+ * Format a LazyEdition voucher for contract interaction
+ * @param {Object} voucher - The signed voucher
+ * @returns {Array} Formatted voucher tuple for contract call
+ */
+function formatEditionVoucherForContract(voucher) {
+  return [
+    voucher.tokenId,
+    voucher.maxSupply,
+    voucher.quantity,
+    voucher.price,
+    voucher.uri,
+    voucher.minter,
+    voucher.nonce,
+    voucher.deadline,
     voucher.signature,
   ];
 }
@@ -117,4 +662,26 @@ module.exports = {
   formatVoucherForContract,
   createDomain,
   createTypes,
+  createClaimTypes,
+  createEditionVoucher,
+  verifyEditionVoucher,
+  formatEditionVoucherForContract,
+  createEditionDomain,
+  createEditionTypes,
+  resolveEditionSupply,
+  isTokenId,
+  isOpenVoucher,
+  isClaimRequired,
+  signVoucherClaim,
+  verifyVoucherClaim,
+  generateNonce,
+  resolveDeadline,
+  isVoucherExpired,
+  MAX_ROYALTY_BPS,
+  resolveRoyalty,
+  hasRoyaltyOverride,
+  createRawKeySigner,
+  loadKeystoreSigner,
+  createRemoteSigner,
+  createVoucherSigner,
 };
\ No newline at end of file
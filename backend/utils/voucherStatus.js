@@ -0,0 +1,227 @@
+const { ethers } = require('ethers');
+const { getLazyNFTContract } = require('./contract');
+const {
+  verifyVoucher,
+  formatVoucherForContract,
+  isOpenVoucher,
+  isClaimRequired,
+  isVoucherExpired,
+} = require('./voucher');
+const { InvalidVoucherError } = require('./errors');
+
+/**
+ * What would happen if a voucher were redeemed now
+ */
+const VOUCHER_VERDICT = {
+  MINTABLE: 'mintable',
+  REDEEMED: 'redeemed',
+  EXPIRED: 'expired',
+  TOKEN_TAKEN: 'token-taken',
+  UNDERPRICED: 'underpriced',
+  BAD_SIGNER: 'bad-signer',
+  // The simulated mint reverted for a reason none of the checks explain
+  WILL_REVERT: 'will-revert',
+};
+
+const VERDICT_MESSAGES = {
+  [VOUCHER_VERDICT.MINTABLE]: 'Voucher can be minted',
+  [VOUCHER_VERDICT.REDEEMED]: 'Voucher nonce was already redeemed or cancelled',
+  [VOUCHER_VERDICT.EXPIRED]: 'Voucher deadline has passed',
+  [VOUCHER_VERDICT.TOKEN_TAKEN]: 'Token ID is already minted',
+  [VOUCHER_VERDICT.UNDERPRICED]: "Voucher price is below the contract's mintPrice",
+  [VOUCHER_VERDICT.BAD_SIGNER]: "Voucher is not signed by the contract's voucherSigner",
+  [VOUCHER_VERDICT.WILL_REVERT]: 'Minting would revert',
+};
+
+// LazyNFT revert reasons and the verdicts they mean
+const REVERT_VERDICTS = {
+  'Voucher expired': VOUCHER_VERDICT.EXPIRED,
+  'Voucher already redeemed': VOUCHER_VERDICT.REDEEMED,
+  'Invalid signature': VOUCHER_VERDICT.BAD_SIGNER,
+  'Insufficient payment': VOUCHER_VERDICT.UNDERPRICED,
+  'Below minimum mint price': VOUCHER_VERDICT.UNDERPRICED,
+  ERC721InvalidSender: VOUCHER_VERDICT.TOKEN_TAKEN,
+};
+
+/**
+ * Current owner of a token
+ * @param {ethers.Contract} contract - LazyNFT contract
+ * @param {*} tokenId - Token ID
+ * @param {number} blockTag - Block to read at
+ * @returns {Promise<string|null>} Owner, or null if the token does not exist
+ */
+async function getTokenOwner(contract, tokenId, blockTag) {
+  try {
+    return await contract.ownerOf(tokenId, { blockTag });
+  } catch (error) {
+    if (error.code === 'CALL_EXCEPTION') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Simulate redeeming a voucher with eth_call, as `from` paying the voucher price
+ * @param {ethers.Contract} contract - LazyNFT contract
+ * @param {Object} voucher - The voucher
+ * @param {Object} options - from, claimSignature, blockTag
+ * @returns {Promise<Object>} { ran, success, from, method, gasEstimate, error, revert }
+ */
+async function simulateMint(contract, voucher, { from, claimSignature, blockTag }) {
+  const claimRequired = isClaimRequired(voucher);
+  const method = claimRequired ? 'claimMint' : 'lazyMint';
+  const sender = from || (isOpenVoucher(voucher) ? null : voucher.minter);
+
+  // Open vouchers mint to the caller, and claims are signed for one; neither can be guessed
+  if (!sender) {
+    return { ran: false, method, reason: 'Pass from to simulate minting an open voucher' };
+  }
+  if (claimRequired && !claimSignature) {
+    return {
+      ran: false,
+      method,
+      reason: 'Pass claimSignature to simulate a claim-protected voucher',
+    };
+  }
+
+  const args = claimRequired
+    ? [formatVoucherForContract(voucher), claimSignature]
+    : [formatVoucherForContract(voucher)];
+  const overrides = { from: sender, value: voucher.price, blockTag };
+
+  try {
+    await contract[method].staticCall(...args, overrides);
+  } catch (error) {
+    if (error.code !== 'CALL_EXCEPTION') {
+      // e.g. the sender cannot pay the price: a problem with the wallet, not the voucher
+      return { ran: false, method, from: sender, reason: error.shortMessage || error.message };
+    }
+    // require() messages for Error(string), the error name for custom errors
+    const revert =
+      error.revert && error.revert.name !== 'Error' ? error.revert.name : error.reason || null;
+    return {
+      ran: true,
+      success: false,
+      method,
+      from: sender,
+      revert,
+      error: error.shortMessage || error.message,
+    };
+  }
+
+  let gasEstimate = null;
+  try {
+    gasEstimate = (
+      await contract[method].estimateGas(...args, { from: sender, value: voucher.price })
+    ).toString();
+  } catch (error) {
+    // The call succeeded; an estimate is a nicety
+  }
+
+  return { ran: true, success: true, method, from: sender, gasEstimate };
+}
+
+/**
+ * Check a voucher against the chain: the checks lazyMint makes (signer, nonce,
+ * deadline, price), whether its token already exists, and an eth_call of the mint.
+ * Everything is read at the same block.
+ *
+ * @param {Object} target
+ * @param {string} target.contractAddress - LazyNFT address
+ * @param {number} target.chainId - Chain ID
+ * @param {ethers.Provider} target.provider - Provider
+ * @param {Object} voucher - The voucher
+ * @param {Object} [options]
+ * @param {string} [options.from] - Wallet that would mint (required to simulate open vouchers)
+ * @param {string} [options.claimSignature] - VoucherClaim signature for `from`
+ * @param {boolean} [options.simulate] - Run the eth_call simulation (default true)
+ * @returns {Promise<Object>} { verdict, mintable, message, checks, simulation, blockNumber }
+ */
+async function checkVoucherStatus(
+  { contractAddress, chainId, provider },
+  voucher,
+  { from, claimSignature, simulate = true } = {}
+) {
+  if (from && !ethers.isAddress(from)) {
+    throw new InvalidVoucherError('from must be an address');
+  }
+
+  let signer;
+  try {
+    signer = verifyVoucher(voucher, contractAddress, chainId);
+  } catch (error) {
+    throw new InvalidVoucherError(`Invalid voucher: ${error.message}`, { cause: error });
+  }
+
+  const contract = getLazyNFTContract(contractAddress, provider);
+  const block = await provider.getBlock('latest');
+  const blockTag = block.number;
+
+  const [voucherSigner, redeemed, mintPrice, tokenOwner] = await Promise.all([
+    contract.voucherSigner({ blockTag }),
+    contract.isNonceUsed(voucher.nonce, { blockTag }),
+    contract.mintPrice({ blockTag }),
+    getTokenOwner(contract, voucher.tokenId, blockTag),
+  ]);
+
+  const price = BigInt(voucher.price);
+  const deadline = Number(voucher.deadline || 0);
+
+  const checks = {
+    signer,
+    voucherSigner,
+    signerValid: signer === voucherSigner,
+    redeemed,
+    expired: isVoucherExpired(voucher),
+    expiresAt: deadline ? new Date(deadline * 1000).toISOString() : null,
+    tokenOwner,
+    tokenTaken: tokenOwner !== null,
+    price: price.toString(),
+    mintPrice: mintPrice.toString(),
+    underpriced: price < mintPrice,
+    open: isOpenVoucher(voucher),
+    claimRequired: isClaimRequired(voucher),
+  };
+
+  // In the order lazyMint checks them, so the verdict names the revert a collector would hit
+  let verdict = VOUCHER_VERDICT.MINTABLE;
+  if (checks.expired) {
+    verdict = VOUCHER_VERDICT.EXPIRED;
+  } else if (checks.redeemed) {
+    verdict = VOUCHER_VERDICT.REDEEMED;
+  } else if (!checks.signerValid) {
+    verdict = VOUCHER_VERDICT.BAD_SIGNER;
+  } else if (checks.underpriced) {
+    verdict = VOUCHER_VERDICT.UNDERPRICED;
+  } else if (checks.tokenTaken) {
+    verdict = VOUCHER_VERDICT.TOKEN_TAKEN;
+  }
+
+  const simulation = simulate
+    ? await simulateMint(contract, voucher, { from, claimSignature, blockTag })
+    : { ran: false, reason: 'Simulation skipped' };
+
+  if (verdict === VOUCHER_VERDICT.MINTABLE && simulation.ran && !simulation.success) {
+    verdict = REVERT_VERDICTS[simulation.revert] || VOUCHER_VERDICT.WILL_REVERT;
+  }
+
+  const message =
+    verdict === VOUCHER_VERDICT.WILL_REVERT && simulation.revert
+      ? `${VERDICT_MESSAGES[verdict]}: ${simulation.revert}`
+      : VERDICT_MESSAGES[verdict];
+
+  return {
+    verdict,
+    mintable: verdict === VOUCHER_VERDICT.MINTABLE,
+    message,
+    checks,
+    simulation,
+    blockNumber: block.number,
+  };
+}
+
+module.exports = {
+  VOUCHER_VERDICT,
+  checkVoucherStatus,
+};
@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const path = require('path');
+const { readJSONFile, writeJSONFile, createQueue } = require('./jsonFile');
+
+const VOUCHER_STATUS = {
+  ISSUED: 'issued',
+  REVOKED: 'revoked',
+  REDEEMED: 'redeemed',
+};
+
+const DEFAULT_STORE_PATH = path.join(__dirname, '..', 'data', 'vouchers.json');
+
+/**
+ * Extract the CID from an ipfs:// URI
+ * @param {string} uri - Token URI
+ * @returns {string|null} CID or null for non-IPFS URIs
+ */
+function extractCid(uri) {
+  if (typeof uri !== 'string' || !uri.startsWith('ipfs://')) {
+    return null;
+  }
+  return uri.slice('ipfs://'.length).split('/')[0] || null;
+}
+
+/**
+ * Build a ledger record from a signed voucher
+ * @param {Object} params - Record parameters
+ * @param {string} [params.id] - Record ID (random when omitted)
+ * @param {Object} params.voucher - Signed voucher returned by createVoucher()
+ * @param {string} params.price - Price in ETH as requested
+ * @param {string} params.contractAddress - Contract address the voucher is bound to
+ * @param {number} params.chainId - Chain ID the voucher is bound to
+ * @param {Object} [params.extra] - Additional fields to keep on the record
+ * @returns {Object} Voucher record
+ */
+function buildVoucherRecord({
+  id = crypto.randomUUID(),
+  voucher,
+  price,
+  contractAddress,
+  chainId,
+  extra = {},
+}) {
+  const now = new Date().toISOString();
+
+  return {
+    id,
+    status: VOUCHER_STATUS.ISSUED,
+    tokenId: voucher.tokenId.toString(),
+    price: price.toString(),
+    priceWei: voucher.price.toString(),
+    uri: voucher.uri,
+    metadataCid: extractCid(voucher.uri),
+    minter: voucher.minter,
+    nonce: voucher.nonce,
+    expiresAt: Number(voucher.deadline) ? new Date(voucher.deadline * 1000).toISOString() : null,
+    chainId: Number(chainId),
+    contractAddress,
+    voucher,
+    ...extra,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+function matchesFilter(record, filter) {
+  if (filter.status && record.status !== filter.status) {
+    return false;
+  }
+  if (filter.minter && record.minter.toLowerCase() !== filter.minter.toLowerCase()) {
+    return false;
+  }
+  if (filter.tokenId !== undefined && record.tokenId !== filter.tokenId.toString()) {
+    return false;
+  }
+  if (filter.chainId !== undefined && record.chainId !== Number(filter.chainId)) {
+    return false;
+  }
+  if (
+    filter.contractAddress &&
+    record.contractAddress.toLowerCase() !== filter.contractAddress.toLowerCase()
+  ) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Create a voucher store backed by an in-memory map.
+ * An optional persist/load pair turns it into a durable store.
+ * @param {Object} [options]
+ * @param {Function} [options.load] - Async function returning the initial record array
+ * @param {Function} [options.persist] - Async function receiving the full record array
+ * @returns {Object} Voucher store
+ */
+function createMemoryVoucherStore(options = {}) {
+  const { load = async () => [], persist = async () => {} } = options;
+  const run = createQueue();
+  let records = null;
+
+  async function ensureLoaded() {
+    if (!records) {
+      records = new Map((await load()).map((record) => [record.id, record]));
+    }
+    return records;
+  }
+
+  async function flush() {
+    await persist(Array.from(records.values()));
+  }
+
+  return {
+    /**
+     * Save a new voucher record
+     * @param {Object} record - Record built with buildVoucherRecord()
+     * @returns {Object} Saved record
+     */
+    save(record) {
+      return run(async () => {
+        await ensureLoaded();
+        records.set(record.id, record);
+        await flush();
+        return record;
+      });
+    },
+
+    /**
+     * Get a voucher record by ID
+     * @param {string} id - Record ID
+     * @returns {Object|null} Record or null if not found
+     */
+    get(id) {
+      return run(async () => {
+        await ensureLoaded();
+        return records.get(id) || null;
+      });
+    },
+
+    /**
+     * List voucher records, newest first
+     * @param {Object} [filter] - status, minter, tokenId, chainId, contractAddress
+     * @param {Object} [page] - limit and offset
+     * @returns {Object} { total, vouchers }
+     */
+    list(filter = {}, page = {}) {
+      return run(async () => {
+        await ensureLoaded();
+        const { limit = 100, offset = 0 } = page;
+
+        const matching = Array.from(records.values())
+          .filter((record) => matchesFilter(record, filter))
+          .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+        return {
+          total: matching.length,
+          vouchers: matching.slice(offset, offset + limit),
+        };
+      });
+    },
+
+    /**
+     * Apply changes to a voucher record. A function receives the current record inside
+     * the store's queue and returns the fields to overwrite, or null to leave it as is;
+     * what it throws rejects the update.
+     * @param {string} id - Record ID
+     * @param {Object|Function} changes - Fields to overwrite, or (record) => fields
+     * @returns {Object|null} Updated record or null if not found
+     */
+    update(id, changes) {
+      return run(async () => {
+        await ensureLoaded();
+        const record = records.get(id);
+        if (!record) {
+          return null;
+        }
+
+        const fields = typeof changes === 'function' ? changes(record) : changes;
+        if (!fields) {
+          return record;
+        }
+
+        const updated = { ...record, ...fields, updatedAt: new Date().toISOString() };
+        records.set(id, updated);
+        await flush();
+        return updated;
+      });
+    },
+  };
+}
+
+/**
+ * Create a voucher store persisted to a JSON file
+ * @param {string} [filePath] - Path to the ledger file
+ * @returns {Object} Voucher store
+ */
+function createFileVoucherStore(filePath = DEFAULT_STORE_PATH) {
+  return createMemoryVoucherStore({
+    load: async () => (await readJSONFile(filePath, { vouchers: [] })).vouchers,
+    persist: (vouchers) => writeJSONFile(filePath, { vouchers }),
+  });
+}
+
+/**
+ * Create the configured voucher store
+ * @param {Object} [config]
+ * @param {string} [config.type] - "file" (default) or "memory"
+ * @param {string} [config.path] - Ledger file path for the file store
+ * @returns {Object} Voucher store
+ */
+function createVoucherStore(config = {}) {
+  const { type = 'file' } = config;
+
+  switch (type) {
+    case 'file':
+      return createFileVoucherStore(config.path);
+    case 'memory':
+      return createMemoryVoucherStore();
+    default:
+      throw new Error(`Unknown voucher store type: ${type}`);
+  }
+}
+
+/**
+ * Revoke an issued voucher
+ * @param {Object} store - Voucher store
+ * @param {string} id - Record ID
+ * @param {string} [reason] - Why the voucher was revoked
+ * @returns {Object|null} Updated record or null if not found
+ */
+async function revokeVoucher(store, id, reason) {
+  // The status check runs in the same queued update as the write, so a concurrent
+  // redemption cannot land between them
+  return store.update(id, (record) => {
+    if (record.status === VOUCHER_STATUS.REDEEMED) {
+      throw new Error('Voucher has already been redeemed and cannot be revoked');
+    }
+
+    if (record.status === VOUCHER_STATUS.REVOKED) {
+      return null;
+    }
+
+    return {
+      status: VOUCHER_STATUS.REVOKED,
+      revokedAt: new Date().toISOString(),
+      revokeReason: reason || null,
+    };
+  });
+}
+
+module.exports = {
+  VOUCHER_STATUS,
+  createVoucherStore,
+  createFileVoucherStore,
+  createMemoryVoucherStore,
+  buildVoucherRecord,
+  revokeVoucher,
+  extractCid,
+};
@@ -0,0 +1,278 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
+import "@openzeppelin/contracts/token/ERC1155/extensions/ERC1155Supply.sol";
+import "@openzeppelin/contracts/token/ERC1155/extensions/ERC1155URIStorage.sol";
+import "@openzeppelin/contracts/token/common/ERC2981.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+
+/**
+ * @title LazyEdition
+ * @dev ERC-1155 companion to LazyNFT for editions: many copies of one token.
+ * Vouchers are signed off-chain by voucherSigner, like LazyNFT's, but carry a
+ * quantity and a per-unit price. A voucher can be redeemed in several mints
+ * until its quantity is used up; what each nonce has minted is counted on-chain.
+ * The first mint of a tokenId creates the edition, fixing its URI and maxSupply
+ * (0 = open edition). Every later voucher for it must carry the same maxSupply.
+ */
+contract LazyEdition is ERC1155Supply, ERC1155URIStorage, ERC2981, EIP712, Ownable {
+    using ECDSA for bytes32;
+
+    string private constant SIGNING_DOMAIN = "LazyEdition-Voucher";
+    string private constant SIGNATURE_VERSION = "1";
+
+    bytes32 private constant EDITION_VOUCHER_TYPEHASH =
+        keccak256(
+            "EditionVoucher(uint256 tokenId,uint256 maxSupply,uint256 quantity,uint256 price,string uri,address minter,uint256 nonce,uint256 deadline)"
+        );
+
+    // Collection name and symbol, for marketplaces (ERC-1155 itself has neither)
+    string public name;
+    string public symbol;
+
+    // Address whose signatures vouchers must carry
+    address public voucherSigner;
+
+    // Units minted with each voucher nonce, across all of its redemptions
+    mapping(uint256 => uint256) private _redeemed;
+
+    // Voucher nonces cancelled by the owner
+    mapping(uint256 => bool) private _cancelled;
+
+    // Edition size of each created tokenId (0 = open edition)
+    mapping(uint256 => uint256) private _maxSupply;
+
+    // Voucher structure for lazy minting editions
+    struct EditionVoucher {
+        uint256 tokenId;
+        uint256 maxSupply;   // Edition size, 0 = open edition; must match the edition once created
+        uint256 quantity;    // Units the voucher can mint in total, over any number of redemptions
+        uint256 price;       // Price per unit in wei
+        string uri;          // Token URI, set when the edition is created
+        address minter;      // Recipient, or address(0) for an open voucher minted to the caller
+        uint256 nonce;       // Unique per voucher
+        uint256 deadline;    // Unix timestamp after which the voucher expires (0 = never)
+        bytes signature;
+    }
+
+    event EditionCreated(uint256 indexed tokenId, uint256 maxSupply, string uri);
+    event EditionMinted(
+        uint256 indexed tokenId,
+        address indexed minter,
+        uint256 amount,
+        uint256 price,
+        uint256 nonce
+    );
+    event NonceCancelled(uint256 indexed nonce);
+    event VoucherSignerUpdated(address indexed previousSigner, address indexed newSigner);
+    event Withdrawn(address indexed owner, uint256 amount);
+    event DefaultRoyaltyUpdated(address indexed receiver, uint96 royaltyBps);
+
+    constructor(
+        string memory _name,
+        string memory _symbol,
+        address _voucherSigner,
+        address _royaltyReceiver,
+        uint96 _royaltyBps
+    )
+        ERC1155("")
+        EIP712(SIGNING_DOMAIN, SIGNATURE_VERSION)
+        Ownable(msg.sender)
+    {
+        name = _name;
+        symbol = _symbol;
+        _setVoucherSigner(_voucherSigner);
+        if (_royaltyReceiver != address(0)) {
+            _setDefaultRoyalty(_royaltyReceiver, _royaltyBps);
+            emit DefaultRoyaltyUpdated(_royaltyReceiver, _royaltyBps);
+        }
+    }
+
+    /**
+     * @dev Mint `amount` units with a signed voucher. Open vouchers (minter ==
+     * address(0)) mint to the caller.
+     * @param voucher The EditionVoucher
+     * @param amount Units to mint now; what is left of the voucher's quantity can be minted later
+     */
+    function lazyMint(EditionVoucher calldata voucher, uint256 amount) external payable returns (uint256) {
+        require(amount > 0, "Invalid amount");
+        require(
+            voucher.deadline == 0 || block.timestamp <= voucher.deadline,
+            "Voucher expired"
+        );
+        require(!_cancelled[voucher.nonce], "Voucher cancelled");
+        require(_redeemed[voucher.nonce] + amount <= voucher.quantity, "Voucher quantity exceeded");
+
+        // Verify the signature
+        address signer = _verify(voucher);
+        require(signer == voucherSigner, "Invalid signature");
+
+        // Verify payment
+        require(msg.value >= voucher.price * amount, "Insufficient payment");
+
+        uint256 tokenId = voucher.tokenId;
+        if (!exists(tokenId)) {
+            _maxSupply[tokenId] = voucher.maxSupply;
+            _setURI(tokenId, voucher.uri);
+            emit EditionCreated(tokenId, voucher.maxSupply, voucher.uri);
+        } else {
+            require(voucher.maxSupply == _maxSupply[tokenId], "Edition size mismatch");
+        }
+        require(
+            voucher.maxSupply == 0 || totalSupply(tokenId) + amount <= voucher.maxSupply,
+            "Edition sold out"
+        );
+
+        _redeemed[voucher.nonce] += amount;
+
+        address recipient = voucher.minter == address(0) ? _msgSender() : voucher.minter;
+        _mint(recipient, tokenId, amount, "");
+
+        emit EditionMinted(tokenId, recipient, amount, voucher.price, voucher.nonce);
+
+        return tokenId;
+    }
+
+    /**
+     * @dev Recover the address that signed a voucher
+     */
+    function _verify(EditionVoucher calldata voucher) internal view returns (address) {
+        bytes32 digest = _hashTypedDataV4(
+            keccak256(
+                abi.encode(
+                    EDITION_VOUCHER_TYPEHASH,
+                    voucher.tokenId,
+                    voucher.maxSupply,
+                    voucher.quantity,
+                    voucher.price,
+                    keccak256(bytes(voucher.uri)),
+                    voucher.minter,
+                    voucher.nonce,
+                    voucher.deadline
+                )
+            )
+        );
+        return digest.recover(voucher.signature);
+    }
+
+    /**
+     * @dev Units already minted with a voucher nonce
+     */
+    function redeemedAmount(uint256 nonce) external view returns (uint256) {
+        return _redeemed[nonce];
+    }
+
+    /**
+     * @dev Units a voucher can still mint (0 once used up or cancelled)
+     */
+    function remainingAmount(EditionVoucher calldata voucher) external view returns (uint256) {
+        if (_cancelled[voucher.nonce] || _redeemed[voucher.nonce] >= voucher.quantity) {
+            return 0;
+        }
+        return voucher.quantity - _redeemed[voucher.nonce];
+    }
+
+    /**
+     * @dev Check if a voucher nonce was cancelled
+     */
+    function isNonceCancelled(uint256 nonce) external view returns (bool) {
+        return _cancelled[nonce];
+    }
+
+    /**
+     * @dev Stop a voucher from minting any further units (owner only)
+     */
+    function cancelNonce(uint256 nonce) external onlyOwner {
+        require(!_cancelled[nonce], "Nonce already cancelled");
+        _cancelled[nonce] = true;
+        emit NonceCancelled(nonce);
+    }
+
+    /**
+     * @dev Edition size of a tokenId (0 = open edition, or not created yet)
+     */
+    function maxSupply(uint256 tokenId) external view returns (uint256) {
+        return _maxSupply[tokenId];
+    }
+
+    /**
+     * @dev Get the chain ID for EIP-712 signing
+     */
+    function getChainId() external view returns (uint256) {
+        return block.chainid;
+    }
+
+    /**
+     * @dev Rotate the voucher signer (owner only). Unredeemed vouchers signed by the
+     * previous signer stop being accepted.
+     */
+    function setVoucherSigner(address _newSigner) external onlyOwner {
+        _setVoucherSigner(_newSigner);
+    }
+
+    function _setVoucherSigner(address _newSigner) internal {
+        require(_newSigner != address(0), "Invalid voucher signer");
+        emit VoucherSignerUpdated(voucherSigner, _newSigner);
+        voucherSigner = _newSigner;
+    }
+
+    /**
+     * @dev Set the royalty of every edition (owner only). A zero receiver removes it.
+     */
+    function setDefaultRoyalty(address _receiver, uint96 _royaltyBps) external onlyOwner {
+        if (_receiver == address(0)) {
+            _deleteDefaultRoyalty();
+        } else {
+            _setDefaultRoyalty(_receiver, _royaltyBps);
+        }
+        emit DefaultRoyaltyUpdated(_receiver, _royaltyBps);
+    }
+
+    /**
+     * @dev Withdraw contract balance to owner
+     */
+    function withdraw() external onlyOwner {
+        uint256 balance = address(this).balance;
+        require(balance > 0, "No balance to withdraw");
+
+        (bool success, ) = payable(owner()).call{value: balance}("");
+        require(success, "Withdrawal failed");
+
+        emit Withdrawn(owner(), balance);
+    }
+
+    /**
+     * @dev Get the domain separator for EIP-712
+     */
+    function getDomainSeparator() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    /**
+     * @dev The URI the edition's first voucher carried
+     */
+    function uri(uint256 tokenId) public view override(ERC1155, ERC1155URIStorage) returns (string memory) {
+        return super.uri(tokenId);
+    }
+
+    /**
+     * @dev ERC-1155 and ERC-2981
+     */
+    function supportsInterface(
+        bytes4 interfaceId
+    ) public view override(ERC1155, ERC2981) returns (bool) {
+        return super.supportsInterface(interfaceId);
+    }
+
+    function _update(
+        address from,
+        address to,
+        uint256[] memory ids,
+        uint256[] memory values
+    ) internal override(ERC1155, ERC1155Supply) {
+        super._update(from, to, ids, values);
+    }
+}
@@ -3,23 +3,47 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
 import "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
+import "@openzeppelin/contracts/token/common/ERC2981.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/utils/Context.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
 
 /**
  * @title LazyNFT
  * @dev NFT contract with lazy minting using EIP-712 signatures
- * Allows creators to sign vouchers off-chain, and collectors to mint on-chain
+ * Allows creators to sign vouchers off-chain, and collectors to mint on-chain.
+ * Vouchers are signed by voucherSigner, a rotatable key kept separate from the
+ * owner so a hot signing key never controls withdrawals or configuration.
+ * Mints can be relayed through an ERC-2771 trusted forwarder, so a sponsor pays
+ * the gas while the token still goes to the collector who signed the request.
+ * Hidden drops mint with a placeholder URI; reveal() then points every token at
+ * <baseURI><tokenId>.json, provably as committed by the provenance hash.
+ * Secondary-sale royalties follow EIP-2981: a collection-wide default, which a
+ * voucher can override for its token.
+ * Allowlist presales need no voucher per wallet: the owner sets the Merkle root
+ * of (account, cap) leaves and listed accounts mint up to their cap with a proof.
  */
-contract LazyNFT is ERC721URIStorage, EIP712, Ownable {
+contract LazyNFT is ERC721URIStorage, ERC2981, EIP712, Ownable, ERC2771Context {
     using ECDSA for bytes32;
+    using Strings for uint256;
 
     string private constant SIGNING_DOMAIN = "LazyNFT-Voucher";
     string private constant SIGNATURE_VERSION = "1";
 
-    // Tracks which vouchers have been redeemed
-    mapping(bytes32 => bool) private usedVouchers;
+    bytes32 private constant NFT_VOUCHER_TYPEHASH =
+        keccak256(
+            "NFTVoucher(uint256 tokenId,uint256 price,string uri,address minter,address claimSigner,uint256 nonce,uint256 deadline,address royaltyReceiver,uint96 royaltyBps)"
+        );
+
+    bytes32 private constant VOUCHER_CLAIM_TYPEHASH =
+        keccak256("VoucherClaim(uint256 nonce,address recipient)");
+
+    // Tracks which voucher nonces have been redeemed or cancelled
+    mapping(uint256 => bool) private usedNonces;
     
     // Current token ID counter
     uint256 private _tokenIdCounter;
@@ -27,75 +51,242 @@ contract LazyNFT is ERC721URIStorage, EIP712, Ownable {
     // Mint price in wei
     uint256 public mintPrice;
 
+    // Address whose signatures vouchers must carry
+    address public voucherSigner;
+
+    // Hash of the ordered image CIDs of a hidden drop, set once before sale
+    bytes32 public provenanceHash;
+
+    // Once revealed, token URIs are <_revealedBaseURI><tokenId>.json
+    bool public revealed;
+    string private _revealedBaseURI;
+
+    // Allowlist presale: Merkle root of (address account, uint256 cap) leaves (0 = closed)
+    bytes32 public allowlistRoot;
+    // Price per token of an allowlist mint, in wei
+    uint256 public allowlistPrice;
+    // URI every allowlist mint gets (a hidden drop's placeholder, or shared metadata)
+    string private _allowlistURI;
+    // Tokens each account has minted under each allowlist root
+    mapping(bytes32 => mapping(address => uint256)) private _allowlistMinted;
+    // Token IDs allowlist mints take: [allowlistFirstTokenId, allowlistFirstTokenId + allowlistSupply)
+    uint256 public allowlistFirstTokenId;
+    uint256 public allowlistSupply;
+    // Lowest ID of the range an allowlist mint may still take
+    uint256 private _allowlistNextTokenId;
+
     // Voucher structure for lazy minting
     struct NFTVoucher {
         uint256 tokenId;
         uint256 price;
         string uri;
-        address minter;
+        address minter;      // Recipient, or address(0) for an open voucher minted to the caller
+        address claimSigner; // Open vouchers only: key that must sign the claim (0 = none)
+        uint256 nonce;       // Unique per voucher; a nonce can only be used once
+        uint256 deadline;    // Unix timestamp after which the voucher expires (0 = never)
+        address royaltyReceiver; // Royalty override for this token (0 = collection default)
+        uint96 royaltyBps;       // Override in basis points of the sale price
         bytes signature;
     }
 
-    event NFTMinted(uint256 indexed tokenId, address indexed minter, string uri, uint256 price);
+    event NFTMinted(
+        uint256 indexed tokenId,
+        address indexed minter,
+        string uri,
+        uint256 price,
+        uint256 nonce
+    );
+    event NonceCancelled(uint256 indexed nonce);
     event MintPriceUpdated(uint256 newPrice);
+    event VoucherSignerUpdated(address indexed previousSigner, address indexed newSigner);
     event Withdrawn(address indexed owner, uint256 amount);
+    event ProvenanceHashSet(bytes32 provenanceHash);
+    event Revealed(string baseURI);
+    event BaseURIUpdated(string baseURI);
+    event DefaultRoyaltyUpdated(address indexed receiver, uint96 royaltyBps);
+    event AllowlistUpdated(
+        bytes32 indexed root,
+        uint256 price,
+        string uri,
+        uint256 firstTokenId,
+        uint256 supply
+    );
+    event AllowlistMinted(
+        uint256 indexed tokenId,
+        address indexed minter,
+        uint256 price,
+        bytes32 indexed root
+    );
 
     constructor(
         string memory name,
         string memory symbol,
-        uint256 _mintPrice
-    ) ERC721(name, symbol) EIP712(SIGNING_DOMAIN, SIGNATURE_VERSION) Ownable(msg.sender) {
+        uint256 _mintPrice,
+        address _voucherSigner,
+        address _trustedForwarder,
+        address _royaltyReceiver,
+        uint96 _royaltyBps
+    )
+        ERC721(name, symbol)
+        EIP712(SIGNING_DOMAIN, SIGNATURE_VERSION)
+        Ownable(msg.sender)
+        ERC2771Context(_trustedForwarder)
+    {
         mintPrice = _mintPrice;
         _tokenIdCounter = 1;
+        _setVoucherSigner(_voucherSigner);
+        if (_royaltyReceiver != address(0)) {
+            _setDefaultRoyalty(_royaltyReceiver, _royaltyBps);
+            emit DefaultRoyaltyUpdated(_royaltyReceiver, _royaltyBps);
+        }
     }
 
     /**
      * @dev Lazy mint an NFT using a signed voucher
+     * Open vouchers (minter == address(0)) mint to the caller. Through the trusted
+     * forwarder, the caller is the signer of the forwarded request.
      * @param voucher The NFTVoucher containing token details and signature
      */
     function lazyMint(NFTVoucher calldata voucher) public payable returns (uint256) {
-        // Verify the voucher hasn't been used
-        bytes32 voucherHash = _hashVoucher(voucher);
-        require(!usedVouchers[voucherHash], "Voucher already redeemed");
+        require(voucher.claimSigner == address(0), "Voucher requires a claim signature");
+
+        address recipient = voucher.minter == address(0) ? _msgSender() : voucher.minter;
+        return _redeem(voucher, recipient);
+    }
+
+    /**
+     * @dev Redeem an open voucher protected by a claim signer. The claim binds the
+     * voucher to the caller, so a copied transaction cannot be front-run.
+     * @param voucher The open NFTVoucher
+     * @param claimSignature VoucherClaim(nonce, caller) signed by voucher.claimSigner
+     */
+    function claimMint(
+        NFTVoucher calldata voucher,
+        bytes calldata claimSignature
+    ) external payable returns (uint256) {
+        require(voucher.minter == address(0), "Not an open voucher");
+        require(voucher.claimSigner != address(0), "Voucher has no claim signer");
+
+        bytes32 claimDigest = _hashTypedDataV4(
+            keccak256(abi.encode(VOUCHER_CLAIM_TYPEHASH, voucher.nonce, _msgSender()))
+        );
+        require(claimDigest.recover(claimSignature) == voucher.claimSigner, "Invalid claim signature");
+
+        return _redeem(voucher, _msgSender());
+    }
+
+    /**
+     * @dev Validate a voucher and mint its token to recipient
+     */
+    function _redeem(NFTVoucher calldata voucher, address recipient) internal returns (uint256) {
+        // Verify the voucher hasn't expired or been used
+        require(
+            voucher.deadline == 0 || block.timestamp <= voucher.deadline,
+            "Voucher expired"
+        );
+        require(!usedNonces[voucher.nonce], "Voucher already redeemed");
 
         // Verify the signature
         address signer = _verify(voucher);
-        require(signer == owner(), "Invalid signature");
+        require(signer == voucherSigner, "Invalid signature");
 
         // Verify payment
         require(msg.value >= voucher.price, "Insufficient payment");
         require(msg.value >= mintPrice, "Below minimum mint price");
 
         // Mark voucher as used
-        usedVouchers[voucherHash] = true;
+        usedNonces[voucher.nonce] = true;
 
         // Mint the token
         uint256 tokenId = voucher.tokenId;
-        _safeMint(voucher.minter, tokenId);
+        _safeMint(recipient, tokenId);
         _setTokenURI(tokenId, voucher.uri);
+        if (voucher.royaltyReceiver != address(0)) {
+            _setTokenRoyalty(tokenId, voucher.royaltyReceiver, voucher.royaltyBps);
+        }
 
         // Increment counter if this is a new token
         if (tokenId >= _tokenIdCounter) {
             _tokenIdCounter = tokenId + 1;
         }
 
-        emit NFTMinted(tokenId, voucher.minter, voucher.uri, voucher.price);
+        emit NFTMinted(tokenId, recipient, voucher.uri, voucher.price, voucher.nonce);
 
         return tokenId;
     }
 
     /**
-     * @dev Verify that a voucher was signed by the contract owner
+     * @dev Mint tokens in the allowlist presale. The caller's leaf (caller, cap) must be
+     * in the allowlist tree; across any number of mints it gets at most cap tokens.
+     * Tokens take the lowest free IDs of the range set with the allowlist, which the
+     * backend keeps clear of voucher tokenIds; IDs already minted are skipped.
+     * @param amount Tokens to mint now
+     * @param cap The caller's cap, as in its leaf
+     * @param proof Merkle proof of the leaf
+     * @return firstTokenId The first token minted
+     */
+    function allowlistMint(
+        uint256 amount,
+        uint256 cap,
+        bytes32[] calldata proof
+    ) external payable returns (uint256 firstTokenId) {
+        bytes32 root = allowlistRoot;
+        require(root != bytes32(0), "Allowlist closed");
+        require(amount > 0, "Invalid amount");
+
+        // Leaves are double-hashed, as built by @openzeppelin/merkle-tree
+        address account = _msgSender();
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(account, cap))));
+        require(MerkleProof.verifyCalldata(proof, root, leaf), "Not on allowlist");
+
+        uint256 minted = _allowlistMinted[root][account] + amount;
+        require(minted <= cap, "Allowlist cap exceeded");
+
+        require(msg.value >= allowlistPrice * amount, "Insufficient payment");
+        require(msg.value >= mintPrice * amount, "Below minimum mint price");
+
+        _allowlistMinted[root][account] = minted;
+
+        uint256 end = allowlistFirstTokenId + allowlistSupply;
+        uint256 tokenId = _allowlistNextTokenId;
+        for (uint256 i = 0; i < amount; i++) {
+            // A voucher may have minted an ID of the range
+            while (tokenId < end && _ownerOf(tokenId) != address(0)) {
+                tokenId++;
+            }
+            require(tokenId < end, "Allowlist sold out");
+            if (i == 0) {
+                firstTokenId = tokenId;
+            }
+
+            _allowlistNextTokenId = tokenId + 1;
+            _safeMint(account, tokenId);
+            _setTokenURI(tokenId, _allowlistURI);
+            if (tokenId >= _tokenIdCounter) {
+                _tokenIdCounter = tokenId + 1;
+            }
+            emit AllowlistMinted(tokenId, account, allowlistPrice, root);
+            tokenId++;
+        }
+    }
+
+    /**
+     * @dev Recover the address that signed a voucher
      */
     function _verify(NFTVoucher calldata voucher) internal view returns (address) {
         bytes32 digest = _hashTypedDataV4(
             keccak256(
                 abi.encode(
-                    keccak256("NFTVoucher(uint256 tokenId,uint256 price,string uri,address minter)"),
+                    NFT_VOUCHER_TYPEHASH,
                     voucher.tokenId,
                     voucher.price,
                     keccak256(bytes(voucher.uri)),
-                    voucher.minter
+                    voucher.minter,
+                    voucher.claimSigner,
+                    voucher.nonce,
+                    voucher.deadline,
+                    voucher.royaltyReceiver,
+                    voucher.royaltyBps
                 )
             )
         );
@@ -103,25 +294,26 @@ contract LazyNFT is ERC721URIStorage, EIP712, Ownable {
     }
 
     /**
-     * @dev Generate a hash of the voucher for tracking redemptions
+     * @dev Check if a voucher has been redeemed (or its nonce cancelled)
      */
-    function _hashVoucher(NFTVoucher calldata voucher) internal pure returns (bytes32) {
-        return keccak256(
-            abi.encode(
-                voucher.tokenId,
-                voucher.price,
-                voucher.uri,
-                voucher.minter
-            )
-        );
+    function isVoucherRedeemed(NFTVoucher calldata voucher) public view returns (bool) {
+        return usedNonces[voucher.nonce];
     }
 
     /**
-     * @dev Check if a voucher has been redeemed
+     * @dev Check if a voucher nonce has been redeemed or cancelled
      */
-    function isVoucherRedeemed(NFTVoucher calldata voucher) public view returns (bool) {
-        bytes32 voucherHash = _hashVoucher(voucher);
-        return usedVouchers[voucherHash];
+    function isNonceUsed(uint256 nonce) external view returns (bool) {
+        return usedNonces[nonce];
+    }
+
+    /**
+     * @dev Invalidate an unredeemed voucher by cancelling its nonce (owner only)
+     */
+    function cancelNonce(uint256 nonce) external onlyOwner {
+        require(!usedNonces[nonce], "Nonce already used");
+        usedNonces[nonce] = true;
+        emit NonceCancelled(nonce);
     }
 
     /**
@@ -139,6 +331,130 @@ contract LazyNFT is ERC721URIStorage, EIP712, Ownable {
         emit MintPriceUpdated(_newPrice);
     }
 
+    /**
+     * @dev Rotate the voucher signer (owner only). Unredeemed vouchers signed by the
+     * previous signer stop being accepted.
+     */
+    function setVoucherSigner(address _newSigner) external onlyOwner {
+        _setVoucherSigner(_newSigner);
+    }
+
+    function _setVoucherSigner(address _newSigner) internal {
+        require(_newSigner != address(0), "Invalid voucher signer");
+        emit VoucherSignerUpdated(voucherSigner, _newSigner);
+        voucherSigner = _newSigner;
+    }
+
+    /**
+     * @dev Set the royalty of every token without an override of its own (owner only).
+     * A zero receiver removes it.
+     */
+    function setDefaultRoyalty(address _receiver, uint96 _royaltyBps) external onlyOwner {
+        if (_receiver == address(0)) {
+            _deleteDefaultRoyalty();
+        } else {
+            _setDefaultRoyalty(_receiver, _royaltyBps);
+        }
+        emit DefaultRoyaltyUpdated(_receiver, _royaltyBps);
+    }
+
+    /**
+     * @dev Open, change or close (root 0) the allowlist presale (owner only).
+     * Caps count per root: publishing a new root gives every account a fresh cap.
+     * Allowlist mints take IDs from [_firstTokenId, _firstTokenId + _supply), so
+     * they never take a tokenId the backend reserved for a signed voucher.
+     */
+    function setAllowlist(
+        bytes32 _root,
+        uint256 _price,
+        string calldata _uri,
+        uint256 _firstTokenId,
+        uint256 _supply
+    ) external onlyOwner {
+        if (_root != bytes32(0)) {
+            require(bytes(_uri).length > 0, "Invalid allowlist URI");
+            require(_supply > 0, "Invalid allowlist supply");
+        }
+        allowlistRoot = _root;
+        allowlistPrice = _price;
+        _allowlistURI = _uri;
+        allowlistFirstTokenId = _firstTokenId;
+        allowlistSupply = _supply;
+        _allowlistNextTokenId = _firstTokenId;
+        emit AllowlistUpdated(_root, _price, _uri, _firstTokenId, _supply);
+    }
+
+    /**
+     * @dev URI every allowlist mint gets
+     */
+    function allowlistURI() external view returns (string memory) {
+        return _allowlistURI;
+    }
+
+    /**
+     * @dev Tokens an account has minted under an allowlist root
+     */
+    function allowlistMinted(bytes32 root, address account) external view returns (uint256) {
+        return _allowlistMinted[root][account];
+    }
+
+    /**
+     * @dev Commit to a hidden drop before it goes on sale (owner only). Can only be
+     * set once, and only before the reveal.
+     */
+    function setProvenanceHash(bytes32 _provenanceHash) external onlyOwner {
+        require(provenanceHash == bytes32(0), "Provenance hash already set");
+        require(!revealed, "Already revealed");
+        require(_provenanceHash != bytes32(0), "Invalid provenance hash");
+        provenanceHash = _provenanceHash;
+        emit ProvenanceHashSet(_provenanceHash);
+    }
+
+    /**
+     * @dev Reveal a hidden drop (owner only): every token's URI becomes
+     * <_newBaseURI><tokenId>.json instead of the placeholder its voucher carried
+     */
+    function reveal(string calldata _newBaseURI) external onlyOwner {
+        require(!revealed, "Already revealed");
+        revealed = true;
+        _setRevealedBaseURI(_newBaseURI);
+        emit Revealed(_newBaseURI);
+    }
+
+    /**
+     * @dev Move revealed metadata to another base URI (owner only)
+     */
+    function setBaseURI(string calldata _newBaseURI) external onlyOwner {
+        require(revealed, "Not revealed");
+        _setRevealedBaseURI(_newBaseURI);
+        emit BaseURIUpdated(_newBaseURI);
+    }
+
+    function _setRevealedBaseURI(string calldata _newBaseURI) internal {
+        require(bytes(_newBaseURI).length > 0, "Invalid base URI");
+        _revealedBaseURI = _newBaseURI;
+        // EIP-4906: marketplaces refresh the metadata of every token
+        emit BatchMetadataUpdate(0, type(uint256).max);
+    }
+
+    /**
+     * @dev Base URI of revealed metadata (empty until the reveal)
+     */
+    function baseURI() external view returns (string memory) {
+        return _revealedBaseURI;
+    }
+
+    /**
+     * @dev The URI the token's voucher carried, or its revealed URI once revealed
+     */
+    function tokenURI(uint256 tokenId) public view override returns (string memory) {
+        if (!revealed) {
+            return super.tokenURI(tokenId);
+        }
+        _requireOwned(tokenId);
+        return string.concat(_revealedBaseURI, tokenId.toString(), ".json");
+    }
+
     /**
      * @dev Withdraw contract balance to owner
      */
@@ -165,4 +481,28 @@ contract LazyNFT is ERC721URIStorage, EIP712, Ownable {
     function getDomainSeparator() external view returns (bytes32) {
         return _domainSeparatorV4();
     }
+
+    /**
+     * @dev ERC-721, ERC-4906 and ERC-2981
+     */
+    function supportsInterface(
+        bytes4 interfaceId
+    ) public view override(ERC721URIStorage, ERC2981) returns (bool) {
+        return super.supportsInterface(interfaceId);
+    }
+
+    /**
+     * @dev Calls relayed by the trusted forwarder act for the address that signed them
+     */
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
+    }
+
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
+
+    function _contextSuffixLength() internal view override(Context, ERC2771Context) returns (uint256) {
+        return ERC2771Context._contextSuffixLength();
+    }
 }
\ No newline at end of file
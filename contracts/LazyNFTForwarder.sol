@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
+
+/**
+ * @title LazyNFTForwarder
+ * @dev ERC-2771 trusted forwarder for gasless minting. A collector signs a
+ * ForwardRequest for LazyNFT.lazyMint or claimMint, and a relayer submits it
+ * with execute(), paying the gas (and the request's value).
+ */
+contract LazyNFTForwarder is ERC2771Forwarder {
+    constructor() ERC2771Forwarder("LazyNFTForwarder") {}
+}
@@ -0,0 +1,167 @@
+const path = require('path');
+const hre = require('hardhat');
+require('dotenv').config();
+const {
+  MANIFEST_VERSION,
+  LOCAL_CHAIN_ID,
+  writeManifest,
+  readManifest,
+  resolveRoyalty,
+  verifyContract,
+} = require('./deployment');
+
+const { ethers } = hre;
+
+/**
+ * Deploy LazyEdition, the ERC-1155 companion of a LazyNFT collection, and write
+ * its manifest to deployments/<network>/<EDITION_DEPLOYMENT_NAME>.json.
+ *
+ * Usage:
+ *   npx hardhat run scripts/deploy-edition.js --network <network>
+ */
+async function main() {
+  console.log('\n===========================================');
+  console.log('Deploying LazyEdition Contract');
+  console.log('===========================================\n');
+
+  // Get contract parameters from environment
+  const editionName = process.env.EDITION_NAME || `${process.env.NFT_NAME || 'Cosmic NFT Collection'} Editions`;
+  const editionSymbol = process.env.EDITION_SYMBOL || process.env.NFT_SYMBOL || 'COSMIC';
+
+  console.log('Contract Parameters:');
+  console.log('  Name:', editionName);
+  console.log('  Symbol:', editionSymbol);
+  console.log('');
+
+  // Get deployer account
+  const [deployer] = await ethers.getSigners();
+  const deployerBalance = await ethers.provider.getBalance(deployer.address);
+
+  // Editions take vouchers from the collection's signer; defaults to the deployer for local testing
+  const voucherSigner = process.env.VOUCHER_SIGNER_ADDRESS || deployer.address;
+
+  console.log('Deploying with account:', deployer.address);
+  console.log('Account balance:', ethers.formatEther(deployerBalance), 'ETH');
+  console.log('Voucher signer:', voucherSigner);
+  console.log('');
+
+  const deploymentName = process.env.EDITION_DEPLOYMENT_NAME || 'LazyEdition';
+  const manifestPath = path.join(__dirname, '..', 'deployments', hre.network.name, `${deploymentName}.json`);
+
+  const royalty = resolveRoyalty(readManifest(manifestPath), deployer.address);
+  if (royalty.receiver === ethers.ZeroAddress) {
+    console.log('Royalty: none (set ROYALTY_BPS and ROYALTY_RECEIVER_ADDRESS for a default)');
+  } else {
+    console.log('Royalty:', royalty.bps / 100 + '%', 'to', royalty.receiver);
+  }
+  console.log('');
+
+  // Get network info
+  const network = await ethers.provider.getNetwork();
+  console.log('Network:', network.name);
+  console.log('Chain ID:', network.chainId.toString());
+  console.log('');
+
+  // Deploy the contract
+  console.log('Deploying contract...');
+  const LazyEdition = await ethers.getContractFactory('LazyEdition');
+  const contract = await LazyEdition.deploy(
+    editionName,
+    editionSymbol,
+    voucherSigner,
+    royalty.receiver,
+    royalty.bps
+  );
+
+  await contract.waitForDeployment();
+  const contractAddress = await contract.getAddress();
+
+  console.log('\n===========================================');
+  console.log('Deployment Successful!');
+  console.log('===========================================\n');
+  console.log('Contract Address:', contractAddress);
+  console.log('Contract Owner:', deployer.address);
+  console.log('\nTransaction Hash:', contract.deploymentTransaction().hash);
+  console.log('');
+
+  // Get domain separator and chain ID for EIP-712 signing
+  const domainSeparator = await contract.getDomainSeparator();
+  const chainId = await contract.getChainId();
+
+  console.log('\nContract Configuration:');
+  console.log('  Domain Separator:', domainSeparator);
+  console.log('  Chain ID:', chainId.toString());
+  console.log('');
+
+  // Everything needed to reproduce, audit and use this deployment
+  const receipt = await contract.deploymentTransaction().wait();
+  const artifact = await hre.artifacts.readArtifact('LazyEdition');
+  const constructorArgs = [editionName, editionSymbol, voucherSigner, royalty.receiver, royalty.bps];
+
+  const manifest = {
+    version: MANIFEST_VERSION,
+    name: deploymentName,
+    contract: 'LazyEdition',
+    network: hre.network.name,
+    chainId: Number(chainId),
+    address: contractAddress,
+    owner: deployer.address,
+    voucherSigner: voucherSigner,
+    royalty: royalty,
+    nftName: editionName,
+    nftSymbol: editionSymbol,
+    constructorArgs: constructorArgs,
+    transactionHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    domainSeparator: domainSeparator,
+    // keccak256 of the canonical ABI JSON and of the deployed runtime code
+    abiHash: ethers.id(ethers.Interface.from(artifact.abi).formatJson()),
+    codeHash: ethers.keccak256(await ethers.provider.getCode(contractAddress)),
+    compiler: {
+      version: hre.config.solidity.compilers[0].version,
+      optimizer: hre.config.solidity.compilers[0].settings.optimizer,
+    },
+    deployedAt: new Date().toISOString(),
+    verification: null,
+    abi: artifact.abi,
+  };
+
+  writeManifest(manifestPath, manifest);
+
+  console.log('\n===========================================');
+  console.log('Deployment manifest written');
+  console.log('===========================================');
+  console.log(path.relative(process.cwd(), manifestPath));
+  console.log('');
+  console.log('Give the collection its edition contract in backend/.env:');
+  console.log(`EDITION_DEPLOYMENT_MANIFEST=${path.relative(path.join(__dirname, '..', 'backend'), manifestPath)}`);
+  console.log('');
+
+  // Explorer verification (never on a local chain)
+  const verifyCommand = `npx hardhat verify --network ${hre.network.name} ${contractAddress} "${editionName}" "${editionSymbol}" ${voucherSigner} ${royalty.receiver} ${royalty.bps}`;
+  if (chainId !== LOCAL_CHAIN_ID && process.env.VERIFY_CONTRACT === 'true') {
+    const confirmations = parseInt(process.env.VERIFY_CONFIRMATIONS || '5');
+    manifest.verification = await verifyContract(contract, constructorArgs, confirmations);
+    writeManifest(manifestPath, manifest);
+
+    if (!manifest.verification.verified) {
+      console.log('\nTo retry verification, run:');
+      console.log(verifyCommand);
+    }
+    console.log('');
+  } else if (chainId !== LOCAL_CHAIN_ID) {
+    console.log('\nTo verify the contract on block explorer, run:');
+    console.log(verifyCommand);
+    console.log('(or deploy with VERIFY_CONTRACT=true)');
+    console.log('');
+  }
+
+  return manifest;
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('\nDeployment failed:', error);
+    process.exit(1);
+  });
\ No newline at end of file
@@ -1,5 +1,16 @@
-const { ethers } = require('hardhat');
+const path = require('path');
+const hre = require('hardhat');
 require('dotenv').config();
+const {
+  MANIFEST_VERSION,
+  LOCAL_CHAIN_ID,
+  writeManifest,
+  readManifest,
+  resolveRoyalty,
+  verifyContract,
+} = require('./deployment');
+
+const { ethers } = hre;
 
 async function main() {
   console.log('\n===========================================');
@@ -25,8 +36,27 @@ async function main() {
   const [deployer] = await ethers.getSigners();
   const deployerBalance = await ethers.provider.getBalance(deployer.address);
 
+  // Vouchers are signed by a separate key; defaults to the deployer for local testing
+  const voucherSigner = process.env.VOUCHER_SIGNER_ADDRESS || deployer.address;
+
   console.log('Deploying with account:', deployer.address);
   console.log('Account balance:', ethers.formatEther(deployerBalance), 'ETH');
+  console.log('Voucher signer:', voucherSigner);
+  if (voucherSigner === deployer.address) {
+    console.log('  (the owner key also signs vouchers; set VOUCHER_SIGNER_ADDRESS to separate them)');
+  }
+  console.log('');
+
+  const deploymentName = process.env.DEPLOYMENT_NAME || 'LazyNFT';
+  const manifestPath = path.join(__dirname, '..', 'deployments', hre.network.name, `${deploymentName}.json`);
+
+  // Default EIP-2981 royalty; vouchers can override it per token
+  const royalty = resolveRoyalty(readManifest(manifestPath), deployer.address);
+  if (royalty.receiver === ethers.ZeroAddress) {
+    console.log('Royalty: none (set ROYALTY_BPS and ROYALTY_RECEIVER_ADDRESS for a default)');
+  } else {
+    console.log('Royalty:', royalty.bps / 100 + '%', 'to', royalty.receiver);
+  }
   console.log('');
 
   // Get network info
@@ -35,10 +65,32 @@ async function main() {
   console.log('Chain ID:', network.chainId.toString());
   console.log('');
 
+  // ERC-2771 forwarder for gasless (relayed) mints; reuse one with TRUSTED_FORWARDER_ADDRESS
+  let trustedForwarder = process.env.TRUSTED_FORWARDER_ADDRESS;
+  let forwarderDeployment = null;
+  if (!trustedForwarder) {
+    console.log('Deploying trusted forwarder...');
+    const LazyNFTForwarder = await ethers.getContractFactory('LazyNFTForwarder');
+    const forwarder = await LazyNFTForwarder.deploy();
+    await forwarder.waitForDeployment();
+    trustedForwarder = await forwarder.getAddress();
+    forwarderDeployment = forwarder;
+  }
+  console.log('Trusted forwarder:', trustedForwarder);
+  console.log('');
+
   // Deploy the contract
   console.log('Deploying contract...');
   const LazyNFT = await ethers.getContractFactory('LazyNFT');
-  const contract = await LazyNFT.deploy(nftName, nftSymbol, mintPriceWei);
+  const contract = await LazyNFT.deploy(
+    nftName,
+    nftSymbol,
+    mintPriceWei,
+    voucherSigner,
+    trustedForwarder,
+    royalty.receiver,
+    royalty.bps
+  );
   
   await contract.waitForDeployment();
   const contractAddress = await contract.getAddress();
@@ -61,38 +113,87 @@ async function main() {
   console.log('  Current Token ID:', (await contract.getCurrentTokenId()).toString());
   console.log('');
 
-  // Save deployment info
-  const deploymentInfo = {
-    network: network.name,
-    chainId: chainId.toString(),
-    contractAddress: contractAddress,
+  // Everything needed to reproduce, audit and use this deployment
+  const receipt = await contract.deploymentTransaction().wait();
+  const artifact = await hre.artifacts.readArtifact('LazyNFT');
+  const constructorArgs = [
+    nftName,
+    nftSymbol,
+    mintPriceWei.toString(),
+    voucherSigner,
+    trustedForwarder,
+    royalty.receiver,
+    royalty.bps,
+  ];
+
+  const manifest = {
+    version: MANIFEST_VERSION,
+    name: deploymentName,
+    contract: 'LazyNFT',
+    network: hre.network.name,
+    chainId: Number(chainId),
+    address: contractAddress,
     owner: deployer.address,
+    voucherSigner: voucherSigner,
+    trustedForwarder: trustedForwarder,
+    royalty: royalty,
     nftName: nftName,
     nftSymbol: nftSymbol,
     mintPrice: mintPriceEth,
     mintPriceWei: mintPriceWei.toString(),
+    constructorArgs: constructorArgs,
+    transactionHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
     domainSeparator: domainSeparator,
-    deploymentHash: contract.deploymentTransaction().hash,
-    timestamp: new Date().toISOString(),
+    // keccak256 of the canonical ABI JSON and of the deployed runtime code
+    abiHash: ethers.id(ethers.Interface.from(artifact.abi).formatJson()),
+    codeHash: ethers.keccak256(await ethers.provider.getCode(contractAddress)),
+    compiler: {
+      version: hre.config.solidity.compilers[0].version,
+      optimizer: hre.config.solidity.compilers[0].settings.optimizer,
+    },
+    deployedAt: new Date().toISOString(),
+    verification: null,
+    abi: artifact.abi,
   };
 
+  writeManifest(manifestPath, manifest);
+
   console.log('\n===========================================');
-  console.log('IMPORTANT: Save this information!');
+  console.log('Deployment manifest written');
   console.log('===========================================');
-  console.log(JSON.stringify(deploymentInfo, null, 2));
+  console.log(path.relative(process.cwd(), manifestPath));
   console.log('');
-  console.log('Add this to your .env file:');
-  console.log(`CONTRACT_ADDRESS=${contractAddress}`);
+  console.log('Point the backend and forge CLI at it in backend/.env (instead of CONTRACT_ADDRESS):');
+  console.log(`DEPLOYMENT_MANIFEST=${path.relative(path.join(__dirname, '..', 'backend'), manifestPath)}`);
   console.log('');
 
-  // Verification instructions
-  if (network.chainId !== 31337n) {
+  // Explorer verification (never on a local chain)
+  const verifyCommand = `npx hardhat verify --network ${hre.network.name} ${contractAddress} "${nftName}" "${nftSymbol}" ${mintPriceWei} ${voucherSigner} ${trustedForwarder} ${royalty.receiver} ${royalty.bps}`;
+  if (chainId !== LOCAL_CHAIN_ID && process.env.VERIFY_CONTRACT === 'true') {
+    const confirmations = parseInt(process.env.VERIFY_CONFIRMATIONS || '5');
+    manifest.verification = await verifyContract(contract, constructorArgs, confirmations);
+    if (forwarderDeployment) {
+      await verifyContract(forwarderDeployment, [], confirmations);
+    }
+    writeManifest(manifestPath, manifest);
+
+    if (!manifest.verification.verified) {
+      console.log('\nTo retry verification, run:');
+      console.log(verifyCommand);
+    }
+    console.log('');
+  } else if (chainId !== LOCAL_CHAIN_ID) {
     console.log('\nTo verify the contract on block explorer, run:');
-    console.log(`npx hardhat verify --network ${network.name} ${contractAddress} "${nftName}" "${nftSymbol}" ${mintPriceWei}`);
+    console.log(verifyCommand);
+    if (forwarderDeployment) {
+      console.log(`npx hardhat verify --network ${hre.network.name} ${trustedForwarder}`);
+    }
+    console.log('(or deploy with VERIFY_CONTRACT=true)');
     console.log('');
   }
 
-  return deploymentInfo;
+  return manifest;
 }
 
 main()
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+const hre = require('hardhat');
+
+const { ethers } = hre;
+
+/*
+ * Helpers shared by the deployment scripts (deploy.js, deploy-edition.js)
+ */
+
+// Deployment manifest format (see backend/utils/deployments.js)
+const MANIFEST_VERSION = 1;
+const LOCAL_CHAIN_ID = 31337n;
+// EIP-2981 royalties are in basis points of the sale price
+const MAX_ROYALTY_BPS = 10000;
+
+/**
+ * Where a deployment is kept for good: deployments/<network>/<name>/<address>.json
+ */
+function manifestHistoryPath(manifestPath, address) {
+  const dir = path.join(path.dirname(manifestPath), path.basename(manifestPath, '.json'));
+  return path.join(dir, `${address}.json`);
+}
+
+/**
+ * Write a deployment manifest. Every deployment keeps its own manifest under
+ * deployments/<network>/<name>/, and deployments/<network>/<name>.json, which the
+ * backend and forge read, always holds the newest one.
+ */
+function writeManifest(manifestPath, manifest) {
+  // Manifests written before the history existed are archived before being replaced
+  const latest = readManifest(manifestPath);
+  if (latest && latest.address !== manifest.address) {
+    const archivedPath = manifestHistoryPath(manifestPath, latest.address);
+    if (!fs.existsSync(archivedPath)) {
+      fs.mkdirSync(path.dirname(archivedPath), { recursive: true });
+      fs.copyFileSync(manifestPath, archivedPath);
+    }
+  }
+
+  const content = JSON.stringify(manifest, null, 2) + '\n';
+  const historyPath = manifestHistoryPath(manifestPath, manifest.address);
+  fs.mkdirSync(path.dirname(historyPath), { recursive: true });
+  fs.writeFileSync(historyPath, content);
+  fs.writeFileSync(manifestPath, content);
+}
+
+/**
+ * Read an earlier deployment manifest, if there is one
+ */
+function readManifest(manifestPath) {
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+}
+
+/**
+ * Resolve the collection's default royalty from ROYALTY_RECEIVER_ADDRESS and
+ * ROYALTY_BPS, falling back to the previous manifest of this deployment so a
+ * redeploy keeps its royalty. Without either there is no default royalty.
+ */
+function resolveRoyalty(previous, deployer) {
+  const bps = process.env.ROYALTY_BPS ?? previous?.royalty?.bps?.toString();
+  const receiver = process.env.ROYALTY_RECEIVER_ADDRESS || previous?.royalty?.receiver;
+
+  if (bps === undefined || bps === '') {
+    if (receiver) {
+      throw new Error('ROYALTY_RECEIVER_ADDRESS needs ROYALTY_BPS');
+    }
+    return { receiver: ethers.ZeroAddress, bps: 0 };
+  }
+  if (!/^\d+$/.test(bps) || Number(bps) > MAX_ROYALTY_BPS) {
+    throw new Error(`ROYALTY_BPS must be an integer from 0 to ${MAX_ROYALTY_BPS}`);
+  }
+  if (receiver && !ethers.isAddress(receiver)) {
+    throw new Error('ROYALTY_RECEIVER_ADDRESS must be an address');
+  }
+
+  // The deployer receives royalties unless someone else is named
+  return { receiver: ethers.getAddress(receiver || deployer), bps: Number(bps) };
+}
+
+/**
+ * Verify the contract on the network's block explorer.
+ * Explorers index new contracts with a delay, so wait a few blocks first.
+ */
+async function verifyContract(contract, constructorArgs, confirmations) {
+  console.log(`Waiting for ${confirmations} confirmations before verifying...`);
+  await contract.deploymentTransaction().wait(confirmations);
+
+  try {
+    await hre.run('verify:verify', {
+      address: await contract.getAddress(),
+      constructorArguments: constructorArgs,
+    });
+    return { verified: true, verifiedAt: new Date().toISOString() };
+  } catch (error) {
+    if (/already verified/i.test(error.message)) {
+      return { verified: true, verifiedAt: new Date().toISOString() };
+    }
+    console.warn('Verification failed:', error.message);
+    return { verified: false, error: error.message };
+  }
+}
+
+module.exports = {
+  MANIFEST_VERSION,
+  LOCAL_CHAIN_ID,
+  MAX_ROYALTY_BPS,
+  writeManifest,
+  readManifest,
+  resolveRoyalty,
+  verifyContract,
+};
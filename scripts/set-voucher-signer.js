@@ -0,0 +1,44 @@
+const { ethers } = require('hardhat');
+require('dotenv').config();
+
+/**
+ * Rotate the address LazyNFT accepts voucher signatures from.
+ * Must be run with the owner key. Unredeemed vouchers signed by the previous
+ * signer stop working, so re-issue any that are still needed.
+ *
+ * Usage:
+ *   CONTRACT_ADDRESS=0x... VOUCHER_SIGNER_ADDRESS=0x... npx hardhat run scripts/set-voucher-signer.js --network <network>
+ */
+async function main() {
+  const contractAddress = process.env.CONTRACT_ADDRESS;
+  const newSigner = process.env.VOUCHER_SIGNER_ADDRESS;
+
+  if (!contractAddress || !newSigner || !ethers.isAddress(newSigner)) {
+    throw new Error('CONTRACT_ADDRESS and a valid VOUCHER_SIGNER_ADDRESS must be set');
+  }
+
+  const [owner] = await ethers.getSigners();
+  const contract = await ethers.getContractAt('LazyNFT', contractAddress, owner);
+
+  const previousSigner = await contract.voucherSigner();
+  console.log('Contract:', contractAddress);
+  console.log('Current voucher signer:', previousSigner);
+  console.log('New voucher signer:', newSigner);
+
+  if (ethers.getAddress(newSigner) === previousSigner) {
+    console.log('\nNothing to do.');
+    return;
+  }
+
+  const tx = await contract.setVoucherSigner(newSigner);
+  console.log('\nTransaction Hash:', tx.hash);
+  await tx.wait();
+  console.log('Voucher signer updated.');
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('\nFailed to update voucher signer:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,120 @@
+const { expect } = require('chai');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { MINT_PRICE, deployLazyEdition, signEditionVoucher } = require('./fixtures');
+
+describe('LazyEdition vouchers', function () {
+  it('mints a voucher quantity over several transactions', async function () {
+    const { edition, voucherSigner, accounts } = await loadFixture(deployLazyEdition);
+    const [alice, bob] = accounts;
+
+    const { voucher, args } = await signEditionVoucher(edition, voucherSigner, {
+      tokenId: 1,
+      quantity: 5,
+      maxSupply: 10,
+    });
+
+    await expect(edition.connect(alice).lazyMint(args, 2, { value: MINT_PRICE * 2n }))
+      .to.emit(edition, 'EditionMinted')
+      .withArgs(1, alice.address, 2, MINT_PRICE, voucher.nonce);
+    await edition.connect(bob).lazyMint(args, 3, { value: MINT_PRICE * 3n });
+
+    expect(await edition.redeemedAmount(voucher.nonce)).to.equal(5);
+    expect(await edition.remainingAmount(args)).to.equal(0);
+    expect(await edition.balanceOf(alice.address, 1)).to.equal(2);
+    expect(await edition.balanceOf(bob.address, 1)).to.equal(3);
+
+    // The quantity counts across every mint of the nonce
+    await expect(
+      edition.connect(alice).lazyMint(args, 1, { value: MINT_PRICE })
+    ).to.be.revertedWith('Voucher quantity exceeded');
+  });
+
+  it('rejects a mint above what is left of the quantity', async function () {
+    const { edition, voucherSigner, accounts } = await loadFixture(deployLazyEdition);
+    const [alice] = accounts;
+
+    const { voucher, args } = await signEditionVoucher(edition, voucherSigner, {
+      tokenId: 1,
+      quantity: 3,
+    });
+    await edition.connect(alice).lazyMint(args, 2, { value: MINT_PRICE * 2n });
+
+    await expect(
+      edition.connect(alice).lazyMint(args, 2, { value: MINT_PRICE * 2n })
+    ).to.be.revertedWith('Voucher quantity exceeded');
+    expect(await edition.redeemedAmount(voucher.nonce)).to.equal(2);
+    expect(await edition.remainingAmount(args)).to.equal(1);
+  });
+
+  it('fixes the edition size on its first mint', async function () {
+    const { edition, voucherSigner, accounts } = await loadFixture(deployLazyEdition);
+    const [alice] = accounts;
+
+    const first = await signEditionVoucher(edition, voucherSigner, {
+      tokenId: 1,
+      quantity: 2,
+      maxSupply: 3,
+    });
+    await expect(edition.connect(alice).lazyMint(first.args, 2, { value: MINT_PRICE * 2n }))
+      .to.emit(edition, 'EditionCreated')
+      .withArgs(1, 3, first.voucher.uri);
+    expect(await edition.maxSupply(1)).to.equal(3);
+
+    // Another voucher cannot resize the edition
+    const resized = await signEditionVoucher(edition, voucherSigner, {
+      tokenId: 1,
+      quantity: 2,
+      maxSupply: 10,
+    });
+    await expect(
+      edition.connect(alice).lazyMint(resized.args, 1, { value: MINT_PRICE })
+    ).to.be.revertedWith('Edition size mismatch');
+
+    // and one of the same size stops at the edition size
+    const more = await signEditionVoucher(edition, voucherSigner, {
+      tokenId: 1,
+      quantity: 2,
+      maxSupply: 3,
+    });
+    await expect(
+      edition.connect(alice).lazyMint(more.args, 2, { value: MINT_PRICE * 2n })
+    ).to.be.revertedWith('Edition sold out');
+    await edition.connect(alice).lazyMint(more.args, 1, { value: MINT_PRICE });
+    expect(await edition['totalSupply(uint256)'](1)).to.equal(3);
+  });
+
+  it('lets the owner cancel what is left of a voucher', async function () {
+    const { edition, voucherSigner, accounts } = await loadFixture(deployLazyEdition);
+    const [alice] = accounts;
+
+    const { voucher, args } = await signEditionVoucher(edition, voucherSigner, {
+      tokenId: 1,
+      quantity: 3,
+    });
+    await edition.connect(alice).lazyMint(args, 1, { value: MINT_PRICE });
+
+    await expect(edition.cancelNonce(voucher.nonce))
+      .to.emit(edition, 'NonceCancelled')
+      .withArgs(voucher.nonce);
+
+    expect(await edition.isNonceCancelled(voucher.nonce)).to.equal(true);
+    expect(await edition.remainingAmount(args)).to.equal(0);
+    await expect(
+      edition.connect(alice).lazyMint(args, 1, { value: MINT_PRICE })
+    ).to.be.revertedWith('Voucher cancelled');
+    await expect(edition.cancelNonce(voucher.nonce)).to.be.revertedWith('Nonce already cancelled');
+    await expect(edition.connect(alice).cancelNonce(voucher.nonce)).to.be.revertedWithCustomError(
+      edition,
+      'OwnableUnauthorizedAccount'
+    );
+  });
+
+  it('rejects vouchers not signed by the voucher signer', async function () {
+    const { edition, owner, accounts } = await loadFixture(deployLazyEdition);
+
+    const { args } = await signEditionVoucher(edition, owner, { tokenId: 1, quantity: 1 });
+    await expect(
+      edition.connect(accounts[0]).lazyMint(args, 1, { value: MINT_PRICE })
+    ).to.be.revertedWith('Invalid signature');
+  });
+});
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { buildAllowlistTree } = require('../backend/utils/allowlist');
+const { createTokenAllocator } = require('../backend/utils/tokenAllocator');
+const { getLazyNFTContract } = require('../backend/utils/contract');
+const { CHAIN_ID, createBackendProvider, deployLazyNFT, signVoucher } = require('./fixtures');
+
+describe('LazyNFT allowlist presale', function () {
+  const PRICE = ethers.parseEther('0.02');
+  const URI = 'ipfs://placeholder/unrevealed.json';
+  const FIRST_TOKEN_ID = 100;
+  const SUPPLY = 5;
+
+  async function presaleFixture() {
+    const deployment = await deployLazyNFT();
+    const [alice, bob, carol] = deployment.accounts;
+
+    const tree = buildAllowlistTree([
+      { address: alice.address, cap: 2 },
+      { address: bob.address, cap: 3 },
+    ]);
+    await deployment.nft.setAllowlist(tree.root, PRICE, URI, FIRST_TOKEN_ID, SUPPLY);
+
+    const proofOf = (account, cap) => tree.getProof([account.address, cap.toString()]);
+    return { ...deployment, alice, bob, carol, tree, proofOf };
+  }
+
+  it('mints with a valid proof', async function () {
+    const { nft, alice, tree, proofOf } = await loadFixture(presaleFixture);
+
+    await expect(nft.connect(alice).allowlistMint(2, 2, proofOf(alice, 2), { value: PRICE * 2n }))
+      .to.emit(nft, 'AllowlistMinted')
+      .withArgs(FIRST_TOKEN_ID, alice.address, PRICE, tree.root)
+      .and.to.emit(nft, 'AllowlistMinted')
+      .withArgs(FIRST_TOKEN_ID + 1, alice.address, PRICE, tree.root);
+
+    expect(await nft.ownerOf(FIRST_TOKEN_ID + 1)).to.equal(alice.address);
+    expect(await nft.tokenURI(FIRST_TOKEN_ID)).to.equal(URI);
+    expect(await nft.allowlistMinted(tree.root, alice.address)).to.equal(2);
+    expect(await nft.getCurrentTokenId()).to.equal(FIRST_TOKEN_ID + 2);
+  });
+
+  it('rejects a proof for another cap', async function () {
+    const { nft, alice, proofOf } = await loadFixture(presaleFixture);
+
+    await expect(
+      nft.connect(alice).allowlistMint(1, 3, proofOf(alice, 2), { value: PRICE })
+    ).to.be.revertedWith('Not on allowlist');
+  });
+
+  it('rejects accounts that are not listed', async function () {
+    const { nft, carol, proofOf, alice } = await loadFixture(presaleFixture);
+
+    await expect(
+      nft.connect(carol).allowlistMint(1, 2, proofOf(alice, 2), { value: PRICE })
+    ).to.be.revertedWith('Not on allowlist');
+  });
+
+  it('enforces the cap across mints', async function () {
+    const { nft, alice, proofOf } = await loadFixture(presaleFixture);
+
+    await nft.connect(alice).allowlistMint(1, 2, proofOf(alice, 2), { value: PRICE });
+    await expect(
+      nft.connect(alice).allowlistMint(2, 2, proofOf(alice, 2), { value: PRICE * 2n })
+    ).to.be.revertedWith('Allowlist cap exceeded');
+    await nft.connect(alice).allowlistMint(1, 2, proofOf(alice, 2), { value: PRICE });
+  });
+
+  it('gives every account a fresh cap under a new root', async function () {
+    const { nft, alice, tree, proofOf } = await loadFixture(presaleFixture);
+
+    await nft.connect(alice).allowlistMint(2, 2, proofOf(alice, 2), { value: PRICE * 2n });
+
+    const next = buildAllowlistTree([{ address: alice.address, cap: 2 }]);
+    await nft.setAllowlist(next.root, PRICE, URI, 200, 2);
+    expect(await nft.allowlistMinted(next.root, alice.address)).to.equal(0);
+    expect(await nft.allowlistMinted(tree.root, alice.address)).to.equal(2);
+
+    const proof = next.getProof([alice.address, '2']);
+    await nft.connect(alice).allowlistMint(2, 2, proof, { value: PRICE * 2n });
+    expect(await nft.ownerOf(201)).to.equal(alice.address);
+  });
+
+  it('rejects a payment below the allowlist price', async function () {
+    const { nft, alice, proofOf } = await loadFixture(presaleFixture);
+
+    await expect(
+      nft.connect(alice).allowlistMint(2, 2, proofOf(alice, 2), { value: PRICE * 2n - 1n })
+    ).to.be.revertedWith('Insufficient payment');
+  });
+
+  it('skips IDs of its range that vouchers minted', async function () {
+    const { nft, voucherSigner, alice, proofOf } = await loadFixture(presaleFixture);
+
+    const { args } = await signVoucher(nft, voucherSigner, { tokenId: FIRST_TOKEN_ID });
+    await nft.connect(alice).lazyMint(args, { value: ethers.parseEther('0.01') });
+
+    await expect(
+      nft.connect(alice).allowlistMint(1, 2, proofOf(alice, 2), { value: PRICE })
+    ).to.emit(nft, 'AllowlistMinted');
+    expect(await nft.ownerOf(FIRST_TOKEN_ID + 1)).to.equal(alice.address);
+  });
+
+  it('stops when its range is used up', async function () {
+    const { nft, alice, bob, proofOf } = await loadFixture(presaleFixture);
+
+    await nft.connect(bob).allowlistMint(3, 3, proofOf(bob, 3), { value: PRICE * 3n });
+
+    // The next round reuses the range, of which two IDs are left
+    const next = buildAllowlistTree([{ address: alice.address, cap: 3 }]);
+    await nft.setAllowlist(next.root, PRICE, URI, FIRST_TOKEN_ID, SUPPLY);
+    const proof = next.getProof([alice.address, '3']);
+
+    await expect(
+      nft.connect(alice).allowlistMint(3, 3, proof, { value: PRICE * 3n })
+    ).to.be.revertedWith('Allowlist sold out');
+    await nft.connect(alice).allowlistMint(2, 3, proof, { value: PRICE * 2n });
+    expect(await nft.ownerOf(FIRST_TOKEN_ID + SUPPLY - 1)).to.equal(alice.address);
+  });
+
+  it('only opens with a URI and a supply', async function () {
+    const { nft, tree } = await loadFixture(presaleFixture);
+
+    await expect(nft.setAllowlist(tree.root, PRICE, '', 1, 1)).to.be.revertedWith(
+      'Invalid allowlist URI'
+    );
+    await expect(nft.setAllowlist(tree.root, PRICE, URI, 1, 0)).to.be.revertedWith(
+      'Invalid allowlist supply'
+    );
+    await nft.setAllowlist(ethers.ZeroHash, 0, '', 0, 0);
+  });
+
+  describe('token allocator', function () {
+    let reservationsPath;
+
+    beforeEach(function () {
+      reservationsPath = path.join(
+        fs.mkdtempSync(path.join(os.tmpdir(), 'forge-allocator-')),
+        'reservations.json'
+      );
+    });
+
+    afterEach(function () {
+      fs.rmSync(path.dirname(reservationsPath), { recursive: true, force: true });
+    });
+
+    function allocatorFor(contractAddress) {
+      return createTokenAllocator({
+        contractAddress,
+        chainId: CHAIN_ID,
+        contract: getLazyNFTContract(contractAddress, createBackendProvider()),
+        reservationsPath,
+      });
+    }
+
+    it('allocates voucher tokenIds outside the open presale range', async function () {
+      const { nft, contractAddress, alice, proofOf } = await loadFixture(presaleFixture);
+      const allocator = allocatorFor(contractAddress);
+
+      expect((await allocator.reserve()).tokenId).to.equal('1');
+
+      // An allowlist mint moves getCurrentTokenId() into the range
+      await nft.connect(alice).allowlistMint(1, 2, proofOf(alice, 2), { value: PRICE });
+      expect((await allocator.reserve()).tokenId).to.equal(String(FIRST_TOKEN_ID + SUPPLY));
+
+      // Once the presale closes, allocation continues above the minted tokens
+      await nft.setAllowlist(ethers.ZeroHash, 0, '', 0, 0);
+      expect((await allocator.reserve()).tokenId).to.equal(String(FIRST_TOKEN_ID + 1));
+    });
+
+    it('rejects explicit tokenIds in the open presale range', async function () {
+      const { contractAddress } = await loadFixture(presaleFixture);
+      const allocator = allocatorFor(contractAddress);
+
+      await expect(allocator.reserve(FIRST_TOKEN_ID + 1)).to.be.rejectedWith(
+        'set aside for the allowlist presale'
+      );
+      expect((await allocator.reserve(FIRST_TOKEN_ID - 1)).tokenId).to.equal(
+        String(FIRST_TOKEN_ID - 1)
+      );
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { signVoucherClaim } = require('../backend/utils/voucher');
+const { CHAIN_ID, MINT_PRICE, deployLazyNFT, signVoucher } = require('./fixtures');
+
+describe('LazyNFT open vouchers', function () {
+  async function claimFixture() {
+    const deployment = await deployLazyNFT();
+    const claimKey = ethers.Wallet.createRandom();
+
+    // An open voucher that only mints with a claim from claimKey
+    const { voucher, args } = await signVoucher(deployment.nft, deployment.voucherSigner, {
+      tokenId: 1,
+      claimSigner: claimKey.address,
+    });
+    const claimFor = (account) =>
+      signVoucherClaim(
+        voucher,
+        account.address,
+        claimKey.privateKey,
+        deployment.contractAddress,
+        CHAIN_ID
+      );
+
+    return { ...deployment, voucher, args, claimFor };
+  }
+
+  it('mints an open voucher to its caller', async function () {
+    const { nft, voucherSigner, accounts } = await loadFixture(deployLazyNFT);
+    const [alice] = accounts;
+
+    const { args } = await signVoucher(nft, voucherSigner, { tokenId: 1 });
+    await nft.connect(alice).lazyMint(args, { value: MINT_PRICE });
+    expect(await nft.ownerOf(1)).to.equal(alice.address);
+  });
+
+  it('mints with a claim signed for the caller', async function () {
+    const { nft, accounts, voucher, args, claimFor } = await loadFixture(claimFixture);
+    const [alice] = accounts;
+
+    await expect(nft.connect(alice).claimMint(args, await claimFor(alice), { value: MINT_PRICE }))
+      .to.emit(nft, 'NFTMinted')
+      .withArgs(1, alice.address, voucher.uri, MINT_PRICE, voucher.nonce);
+    expect(await nft.ownerOf(1)).to.equal(alice.address);
+  });
+
+  it('rejects a claim signed for another wallet', async function () {
+    const { nft, accounts, args, claimFor } = await loadFixture(claimFixture);
+    const [alice, bob] = accounts;
+
+    // bob copies alice's claim from the mempool
+    const claim = await claimFor(alice);
+    await expect(nft.connect(bob).claimMint(args, claim, { value: MINT_PRICE })).to.be.revertedWith(
+      'Invalid claim signature'
+    );
+  });
+
+  it('rejects a claim signed by another key', async function () {
+    const { nft, accounts, voucher, args, contractAddress } = await loadFixture(claimFixture);
+    const [alice] = accounts;
+
+    const impostor = ethers.Wallet.createRandom();
+    const claim = await signVoucherClaim(
+      { ...voucher, claimSigner: impostor.address },
+      alice.address,
+      impostor.privateKey,
+      contractAddress,
+      CHAIN_ID
+    );
+    await expect(
+      nft.connect(alice).claimMint(args, claim, { value: MINT_PRICE })
+    ).to.be.revertedWith('Invalid claim signature');
+  });
+
+  it('rejects a replayed claim', async function () {
+    const { nft, accounts, args, claimFor } = await loadFixture(claimFixture);
+    const [alice] = accounts;
+
+    const claim = await claimFor(alice);
+    await nft.connect(alice).claimMint(args, claim, { value: MINT_PRICE });
+    await expect(
+      nft.connect(alice).claimMint(args, claim, { value: MINT_PRICE })
+    ).to.be.revertedWith('Voucher already redeemed');
+  });
+
+  it('only redeems a claim-protected voucher through claimMint', async function () {
+    const { nft, voucherSigner, accounts, args } = await loadFixture(claimFixture);
+    const [alice] = accounts;
+
+    await expect(nft.connect(alice).lazyMint(args, { value: MINT_PRICE })).to.be.revertedWith(
+      'Voucher requires a claim signature'
+    );
+
+    const { args: unprotected } = await signVoucher(nft, voucherSigner, { tokenId: 2 });
+    await expect(
+      nft.connect(alice).claimMint(unprotected, '0x', { value: MINT_PRICE })
+    ).to.be.revertedWith('Voucher has no claim signer');
+  });
+});
@@ -0,0 +1,104 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { computeProvenanceHash } = require('../backend/utils/provenance');
+const { MINT_PRICE, deployLazyNFT, signVoucher } = require('./fixtures');
+
+describe('LazyNFT delayed reveal', function () {
+  const PLACEHOLDER = 'ipfs://placeholder/unrevealed.json';
+  const BASE_URI = 'ipfs://revealed/';
+  const IMAGE_CIDS = ['bafyimage1', 'bafyimage2'];
+
+  // A hidden drop: two tokens minted with the placeholder URI
+  async function hiddenDropFixture() {
+    const deployment = await deployLazyNFT();
+    const { nft, voucherSigner, accounts } = deployment;
+
+    for (const tokenId of [1, 2]) {
+      const { args } = await signVoucher(nft, voucherSigner, { tokenId, uri: PLACEHOLDER });
+      await nft.connect(accounts[0]).lazyMint(args, { value: MINT_PRICE });
+    }
+    return deployment;
+  }
+
+  it('serves the placeholder until the reveal, then the base URI', async function () {
+    const { nft } = await loadFixture(hiddenDropFixture);
+
+    expect(await nft.tokenURI(1)).to.equal(PLACEHOLDER);
+    expect(await nft.baseURI()).to.equal('');
+
+    await expect(nft.reveal(BASE_URI))
+      .to.emit(nft, 'Revealed')
+      .withArgs(BASE_URI)
+      .and.to.emit(nft, 'BatchMetadataUpdate')
+      .withArgs(0, ethers.MaxUint256);
+
+    expect(await nft.revealed()).to.equal(true);
+    expect(await nft.tokenURI(1)).to.equal(`${BASE_URI}1.json`);
+    expect(await nft.tokenURI(2)).to.equal(`${BASE_URI}2.json`);
+    await expect(nft.tokenURI(3)).to.be.revertedWithCustomError(nft, 'ERC721NonexistentToken');
+  });
+
+  it('reveals once, to a non-empty base URI', async function () {
+    const { nft } = await loadFixture(hiddenDropFixture);
+
+    await expect(nft.reveal('')).to.be.revertedWith('Invalid base URI');
+    await nft.reveal(BASE_URI);
+    await expect(nft.reveal('ipfs://other/')).to.be.revertedWith('Already revealed');
+  });
+
+  it('moves revealed metadata to another base URI', async function () {
+    const { nft } = await loadFixture(hiddenDropFixture);
+
+    await expect(nft.setBaseURI('ipfs://moved/')).to.be.revertedWith('Not revealed');
+
+    await nft.reveal(BASE_URI);
+    await expect(nft.setBaseURI('ipfs://moved/'))
+      .to.emit(nft, 'BaseURIUpdated')
+      .withArgs('ipfs://moved/')
+      .and.to.emit(nft, 'BatchMetadataUpdate')
+      .withArgs(0, ethers.MaxUint256);
+    expect(await nft.tokenURI(1)).to.equal('ipfs://moved/1.json');
+  });
+
+  it('sets the provenance hash once, before the reveal', async function () {
+    const { nft } = await loadFixture(hiddenDropFixture);
+    const provenanceHash = computeProvenanceHash(IMAGE_CIDS);
+
+    await expect(nft.setProvenanceHash(ethers.ZeroHash)).to.be.revertedWith(
+      'Invalid provenance hash'
+    );
+    await expect(nft.setProvenanceHash(provenanceHash))
+      .to.emit(nft, 'ProvenanceHashSet')
+      .withArgs(provenanceHash);
+
+    await expect(
+      nft.setProvenanceHash(computeProvenanceHash([...IMAGE_CIDS].reverse()))
+    ).to.be.revertedWith('Provenance hash already set');
+
+    await nft.reveal(BASE_URI);
+    expect(await nft.provenanceHash()).to.equal(provenanceHash);
+  });
+
+  it('cannot commit to a provenance hash after the reveal', async function () {
+    const { nft } = await loadFixture(hiddenDropFixture);
+
+    await nft.reveal(BASE_URI);
+    await expect(nft.setProvenanceHash(computeProvenanceHash(IMAGE_CIDS))).to.be.revertedWith(
+      'Already revealed'
+    );
+    expect(await nft.provenanceHash()).to.equal(ethers.ZeroHash);
+  });
+
+  it('only lets the owner reveal', async function () {
+    const { nft, accounts } = await loadFixture(hiddenDropFixture);
+
+    await expect(nft.connect(accounts[0]).reveal(BASE_URI)).to.be.revertedWithCustomError(
+      nft,
+      'OwnableUnauthorizedAccount'
+    );
+    await expect(
+      nft.connect(accounts[0]).setProvenanceHash(computeProvenanceHash(IMAGE_CIDS))
+    ).to.be.revertedWithCustomError(nft, 'OwnableUnauthorizedAccount');
+  });
+});
@@ -0,0 +1,99 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { resolveRoyalty } = require('../backend/utils/voucher');
+const { MINT_PRICE, deployLazyNFT, signVoucher } = require('./fixtures');
+
+describe('LazyNFT royalties', function () {
+  const SALE_PRICE = ethers.parseEther('1');
+
+  async function royaltyFixture() {
+    const [, , , , , treasury, artist] = await ethers.getSigners();
+    const deployment = await deployLazyNFT({ royaltyReceiver: treasury.address, royaltyBps: 500 });
+    return { ...deployment, treasury, artist };
+  }
+
+  it('pays the default royalty on tokens without an override', async function () {
+    const { nft, voucherSigner, accounts, treasury } = await loadFixture(royaltyFixture);
+
+    const { args } = await signVoucher(nft, voucherSigner, { tokenId: 1 });
+    await nft.connect(accounts[0]).lazyMint(args, { value: MINT_PRICE });
+
+    const [receiver, amount] = await nft.royaltyInfo(1, SALE_PRICE);
+    expect(receiver).to.equal(treasury.address);
+    expect(amount).to.equal(ethers.parseEther('0.05'));
+  });
+
+  it('pays a voucher override instead of the default', async function () {
+    const { nft, voucherSigner, accounts, treasury, artist } = await loadFixture(royaltyFixture);
+
+    const { args } = await signVoucher(nft, voucherSigner, {
+      tokenId: 1,
+      royaltyReceiver: artist.address,
+      royaltyBps: 1000,
+    });
+    await nft.connect(accounts[0]).lazyMint(args, { value: MINT_PRICE });
+
+    const [receiver, amount] = await nft.royaltyInfo(1, SALE_PRICE);
+    expect(receiver).to.equal(artist.address);
+    expect(amount).to.equal(ethers.parseEther('0.1'));
+
+    // The override survives a change of the default
+    await nft.setDefaultRoyalty(treasury.address, 250);
+    expect((await nft.royaltyInfo(1, SALE_PRICE))[0]).to.equal(artist.address);
+    expect((await nft.royaltyInfo(2, SALE_PRICE))[1]).to.equal(ethers.parseEther('0.025'));
+  });
+
+  it('lets the owner change or remove the default royalty', async function () {
+    const { nft, accounts, artist } = await loadFixture(royaltyFixture);
+
+    await expect(nft.setDefaultRoyalty(artist.address, 750))
+      .to.emit(nft, 'DefaultRoyaltyUpdated')
+      .withArgs(artist.address, 750);
+    expect(await nft.royaltyInfo(1, SALE_PRICE)).to.deep.equal([
+      artist.address,
+      ethers.parseEther('0.075'),
+    ]);
+
+    await nft.setDefaultRoyalty(ethers.ZeroAddress, 0);
+    expect(await nft.royaltyInfo(1, SALE_PRICE)).to.deep.equal([ethers.ZeroAddress, 0n]);
+
+    await expect(
+      nft.connect(accounts[0]).setDefaultRoyalty(accounts[0].address, 100)
+    ).to.be.revertedWithCustomError(nft, 'OwnableUnauthorizedAccount');
+  });
+
+  it('rejects a default royalty above 100%', async function () {
+    const { nft, artist } = await loadFixture(royaltyFixture);
+
+    await expect(nft.setDefaultRoyalty(artist.address, 10001)).to.be.revertedWithCustomError(
+      nft,
+      'ERC2981InvalidDefaultRoyalty'
+    );
+    await expect(
+      deployLazyNFT({ royaltyReceiver: artist.address, royaltyBps: 10001 })
+    ).to.be.revertedWithCustomError(nft, 'ERC2981InvalidDefaultRoyalty');
+  });
+
+  it('refuses to sign an override with invalid basis points', async function () {
+    const { nft, voucherSigner, artist } = await loadFixture(royaltyFixture);
+
+    expect(() => resolveRoyalty({ royaltyReceiver: artist.address, royaltyBps: 10001 })).to.throw(
+      'royaltyBps must be an integer from 0 to 10000'
+    );
+    expect(() => resolveRoyalty({ royaltyReceiver: artist.address, royaltyBps: '2.5' })).to.throw(
+      'royaltyBps must be an integer from 0 to 10000'
+    );
+    expect(() => resolveRoyalty({ royaltyBps: 500 })).to.throw(
+      'A royalty override needs both royaltyReceiver and royaltyBps'
+    );
+
+    await expect(
+      signVoucher(nft, voucherSigner, {
+        tokenId: 1,
+        royaltyReceiver: artist.address,
+        royaltyBps: 10001,
+      })
+    ).to.be.rejectedWith('royaltyBps must be an integer from 0 to 10000');
+  });
+});
@@ -0,0 +1,117 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers');
+const { MINT_PRICE, deployLazyNFT, signVoucher } = require('./fixtures');
+
+describe('LazyNFT vouchers', function () {
+  it('mints a voucher to its minter', async function () {
+    const { nft, voucherSigner, accounts } = await loadFixture(deployLazyNFT);
+    const [alice] = accounts;
+
+    const { voucher, args } = await signVoucher(nft, voucherSigner, {
+      tokenId: 1,
+      minter: alice.address,
+    });
+    await expect(nft.connect(alice).lazyMint(args, { value: MINT_PRICE }))
+      .to.emit(nft, 'NFTMinted')
+      .withArgs(1, alice.address, voucher.uri, MINT_PRICE, voucher.nonce);
+
+    expect(await nft.ownerOf(1)).to.equal(alice.address);
+    expect(await nft.tokenURI(1)).to.equal(voucher.uri);
+    expect(await nft.isNonceUsed(voucher.nonce)).to.equal(true);
+  });
+
+  it('rejects vouchers not signed by the voucher signer', async function () {
+    const { nft, owner, accounts } = await loadFixture(deployLazyNFT);
+
+    const { args } = await signVoucher(nft, owner, { tokenId: 1 });
+    await expect(nft.connect(accounts[0]).lazyMint(args, { value: MINT_PRICE })).to.be.revertedWith(
+      'Invalid signature'
+    );
+  });
+
+  it('rejects a nonce that was already redeemed', async function () {
+    const { nft, voucherSigner, accounts } = await loadFixture(deployLazyNFT);
+    const [alice] = accounts;
+
+    const first = await signVoucher(nft, voucherSigner, { tokenId: 1 });
+    await nft.connect(alice).lazyMint(first.args, { value: MINT_PRICE });
+
+    // Replaying the voucher, or signing another token under its nonce, both fail
+    await expect(nft.connect(alice).lazyMint(first.args, { value: MINT_PRICE })).to.be.revertedWith(
+      'Voucher already redeemed'
+    );
+
+    const reused = await signVoucher(nft, voucherSigner, {
+      tokenId: 2,
+      nonce: first.voucher.nonce,
+    });
+    await expect(
+      nft.connect(alice).lazyMint(reused.args, { value: MINT_PRICE })
+    ).to.be.revertedWith('Voucher already redeemed');
+  });
+
+  it('honours a deadline up to and including its second', async function () {
+    const { nft, voucherSigner, accounts } = await loadFixture(deployLazyNFT);
+    const [alice] = accounts;
+
+    const deadline = (await time.latest()) + 3600;
+    const onTime = await signVoucher(nft, voucherSigner, { tokenId: 1, deadline });
+    const late = await signVoucher(nft, voucherSigner, { tokenId: 2, deadline });
+
+    await time.setNextBlockTimestamp(deadline);
+    await nft.connect(alice).lazyMint(onTime.args, { value: MINT_PRICE });
+
+    await expect(nft.connect(alice).lazyMint(late.args, { value: MINT_PRICE })).to.be.revertedWith(
+      'Voucher expired'
+    );
+  });
+
+  it('never expires a voucher without a deadline', async function () {
+    const { nft, voucherSigner, accounts } = await loadFixture(deployLazyNFT);
+
+    const { args } = await signVoucher(nft, voucherSigner, { tokenId: 1, deadline: 0 });
+    await time.increase(10 * 365 * 24 * 3600);
+    await nft.connect(accounts[0]).lazyMint(args, { value: MINT_PRICE });
+  });
+
+  it('lets the owner cancel an unredeemed nonce', async function () {
+    const { nft, voucherSigner, accounts } = await loadFixture(deployLazyNFT);
+    const [alice] = accounts;
+
+    const { voucher, args } = await signVoucher(nft, voucherSigner, { tokenId: 1 });
+    await expect(nft.cancelNonce(voucher.nonce))
+      .to.emit(nft, 'NonceCancelled')
+      .withArgs(voucher.nonce);
+
+    expect(await nft.isNonceUsed(voucher.nonce)).to.equal(true);
+    await expect(nft.connect(alice).lazyMint(args, { value: MINT_PRICE })).to.be.revertedWith(
+      'Voucher already redeemed'
+    );
+    await expect(nft.cancelNonce(voucher.nonce)).to.be.revertedWith('Nonce already used');
+  });
+
+  it('only lets the owner cancel nonces', async function () {
+    const { nft, accounts } = await loadFixture(deployLazyNFT);
+
+    await expect(nft.connect(accounts[0]).cancelNonce(1)).to.be.revertedWithCustomError(
+      nft,
+      'OwnableUnauthorizedAccount'
+    );
+  });
+
+  it('requires the voucher price and the minimum mint price', async function () {
+    const { nft, voucherSigner, accounts } = await loadFixture(deployLazyNFT);
+    const [alice] = accounts;
+
+    const { args } = await signVoucher(nft, voucherSigner, { tokenId: 1, price: '0.05' });
+    await expect(
+      nft.connect(alice).lazyMint(args, { value: ethers.parseEther('0.04') })
+    ).to.be.revertedWith('Insufficient payment');
+
+    const cheap = await signVoucher(nft, voucherSigner, { tokenId: 2, price: '0.001' });
+    await expect(
+      nft.connect(alice).lazyMint(cheap.args, { value: ethers.parseEther('0.001') })
+    ).to.be.revertedWith('Below minimum mint price');
+  });
+});
@@ -0,0 +1,252 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const {
+  ROW_STATUS,
+  BATCH_LAYOUT,
+  JOB_STATUS,
+  createBatchJob,
+  loadBatchJob,
+  runBatchJob,
+} = require('../backend/utils/batchImport');
+const { createMemoryVoucherStore } = require('../backend/utils/voucherStore');
+const { createTokenAllocator } = require('../backend/utils/tokenAllocator');
+const { createLocalStorage } = require('../backend/utils/storage/local');
+const { createMediaProcessor } = require('../backend/utils/media');
+
+const CONTRACT_ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const CHAIN_ID = 31337;
+
+describe('Batch import', function () {
+  let dataDir;
+  let batchDir;
+
+  beforeEach(function () {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'forge-batch-'));
+    batchDir = path.join(dataDir, 'batches');
+  });
+
+  afterEach(function () {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  const rows = ['Nebula', 'Quasar', 'Pulsar'].map((name, index) => ({
+    name,
+    description: `${name}, from the cosmic drop`,
+    image_url: `https://example.com/images/${index}.png`,
+    price: '0.01',
+  }));
+
+  // A predicate that holds for the first call it matches, and never again
+  const once = (predicate) => {
+    let matched = false;
+    return (...args) => !matched && (matched = predicate(...args));
+  };
+
+  /**
+   * A backend context over local storage and a memory ledger, with no chain: tokenIds are
+   * allocated from 1. A storage call fails when fail.<method>(...args) returns true.
+   */
+  function batchContext(fail = {}) {
+    const storage = createLocalStorage({ dir: path.join(dataDir, 'ipfs') });
+    const voucherStore = createMemoryVoucherStore();
+    const calls = { uploadJSON: 0, uploadDirectory: 0 };
+
+    const counted =
+      (method) =>
+      async (...args) => {
+        calls[method]++;
+        if (fail[method]?.(...args)) {
+          throw new Error(`${method} failed`);
+        }
+        return storage[method](...args);
+      };
+
+    return {
+      calls,
+      contractAddress: CONTRACT_ADDRESS,
+      chainId: CHAIN_ID,
+      signer: ethers.Wallet.createRandom(),
+      media: createMediaProcessor(),
+      storage: {
+        ...storage,
+        uploadJSON: counted('uploadJSON'),
+        uploadDirectory: counted('uploadDirectory'),
+      },
+      voucherStore,
+      tokenAllocator: createTokenAllocator({
+        contractAddress: CONTRACT_ADDRESS,
+        chainId: CHAIN_ID,
+        voucherStore,
+        reservationsPath: path.join(dataDir, 'reservations.json'),
+      }),
+    };
+  }
+
+  async function ledger(ctx) {
+    return (await ctx.voucherStore.list({}, { limit: Infinity })).vouchers;
+  }
+
+  describe('per-token jobs', function () {
+    it('retries only the failed rows, reusing their uploads', async function () {
+      // The second row's metadata upload fails once
+      const ctx = batchContext({ uploadJSON: once((metadata) => metadata.name === 'Quasar') });
+      const job = await createBatchJob({ rows, imagesPath: dataDir, dir: batchDir });
+
+      const first = await runBatchJob(ctx, job, { dir: batchDir });
+      expect(first.status).to.equal(JOB_STATUS.COMPLETED_WITH_ERRORS);
+      expect(first.rows.map((row) => row.status)).to.deep.equal([
+        ROW_STATUS.DONE,
+        ROW_STATUS.FAILED,
+        ROW_STATUS.DONE,
+      ]);
+
+      const resumed = await runBatchJob(ctx, await loadBatchJob(job.id, { dir: batchDir }), {
+        dir: batchDir,
+      });
+      expect(resumed.status).to.equal(JOB_STATUS.COMPLETED);
+      expect(resumed.summary).to.include({ total: 3, done: 3, failed: 0 });
+      expect(ctx.calls.uploadJSON).to.equal(4);
+
+      const vouchers = await ledger(ctx);
+      expect(vouchers).to.have.lengthOf(3);
+      expect(resumed.rows.map((row) => row.voucherId)).to.have.members(
+        vouchers.map((record) => record.id)
+      );
+      expect(resumed.rows.map((row) => row.tokenId)).to.have.members(['1', '2', '3']);
+    });
+
+    it('keeps the metadata uploaded before the job stopped', async function () {
+      const ctx = batchContext();
+      const job = await createBatchJob({
+        rows: rows.slice(0, 1),
+        imagesPath: dataDir,
+        dir: batchDir,
+      });
+
+      // The signer goes down after the metadata is pinned
+      const { signer } = ctx;
+      ctx.signer = {
+        signTypedData: async () => {
+          throw new Error('Signer unavailable');
+        },
+      };
+      const stopped = await runBatchJob(ctx, job, { dir: batchDir });
+      expect(stopped.rows[0]).to.include({
+        status: ROW_STATUS.FAILED,
+        error: 'Signer unavailable',
+      });
+      expect(stopped.rows[0].progress.metadata.ipfsUrl).to.match(/^ipfs:\/\//);
+
+      ctx.signer = signer;
+      const resumed = await runBatchJob(ctx, await loadBatchJob(job.id, { dir: batchDir }), {
+        dir: batchDir,
+      });
+
+      expect(resumed.rows[0].status).to.equal(ROW_STATUS.DONE);
+      expect(resumed.rows[0].uri).to.equal(stopped.rows[0].progress.metadata.ipfsUrl);
+      expect(ctx.calls.uploadJSON).to.equal(1);
+    });
+
+    it('reuses a voucher signed just before the job stopped', async function () {
+      const ctx = batchContext();
+      const job = await createBatchJob({
+        rows: rows.slice(0, 1),
+        imagesPath: dataDir,
+        dir: batchDir,
+      });
+
+      // The process dies once the voucher is in the ledger, before the row is checkpointed
+      const save = ctx.voucherStore.save.bind(ctx.voucherStore);
+      ctx.voucherStore.save = async (record) => {
+        await save(record);
+        throw new Error('Process stopped');
+      };
+      const stopped = await runBatchJob(ctx, job, { dir: batchDir });
+      expect(stopped.rows[0].status).to.equal(ROW_STATUS.FAILED);
+      const [signed] = await ledger(ctx);
+      expect(stopped.rows[0].progress.voucherId).to.equal(signed.id);
+
+      ctx.voucherStore.save = save;
+      const resumed = await runBatchJob(ctx, await loadBatchJob(job.id, { dir: batchDir }), {
+        dir: batchDir,
+      });
+
+      expect(await ledger(ctx)).to.have.lengthOf(1);
+      expect(resumed.rows[0]).to.include({
+        status: ROW_STATUS.DONE,
+        voucherId: signed.id,
+        tokenId: signed.tokenId,
+        uri: signed.uri,
+      });
+      const [reservation] = await ctx.tokenAllocator.list();
+      expect(reservation).to.include({ tokenId: signed.tokenId, voucherId: signed.id });
+    });
+  });
+
+  describe('directory jobs', function () {
+    it('resumes after a failed pin without restaging or signing twice', async function () {
+      const ctx = batchContext({ uploadDirectory: once(() => true) });
+      const job = await createBatchJob({
+        rows,
+        imagesPath: dataDir,
+        layout: BATCH_LAYOUT.DIRECTORY,
+        dir: batchDir,
+      });
+
+      const stopped = await runBatchJob(ctx, job, { dir: batchDir });
+      expect(stopped.status).to.equal(JOB_STATUS.COMPLETED_WITH_ERRORS);
+      expect(stopped.directory).to.include({ pinned: false });
+      expect(await ledger(ctx)).to.have.lengthOf(0);
+
+      const resumed = await runBatchJob(ctx, await loadBatchJob(job.id, { dir: batchDir }), {
+        dir: batchDir,
+      });
+      expect(resumed.status).to.equal(JOB_STATUS.COMPLETED);
+      expect(resumed.directory).to.include({
+        ipfsHash: stopped.directory.ipfsHash,
+        baseUri: stopped.directory.baseUri,
+        pinned: true,
+      });
+      expect(resumed.rows.map((row) => row.uri)).to.deep.equal(
+        ['1', '2', '3'].map((tokenId) => `${stopped.directory.baseUri}${tokenId}.json`)
+      );
+      expect(ctx.calls.uploadDirectory).to.equal(2);
+      expect(await ledger(ctx)).to.have.lengthOf(3);
+    });
+
+    it('reuses a voucher signed just before the job stopped', async function () {
+      const ctx = batchContext();
+      const job = await createBatchJob({
+        rows,
+        imagesPath: dataDir,
+        layout: BATCH_LAYOUT.DIRECTORY,
+        dir: batchDir,
+      });
+
+      // The second voucher reaches the ledger, then the process dies
+      const save = ctx.voucherStore.save.bind(ctx.voucherStore);
+      ctx.voucherStore.save = async (record) => {
+        await save(record);
+        if (record.tokenId === '2') {
+          throw new Error('Process stopped');
+        }
+        return record;
+      };
+      const stopped = await runBatchJob(ctx, job, { dir: batchDir });
+      expect(stopped.rows[1].status).to.equal(ROW_STATUS.FAILED);
+
+      ctx.voucherStore.save = save;
+      const resumed = await runBatchJob(ctx, await loadBatchJob(job.id, { dir: batchDir }), {
+        dir: batchDir,
+      });
+
+      const vouchers = await ledger(ctx);
+      expect(resumed.status).to.equal(JOB_STATUS.COMPLETED);
+      expect(vouchers.map((record) => record.tokenId)).to.have.members(['1', '2', '3']);
+      expect(resumed.rows[1].voucherId).to.equal(stopped.rows[1].progress.voucherId);
+    });
+  });
+});
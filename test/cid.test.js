@@ -0,0 +1,101 @@
+const { expect } = require('chai');
+const {
+  createCidBuilder,
+  computeCid,
+  computeRawCid,
+  buildDirectory,
+  hashDirectory,
+  parseCid,
+} = require('../backend/utils/cid');
+
+/*
+ * Known CIDs, as `ipfs add` (Kubo defaults: 256 KiB chunks, 174 links per node,
+ * HAMT directories past 256 KiB of links) assigns them
+ */
+describe('CID computation', function () {
+  // n bytes that do not repeat on a chunk boundary
+  const pattern = (n) => Buffer.from(Uint8Array.from({ length: n }, (_, i) => i % 251));
+
+  describe('files', function () {
+    it('hashes the empty file', function () {
+      expect(computeCid(Buffer.alloc(0))).to.equal(
+        'QmbFMke1KXqnYyBBWxB74N4c5SBnJMVAiMNRcGu6x1AwQH'
+      );
+    });
+
+    it('hashes "hello world\\n" as CIDv0', function () {
+      expect(computeCid(Buffer.from('hello world\n'))).to.equal(
+        'QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o'
+      );
+    });
+
+    it('hashes a single chunk as a raw CIDv1 leaf', function () {
+      const cid = 'bafkreifjjcie6lypi6ny7amxnfftagclbuxndqonfipmb64f2km2devei4';
+
+      expect(computeCid(Buffer.from('hello world\n'), { cidVersion: 1 })).to.equal(cid);
+      expect(computeRawCid(Buffer.from('hello world\n'))).to.equal(cid);
+      expect(parseCid(cid)).to.include({ version: 1, codec: 0x55 });
+    });
+
+    it('hashes a multi-chunk file', function () {
+      const builder = createCidBuilder();
+      builder.update(pattern(1000000));
+
+      expect(builder.finish()).to.deep.equal({
+        cid: 'QmVUbzigHKQR2y8wSt2KwZp92AC9Utfms5nEUHwttK4Yq9',
+        size: 1000256,
+      });
+      expect(computeCid(pattern(1000000), { cidVersion: 1 })).to.equal(
+        'bafybeibx62obrkybp46hx3ivh53q4rnptgkunpgtwiib5lfelfgt2ekihm'
+      );
+    });
+
+    it('gives the same CID however the file is fed in', function () {
+      const builder = createCidBuilder();
+      const file = pattern(1000000);
+      for (let offset = 0; offset < file.length; offset += 65537) {
+        builder.update(file.subarray(offset, offset + 65537));
+      }
+
+      expect(builder.digest()).to.equal('QmVUbzigHKQR2y8wSt2KwZp92AC9Utfms5nEUHwttK4Yq9');
+    });
+
+    it('adds a level to the DAG past 174 chunks', function () {
+      // 200 chunks of 1 KiB: two nodes under the root
+      expect(computeCid(pattern(200 * 1024), { chunkSize: 1024 })).to.equal(
+        'QmWqTAwRJvzttcGts343f3Sf4BGek2P7hoWTCfLdsyqHmx'
+      );
+    });
+  });
+
+  describe('directories', function () {
+    const builder = () => createCidBuilder();
+
+    it('hashes the empty directory', function () {
+      expect(buildDirectory([]).cid).to.equal('QmUNLLsPACCz1vLxQVkXqqLX5R1X345qqfHbsf67hvA3Nn');
+    });
+
+    it('hashes a flat directory, whatever the order of its files', async function () {
+      const files = [
+        { name: 'b.json', buffer: Buffer.from('{"id":2}') },
+        { name: 'a.json', buffer: Buffer.from('{"id":1}') },
+      ];
+
+      expect(await hashDirectory(files, builder)).to.equal(
+        'QmRpVnnBG5yPQg7FpSF4cNtQ44D7Xwp9S3pkpYcXKRdfrN'
+      );
+    });
+
+    it('shards a directory past 256 KiB of links into a HAMT', async function () {
+      // 6000 links of 50 bytes (16-byte name, 34-byte CID)
+      const files = Array.from({ length: 6000 }, (_, i) => ({
+        name: `token-${String(i).padStart(5, '0')}.json`,
+        buffer: Buffer.from(`{"id":${i}}`),
+      }));
+
+      expect(await hashDirectory(files, builder)).to.equal(
+        'QmZpPRmMgKU1uru7L6sMPMqdPAhariqjEuPTx22K8kAevv'
+      );
+    });
+  });
+});
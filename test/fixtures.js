@@ -0,0 +1,116 @@
+const path = require('path');
+const { ethers, network } = require('hardhat');
+const {
+  createVoucher,
+  formatVoucherForContract,
+  createEditionVoucher,
+  formatEditionVoucherForContract,
+} = require('../backend/utils/voucher');
+
+/*
+ * Deployments and vouchers shared by the contract and backend tests
+ */
+
+const CHAIN_ID = 31337;
+const MINT_PRICE = ethers.parseEther('0.01');
+
+// The backend has its own copy of ethers; its providers reach the hardhat network through EIP-1193
+const backendEthers = require(require.resolve('ethers', {
+  paths: [path.join(__dirname, '..', 'backend')],
+}));
+
+/**
+ * A provider for backend modules (allocator, indexer, relayer) on the hardhat network
+ */
+function createBackendProvider() {
+  return new backendEthers.BrowserProvider(network.provider, CHAIN_ID, { cacheTimeout: -1 });
+}
+
+/**
+ * Deploy LazyNFT with the first signer as owner and the second as voucher signer
+ */
+async function deployLazyNFT({
+  forwarder = ethers.ZeroAddress,
+  royaltyReceiver = ethers.ZeroAddress,
+  royaltyBps = 0,
+} = {}) {
+  const [owner, voucherSigner, ...accounts] = await ethers.getSigners();
+
+  const LazyNFT = await ethers.getContractFactory('LazyNFT');
+  const nft = await LazyNFT.deploy(
+    'Cosmic',
+    'COSM',
+    MINT_PRICE,
+    voucherSigner.address,
+    forwarder,
+    royaltyReceiver,
+    royaltyBps
+  );
+
+  return { nft, owner, voucherSigner, accounts, contractAddress: await nft.getAddress() };
+}
+
+/**
+ * Sign a voucher for nft the way the backend does (price in ETH, default 0.01)
+ * @returns {Object} { voucher, args } with args ready for lazyMint/claimMint
+ */
+async function signVoucher(nft, signer, params = {}) {
+  const voucher = await createVoucher(
+    {
+      price: '0.01',
+      uri: `ipfs://metadata/${params.tokenId}.json`,
+      ...params,
+      contractAddress: await nft.getAddress(),
+      chainId: CHAIN_ID,
+    },
+    signer
+  );
+  return { voucher, args: formatVoucherForContract(voucher) };
+}
+
+/**
+ * Deploy LazyEdition with the first signer as owner and the second as voucher signer
+ */
+async function deployLazyEdition({ royaltyReceiver = ethers.ZeroAddress, royaltyBps = 0 } = {}) {
+  const [owner, voucherSigner, ...accounts] = await ethers.getSigners();
+
+  const LazyEdition = await ethers.getContractFactory('LazyEdition');
+  const edition = await LazyEdition.deploy(
+    'Cosmic Editions',
+    'COSME',
+    voucherSigner.address,
+    royaltyReceiver,
+    royaltyBps
+  );
+
+  return { edition, owner, voucherSigner, accounts, editionAddress: await edition.getAddress() };
+}
+
+/**
+ * Sign an edition voucher for edition the way the backend does (price in ETH per unit,
+ * default 0.01)
+ * @returns {Object} { voucher, args } with args ready for lazyMint
+ */
+async function signEditionVoucher(edition, signer, params = {}) {
+  const voucher = await createEditionVoucher(
+    {
+      price: '0.01',
+      uri: `ipfs://metadata/${params.tokenId}.json`,
+      ...params,
+      contractAddress: await edition.getAddress(),
+      chainId: CHAIN_ID,
+    },
+    signer
+  );
+  return { voucher, args: formatEditionVoucherForContract(voucher) };
+}
+
+module.exports = {
+  CHAIN_ID,
+  MINT_PRICE,
+  createBackendProvider,
+  deployLazyNFT,
+  deployLazyEdition,
+  signVoucher,
+  signEditionVoucher,
+};
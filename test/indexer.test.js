@@ -0,0 +1,335 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { network } = require('hardhat');
+const { mine } = require('@nomicfoundation/hardhat-network-helpers');
+const { createIndexer } = require('../backend/utils/indexer');
+const { createTokenAllocator } = require('../backend/utils/tokenAllocator');
+const {
+  VOUCHER_STATUS,
+  createMemoryVoucherStore,
+  buildVoucherRecord,
+} = require('../backend/utils/voucherStore');
+const { getLazyNFTContract } = require('../backend/utils/contract');
+const {
+  CHAIN_ID,
+  MINT_PRICE,
+  createBackendProvider,
+  deployLazyNFT,
+  deployLazyEdition,
+  signVoucher,
+  signEditionVoucher,
+} = require('./fixtures');
+
+describe('Redemption indexer', function () {
+  let dataDir;
+
+  beforeEach(function () {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'forge-indexer-'));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  /**
+   * A deployed LazyNFT with a ledger, allocator and indexer following it. Not a
+   * loadFixture: the ledger and files must be fresh for every test.
+   */
+  async function indexedFixture() {
+    const deployment = await deployLazyNFT();
+    const { edition, editionAddress } = await deployLazyEdition();
+    const { contractAddress } = deployment;
+    const provider = createBackendProvider();
+    const voucherStore = createMemoryVoucherStore();
+
+    const tokenAllocator = createTokenAllocator({
+      contractAddress,
+      chainId: CHAIN_ID,
+      contract: getLazyNFTContract(contractAddress, provider),
+      voucherStore,
+      reservationsPath: path.join(dataDir, 'reservations.json'),
+    });
+
+    const indexer = createIndexer({
+      provider,
+      contractAddress,
+      editionAddress,
+      chainId: CHAIN_ID,
+      voucherStore,
+      tokenAllocator,
+      confirmations: 0,
+      cursorPath: path.join(dataDir, 'cursor.json'),
+    });
+
+    // Sign and record a voucher for the next free tokenId, as the API does
+    async function issue(params = {}) {
+      const { tokenId } = await tokenAllocator.reserve();
+      const { voucher, args } = await signVoucher(deployment.nft, deployment.voucherSigner, {
+        tokenId,
+        ...params,
+      });
+      const record = await voucherStore.save(
+        buildVoucherRecord({ voucher, price: '0.01', contractAddress, chainId: CHAIN_ID })
+      );
+      await tokenAllocator.attach(tokenId, record.id, record.expiresAt);
+      return { record, args };
+    }
+
+    // Sign and record an edition voucher, as POST /api/editions/create-voucher does
+    async function issueEdition(params) {
+      const { voucher, args } = await signEditionVoucher(edition, deployment.voucherSigner, params);
+      const record = await voucherStore.save(
+        buildVoucherRecord({
+          voucher,
+          price: '0.01',
+          contractAddress: editionAddress,
+          chainId: CHAIN_ID,
+        })
+      );
+      return { record, args };
+    }
+
+    return { ...deployment, edition, voucherStore, tokenAllocator, indexer, issue, issueEdition };
+  }
+
+  it('marks redeemed vouchers and follows their owner', async function () {
+    const { nft, accounts, voucherStore, tokenAllocator, indexer, issue } = await indexedFixture();
+    const [alice, bob] = accounts;
+
+    const redeemed = await issue();
+    const outstanding = await issue();
+
+    const tx = await nft.connect(alice).lazyMint(redeemed.args, { value: MINT_PRICE });
+    const receipt = await tx.wait();
+
+    const result = await indexer.syncOnce();
+    expect(result.events).to.be.greaterThan(0);
+
+    const record = await voucherStore.get(redeemed.record.id);
+    expect(record).to.include({
+      status: VOUCHER_STATUS.REDEEMED,
+      redeemedBy: alice.address,
+      redeemedTxHash: receipt.hash,
+      redeemedBlock: receipt.blockNumber,
+      redeemedBlockHash: receipt.blockHash,
+      owner: alice.address,
+    });
+    expect((await voucherStore.get(outstanding.record.id)).status).to.equal(VOUCHER_STATUS.ISSUED);
+
+    // The redeemed voucher's reservation is released; the outstanding one keeps its own
+    const reservations = await tokenAllocator.list();
+    expect(reservations.map((reservation) => reservation.voucherId)).to.deep.equal([
+      outstanding.record.id,
+    ]);
+
+    await nft.connect(alice).transferFrom(alice.address, bob.address, record.tokenId);
+    await indexer.syncOnce();
+    expect((await voucherStore.get(record.id)).owner).to.equal(bob.address);
+  });
+
+  it('replays blocks without applying an event twice', async function () {
+    const { nft, accounts, voucherStore, indexer, issue } = await indexedFixture();
+
+    const { record, args } = await issue();
+    await nft.connect(accounts[0]).lazyMint(args, { value: MINT_PRICE });
+    await indexer.syncOnce();
+    const first = await voucherStore.get(record.id);
+
+    // A fresh indexer on an empty cursor replays everything from the start block
+    fs.rmSync(path.join(dataDir, 'cursor.json'));
+    const replay = createIndexer({
+      provider: createBackendProvider(),
+      contractAddress: await nft.getAddress(),
+      chainId: CHAIN_ID,
+      voucherStore,
+      confirmations: 0,
+      cursorPath: path.join(dataDir, 'cursor.json'),
+    });
+    await replay.syncOnce();
+
+    expect(await voucherStore.get(record.id)).to.deep.equal(first);
+  });
+
+  it('waits for confirmations', async function () {
+    const { nft, accounts, voucherStore, issue, contractAddress } = await indexedFixture();
+    const indexer = createIndexer({
+      provider: createBackendProvider(),
+      contractAddress,
+      chainId: CHAIN_ID,
+      voucherStore,
+      confirmations: 2,
+      cursorPath: path.join(dataDir, 'confirmed-cursor.json'),
+    });
+
+    const { record, args } = await issue();
+    await nft.connect(accounts[0]).lazyMint(args, { value: MINT_PRICE });
+
+    await indexer.syncOnce();
+    expect((await voucherStore.get(record.id)).status).to.equal(VOUCHER_STATUS.ISSUED);
+
+    await mine(2);
+    await indexer.syncOnce();
+    expect((await voucherStore.get(record.id)).status).to.equal(VOUCHER_STATUS.REDEEMED);
+  });
+
+  it('counts the units edition vouchers mint', async function () {
+    const { edition, accounts, voucherStore, indexer, issueEdition } = await indexedFixture();
+    const [alice, bob] = accounts;
+
+    const { record, args } = await issueEdition({ tokenId: 7, quantity: 5, maxSupply: 10 });
+
+    await edition.connect(alice).lazyMint(args, 2, { value: MINT_PRICE * 2n });
+    await indexer.syncOnce();
+    expect(await voucherStore.get(record.id)).to.include({
+      status: VOUCHER_STATUS.ISSUED,
+      redeemedAmount: 2,
+    });
+
+    const receipt = await (
+      await edition.connect(bob).lazyMint(args, 3, { value: MINT_PRICE * 3n })
+    ).wait();
+    await indexer.syncOnce();
+
+    const redeemed = await voucherStore.get(record.id);
+    expect(redeemed).to.include({ status: VOUCHER_STATUS.REDEEMED, redeemedAmount: 5 });
+    expect(redeemed.redemptions).to.have.lengthOf(2);
+    expect(redeemed.redemptions[1]).to.include({
+      minter: bob.address,
+      amount: 3,
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+    });
+
+    // Replaying the blocks leaves the count alone
+    fs.rmSync(path.join(dataDir, 'cursor.json'));
+    await indexer.syncOnce();
+    expect((await voucherStore.get(record.id)).redeemedAmount).to.equal(5);
+  });
+
+  it('scans the history of an edition added after the collection was indexed', async function () {
+    const { nft, edition, accounts, voucherStore, issue, issueEdition, contractAddress } =
+      await indexedFixture();
+    const [alice] = accounts;
+    const indexerFor = (editionAddress) =>
+      createIndexer({
+        provider: createBackendProvider(),
+        contractAddress,
+        editionAddress,
+        chainId: CHAIN_ID,
+        voucherStore,
+        confirmations: 0,
+        cursorPath: path.join(dataDir, 'cursor.json'),
+      });
+
+    const { record, args } = await issueEdition({ tokenId: 7, quantity: 3 });
+    await edition.connect(alice).lazyMint(args, 2, { value: MINT_PRICE * 2n });
+
+    // The collection is indexed without its edition, past the edition mint
+    const minted = await issue();
+    await nft.connect(alice).lazyMint(minted.args, { value: MINT_PRICE });
+    await indexerFor(null).syncOnce();
+    expect((await voucherStore.get(minted.record.id)).status).to.equal(VOUCHER_STATUS.REDEEMED);
+
+    await indexerFor(await edition.getAddress()).syncOnce();
+    expect((await voucherStore.get(record.id)).redeemedAmount).to.equal(2);
+  });
+
+  describe('after a reorg', function () {
+    // evm_revert drops the blocks mined since the snapshot; mining again gives
+    // those heights new hashes, as a reorg does
+    async function reorg(snapshot, blocks) {
+      await network.provider.send('evm_revert', [snapshot]);
+      await mine(blocks);
+    }
+
+    it('undoes redemptions from orphaned blocks', async function () {
+      const { nft, accounts, voucherStore, tokenAllocator, indexer, issue } =
+        await indexedFixture();
+
+      const { record, args } = await issue();
+      const snapshot = await network.provider.send('evm_snapshot');
+      await nft.connect(accounts[0]).lazyMint(args, { value: MINT_PRICE });
+      await indexer.syncOnce();
+      expect((await voucherStore.get(record.id)).status).to.equal(VOUCHER_STATUS.REDEEMED);
+      expect(await tokenAllocator.list()).to.have.lengthOf(0);
+
+      await reorg(snapshot, 2);
+      await indexer.syncOnce();
+
+      expect(await voucherStore.get(record.id)).to.include({
+        status: VOUCHER_STATUS.ISSUED,
+        redeemedTxHash: null,
+        owner: null,
+      });
+      const reservations = await tokenAllocator.list();
+      expect(reservations.map((reservation) => reservation.voucherId)).to.deep.equal([record.id]);
+    });
+
+    it('applies again redemptions the new chain includes', async function () {
+      const { nft, accounts, voucherStore, indexer, issue } = await indexedFixture();
+      const [alice] = accounts;
+
+      const { record, args } = await issue();
+      const snapshot = await network.provider.send('evm_snapshot');
+      await nft.connect(alice).lazyMint(args, { value: MINT_PRICE });
+      await indexer.syncOnce();
+
+      // The mint lands one block later on the new chain
+      await reorg(snapshot, 1);
+      const receipt = await (await nft.connect(alice).lazyMint(args, { value: MINT_PRICE })).wait();
+      await indexer.syncOnce();
+
+      expect(await voucherStore.get(record.id)).to.include({
+        status: VOUCHER_STATUS.REDEEMED,
+        redeemedBlock: receipt.blockNumber,
+        redeemedBlockHash: receipt.blockHash,
+        owner: alice.address,
+      });
+    });
+
+    it('drops edition mints from orphaned blocks', async function () {
+      const { edition, accounts, voucherStore, indexer, issueEdition } = await indexedFixture();
+      const [alice] = accounts;
+
+      const { record, args } = await issueEdition({ tokenId: 7, quantity: 3 });
+      await edition.connect(alice).lazyMint(args, 1, { value: MINT_PRICE });
+      await indexer.syncOnce();
+
+      const snapshot = await network.provider.send('evm_snapshot');
+      await edition.connect(alice).lazyMint(args, 2, { value: MINT_PRICE * 2n });
+      await indexer.syncOnce();
+      expect((await voucherStore.get(record.id)).status).to.equal(VOUCHER_STATUS.REDEEMED);
+
+      await reorg(snapshot, 2);
+      await indexer.syncOnce();
+
+      const reverted = await voucherStore.get(record.id);
+      expect(reverted).to.include({ status: VOUCHER_STATUS.ISSUED, redeemedAmount: 1 });
+      expect(reverted.redemptions).to.have.lengthOf(1);
+    });
+
+    it('restores the owner when only transfers are orphaned', async function () {
+      const { nft, accounts, voucherStore, indexer, issue } = await indexedFixture();
+      const [alice, bob] = accounts;
+
+      const { record, args } = await issue();
+      await nft.connect(alice).lazyMint(args, { value: MINT_PRICE });
+      await indexer.syncOnce();
+
+      const snapshot = await network.provider.send('evm_snapshot');
+      await nft.connect(alice).transferFrom(alice.address, bob.address, record.tokenId);
+      await indexer.syncOnce();
+      expect((await voucherStore.get(record.id)).owner).to.equal(bob.address);
+
+      await reorg(snapshot, 2);
+      await indexer.syncOnce();
+
+      expect(await voucherStore.get(record.id)).to.include({
+        status: VOUCHER_STATUS.REDEEMED,
+        owner: alice.address,
+      });
+    });
+  });
+});
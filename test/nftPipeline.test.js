@@ -0,0 +1,88 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { revokeCancelledVoucher } = require('../backend/utils/nftPipeline');
+const { VoucherNotCancelledError } = require('../backend/utils/errors');
+const { createTokenAllocator } = require('../backend/utils/tokenAllocator');
+const {
+  VOUCHER_STATUS,
+  createMemoryVoucherStore,
+  buildVoucherRecord,
+  revokeVoucher,
+} = require('../backend/utils/voucherStore');
+const { CHAIN_ID, createBackendProvider, deployLazyNFT, signVoucher } = require('./fixtures');
+
+describe('Voucher revocation', function () {
+  let dataDir;
+
+  beforeEach(function () {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'forge-revoke-'));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  /**
+   * A voucher without a deadline, recorded in the ledger with its tokenId reserved.
+   * Not a loadFixture: the reservation file must be fresh for every test.
+   */
+  async function revokeFixture() {
+    const deployment = await deployLazyNFT();
+    const { nft, voucherSigner, contractAddress } = deployment;
+    const provider = createBackendProvider();
+    const voucherStore = createMemoryVoucherStore();
+    const tokenAllocator = createTokenAllocator({
+      contractAddress,
+      chainId: CHAIN_ID,
+      reservationsPath: path.join(dataDir, 'reservations.json'),
+    });
+    const ctx = { contractAddress, chainId: CHAIN_ID, provider, voucherStore, tokenAllocator };
+
+    const { tokenId } = await tokenAllocator.reserve();
+    const { voucher } = await signVoucher(nft, voucherSigner, { tokenId });
+    const record = await voucherStore.save(
+      buildVoucherRecord({ voucher, price: '0.01', contractAddress, chainId: CHAIN_ID })
+    );
+    await tokenAllocator.attach(tokenId, record.id, record.expiresAt);
+
+    return { ...deployment, ctx, record };
+  }
+
+  it('refuses to revoke a voucher whose nonce can still be redeemed', async function () {
+    const { ctx, record } = await revokeFixture();
+
+    await expect(revokeCancelledVoucher(ctx, record))
+      .to.be.rejectedWith(VoucherNotCancelledError)
+      .and.eventually.include({ status: 409, code: 'NONCE_NOT_CANCELLED' });
+    expect((await ctx.voucherStore.get(record.id)).status).to.equal(VOUCHER_STATUS.ISSUED);
+    expect(await ctx.tokenAllocator.list()).to.have.lengthOf(1);
+  });
+
+  it('revokes a cancelled voucher and releases its tokenId', async function () {
+    const { nft, ctx, record } = await revokeFixture();
+
+    await nft.cancelNonce(record.nonce);
+    const revoked = await revokeCancelledVoucher(ctx, record, 'Reissued');
+
+    expect(revoked).to.include({ status: VOUCHER_STATUS.REVOKED, revokeReason: 'Reissued' });
+    expect(await ctx.tokenAllocator.list()).to.deep.equal([]);
+    expect((await ctx.tokenAllocator.reserve()).tokenId).to.equal(record.tokenId);
+  });
+
+  it('does not overwrite a redemption recorded while revoking', async function () {
+    const { ctx, record } = await revokeFixture();
+    const { voucherStore } = ctx;
+
+    // The indexer records the redemption between the revoke's read and its write
+    const revoking = revokeVoucher(voucherStore, record.id);
+    const redeeming = voucherStore.update(record.id, { status: VOUCHER_STATUS.REDEEMED });
+    await Promise.allSettled([revoking, redeeming]);
+
+    expect((await voucherStore.get(record.id)).status).to.equal(VOUCHER_STATUS.REDEEMED);
+    await expect(revokeVoucher(voucherStore, record.id)).to.be.rejectedWith(
+      'Voucher has already been redeemed and cannot be revoked'
+    );
+  });
+});
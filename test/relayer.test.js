@@ -0,0 +1,161 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { setBalance } = require('@nomicfoundation/hardhat-network-helpers');
+const {
+  RELAY_STATUS,
+  createRelayJobStore,
+  createRelayWallet,
+  createRelayer,
+} = require('../backend/utils/relayer');
+const {
+  CHAIN_ID,
+  MINT_PRICE,
+  createBackendProvider,
+  deployLazyNFT,
+  signVoucher,
+} = require('./fixtures');
+
+describe('Mint relayer', function () {
+  let dataDir;
+
+  beforeEach(function () {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'forge-relayer-'));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  /**
+   * LazyNFT behind a LazyNFTForwarder, and a funded relayer for it. Not a
+   * loadFixture: the job file must be fresh for every test.
+   */
+  async function relayFixture(limits = {}) {
+    const forwarder = await (await ethers.getContractFactory('LazyNFTForwarder')).deploy();
+    const deployment = await deployLazyNFT({ forwarder: await forwarder.getAddress() });
+
+    const provider = createBackendProvider();
+    const relayKey = ethers.Wallet.createRandom().privateKey;
+    const wallet = createRelayWallet(relayKey, provider);
+    await setBalance(wallet.address, ethers.parseEther('10'));
+
+    const relayer = createRelayer({
+      contractAddress: deployment.contractAddress,
+      chainId: CHAIN_ID,
+      provider,
+      wallet,
+      jobStore: createRelayJobStore(path.join(dataDir, 'relay-jobs.json')),
+      limits: {
+        maxSpendPerVoucher: ethers.parseEther('1'),
+        maxSpendPerAddress: ethers.parseEther('1'),
+        window: 24 * 60 * 60 * 1000,
+        callGasLimit: 500000,
+        requestTtl: 600,
+        confirmations: 1,
+        ...limits,
+      },
+    });
+
+    return { ...deployment, forwarder, wallet, relayer };
+  }
+
+  it('relays an open voucher through the forwarder to the collector', async function () {
+    const { nft, voucherSigner, accounts, wallet, relayer } = await relayFixture();
+    const [alice] = accounts;
+
+    const { voucher } = await signVoucher(nft, voucherSigner, { tokenId: 1 });
+    const { domain, types, request } = await relayer.prepare({ voucher, from: alice.address });
+    const signature = await alice.signTypedData(domain, types, request);
+
+    const job = await relayer.submit({ voucher, request: { ...request, signature } });
+    expect(job).to.include({
+      status: RELAY_STATUS.SUBMITTED,
+      mode: 'forwarded',
+      from: alice.address,
+      recipient: alice.address,
+      relayer: wallet.address,
+    });
+
+    // _msgSender() is the collector who signed the request, not the relayer
+    const receipt = await ethers.provider.getTransactionReceipt(job.txHash);
+    expect(receipt.from).to.equal(wallet.address);
+    expect(await nft.ownerOf(1)).to.equal(alice.address);
+    expect((await relayer.getJob(job.id)).status).to.equal(RELAY_STATUS.CONFIRMED);
+  });
+
+  it('relays a voucher bound to a minter with a plain lazyMint', async function () {
+    const { nft, voucherSigner, accounts, relayer } = await relayFixture();
+    const [alice] = accounts;
+
+    const { voucher } = await signVoucher(nft, voucherSigner, {
+      tokenId: 1,
+      minter: alice.address,
+    });
+    const job = await relayer.submit({ voucher });
+
+    expect(job).to.include({ mode: 'direct', recipient: alice.address });
+    expect(await nft.ownerOf(1)).to.equal(alice.address);
+  });
+
+  it('rejects a forward request signed by someone else', async function () {
+    const { nft, voucherSigner, accounts, relayer } = await relayFixture();
+    const [alice, bob] = accounts;
+
+    const { voucher } = await signVoucher(nft, voucherSigner, { tokenId: 1 });
+    const { domain, types, request } = await relayer.prepare({ voucher, from: alice.address });
+    const signature = await bob.signTypedData(domain, types, request);
+
+    await expect(
+      relayer.submit({ voucher, request: { ...request, signature } })
+    ).to.be.rejectedWith('Forward request signature, nonce or deadline is not valid');
+  });
+
+  it('refuses a voucher that costs more than the limit per voucher', async function () {
+    // The price alone fits, the gas on top of it does not
+    const { nft, voucherSigner, accounts, relayer } = await relayFixture({
+      maxSpendPerVoucher: MINT_PRICE,
+    });
+
+    const { voucher } = await signVoucher(nft, voucherSigner, {
+      tokenId: 1,
+      minter: accounts[0].address,
+    });
+    await expect(relayer.submit({ voucher }))
+      .to.be.rejectedWith('over the 0.01 ETH limit per voucher')
+      .and.eventually.include({ status: 403, code: 'RELAY_LIMIT_EXCEEDED' });
+  });
+
+  it('limits what it spends on each address', async function () {
+    const { nft, voucherSigner, accounts, relayer } = await relayFixture({
+      maxSpendPerAddress: ethers.parseEther('0.015'),
+    });
+    const [alice, bob] = accounts;
+
+    const voucherFor = async (tokenId, account) =>
+      (await signVoucher(nft, voucherSigner, { tokenId, minter: account.address })).voucher;
+
+    await relayer.submit({ voucher: await voucherFor(1, alice) });
+    await expect(relayer.submit({ voucher: await voucherFor(2, alice) }))
+      .to.be.rejectedWith(`Relay spending for ${alice.address} would exceed 0.015 ETH`)
+      .and.eventually.include({ status: 429, code: 'RELAY_LIMIT_EXCEEDED' });
+
+    await relayer.submit({ voucher: await voucherFor(3, bob) });
+    expect(await nft.ownerOf(3)).to.equal(bob.address);
+  });
+
+  it('relays a voucher only once', async function () {
+    const { nft, voucherSigner, accounts, relayer } = await relayFixture();
+
+    const { voucher } = await signVoucher(nft, voucherSigner, {
+      tokenId: 1,
+      minter: accounts[0].address,
+    });
+    await relayer.submit({ voucher });
+    await expect(relayer.submit({ voucher }))
+      .to.be.rejectedWith('Voucher nonce was already redeemed')
+      .and.eventually.include({ status: 409, code: 'VOUCHER_REDEEMED' });
+  });
+});
@@ -0,0 +1,386 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const request = require('supertest');
+const { createApiKeyStore } = require('../backend/utils/apiKeys');
+const { createAuth } = require('../backend/utils/auth');
+
+// siwe is a backend dependency
+const { SiweMessage } = require(require.resolve('siwe', {
+  paths: [path.join(__dirname, '..', 'backend')],
+}));
+
+describe('API server', function () {
+  const contractAddress = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+  const SIWE_DOMAIN = 'forge.test';
+  const operator = ethers.Wallet.createRandom();
+  const keys = {};
+  let dataDir;
+  let app;
+
+  before(async function () {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'forge-server-'));
+
+    // server.js reads its configuration from the environment when it is required
+    Object.assign(process.env, {
+      AUTH_DISABLED: 'false',
+      SIWE_OPERATORS: `${operator.address}:admin`,
+      SIWE_DOMAIN,
+      CONTRACT_ADDRESS: contractAddress,
+      CHAIN_ID: '31337',
+      RPC_URL: 'http://127.0.0.1:8545',
+      STORAGE_PROVIDER: 'local',
+      LOCAL_STORAGE_DIR: path.join(dataDir, 'ipfs'),
+      VOUCHER_STORE_PATH: path.join(dataDir, 'vouchers.json'),
+      API_KEYS_PATH: path.join(dataDir, 'api-keys.json'),
+      RELAY_JOBS_PATH: path.join(dataDir, 'relay-jobs.json'),
+      ALLOWLISTS_DIR: path.join(dataDir, 'allowlists'),
+      TOKEN_RESERVATIONS_PATH: path.join(dataDir, 'reservations.json'),
+      INDEXER_ENABLED: 'true',
+      INDEXER_CONFIRMATIONS: '2',
+      INDEXER_START_BLOCK: '5',
+      INDEXER_CURSOR_PATH: path.join(dataDir, 'cursor.json'),
+    });
+
+    // One key per scope; the server reads the key file on every request
+    const apiKeyStore = createApiKeyStore(process.env.API_KEYS_PATH);
+    for (const scope of ['upload', 'sign', 'relay', 'admin']) {
+      keys[scope] = (await apiKeyStore.create({ name: scope, scopes: [scope] })).key;
+    }
+
+    app = require('../backend/server');
+  });
+
+  after(function () {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  describe('API keys and scopes', function () {
+    it('rejects a request without credentials', async function () {
+      const response = await request(app).get('/api/vouchers');
+
+      expect(response.status).to.equal(401);
+      expect(response.body).to.deep.equal({
+        error: 'Authentication required',
+        code: 'UNAUTHORIZED',
+      });
+    });
+
+    it('rejects an unknown key', async function () {
+      const response = await request(app)
+        .get('/api/vouchers')
+        .set('X-API-Key', `cnf_${'x'.repeat(43)}`);
+
+      expect(response.status).to.equal(401);
+    });
+
+    it('rejects a key without the required scope', async function () {
+      const response = await request(app).get('/api/vouchers').set('X-API-Key', keys.sign);
+
+      expect(response.status).to.equal(403);
+      expect(response.body).to.deep.equal({ error: 'Missing scope: admin', code: 'FORBIDDEN' });
+    });
+
+    it('accepts a key with the required scope, as X-API-Key or a bearer token', async function () {
+      const response = await request(app).get('/api/vouchers').set('X-API-Key', keys.admin);
+      expect(response.status).to.equal(200);
+      expect(response.body.vouchers).to.deep.equal([]);
+
+      const bearer = await request(app)
+        .get('/api/vouchers')
+        .set('Authorization', `Bearer ${keys.admin}`);
+      expect(bearer.status).to.equal(200);
+    });
+
+    // [method, path, scope]; a route that passes authentication fails on its own checks instead
+    const routes = [
+      ['get', '/api/vouchers', 'admin'],
+      ['get', '/api/vouchers/unknown', 'admin'],
+      ['delete', '/api/vouchers/unknown', 'admin'],
+      ['get', '/api/token-reservations', 'admin'],
+      ['get', '/api/indexer/status', 'admin'],
+      ['post', '/api/editions/create-voucher', 'sign'],
+      ['post', '/api/relay/mint', 'relay'],
+      ['get', '/api/relay/mint/unknown', 'relay'],
+    ];
+
+    for (const [method, route, scope] of routes) {
+      it(`requires the ${scope} scope on ${method.toUpperCase()} ${route}`, async function () {
+        const unauthenticated = await request(app)[method](route);
+        expect(unauthenticated.status).to.equal(401);
+
+        const otherScope = scope === 'upload' ? 'sign' : 'upload';
+        const forbidden = await request(app)[method](route).set('X-API-Key', keys[otherScope]);
+        expect(forbidden.status).to.equal(403);
+        expect(forbidden.body.error).to.equal(`Missing scope: ${scope}`);
+
+        for (const key of new Set([keys[scope], keys.admin])) {
+          const allowed = await request(app)[method](route).set('X-API-Key', key);
+          expect(allowed.status).to.not.be.oneOf([401, 403]);
+        }
+      });
+    }
+  });
+
+  describe('Sign-In with Ethereum', function () {
+    async function fetchNonce() {
+      const response = await request(app).get('/api/auth/nonce');
+      expect(response.status).to.equal(200);
+      return response.body.nonce;
+    }
+
+    async function signMessage(wallet, fields = {}) {
+      const message = new SiweMessage({
+        domain: SIWE_DOMAIN,
+        address: wallet.address,
+        statement: 'Sign in to Cosmic NFT Forge',
+        uri: `https://${SIWE_DOMAIN}`,
+        version: '1',
+        chainId: 31337,
+        nonce: await fetchNonce(),
+        ...fields,
+      }).prepareMessage();
+      return { message, signature: await wallet.signMessage(message) };
+    }
+
+    function signIn(body, host = SIWE_DOMAIN) {
+      return request(app).post('/api/auth/siwe').set('Host', host).send(body);
+    }
+
+    it('opens a session for an operator, with its scopes', async function () {
+      const response = await signIn(await signMessage(operator));
+
+      expect(response.status).to.equal(200);
+      expect(response.body).to.include({ address: operator.address });
+      expect(response.body.scopes).to.deep.equal(['admin']);
+
+      const vouchers = await request(app)
+        .get('/api/vouchers')
+        .set('Authorization', `Bearer ${response.body.token}`);
+      expect(vouchers.status).to.equal(200);
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${response.body.token}`);
+      const loggedOut = await request(app)
+        .get('/api/vouchers')
+        .set('Authorization', `Bearer ${response.body.token}`);
+      expect(loggedOut.status).to.equal(401);
+    });
+
+    it('rejects a replayed nonce', async function () {
+      const signed = await signMessage(operator);
+      expect((await signIn(signed)).status).to.equal(200);
+
+      const replayed = await signIn(signed);
+      expect(replayed.status).to.equal(401);
+      expect(replayed.body).to.deep.equal({
+        error: 'Unknown or expired nonce',
+        code: 'UNAUTHORIZED',
+      });
+    });
+
+    it('rejects a nonce the server never issued', async function () {
+      const signed = await signMessage(operator, { nonce: 'abcdefgh12345678' });
+
+      const response = await signIn(signed);
+      expect(response.status).to.equal(401);
+      expect(response.body.error).to.equal('Unknown or expired nonce');
+    });
+
+    it('rejects a message for another domain, whatever the Host header says', async function () {
+      const signed = await signMessage(operator, { domain: 'evil.test', uri: 'https://evil.test' });
+
+      const response = await signIn(signed, 'evil.test');
+      expect(response.status).to.equal(401);
+      expect(response.body).to.deep.equal({
+        error: 'Invalid SIWE message or signature',
+        code: 'UNAUTHORIZED',
+      });
+    });
+
+    it('rejects a signature from another wallet', async function () {
+      const { message } = await signMessage(operator);
+      const signature = await ethers.Wallet.createRandom().signMessage(message);
+
+      const response = await signIn({ message, signature });
+      expect(response.status).to.equal(401);
+      expect(response.body.error).to.equal('Invalid SIWE message or signature');
+    });
+
+    it('refuses wallets that are not operators', async function () {
+      const response = await signIn(await signMessage(ethers.Wallet.createRandom()));
+
+      expect(response.status).to.equal(403);
+      expect(response.body).to.deep.equal({
+        error: 'Address is not an operator',
+        code: 'FORBIDDEN',
+      });
+    });
+
+    it('is refused without a configured domain', async function () {
+      const auth = createAuth({ apiKeyStore: createApiKeyStore(process.env.API_KEYS_PATH) });
+
+      expect(() => auth.issueNonce())
+        .to.throw('Sign-In with Ethereum is not configured (SIWE_DOMAIN)')
+        .that.includes({ status: 503, code: 'SIWE_DISABLED' });
+      await expect(auth.signIn(await signMessage(operator))).to.be.rejectedWith(
+        'Sign-In with Ethereum is not configured (SIWE_DOMAIN)'
+      );
+    });
+  });
+
+  describe('POST /api/upload-metadata', function () {
+    const VALID = {
+      name: 'Cosmic #1',
+      description: 'The first of its kind',
+      image: 'ipfs://bafkreigh2akiscaildcqabsyg3dfr6chu3fgpregiymsck7e7aqa4s52zy',
+      dryRun: true,
+    };
+
+    function uploadMetadata(fields) {
+      return request(app)
+        .post('/api/upload-metadata')
+        .set('X-API-Key', keys.upload)
+        .send({ ...VALID, ...fields });
+    }
+
+    it('accepts valid metadata', async function () {
+      const response = await uploadMetadata({
+        attributes: [
+          { trait_type: 'Background', value: 'Nebula' },
+          { trait_type: 'Power', value: 8, max_value: 10 },
+          { trait_type: 'Boost', value: 15, display_type: 'boost_percentage' },
+        ],
+        externalUrl: 'https://example.com/1',
+        animationUrl: 'ipfs://bafybeianimation/1.mp4',
+      });
+
+      expect(response.status).to.equal(200);
+      expect(response.body.metadata).to.include({
+        external_url: 'https://example.com/1',
+        animation_url: 'ipfs://bafybeianimation/1.mp4',
+      });
+    });
+
+    it('rejects invalid attributes with every offending field', async function () {
+      const response = await uploadMetadata({
+        attributes: [
+          { value: 'Nebula' },
+          { trait_type: 'Power', value: 11, max_value: 10 },
+          { trait_type: 'Boost', value: 'high', display_type: 'boost_percentage' },
+          { trait_type: 'Rank', value: 1, display_type: 'ranking' },
+          'Gold',
+        ],
+      });
+
+      expect(response.status).to.equal(422);
+      expect(response.body.code).to.equal('INVALID_METADATA');
+      expect(response.body.errors).to.deep.equal([
+        { field: 'attributes[0].trait_type', message: 'is required' },
+        { field: 'attributes[1].value', message: 'must not exceed max_value' },
+        {
+          field: 'attributes[2].value',
+          message: 'must be a number when display_type is boost_percentage',
+        },
+        {
+          field: 'attributes[3].display_type',
+          message: 'must be one of: number, boost_percentage, boost_number, date',
+        },
+        { field: 'attributes[4]', message: 'must be an object' },
+      ]);
+      expect(response.body.error).to.match(
+        /^Invalid metadata: attributes\[0\]\.trait_type is required;/
+      );
+    });
+
+    it('rejects attributes that are not an array', async function () {
+      const response = await uploadMetadata({ attributes: { Background: 'Nebula' } });
+
+      expect(response.status).to.equal(422);
+      expect(response.body).to.deep.equal({
+        error: 'Invalid metadata: attributes must be an array',
+        code: 'INVALID_METADATA',
+        errors: [{ field: 'attributes', message: 'must be an array' }],
+      });
+    });
+
+    it('rejects an external_url with another scheme', async function () {
+      const response = await uploadMetadata({ externalUrl: 'javascript:alert(1)' });
+
+      expect(response.status).to.equal(422);
+      expect(response.body).to.deep.equal({
+        error: 'Invalid metadata: external_url must use one of the schemes: https, http, ipfs',
+        code: 'INVALID_METADATA',
+        errors: [
+          { field: 'external_url', message: 'must use one of the schemes: https, http, ipfs' },
+        ],
+      });
+    });
+
+    it('rejects an animation_url that is not a URI or uses another scheme', async function () {
+      const notUri = await uploadMetadata({ animationUrl: 'animation.mp4' });
+      expect(notUri.status).to.equal(422);
+      expect(notUri.body).to.deep.equal({
+        error: 'Invalid metadata: animation_url must be a valid URI',
+        code: 'INVALID_METADATA',
+        errors: [{ field: 'animation_url', message: 'must be a valid URI' }],
+      });
+
+      const dataUri = await uploadMetadata({ animationUrl: 'data:video/mp4;base64,AAAA' });
+      expect(dataUri.status).to.equal(422);
+      expect(dataUri.body.errors).to.deep.equal([
+        { field: 'animation_url', message: 'must use one of the schemes: ipfs, ar, https, http' },
+      ]);
+    });
+  });
+
+  describe('POST /api/create-voucher', function () {
+    // The raw JSON body: numbers above 2^53 must reach the server as written
+    async function createVoucher(json) {
+      const response = await request(app)
+        .post('/api/create-voucher')
+        .set('X-API-Key', keys.sign)
+        .set('Content-Type', 'application/json')
+        .send(json);
+      return { status: response.status, body: response.body };
+    }
+
+    it('rejects tokenIds above the uint256 maximum', async function () {
+      const tooLarge = (2n ** 256n).toString();
+      const { status, body } = await createVoucher(
+        `{"tokenId": "${tooLarge}", "price": "0.01", "uri": "ipfs://x"}`
+      );
+
+      expect(status).to.equal(400);
+      expect(body.error).to.match(/^tokenId must be an integer from 0 to 2\^256 - 1/);
+    });
+
+    it('rejects JSON numbers that have lost precision', async function () {
+      // JSON.parse rounds 9007199254740993 to 9007199254740992
+      const { status } = await createVoucher(
+        '{"tokenId": 9007199254740993, "price": "0.01", "uri": "ipfs://x"}'
+      );
+      expect(status).to.equal(400);
+    });
+  });
+
+  describe('GET /api/indexer/status', function () {
+    it('reports the status of an enabled indexer', async function () {
+      const response = await request(app).get('/api/indexer/status').set('X-API-Key', keys.admin);
+      expect(response.status).to.equal(200);
+
+      expect(response.body).to.include({
+        enabled: true,
+        running: false,
+        contractAddress,
+        chainId: 31337,
+        startBlock: 5,
+        confirmations: 2,
+        cursor: null,
+      });
+    });
+  });
+});
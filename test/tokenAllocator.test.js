@@ -0,0 +1,259 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { ZeroHash } = require('ethers');
+const { createTokenAllocator, TokenIdConflictError } = require('../backend/utils/tokenAllocator');
+
+const CONTRACT_ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+/**
+ * The LazyNFT calls the allocator makes, over an in-memory chain state
+ */
+function stubContract({ currentTokenId = 1n, minted = [], allowlist = null } = {}) {
+  const owned = new Set(minted.map(String));
+
+  return {
+    minted: owned,
+    allowlist,
+    async getCurrentTokenId() {
+      return currentTokenId;
+    },
+    async ownerOf(tokenId) {
+      if (!owned.has(tokenId.toString())) {
+        throw Object.assign(new Error('ERC721NonexistentToken'), { code: 'CALL_EXCEPTION' });
+      }
+      return CONTRACT_ADDRESS;
+    },
+    async allowlistRoot() {
+      return this.allowlist ? this.allowlist.root : ZeroHash;
+    },
+    async allowlistFirstTokenId() {
+      return this.allowlist ? this.allowlist.first : 0n;
+    },
+    async allowlistSupply() {
+      return this.allowlist ? this.allowlist.supply : 0n;
+    },
+  };
+}
+
+describe('Token allocator', function () {
+  let dataDir;
+  let reservationsPath;
+
+  beforeEach(function () {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'forge-allocator-'));
+    reservationsPath = path.join(dataDir, 'reservations.json');
+  });
+
+  afterEach(function () {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  function allocatorFor(contract, options = {}) {
+    return createTokenAllocator({
+      contractAddress: CONTRACT_ADDRESS,
+      chainId: 31337,
+      contract,
+      reservationsPath,
+      ...options,
+    });
+  }
+
+  describe('allocation', function () {
+    it('allocates from the contract counter, skipping minted and reserved IDs', async function () {
+      const allocator = allocatorFor(stubContract({ currentTokenId: 3n, minted: [4] }));
+
+      await allocator.reserve('5');
+      const allocated = [];
+      for (let i = 0; i < 3; i++) {
+        allocated.push((await allocator.reserve()).tokenId);
+      }
+
+      expect(allocated).to.deep.equal(['3', '6', '7']);
+    });
+
+    it('starts from 1 without a contract', async function () {
+      const allocator = allocatorFor(undefined);
+
+      expect((await allocator.reserve()).tokenId).to.equal('1');
+      expect((await allocator.reserve()).tokenId).to.equal('2');
+    });
+
+    it('rejects an explicit tokenId that is reserved or minted', async function () {
+      const allocator = allocatorFor(stubContract({ minted: [2] }));
+
+      await allocator.reserve('1');
+      await expect(allocator.reserve('1')).to.be.rejectedWith(
+        TokenIdConflictError,
+        'Token ID 1 is reserved by another voucher'
+      );
+      await expect(allocator.reserve(2)).to.be.rejectedWith(
+        TokenIdConflictError,
+        'Token ID 2 has already been minted'
+      );
+    });
+
+    it('allocates a released tokenId again', async function () {
+      const allocator = allocatorFor(stubContract());
+
+      const { tokenId } = await allocator.reserve();
+      expect(await allocator.release(tokenId)).to.equal(true);
+      expect((await allocator.reserve()).tokenId).to.equal(tokenId);
+    });
+
+    it('keeps reservations across allocators sharing the file', async function () {
+      await allocatorFor(stubContract()).reserve();
+
+      expect((await allocatorFor(stubContract()).reserve()).tokenId).to.equal('2');
+    });
+  });
+
+  describe('reservation TTL', function () {
+    const TTL = 100;
+    const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+    it('expires a reservation that never got a voucher', async function () {
+      const allocator = allocatorFor(stubContract(), { ttl: TTL });
+
+      const reservation = await allocator.reserve();
+      expect(Date.parse(reservation.expiresAt) - Date.parse(reservation.createdAt)).to.equal(TTL);
+
+      await wait(TTL + 20);
+      expect(await allocator.list()).to.deep.equal([]);
+      expect((await allocator.reserve()).tokenId).to.equal(reservation.tokenId);
+    });
+
+    it("holds a voucher's reservation until the voucher's deadline", async function () {
+      const allocator = allocatorFor(stubContract(), { ttl: TTL });
+
+      await allocator.reserve('1');
+      await allocator.attach('1', 'voucher-1', null);
+      await allocator.reserve('2');
+      await allocator.attach('2', 'voucher-2', new Date(Date.now() + TTL * 4).toISOString());
+      await allocator.reserve('3');
+
+      await wait(TTL + 20);
+      expect((await allocator.list()).map((reservation) => reservation.tokenId)).to.deep.equal([
+        '1',
+        '2',
+      ]);
+
+      await wait(TTL * 3);
+      expect((await allocator.list()).map((reservation) => reservation.voucherId)).to.deep.equal([
+        'voucher-1',
+      ]);
+    });
+
+    it('never expires reservations without a TTL', async function () {
+      const allocator = allocatorFor(stubContract());
+
+      expect((await allocator.reserve()).expiresAt).to.equal(null);
+    });
+  });
+
+  describe('allowlist presale ranges', function () {
+    const presale = (first, supply) =>
+      stubContract({ allowlist: { root: `0x${'ab'.repeat(32)}`, first, supply } });
+
+    it('skips the range set aside for an open presale', async function () {
+      const allocator = allocatorFor(presale(1n, 3n));
+
+      expect((await allocator.reserve()).tokenId).to.equal('4');
+      expect((await allocator.reserve()).tokenId).to.equal('5');
+    });
+
+    it('skips a range that starts above the counter', async function () {
+      const allocator = allocatorFor(presale(2n, 2n));
+      const allocated = [];
+      for (let i = 0; i < 3; i++) {
+        allocated.push((await allocator.reserve()).tokenId);
+      }
+
+      expect(allocated).to.deep.equal(['1', '4', '5']);
+    });
+
+    it('rejects an explicit tokenId inside the range', async function () {
+      const allocator = allocatorFor(presale(10n, 5n));
+
+      await expect(allocator.reserve('14')).to.be.rejectedWith(
+        TokenIdConflictError,
+        'Token ID 14 is set aside for the allowlist presale'
+      );
+      expect((await allocator.reserve('15')).tokenId).to.equal('15');
+    });
+
+    it('allocates the range again once the presale is closed', async function () {
+      const contract = presale(1n, 3n);
+      const allocator = allocatorFor(contract);
+      expect((await allocator.reserve()).tokenId).to.equal('4');
+
+      contract.allowlist = null;
+      expect((await allocator.reserve()).tokenId).to.equal('1');
+    });
+  });
+
+  describe('token IDs above 2^53', function () {
+    const LARGE_ID = '9007199254740993';
+
+    it('reserves the exact tokenId requested', async function () {
+      const allocator = allocatorFor(stubContract());
+
+      expect((await allocator.reserve(LARGE_ID)).tokenId).to.equal(LARGE_ID);
+      await expect(allocator.reserve('9007199254740992')).to.be.fulfilled;
+      await expect(allocator.reserve(LARGE_ID)).to.be.rejectedWith(TokenIdConflictError);
+
+      expect((await allocator.list()).map((reservation) => reservation.tokenId)).to.deep.equal([
+        '9007199254740992',
+        LARGE_ID,
+      ]);
+    });
+
+    it('allocates from a counter above 2^53', async function () {
+      const allocator = allocatorFor(
+        stubContract({ currentTokenId: BigInt(LARGE_ID), minted: [LARGE_ID] })
+      );
+
+      expect((await allocator.reserve()).tokenId).to.equal('9007199254740994');
+    });
+
+    it('attaches and releases the exact tokenId', async function () {
+      const allocator = allocatorFor(stubContract());
+
+      await allocator.reserve('9007199254740992');
+      await allocator.reserve(LARGE_ID);
+      await allocator.attach(LARGE_ID, 'voucher-1');
+
+      expect(await allocator.release(LARGE_ID, 'voucher-2')).to.equal(false);
+      expect(await allocator.release(LARGE_ID, 'voucher-1')).to.equal(true);
+      expect((await allocator.list()).map((reservation) => reservation.tokenId)).to.deep.equal([
+        '9007199254740992',
+      ]);
+    });
+
+    it('seeds reservations from the ledger without rounding', async function () {
+      const record = {
+        id: 'voucher-1',
+        tokenId: LARGE_ID,
+        status: 'issued',
+        contractAddress: CONTRACT_ADDRESS,
+        chainId: 31337,
+        createdAt: new Date().toISOString(),
+        expiresAt: null,
+      };
+      const voucherStore = {
+        async list({ status }) {
+          return { vouchers: status === record.status ? [record] : [] };
+        },
+      };
+      const allocator = allocatorFor(stubContract(), { voucherStore });
+
+      expect(await allocator.list()).to.deep.include({
+        tokenId: LARGE_ID,
+        voucherId: 'voucher-1',
+        createdAt: record.createdAt,
+        expiresAt: null,
+      });
+    });
+  });
+});